@@ -51,8 +51,7 @@ const sampleMenuItems = [
 const sampleTables = Array.from({ length: 20 }, (_, i) => ({
     tableNumber: i + 1,
     status: 'available',
-    capacity: Math.floor(Math.random() * 3) + 2, // 2-4 people
-    qrCode: `https://api.qrserver.com/v1/create-qr-code/?size=150x150&data=${process.env.BASE_URL || 'http://localhost:3000'}/table/${i + 1}`
+    capacity: Math.floor(Math.random() * 3) + 2 // 2-4 people
 }));
 
 async function initializeDatabase() {
@@ -79,8 +78,8 @@ async function initializeDatabase() {
         // Insert sample menu items
         await MenuItem.insertMany(sampleMenuItems);
         
-        // Insert sample tables
-        await Table.insertMany(sampleTables);
+        // Insert sample tables (create runs the hook that signs their QR codes)
+        await Table.create(sampleTables);
         
         console.log('Database initialized successfully!');
         console.log('Customer demo: email=customer@demo.com, password=123456');
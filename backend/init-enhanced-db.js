@@ -125,18 +125,17 @@ async function initializeDatabase() {
         
         // Insert sample tables (1-20)
         const tables = [];
-        const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
         
         for (let i = 1; i <= 20; i++) {
             const table = new Table({
                 tableNumber: i,
                 status: i <= 5 ? 'occupied' : 'available', // First 5 tables occupied
-                capacity: Math.floor(Math.random() * 3) + 2, // 2-4 people
-                qrCode: `https://api.qrserver.com/v1/create-qr-code/?size=150x150&data=${baseUrl}/table/${i}`
+                capacity: Math.floor(Math.random() * 3) + 2 // 2-4 people
             });
             tables.push(table);
         }
-        await Table.insertMany(tables);
+        // save() runs the hook that signs each table's QR code
+        await Promise.all(tables.map(table => table.save()));
         
         // Create sample orders
         const sampleOrders = [
@@ -0,0 +1,32 @@
+// Limits on what a guest (see services/guestService.js) can do. Use after
+// the auth middleware; signed-in users pass straight through.
+
+// Guests can only act for the table whose QR they scanned
+const ownTableOnly = (req, res, next) => {
+    if (req.userRole !== 'guest') return next();
+
+    const tableNumber = parseInt(req.body.tableNumber ?? req.query.tableNumber, 10);
+    if (tableNumber !== req.user.tableNumber) {
+        return res.status(403).json({
+            success: false,
+            message: `Your guest session is for table ${req.user.tableNumber}`
+        });
+    }
+    next();
+};
+
+// For things that need an account, like delivery to an address
+const accountRequired = (req, res, next) => {
+    if (req.userRole === 'guest') {
+        return res.status(403).json({
+            success: false,
+            message: 'Please create an account to use this'
+        });
+    }
+    next();
+};
+
+module.exports = {
+    ownTableOnly,
+    accountRequired
+};
@@ -0,0 +1,65 @@
+// models/Adjustment.js
+// Audit record of a void, comp or refund, kept for end-of-day reconciliation
+const mongoose = require('mongoose');
+
+const AdjustmentSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['void', 'comp', 'refund'],
+        required: true
+    },
+    // Whether one line item, the whole order or a payment was adjusted
+    scope: {
+        type: String,
+        enum: ['item', 'order', 'payment'],
+        required: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    orderNumber: String,
+    tableNumber: Number,
+    items: [{
+        item: mongoose.Schema.Types.ObjectId, // _id of the order line item
+        name: String,
+        quantity: Number,
+        amount: Number
+    }],
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+    },
+    paymentMethod: String,
+    // Menu value taken off the bill, or money given back for refunds
+    amount: {
+        type: Number,
+        required: true,
+        min: [0, 'Amount cannot be negative']
+    },
+    reasonCode: {
+        type: String,
+        required: true
+    },
+    note: {
+        type: String,
+        maxlength: [200, 'Note cannot exceed 200 characters']
+    },
+    actorId: String,
+    actorName: String,
+    actorRole: String,
+    // Second person who entered their PIN; unset below the approval threshold
+    approvedBy: String,
+    approvedByName: String,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+AdjustmentSchema.index({ createdAt: -1 });
+AdjustmentSchema.index({ order: 1, createdAt: 1 });
+AdjustmentSchema.index({ type: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Adjustment', AdjustmentSchema);
@@ -0,0 +1,48 @@
+// models/Counter.js
+const mongoose = require('mongoose');
+
+// Named sequences incremented atomically with $inc
+const CounterSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    seq: {
+        type: Number,
+        default: 0
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Return the next value of a sequence, creating it on first use.
+// Two first-time upserts can race on the unique key; the loser retries
+// and increments the document the winner created. seed(), if given, is
+// called when the sequence doesn't exist yet and returns its start value.
+CounterSchema.statics.next = async function(key, { seed } = {}) {
+    if (seed && !(await this.exists({ key }))) {
+        try {
+            await this.create({ key, seq: await seed() });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+        }
+    }
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+        try {
+            const counter = await this.findOneAndUpdate(
+                { key },
+                { $inc: { seq: 1 }, $set: { updatedAt: new Date() } },
+                { new: true, upsert: true }
+            );
+            return counter.seq;
+        } catch (error) {
+            if (error.code !== 11000 || attempt === 2) throw error;
+        }
+    }
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
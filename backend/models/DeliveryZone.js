@@ -0,0 +1,58 @@
+// models/DeliveryZone.js
+// An area the restaurant delivers to, matched on postcode, with its own
+// minimum order and delivery fee.
+const mongoose = require('mongoose');
+const { DEFAULT_BRANCH } = require('../services/orderNumberService');
+
+const DeliveryZoneSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Zone name is required'],
+        trim: true,
+        maxlength: [50, 'Zone name cannot exceed 50 characters']
+    },
+    // Full postcodes, or prefixes ending in * (e.g. "SW1*"). Stored without
+    // spaces in upper case; see deliveryService.normalizePostcode.
+    postcodes: {
+        type: [{
+            type: String,
+            trim: true,
+            uppercase: true
+        }],
+        validate: {
+            validator: (postcodes) => postcodes.length > 0,
+            message: 'A zone needs at least one postcode'
+        }
+    },
+    // Food total (before fees and discounts) needed to deliver here
+    minimumOrder: {
+        type: Number,
+        min: [0, 'Minimum order cannot be negative'],
+        default: 0
+    },
+    fee: {
+        type: Number,
+        min: [0, 'Delivery fee cannot be negative'],
+        default: 0
+    },
+    // When postcodes overlap, the lowest sort order wins
+    sortOrder: {
+        type: Number,
+        default: 0
+    },
+    branch: {
+        type: String,
+        default: DEFAULT_BRANCH,
+        trim: true
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+DeliveryZoneSchema.index({ branch: 1, isActive: 1, sortOrder: 1 });
+
+module.exports = mongoose.model('DeliveryZone', DeliveryZoneSchema);
@@ -0,0 +1,96 @@
+// models/DiningSession.js
+// One visit to a table, from seating to clearing. Orders point at their
+// session (Order.diningSession); service requests and payments are reached
+// through those orders. Spend and dwell time are stored when it closes.
+const mongoose = require('mongoose');
+const { DEFAULT_BRANCH } = require('../services/orderNumberService');
+
+const SESSION_STATUSES = ['open', 'closed'];
+
+const DiningSessionSchema = new mongoose.Schema({
+    // The table the party is at now; moves follow transfers
+    tableNumber: {
+        type: Number,
+        required: [true, 'Table number is required'],
+        min: [1, 'Table number must be at least 1']
+    },
+    branch: {
+        type: String,
+        default: DEFAULT_BRANCH,
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: SESSION_STATUSES,
+        default: 'open'
+    },
+    partySize: {
+        type: Number,
+        min: [1, 'Party size must be at least 1']
+    },
+    // Name the table is seated under, e.g. the first diner to order
+    hostName: String,
+    // The booking the party arrived with
+    reservation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Reservation'
+    },
+    // Everyone who ordered at or joined the table
+    guests: [{
+        customer: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        guestSession: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'GuestSession'
+        },
+        name: String,
+        joinedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Tables the party sat at, in order
+    tables: [Number],
+    openedAt: {
+        type: Date,
+        default: Date.now
+    },
+    closedAt: Date,
+    closeReason: {
+        type: String,
+        enum: ['cleared', 'merged']
+    },
+    mergedInto: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DiningSession'
+    },
+    closedBy: String,
+    // Filled in on close for reporting
+    orderCount: Number,
+    spend: Number,
+    amountPaid: Number,
+    dwellMinutes: Number
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Minutes seated so far, or for the whole visit once closed
+DiningSessionSchema.virtual('elapsedMinutes').get(function() {
+    return Math.round(((this.closedAt || new Date()) - this.openedAt) / 60000);
+});
+
+// At most one open session per table
+DiningSessionSchema.index(
+    { tableNumber: 1 },
+    { unique: true, partialFilterExpression: { status: 'open' } }
+);
+DiningSessionSchema.index({ openedAt: -1 });
+DiningSessionSchema.index({ 'guests.guestSession': 1 });
+
+DiningSessionSchema.statics.SESSION_STATUSES = SESSION_STATUSES;
+
+module.exports = mongoose.model('DiningSession', DiningSessionSchema);
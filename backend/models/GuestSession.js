@@ -0,0 +1,52 @@
+// models/GuestSession.js
+// A diner who scanned a table QR and is ordering without an account. The
+// session is tied to one table and expires after the visit; orders placed
+// in it move to the User account if the guest signs up.
+const mongoose = require('mongoose');
+const { DEFAULT_BRANCH } = require('../services/orderNumberService');
+
+const GuestSessionSchema = new mongoose.Schema({
+    tableNumber: {
+        type: Number,
+        required: [true, 'Table number is required'],
+        min: [1, 'Table number must be at least 1']
+    },
+    displayName: {
+        type: String,
+        required: [true, 'Please tell us your name'],
+        trim: true,
+        maxlength: [50, 'Name cannot exceed 50 characters']
+    },
+    // Optional, for receipts; not verified, so never used to find an account
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+    },
+    branch: {
+        type: String,
+        default: DEFAULT_BRANCH,
+        trim: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    upgradedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    upgradedAt: Date
+}, {
+    timestamps: true
+});
+
+GuestSessionSchema.virtual('isExpired').get(function() {
+    return this.expiresAt <= new Date();
+});
+
+GuestSessionSchema.index({ tableNumber: 1, expiresAt: -1 });
+GuestSessionSchema.index({ upgradedTo: 1 });
+
+module.exports = mongoose.model('GuestSession', GuestSessionSchema);
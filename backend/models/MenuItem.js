@@ -33,6 +33,12 @@ const MenuItemSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    // Tax class for rates that don't follow the menu category, e.g. alcohol
+    taxCategory: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
     image: {
         type: String,
         default: 'default-food.jpg'
@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const { DEFAULT_BRANCH, nextOrderNumber } = require('../services/orderNumberService');
+const taxService = require('../services/taxService');
+const stationService = require('../services/stationService');
+const courseService = require('../services/courseService');
+const prepTimeEstimator = require('../services/prepTimeEstimator');
+const { OFF_PREMISES_ORDER_TYPES } = require('../services/orderLifecycle');
 
 const OrderSchema = new mongoose.Schema({
     orderNumber: {
@@ -9,13 +15,24 @@ const OrderSchema = new mongoose.Schema({
     },
     tableNumber: {
         type: Number,
-        required: [true, 'Table number is required'],
+        // Pickup and delivery orders have no table
+        required: [function() { return !OFF_PREMISES_ORDER_TYPES.includes(this.orderType); }, 'Table number is required'],
         min: [1, 'Table number must be at least 1']
     },
+    // The visit this dine-in order belongs to
+    diningSession: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DiningSession'
+    },
     customer: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     },
+    // Set for orders placed from a table QR without an account
+    guestSession: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GuestSession'
+    },
     customerName: {
         type: String,
         required: true
@@ -52,6 +69,69 @@ const OrderSchema = new mongoose.Schema({
             type: Number,
             required: true,
             min: [0, 'Item total cannot be negative']
+        },
+        // Item total before tax (differs from itemTotal with tax-inclusive pricing)
+        netTotal: Number,
+        category: String,
+        taxCategory: String,
+        // Kitchen station the item was routed to; see services/stationService.js
+        station: String,
+        stationName: String,
+        // Course the item is served in; see services/courseService.js
+        course: {
+            type: String,
+            enum: ['drinks', 'starter', 'main', 'dessert']
+        },
+        // Held items wait for their course to be fired before the kitchen starts them
+        held: {
+            type: Boolean,
+            default: false
+        },
+        fireAt: Date,
+        firedAt: Date,
+        firedBy: String,
+        firedByName: String,
+        round: {
+            type: Number,
+            min: 1,
+            default: 1
+        },
+        seat: {
+            type: Number,
+            min: [1, 'Seat number must be at least 1']
+        },
+        status: {
+            type: String,
+            enum: ['queued', 'cooking', 'ready', 'served'],
+            default: 'queued'
+        },
+        cookingAt: Date,
+        readyAt: Date,
+        servedAt: Date,
+        bumpedBy: String,
+        bumpedByName: String,
+        // Units taken off the bill by a manager; see models/Adjustment.js
+        voidedQuantity: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        compedQuantity: {
+            type: Number,
+            default: 0,
+            min: 0
+        }
+    }],
+    rounds: [{
+        number: {
+            type: Number,
+            required: true
+        },
+        addedBy: String,
+        addedByName: String,
+        addedAt: {
+            type: Date,
+            default: Date.now
         }
     }],
     subtotal: {
@@ -64,16 +144,79 @@ const OrderSchema = new mongoose.Schema({
         default: 0,
         min: [0, 'Tax cannot be negative']
     },
+    // Named tax lines making up `tax`, from the branch's TaxConfig
+    taxLines: [{
+        name: String,
+        rate: Number,
+        amount: Number
+    }],
+    pricesIncludeTax: {
+        type: Boolean,
+        default: false
+    },
     serviceCharge: {
         type: Number,
         default: 0,
         min: [0, 'Service charge cannot be negative']
     },
+    serviceChargeName: String,
+    serviceChargeRate: Number,
+    serviceChargeWaived: {
+        type: Boolean,
+        default: false
+    },
+    packagingFee: {
+        type: Number,
+        default: 0,
+        min: [0, 'Packaging fee cannot be negative']
+    },
+    packagingFeeName: String,
+    // From the delivery zone when the order was placed
+    deliveryFee: {
+        type: Number,
+        default: 0,
+        min: [0, 'Delivery fee cannot be negative']
+    },
+    partySize: {
+        type: Number,
+        min: [1, 'Party size must be at least 1']
+    },
     discount: {
         type: Number,
         default: 0,
         min: [0, 'Discount cannot be negative']
     },
+    // Promotion that set `discount`
+    promotion: {
+        promotion: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Promotion'
+        },
+        code: String,
+        name: String,
+        type: {
+            type: String,
+            enum: ['percent', 'fixed', 'bogo']
+        },
+        amount: Number,
+        appliedAt: Date,
+        // Set when the use is given back on cancellation or rejection
+        releasedAt: Date
+    },
+    // Gratuity, included in totalAmount. A tip with tipPercent set follows
+    // the bill; see services/tipService.js
+    tip: {
+        type: Number,
+        default: 0,
+        min: [0, 'Tip cannot be negative']
+    },
+    tipPercent: Number,
+    tipSource: {
+        type: String,
+        enum: ['customer', 'staff', 'auto']
+    },
+    tipSetBy: String,
+    tipSetByName: String,
     totalAmount: {
         type: Number,
         required: true,
@@ -86,14 +229,73 @@ const OrderSchema = new mongoose.Schema({
     },
     paymentStatus: {
         type: String,
-        enum: ['pending', 'paid', 'failed', 'refunded'],
+        enum: ['pending', 'partially_paid', 'paid', 'failed', 'partially_refunded', 'refunded'],
         default: 'pending'
     },
     paymentId: String,
+    // Running totals of captured payments and refunds, kept by paymentService
+    amountPaid: {
+        type: Number,
+        default: 0
+    },
+    amountRefunded: {
+        type: Number,
+        default: 0
+    },
+    // Refunded as goodwill (e.g. overcharged) rather than for items taken
+    // off the bill, so no longer owed
+    refundCredit: {
+        type: Number,
+        default: 0
+    },
+    paidAt: Date,
+    billSplit: {
+        mode: {
+            type: String,
+            enum: ['item', 'seat', 'equal']
+        },
+        basedOnTotal: Number,
+        createdBy: String,
+        createdByName: String,
+        createdAt: Date,
+        shares: [{
+            label: {
+                type: String,
+                required: true
+            },
+            payer: String,
+            seat: Number,
+            items: [{
+                item: mongoose.Schema.Types.ObjectId, // _id of the order line item
+                name: String,
+                portion: Number, // fraction of the line item carried by this share
+                amount: Number
+            }],
+            subtotal: Number,
+            tax: Number,
+            serviceCharge: Number,
+            packagingFee: Number,
+            deliveryFee: Number,
+            discount: Number,
+            tip: Number,
+            total: Number,
+            paymentStatus: {
+                type: String,
+                enum: ['pending', 'paid'],
+                default: 'pending'
+            },
+            paymentMethod: {
+                type: String,
+                enum: ['cash', 'card', 'upi', 'wallet']
+            },
+            paidAt: Date
+        }]
+    },
     status: {
         type: String,
         enum: {
-            values: ['pending', 'confirmed', 'preparing', 'ready', 'served', 'completed', 'cancelled', 'rejected'],
+            values: ['scheduled', 'pending', 'confirmed', 'preparing', 'ready', 'served',
+                'dispatched', 'out_for_delivery', 'delivered', 'completed', 'cancelled', 'rejected', 'merged'],
             message: 'Please select a valid status'
         },
         default: 'pending'
@@ -107,9 +309,22 @@ const OrderSchema = new mongoose.Schema({
         type: Number, // in minutes
         default: 20
     },
+    // Live ready time shown to the guest, moved as the kitchen queue changes
+    estimatedReadyAt: Date,
     actualPrepTime: {
         type: Number // in minutes
     },
+    // Kitchen timer for the current round, checked by the SLA monitor
+    sla: {
+        status: {
+            type: String,
+            enum: ['on_track', 'at_risk', 'late'],
+            default: 'on_track'
+        },
+        startedAt: Date,
+        targetAt: Date,
+        escalatedAt: Date
+    },
     specialInstructions: {
         type: String,
         maxlength: [500, 'Special instructions cannot exceed 500 characters']
@@ -154,9 +369,47 @@ const OrderSchema = new mongoose.Schema({
     },
     orderType: {
         type: String,
-        enum: ['customer', 'walk-in'],
+        enum: ['customer', 'walk-in', 'takeaway', 'scheduled', 'delivery'],
         default: 'customer'
     },
+    // Collection slot for takeaway and scheduled orders; see services/pickupService.js
+    pickup: {
+        slotStart: Date,
+        slotEnd: Date,
+        phone: String,
+        // When a scheduled order goes to the kitchen, so it is ready for its slot
+        releaseAt: Date,
+        releasedAt: Date,
+        // When the order gave its place in the slot back
+        slotReleasedAt: Date
+    },
+    // Where a delivery order goes and who is taking it; see services/deliveryService.js
+    delivery: {
+        address: {
+            line1: String,
+            line2: String,
+            city: String,
+            postalCode: String
+        },
+        phone: String,
+        instructions: {
+            type: String,
+            maxlength: [200, 'Delivery instructions cannot exceed 200 characters']
+        },
+        zone: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'DeliveryZone'
+        },
+        zoneName: String,
+        driverId: String, // demo accounts don't have ObjectIds
+        driverName: String,
+        claimedAt: Date
+    },
+    branch: {
+        type: String,
+        trim: true,
+        default: DEFAULT_BRANCH
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -169,8 +422,62 @@ const OrderSchema = new mongoose.Schema({
     preparingAt: Date,
     readyAt: Date,
     servedAt: Date,
+    dispatchedAt: Date,
+    outForDeliveryAt: Date,
+    deliveredAt: Date,
     completedAt: Date,
-    cancelledAt: Date
+    cancelledAt: Date,
+    rejectedAt: Date,
+    mergedAt: Date,
+    mergedInto: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    tableMoves: [{
+        action: {
+            type: String,
+            enum: ['transfer', 'merge'],
+            required: true
+        },
+        fromTable: Number,
+        toTable: Number,
+        actorName: String,
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    rejection: {
+        code: {
+            type: String,
+            enum: ['out_of_stock', 'kitchen_closed', 'invalid_table', 'other']
+        },
+        note: {
+            type: String,
+            maxlength: [200, 'Rejection note cannot exceed 200 characters']
+        }
+    },
+    statusHistory: [{
+        from: String,
+        to: {
+            type: String,
+            required: true
+        },
+        actorId: String, // demo accounts don't have ObjectIds
+        actorName: String,
+        actorRole: {
+            type: String,
+            enum: ['customer', 'chef', 'admin', 'driver', 'system']
+        },
+        reason: {
+            type: String,
+            maxlength: [200, 'Reason cannot exceed 200 characters']
+        },
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }]
 }, {
     timestamps: true,
     toJSON: { virtuals: true },
@@ -185,57 +492,129 @@ OrderSchema.virtual('duration').get(function() {
     return null;
 });
 
+// Virtual for the latest ordering round
+OrderSchema.virtual('currentRound').get(function() {
+    return this.items.reduce((max, item) => Math.max(max, item.round || 1), 1);
+});
+
 // Virtual for isActive
 OrderSchema.virtual('isActive').get(function() {
-    return !['completed', 'cancelled', 'rejected'].includes(this.status);
+    return !['completed', 'cancelled', 'rejected', 'merged'].includes(this.status);
 });
 
-// Pre-save middleware to calculate totals
+// Virtual for the amount still owed
+OrderSchema.virtual('balanceDue').get(function() {
+    const netPaid = Math.round((this.amountPaid || 0) * 100) - Math.round((this.amountRefunded || 0) * 100);
+    const owed = Math.round((this.totalAmount || 0) * 100) - Math.round((this.refundCredit || 0) * 100);
+    return Math.max(0, owed - netPaid) / 100;
+});
+
+// Seed the status history when an order is first created
 OrderSchema.pre('save', function(next) {
-    // Calculate item totals
-    this.items.forEach(item => {
-        item.itemTotal = item.price * item.quantity;
-    });
-    
-    // Calculate subtotal
-    this.subtotal = this.items.reduce((sum, item) => sum + item.itemTotal, 0);
-    
-    // Calculate tax (10%)
-    this.tax = this.subtotal * 0.1;
-    
-    // Calculate service charge (5%)
-    this.serviceCharge = this.subtotal * 0.05;
-    
-    // Calculate total
-    this.totalAmount = this.subtotal + this.tax + this.serviceCharge - this.discount;
-    
-    // Update timestamp
-    this.updatedAt = Date.now();
-    
+    if (this.isNew && this.statusHistory.length === 0) {
+        this.statusHistory.push({
+            to: this.status,
+            actorId: (this.customer || this.guestSession || this.assignedChef)?.toString(),
+            actorName: this.orderType === 'walk-in' ? this.chefName : this.customerName,
+            actorRole: this.orderType === 'walk-in' ? 'chef' : 'customer',
+            reason: 'Order placed'
+        });
+    }
+    next();
+});
+
+// Restart the kitchen timer when the order is placed or released, a round
+// is added or a course is fired, and move the target when the prep
+// estimate changes
+OrderSchema.pre('save', function(next) {
+    if (this.isNew || this.isModified('rounds') || this.isModified('items') ||
+        this.isModified('estimatedPrepTime') || this.isModified('pickup.releasedAt')) {
+        const lastRound = this.rounds[this.rounds.length - 1];
+        const startedAt = new Date(Math.max(
+            this.createdAt || Date.now(),
+            (lastRound && lastRound.addedAt) || 0,
+            this.pickup?.releasedAt || 0,
+            ...this.items.map(item => item.firedAt || 0)
+        ));
+        
+        if (!this.sla.startedAt || startedAt > this.sla.startedAt) {
+            this.sla.startedAt = startedAt;
+            this.sla.status = 'on_track';
+            this.sla.escalatedAt = undefined;
+        }
+        this.sla.targetAt = new Date(this.sla.startedAt.getTime() + (this.estimatedPrepTime || 0) * 60000);
+    }
+    next();
+});
+
+// Ready times of everything in the kitchen move when an order joins,
+// changes or leaves the queue
+OrderSchema.pre('save', function(next) {
+    this.$locals.queueChanged = this.isNew || this.isModified('status') || this.isModified('items');
     next();
 });
 
-// Pre-save middleware to generate order number
+OrderSchema.post('save', function(doc) {
+    if (doc.$locals.queueChanged) {
+        prepTimeEstimator.queueChanged(doc.branch);
+    }
+});
+
+// Send new items to their kitchen stations
 OrderSchema.pre('save', async function(next) {
-    if (!this.isNew) return next();
-    
     try {
-        const date = new Date();
-        const year = date.getFullYear().toString().slice(-2);
-        const month = (date.getMonth() + 1).toString().padStart(2, '0');
-        const day = date.getDate().toString().padStart(2, '0');
+        if (this.isNew || this.isModified('items')) {
+            await stationService.routeItems(this);
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Sort new items into courses, holding later ones back from the kitchen
+OrderSchema.pre('save', async function(next) {
+    try {
+        if (this.isNew || this.isModified('items')) {
+            await courseService.assignCourses(this);
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Pre-save middleware to calculate totals from the branch's tax rules.
+// Only recalculated when something that affects the bill changes, so a
+// later rate change does not rewrite the totals of past orders.
+OrderSchema.pre('save', async function(next) {
+    try {
+        if (this.isNew || this.isModified('items') || this.isModified('discount') ||
+            this.isModified('orderType') || this.isModified('partySize') ||
+            this.isModified('tip') || this.isModified('tipPercent') || this.isModified('tipSource')) {
+            await taxService.applyTotals(this);
+        }
         
-        // Get count of today's orders
-        const startOfDay = new Date(date.setHours(0, 0, 0, 0));
-        const endOfDay = new Date(date.setHours(23, 59, 59, 999));
+        // Update timestamp
+        this.updatedAt = Date.now();
         
-        const count = await this.constructor.countDocuments({
-            createdAt: { $gte: startOfDay, $lte: endOfDay }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Generate the order number before validation so `required` is satisfied
+OrderSchema.pre('validate', async function(next) {
+    if (!this.isNew || this.orderNumber) return next();
+    
+    try {
+        this.orderNumber = await nextOrderNumber({
+            orderType: this.orderType,
+            branch: this.branch,
+            date: this.createdAt || new Date()
         });
         
-        const sequence = (count + 1).toString().padStart(4, '0');
-        this.orderNumber = `ORD${year}${month}${day}${sequence}`;
-        
         next();
     } catch (error) {
         next(error);
@@ -248,9 +627,16 @@ OrderSchema.index({ customer: 1, createdAt: -1 });
 OrderSchema.index({ tableNumber: 1, createdAt: -1 });
 OrderSchema.index({ status: 1, createdAt: -1 });
 OrderSchema.index({ assignedChef: 1, status: 1 });
+OrderSchema.index({ guestSession: 1 });
+OrderSchema.index({ diningSession: 1 });
 OrderSchema.index({ createdAt: -1 });
 OrderSchema.index({ 'serviceRequests.status': 1 });
 OrderSchema.index({ totalAmount: 1 });
 OrderSchema.index({ orderType: 1 }); // Added for walk-in orders
+OrderSchema.index({ 'promotion.promotion': 1, customer: 1 });
+OrderSchema.index({ 'pickup.slotStart': 1 });
+OrderSchema.index({ status: 1, 'pickup.releaseAt': 1 });
+OrderSchema.index({ orderType: 1, status: 1 });
+OrderSchema.index({ 'delivery.driverId': 1, status: 1 });
 
 module.exports = mongoose.model('Order', OrderSchema);
\ No newline at end of file
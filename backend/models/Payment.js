@@ -0,0 +1,91 @@
+// models/Payment.js
+const mongoose = require('mongoose');
+
+const PaymentSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    orderNumber: String,
+    tableNumber: Number,
+    // Bill-split share this payment settles, if any
+    share: mongoose.Schema.Types.ObjectId,
+    // Registered payment provider that handled the money, e.g. 'mock', 'manual'
+    provider: {
+        type: String,
+        required: true
+    },
+    method: {
+        type: String,
+        enum: ['cash', 'card', 'upi', 'wallet'],
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0.01, 'Payment amount must be positive']
+    },
+    currency: {
+        type: String,
+        default: 'USD'
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'captured', 'failed', 'cancelled', 'partially_refunded', 'refunded'],
+        default: 'pending'
+    },
+    providerIntentId: String,
+    providerChargeId: String,
+    // Card terminal slip, UPI transaction id, etc. entered by staff
+    reference: {
+        type: String,
+        maxlength: [100, 'Reference cannot exceed 100 characters']
+    },
+    failureReason: String,
+    refundedAmount: {
+        type: Number,
+        default: 0
+    },
+    refunds: [{
+        amount: Number,
+        reason: String,
+        providerRefundId: String,
+        actorId: String,
+        actorName: String,
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Who started the payment: the guest at the table or a member of staff
+    source: {
+        type: String,
+        enum: ['customer', 'staff'],
+        default: 'staff'
+    },
+    actorId: String,
+    actorName: String,
+    actorRole: String,
+    capturedAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update timestamp before saving
+PaymentSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+PaymentSchema.index({ order: 1, createdAt: 1 });
+PaymentSchema.index({ provider: 1, providerIntentId: 1 });
+PaymentSchema.index({ status: 1, capturedAt: -1 });
+
+module.exports = mongoose.model('Payment', PaymentSchema);
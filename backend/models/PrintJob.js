@@ -0,0 +1,51 @@
+// models/PrintJob.js
+// One document sent to a network printer. The ESC/POS bytes are stored so
+// the job can be retried, including after a restart.
+const mongoose = require('mongoose');
+
+const PrintJobSchema = new mongoose.Schema({
+    printer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Printer',
+        required: true
+    },
+    printerName: String,
+    kind: {
+        type: String,
+        enum: ['receipt', 'kitchen', 'test'],
+        required: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    orderNumber: String,
+    data: {
+        type: Buffer,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'printing', 'printed', 'failed'],
+        default: 'queued'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    // A failed attempt waits until then before the printer is tried again
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastError: String,
+    printedAt: Date,
+    requestedBy: String,
+    requestedByName: String
+}, {
+    timestamps: true
+});
+
+PrintJobSchema.index({ printer: 1, status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('PrintJob', PrintJobSchema);
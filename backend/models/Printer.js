@@ -0,0 +1,51 @@
+// models/Printer.js
+// A network thermal printer that takes raw ESC/POS over TCP
+const mongoose = require('mongoose');
+const { DEFAULT_BRANCH } = require('../services/orderNumberService');
+
+const PrinterSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Printer name is required'],
+        trim: true,
+        maxlength: [50, 'Printer name cannot exceed 50 characters']
+    },
+    host: {
+        type: String,
+        required: [true, 'Printer host is required'],
+        trim: true
+    },
+    // 9100 is the usual raw printing (JetDirect) port
+    port: {
+        type: Number,
+        default: 9100,
+        min: 1,
+        max: 65535
+    },
+    paper: {
+        type: String,
+        enum: ['58mm', '80mm'],
+        default: '80mm'
+    },
+    // What the printer is used for; the first active match is the default
+    purposes: {
+        type: [{
+            type: String,
+            enum: ['receipt', 'kitchen']
+        }],
+        default: ['receipt']
+    },
+    branch: {
+        type: String,
+        default: DEFAULT_BRANCH,
+        trim: true
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Printer', PrinterSchema);
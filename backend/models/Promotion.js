@@ -0,0 +1,129 @@
+// models/Promotion.js
+const mongoose = require('mongoose');
+
+const PromotionSchema = new mongoose.Schema({
+    // Code the customer enters; automatic promotions (e.g. happy hour) have none
+    code: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        maxlength: [30, 'Promo code cannot exceed 30 characters']
+    },
+    name: {
+        type: String,
+        required: [true, 'Promotion name is required'],
+        trim: true,
+        maxlength: [100, 'Promotion name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        maxlength: [300, 'Description cannot exceed 300 characters']
+    },
+    type: {
+        type: String,
+        enum: ['percent', 'fixed', 'bogo'],
+        required: true
+    },
+    // Percent off for 'percent' and 'bogo' (100 = free), amount off for 'fixed'
+    value: {
+        type: Number,
+        required: true,
+        min: [0, 'Promotion value cannot be negative']
+    },
+    // Buy X get Y: every buyQuantity + getQuantity eligible units, the
+    // cheapest getQuantity units are discounted by `value` percent
+    buyQuantity: {
+        type: Number,
+        min: 1,
+        default: 1
+    },
+    getQuantity: {
+        type: Number,
+        min: 1,
+        default: 1
+    },
+    // Cap on the discount of a percent promotion
+    maxDiscount: {
+        type: Number,
+        min: 0
+    },
+    minSpend: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Restrict to these menu items or categories; both empty = whole order
+    menuItems: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MenuItem'
+    }],
+    categories: [{
+        type: String,
+        trim: true,
+        lowercase: true
+    }],
+    orderTypes: [{
+        type: String,
+        enum: ['customer', 'walk-in', 'takeaway', 'scheduled', 'delivery']
+    }],
+    // Time window, e.g. happy hour on weekdays 16:00-18:00 (server time)
+    schedule: {
+        daysOfWeek: [{
+            type: Number,
+            min: 0,
+            max: 6
+        }],
+        startTime: {
+            type: String,
+            match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Start time must be HH:mm']
+        },
+        endTime: {
+            type: String,
+            match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'End time must be HH:mm']
+        }
+    },
+    startsAt: Date,
+    expiresAt: Date,
+    // Applied without a code when the order qualifies
+    autoApply: {
+        type: Boolean,
+        default: false
+    },
+    usageLimit: {
+        type: Number,
+        min: 1
+    },
+    perCustomerLimit: {
+        type: Number,
+        min: 1
+    },
+    usageCount: {
+        type: Number,
+        default: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: String,
+    createdByName: String,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update timestamp before saving
+PromotionSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+PromotionSchema.index({ code: 1 }, { unique: true, partialFilterExpression: { code: { $type: 'string' } } });
+PromotionSchema.index({ autoApply: 1, isActive: 1 });
+
+module.exports = mongoose.model('Promotion', PromotionSchema);
@@ -0,0 +1,134 @@
+// models/Reservation.js
+// A table booking. The table is picked from availability when the booking
+// is made and marked reserved shortly before the party is due; a party that
+// doesn't arrive within the grace period is marked as a no-show. Seating the
+// booking opens the table's dining session.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { DEFAULT_BRANCH } = require('../services/orderNumberService');
+
+const RESERVATION_STATUSES = ['booked', 'seated', 'completed', 'cancelled', 'no-show'];
+
+// Bookings that still hold their table
+const ACTIVE_STATUSES = ['booked', 'seated'];
+
+const SECTIONS = ['main', 'terrace', 'private', 'outdoor'];
+
+const generateReference = () =>
+    'R' + crypto.randomBytes(4).readUInt32BE().toString(36).toUpperCase().padStart(6, '0').slice(0, 6);
+
+const ReservationSchema = new mongoose.Schema({
+    // Short code quoted by the guest, e.g. "R7KQ2M"
+    reference: {
+        type: String,
+        unique: true,
+        default: generateReference
+    },
+    branch: {
+        type: String,
+        default: DEFAULT_BRANCH,
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: RESERVATION_STATUSES,
+        default: 'booked'
+    },
+    partySize: {
+        type: Number,
+        required: [true, 'Party size is required'],
+        min: [1, 'Party size must be at least 1'],
+        max: [20, 'Party size cannot exceed 20']
+    },
+    startsAt: {
+        type: Date,
+        required: [true, 'Booking time is required']
+    },
+    durationMinutes: {
+        type: Number,
+        required: true,
+        min: [15, 'Bookings must last at least 15 minutes']
+    },
+    // startsAt + durationMinutes, kept for overlap queries
+    endsAt: Date,
+    // Section asked for, if any
+    section: {
+        type: String,
+        enum: SECTIONS
+    },
+    table: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Table',
+        required: true
+    },
+    tableNumber: {
+        type: Number,
+        required: true
+    },
+    // Contact details; customer is set when booked from an account
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
+    },
+    phone: {
+        type: String,
+        trim: true,
+        maxlength: [30, 'Phone cannot exceed 30 characters']
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    source: {
+        type: String,
+        enum: ['online', 'staff'],
+        default: 'online'
+    },
+    createdBy: String,
+    createdByName: String,
+    // When the table was marked reserved for it
+    tableHeldAt: Date,
+    seatedAt: Date,
+    diningSession: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DiningSession'
+    },
+    completedAt: Date,
+    cancelledAt: Date,
+    cancelledBy: String,
+    cancelReason: String,
+    noShowAt: Date
+}, {
+    timestamps: true
+});
+
+ReservationSchema.pre('validate', function() {
+    if (this.startsAt && this.durationMinutes) {
+        this.endsAt = new Date(this.startsAt.getTime() + this.durationMinutes * 60000);
+    }
+});
+
+ReservationSchema.index({ table: 1, startsAt: 1 });
+ReservationSchema.index({ status: 1, startsAt: 1 });
+ReservationSchema.index({ customer: 1, startsAt: -1 });
+ReservationSchema.index({ branch: 1, startsAt: 1 });
+
+ReservationSchema.statics.RESERVATION_STATUSES = RESERVATION_STATUSES;
+ReservationSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+ReservationSchema.statics.SECTIONS = SECTIONS;
+ReservationSchema.statics.generateReference = generateReference;
+
+module.exports = mongoose.model('Reservation', ReservationSchema);
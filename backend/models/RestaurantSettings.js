@@ -0,0 +1,280 @@
+// models/RestaurantSettings.js
+const mongoose = require('mongoose');
+
+const CLOCK_TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const OpeningHoursSchema = new mongoose.Schema({
+    day: {
+        type: String,
+        required: true,
+        enum: DAYS
+    },
+    closed: {
+        type: Boolean,
+        default: false
+    },
+    // Clock times, HH:MM; a close time before the open time runs past midnight
+    open: {
+        type: String,
+        match: [CLOCK_TIME, 'Opening time must be HH:MM'],
+        default: '11:00'
+    },
+    close: {
+        type: String,
+        match: [CLOCK_TIME, 'Closing time must be HH:MM'],
+        default: '22:00'
+    }
+}, { _id: false });
+
+const TaxIdSchema = new mongoose.Schema({
+    // e.g. "GSTIN", "VAT No."
+    label: {
+        type: String,
+        required: [true, 'Tax ID label is required'],
+        trim: true,
+        maxlength: [30, 'Tax ID label cannot exceed 30 characters']
+    },
+    value: {
+        type: String,
+        required: [true, 'Tax ID is required'],
+        trim: true,
+        maxlength: [50, 'Tax ID cannot exceed 50 characters']
+    }
+}, { _id: false });
+
+// Name, contact details and branding printed on receipts and emails and
+// shown to guests. One document per branch.
+const RestaurantSettingsSchema = new mongoose.Schema({
+    branch: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Restaurant name is required'],
+        trim: true,
+        maxlength: [100, 'Restaurant name cannot exceed 100 characters'],
+        default: 'Smart Waiter Restaurant'
+    },
+    tagline: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Tagline cannot exceed 200 characters']
+    },
+    address: {
+        line1: {
+            type: String,
+            trim: true,
+            default: '123 Restaurant Street'
+        },
+        line2: {
+            type: String,
+            trim: true
+        },
+        city: {
+            type: String,
+            trim: true,
+            default: 'Food City'
+        },
+        state: {
+            type: String,
+            trim: true
+        },
+        postalCode: {
+            type: String,
+            trim: true
+        },
+        country: {
+            type: String,
+            trim: true
+        }
+    },
+    phone: {
+        type: String,
+        trim: true,
+        default: '(123) 456-7890'
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email'],
+        default: 'info@smartwaiter.com'
+    },
+    website: {
+        type: String,
+        trim: true
+    },
+    // Image URL, or a data: URL when uploaded from the admin dashboard
+    logo: {
+        type: String,
+        maxlength: [700000, 'Logo image is too large'],
+        validate: {
+            validator: (value) => !value || /^(https?:\/\/|data:image\/(png|jpe?g);base64,)/.test(value),
+            message: 'Logo must be an http(s) URL or a PNG/JPEG image'
+        }
+    },
+    currency: {
+        code: {
+            type: String,
+            trim: true,
+            uppercase: true,
+            match: [/^[A-Z]{3}$/, 'Currency code must be three letters'],
+            default: 'USD'
+        },
+        symbol: {
+            type: String,
+            trim: true,
+            maxlength: [5, 'Currency symbol cannot exceed 5 characters'],
+            default: '$'
+        }
+    },
+    // Closing line on receipts and emails
+    footerMessage: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Footer message cannot exceed 200 characters'],
+        default: 'Thank you for dining with us!'
+    },
+    taxIds: [TaxIdSchema],
+    openingHours: {
+        type: [OpeningHoursSchema],
+        default: () => DAYS.map(day => ({ day }))
+    },
+    // When the kitchen is warned about orders running over their prep time
+    kitchenSla: {
+        enabled: {
+            type: Boolean,
+            default: true
+        },
+        // Share of the prep time used up before an order counts as at risk
+        atRiskPercent: {
+            type: Number,
+            min: [10, 'At-risk threshold must be at least 10%'],
+            max: [100, 'At-risk threshold cannot exceed 100%'],
+            default: 80
+        },
+        // Minutes past the target before an order counts as late
+        lateGraceMinutes: {
+            type: Number,
+            min: [0, 'Grace period cannot be negative'],
+            max: [60, 'Grace period cannot exceed 60 minutes'],
+            default: 0
+        }
+    },
+    // Courses held back from the kitchen on dine-in orders until fired
+    coursing: {
+        enabled: {
+            type: Boolean,
+            default: true
+        },
+        holdCourses: {
+            type: [{
+                type: String,
+                enum: ['starter', 'main', 'dessert']
+            }],
+            default: ['main']
+        },
+        // Held courses fire by themselves this long after the order; 0 waits for staff
+        autoFireMinutes: {
+            type: Number,
+            min: [0, 'Auto-fire delay cannot be negative'],
+            max: [180, 'Auto-fire delay cannot exceed 180 minutes'],
+            default: 15
+        }
+    },
+    // Collection slots offered for takeaway and scheduled orders
+    pickup: {
+        enabled: {
+            type: Boolean,
+            default: true
+        },
+        slotMinutes: {
+            type: Number,
+            min: [5, 'Pickup slots must be at least 5 minutes'],
+            max: [120, 'Pickup slots cannot exceed 120 minutes'],
+            default: 15
+        },
+        // Orders the kitchen can have ready for the same slot
+        ordersPerSlot: {
+            type: Number,
+            min: [1, 'Each slot must take at least one order'],
+            default: 5
+        },
+        // Earliest slot offered is at least this far from now
+        leadMinutes: {
+            type: Number,
+            min: [0, 'Lead time cannot be negative'],
+            max: [240, 'Lead time cannot exceed 240 minutes'],
+            default: 20
+        },
+        // How far ahead scheduled orders can be placed
+        maxDaysAhead: {
+            type: Number,
+            min: [0, 'Days ahead cannot be negative'],
+            max: [30, 'Days ahead cannot exceed 30'],
+            default: 7
+        }
+    },
+    // Table bookings (see services/reservationService.js)
+    reservations: {
+        enabled: {
+            type: Boolean,
+            default: true
+        },
+        // Booking times offered, e.g. every 15 minutes from opening
+        slotMinutes: {
+            type: Number,
+            min: [5, 'Booking slots must be at least 5 minutes'],
+            max: [120, 'Booking slots cannot exceed 120 minutes'],
+            default: 15
+        },
+        // How long a table is kept for a booking
+        durationMinutes: {
+            type: Number,
+            min: [15, 'Bookings must last at least 15 minutes'],
+            max: [480, 'Bookings cannot exceed 480 minutes'],
+            default: 90
+        },
+        // The table is marked reserved this long before the booking
+        holdMinutes: {
+            type: Number,
+            min: [0, 'Hold time cannot be negative'],
+            max: [240, 'Hold time cannot exceed 240 minutes'],
+            default: 30
+        },
+        // A party this late is marked as a no-show and the table released
+        noShowGraceMinutes: {
+            type: Number,
+            min: [5, 'Grace period must be at least 5 minutes'],
+            max: [120, 'Grace period cannot exceed 120 minutes'],
+            default: 15
+        },
+        // Guests booking online must book at least this far ahead
+        leadMinutes: {
+            type: Number,
+            min: [0, 'Lead time cannot be negative'],
+            max: [1440, 'Lead time cannot exceed 1440 minutes'],
+            default: 60
+        },
+        maxDaysAhead: {
+            type: Number,
+            min: [0, 'Days ahead cannot be negative'],
+            max: [180, 'Days ahead cannot exceed 180'],
+            default: 30
+        }
+    },
+    updatedBy: String,
+    updatedByName: String,
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+RestaurantSettingsSchema.statics.DAYS = DAYS;
+
+module.exports = mongoose.model('RestaurantSettings', RestaurantSettingsSchema);
@@ -0,0 +1,60 @@
+// models/Station.js
+// A kitchen station (grill, cold prep, bar, ...) and the menu it cooks.
+// Items go to the station listing their menu item, else the one listing
+// their category, else the default station.
+const mongoose = require('mongoose');
+const MenuItem = require('./MenuItem');
+const { DEFAULT_BRANCH } = require('../services/orderNumberService');
+
+const MENU_CATEGORIES = MenuItem.schema.path('category').enumValues;
+
+const StationSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Station name is required'],
+        trim: true,
+        maxlength: [50, 'Station name cannot exceed 50 characters']
+    },
+    // Short id used on order items and in the station:<key> socket room
+    key: {
+        type: String,
+        required: [true, 'Station key is required'],
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9-]+$/, 'Station key may only contain letters, numbers and -']
+    },
+    categories: [{
+        type: String,
+        enum: MENU_CATEGORIES
+    }],
+    menuItems: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MenuItem'
+    }],
+    // Takes anything no other station claims
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    sortOrder: {
+        type: Number,
+        default: 0
+    },
+    branch: {
+        type: String,
+        default: DEFAULT_BRANCH,
+        trim: true
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+StationSchema.index({ branch: 1, key: 1 }, { unique: true });
+
+StationSchema.statics.MENU_CATEGORIES = MENU_CATEGORIES;
+
+module.exports = mongoose.model('Station', StationSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tableQrService = require('../services/tableQrService');
 
 const TableSchema = new mongoose.Schema({
     tableNumber: {
@@ -38,6 +39,18 @@ const TableSchema = new mongoose.Schema({
     qrCodeData: {
         type: String
     },
+    // Part of the signed QR token; bumped to invalidate printed codes
+    qrTokenVersion: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    // The visit in progress; status follows it (see diningSessionService)
+    currentSession: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DiningSession',
+        default: null
+    },
    currentOrder: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Order',
@@ -81,15 +94,14 @@ TableSchema.virtual('occupancyDuration').get(function() {
 });
 
 // Pre-save middleware to generate QR code
-TableSchema.pre('save', function(next) {
-    if (this.isNew || this.isModified('tableNumber')) {
-        const baseUrl = process.env.BASE_URL || 'https://smart-waiter.onrender.com';
-        this.qrCodeData = `${baseUrl}/table/${this.tableNumber}`;
-        this.qrCode = `https://api.qrserver.com/v1/create-qr-code/?size=200x200&data=${encodeURIComponent(this.qrCodeData)}`;
+TableSchema.pre('save', async function() {
+    if (this.isNew || this.isModified('tableNumber') || this.isModified('qrTokenVersion')) {
+        // Opens the menu at this table, signed so it can't be edited to another table
+        this.qrCodeData = tableQrService.tableUrl(this);
+        this.qrCode = await tableQrService.qrDataUrl(this);
     }
     
     this.updatedAt = Date.now();
-    next();
 });
 
 // Indexes
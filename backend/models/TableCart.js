@@ -0,0 +1,69 @@
+// models/TableCart.js
+// The shared cart for everyone ordering at a table. Each line remembers who
+// added it, and only they can change it. Any diner at the table can send the
+// whole cart to the kitchen as one order (or a new round of the table's
+// order). Changes are saved with optimistic concurrency, so two diners
+// editing at once can't overwrite each other; see services/tableCartService.js.
+const mongoose = require('mongoose');
+
+const CartLineSchema = new mongoose.Schema({
+    menuItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MenuItem',
+        required: true
+    },
+    // Menu name and price when added, for display; the order is priced on submit
+    name: String,
+    price: Number,
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1']
+    },
+    seat: {
+        type: Number,
+        min: [1, 'Seat must be at least 1']
+    },
+    specialInstructions: {
+        type: String,
+        default: ''
+    },
+    // User id, guest session id or demo email of the diner who added it
+    addedBy: {
+        type: String,
+        required: true
+    },
+    addedByName: String
+}, {
+    timestamps: true
+});
+
+const TableCartSchema = new mongoose.Schema({
+    tableNumber: {
+        type: Number,
+        required: [true, 'Table number is required'],
+        min: [1, 'Table number must be at least 1'],
+        unique: true
+    },
+    lines: [CartLineSchema],
+    // Set while one diner's submit is being placed; those lines are frozen
+    submitting: {
+        by: String,
+        byName: String,
+        at: Date,
+        lines: [mongoose.Schema.Types.ObjectId]
+    }
+}, {
+    timestamps: true,
+    optimisticConcurrency: true
+});
+
+TableCartSchema.virtual('total').get(function() {
+    return Math.round(this.lines.reduce((sum, line) => sum + line.price * line.quantity, 0) * 100) / 100;
+});
+
+TableCartSchema.virtual('itemCount').get(function() {
+    return this.lines.reduce((sum, line) => sum + line.quantity, 0);
+});
+
+module.exports = mongoose.model('TableCart', TableCartSchema);
@@ -0,0 +1,214 @@
+// models/TaxConfig.js
+const mongoose = require('mongoose');
+
+const TaxLineSchema = new mongoose.Schema({
+    // Name printed on the bill, e.g. "VAT", "CGST", "SGST"
+    name: {
+        type: String,
+        required: [true, 'Tax line name is required'],
+        trim: true,
+        maxlength: [30, 'Tax line name cannot exceed 30 characters']
+    },
+    rate: {
+        type: Number,
+        required: [true, 'Tax rate is required'],
+        min: [0, 'Tax rate cannot be negative'],
+        max: [100, 'Tax rate cannot exceed 100%']
+    },
+    // Menu categories or tax categories this line applies to; empty = all
+    categories: [{
+        type: String,
+        trim: true,
+        lowercase: true
+    }],
+    // Categories this line never applies to, e.g. alcohol under GST
+    excludedCategories: [{
+        type: String,
+        trim: true,
+        lowercase: true
+    }],
+    // Order types this line applies to; empty = all
+    orderTypes: [{
+        type: String,
+        enum: ['customer', 'walk-in', 'takeaway', 'scheduled', 'delivery']
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+});
+
+const CLOCK_TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const ShiftSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Shift name is required'],
+        trim: true,
+        maxlength: [30, 'Shift name cannot exceed 30 characters']
+    },
+    // Clock times, HH:MM
+    start: {
+        type: String,
+        required: true,
+        match: [CLOCK_TIME, 'Shift start must be HH:MM']
+    },
+    end: {
+        type: String,
+        required: true,
+        match: [CLOCK_TIME, 'Shift end must be HH:MM']
+    }
+}, { _id: false });
+
+// One tax configuration per branch
+const TaxConfigSchema = new mongoose.Schema({
+    branch: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    // When true, menu prices already include tax and tax is backed out
+    pricesIncludeTax: {
+        type: Boolean,
+        default: false
+    },
+    taxLines: {
+        type: [TaxLineSchema],
+        default: () => [{ name: 'Tax', rate: 10 }]
+    },
+    serviceCharge: {
+        enabled: {
+            type: Boolean,
+            default: true
+        },
+        name: {
+            type: String,
+            trim: true,
+            default: 'Service Charge'
+        },
+        rate: {
+            type: Number,
+            min: [0, 'Service charge cannot be negative'],
+            max: [100, 'Service charge cannot exceed 100%'],
+            default: 5
+        },
+        // No service charge for these order types
+        waivedOrderTypes: {
+            type: [{
+                type: String,
+                enum: ['customer', 'walk-in', 'takeaway', 'scheduled', 'delivery']
+            }],
+            default: () => ['takeaway', 'scheduled', 'delivery']
+        },
+        // Only charge parties of at least this size; 0 = every party
+        minPartySize: {
+            type: Number,
+            min: 0,
+            default: 0
+        }
+    },
+    // Charge for containers on orders that leave the restaurant. Not taxed
+    // and not part of the tip base.
+    packagingFee: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        name: {
+            type: String,
+            trim: true,
+            default: 'Packaging'
+        },
+        perOrder: {
+            type: Number,
+            min: [0, 'Packaging fee cannot be negative'],
+            default: 0
+        },
+        // Added for each billable unit on the order
+        perItem: {
+            type: Number,
+            min: [0, 'Packaging fee cannot be negative'],
+            default: 0
+        },
+        orderTypes: {
+            type: [{
+                type: String,
+                enum: ['customer', 'walk-in', 'takeaway', 'scheduled', 'delivery']
+            }],
+            default: () => ['takeaway', 'scheduled', 'delivery']
+        }
+    },
+    gratuity: {
+        // Tip percentages offered to guests when they pay
+        suggestedPercents: {
+            type: [{
+                type: Number,
+                min: [0, 'Tip percentage cannot be negative'],
+                max: [100, 'Tip percentage cannot exceed 100%']
+            }],
+            default: () => [10, 15, 20]
+        },
+        // Let guests enter their own tip instead of a suggestion
+        allowCustom: {
+            type: Boolean,
+            default: true
+        },
+        // Added to the bill of large parties. Uses the order's party size,
+        // or the table's capacity when no party size was given.
+        autoGratuity: {
+            enabled: {
+                type: Boolean,
+                default: false
+            },
+            rate: {
+                type: Number,
+                min: [0, 'Gratuity cannot be negative'],
+                max: [100, 'Gratuity cannot exceed 100%'],
+                default: 18
+            },
+            minPartySize: {
+                type: Number,
+                min: 1,
+                default: 8
+            }
+        },
+        // How collected tips are pooled and shared out
+        pool: {
+            // Share of the pool each role gets per person; 0 = left out
+            roleWeights: {
+                chef: {
+                    type: Number,
+                    min: 0,
+                    default: 1
+                },
+                waiter: {
+                    type: Number,
+                    min: 0,
+                    default: 1
+                },
+                admin: {
+                    type: Number,
+                    min: 0,
+                    default: 0
+                }
+            },
+            // Tips are pooled per shift; a shift ending before it starts runs past midnight
+            shifts: {
+                type: [ShiftSchema],
+                default: () => [
+                    { name: 'Day', start: '06:00', end: '16:00' },
+                    { name: 'Evening', start: '16:00', end: '06:00' }
+                ]
+            }
+        }
+    },
+    updatedBy: String,
+    updatedByName: String,
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('TaxConfig', TaxConfigSchema);
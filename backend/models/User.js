@@ -39,8 +39,8 @@ const UserSchema = new mongoose.Schema({
     role: {
         type: String,
         enum: {
-            values: ['customer', 'chef', 'admin'],
-            message: 'Role must be either customer, chef, or admin'
+            values: ['customer', 'chef', 'waiter', 'driver', 'admin'],
+            message: 'Role must be either customer, chef, waiter, driver, or admin'
         },
         default: 'customer'
     },
@@ -62,6 +62,11 @@ const UserSchema = new mongoose.Schema({
     lastFailedLogin: {
         type: Date
     },
+    // Hashed PIN an admin enters to approve another person's void, comp or refund
+    approvalPin: {
+        type: String,
+        select: false
+    },
     resetPasswordToken: String,
     resetPasswordExpire: Date,
     emailVerificationToken: String,
@@ -105,6 +110,19 @@ UserSchema.pre('save', async function(next) {
     }
 });
 
+// Hash the approval PIN the same way as the password
+UserSchema.pre('save', async function(next) {
+    if (!this.isModified('approvalPin') || !this.approvalPin) return next();
+    
+    try {
+        const salt = await bcrypt.genSalt(12);
+        this.approvalPin = await bcrypt.hash(this.approvalPin, salt);
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
 // Update timestamp before saving
 UserSchema.pre('save', function(next) {
     this.updatedAt = Date.now();
@@ -124,6 +142,12 @@ UserSchema.methods.comparePassword = async function(enteredPassword) {
     }
 };
 
+// Method to compare an approval PIN; the user must be loaded with +approvalPin
+UserSchema.methods.compareApprovalPin = async function(enteredPin) {
+    if (!this.approvalPin) return false;
+    return bcrypt.compare(String(enteredPin), this.approvalPin);
+};
+
 // Method to generate JWT token
 UserSchema.methods.generateAuthToken = function() {
     try {
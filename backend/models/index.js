@@ -7,6 +7,20 @@ const MenuItem = require('./MenuItem');
 const Order = require('./Order');
 const Table = require('./Table');
 const ServiceRequest = require('./ServiceRequest');
+const Counter = require('./Counter');
+const TaxConfig = require('./TaxConfig');
+const Promotion = require('./Promotion');
+const Payment = require('./Payment');
+const Adjustment = require('./Adjustment');
+const RestaurantSettings = require('./RestaurantSettings');
+const Printer = require('./Printer');
+const PrintJob = require('./PrintJob');
+const Station = require('./Station');
+const DeliveryZone = require('./DeliveryZone');
+const GuestSession = require('./GuestSession');
+const DiningSession = require('./DiningSession');
+const TableCart = require('./TableCart');
+const Reservation = require('./Reservation');
 
 module.exports = {
   User,
@@ -14,5 +28,19 @@ module.exports = {
   Order,
   Table,
   ServiceRequest,
+  Counter,
+  TaxConfig,
+  Promotion,
+  Payment,
+  Adjustment,
+  RestaurantSettings,
+  Printer,
+  PrintJob,
+  Station,
+  DeliveryZone,
+  GuestSession,
+  DiningSession,
+  TableCart,
+  Reservation,
   mongoose
 };
\ No newline at end of file
@@ -2,7 +2,25 @@ const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
-const { Order, MenuItem, Table, User } = require('../models');
+const { Order, MenuItem, Table, User, TaxConfig, Promotion, Payment, Adjustment, RestaurantSettings, Printer, PrintJob, Station, DeliveryZone, DiningSession, Reservation } = require('../models');
+const { DEFAULT_BRANCH } = require('../services/orderNumberService');
+const orderLifecycle = require('../services/orderLifecycle');
+const tableService = require('../services/tableService');
+const taxService = require('../services/taxService');
+const promotionService = require('../services/promotionService');
+const paymentService = require('../services/paymentService');
+const adjustmentService = require('../services/adjustmentService');
+const tipService = require('../services/tipService');
+const restaurantService = require('../services/restaurantService');
+const printService = require('../services/printService');
+const stationService = require('../services/stationService');
+const pickupService = require('../services/pickupService');
+const deliveryService = require('../services/deliveryService');
+const tableQrService = require('../services/tableQrService');
+const tentCardService = require('../services/tentCardService');
+const slaMonitor = require('../services/slaMonitor');
+const diningSessionService = require('../services/diningSessionService');
+const reservationService = require('../services/reservationService');
 
 // Middleware to check if user is admin
 const isAdmin = (req, res, next) => {
@@ -15,6 +33,65 @@ const isAdmin = (req, res, next) => {
     next();
 };
 
+// Validation shared by the void, comp and refund endpoints
+const adjustmentChecks = [
+    check('reasonCode', 'Reason code is required').not().isEmpty().trim(),
+    check('note', 'Note cannot exceed 200 characters').optional().isString().isLength({ max: 200 }),
+    check('approval.email', 'Approver email must be valid').optional().isEmail(),
+    check('approval.pin', 'Approval PIN must be 4 to 8 digits').optional().matches(/^\d{4,8}$/)
+];
+
+// Errors from voids, comps and refunds carry their own status
+const sendAdjustmentError = (res, error, context) => {
+    if (error instanceof adjustmentService.AdjustmentError) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message,
+            code: error.code
+        });
+    }
+    if (error instanceof paymentService.PaymentError) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message
+        });
+    }
+    console.error(`${context} error:`, error);
+    res.status(500).json({
+        success: false,
+        message: 'Server error'
+    });
+};
+
+// Let the kitchen and the table know an order's bill changed
+const emitOrderAdjusted = (io, order, adjustment) => {
+    if (!io) return;
+
+    io.to(orderLifecycle.guestRoom(order)).to('role:chef').to('role:admin').emit('order-adjusted', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        tableNumber: order.tableNumber,
+        type: adjustment.type,
+        items: adjustment.items,
+        amount: adjustment.amount,
+        totalAmount: order.totalAmount,
+        status: order.status,
+        timestamp: new Date().toISOString()
+    });
+};
+
+// Start and end of one calendar day, defaulting to today
+const dayRange = (date) => {
+    const from = date ? new Date(date) : new Date();
+    from.setHours(0, 0, 0, 0);
+    const to = new Date(from);
+    to.setDate(to.getDate() + 1);
+    return { from, to };
+};
+
+// Item revenue before tax; older orders only have the gross item total
+const itemNetRevenue = (item) => item.netTotal ?? (item.price * item.quantity);
+
 // @route   GET /api/admin/stats
 // @desc    Get admin dashboard statistics
 // @access  Private (Admin)
@@ -87,6 +164,9 @@ router.get('/stats', auth, isAdmin, async (req, res) => {
         const totalMenuItems = await MenuItem.countDocuments();
         const availableMenuItems = await MenuItem.countDocuments({ isAvailable: true });
         
+        // Kitchen lateness for today's orders
+        const sla = await slaMonitor.slaStats({ from: today, to: tomorrow });
+        
         // Staff counts
         const totalStaff = await User.countDocuments({ 
             role: { $in: ['chef', 'admin'] },
@@ -122,7 +202,8 @@ router.get('/stats', auth, isAdmin, async (req, res) => {
                 },
                 staff: {
                     total: totalStaff
-                }
+                },
+                sla
             }
         });
         
@@ -205,7 +286,8 @@ router.get('/orders/status-stats', auth, isAdmin, async (req, res) => {
             served: 'Served',
             completed: 'Completed',
             cancelled: 'Cancelled',
-            rejected: 'Rejected'
+            rejected: 'Rejected',
+            merged: 'Merged'
         };
         
         const labels = [];
@@ -261,6 +343,395 @@ router.get('/orders/recent', auth, isAdmin, async (req, res) => {
     }
 });
 
+// @route   PUT /api/admin/orders/:id/status
+// @desc    Move an order to a new status (admin override)
+// @access  Private (Admin)
+router.put('/orders/:id/status', auth, isAdmin, [
+    check('status', 'Valid status is required').isIn(Object.keys(orderLifecycle.TRANSITIONS)),
+    check('reason', 'Reason cannot exceed 200 characters').optional().isLength({ max: 200 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const order = await Order.findById(req.params.id);
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        orderLifecycle.transition(order, req.body.status, {
+            actor: orderLifecycle.actorFromRequest(req),
+            reason: req.body.reason
+        });
+        if (['cancelled', 'rejected'].includes(order.status)) {
+            await promotionService.releasePromotion(order);
+            await pickupService.releaseSlot(order);
+        }
+        await order.save();
+        
+        orderLifecycle.emitStatusChange(req.app.get('io'), order);
+        
+        res.json({
+            success: true,
+            message: `Order moved to ${order.status}`,
+            order
+        });
+        
+    } catch (error) {
+        if (error instanceof orderLifecycle.OrderTransitionError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Update order status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/admin/adjustments/reasons
+// @desc    Get void, comp and refund reason codes and the approval threshold
+// @access  Private (Admin)
+router.get('/adjustments/reasons', auth, isAdmin, (req, res) => {
+    res.json({
+        success: true,
+        reasons: adjustmentService.ADJUSTMENT_REASONS,
+        approvalThreshold: adjustmentService.APPROVAL_THRESHOLD
+    });
+});
+
+// Void or comp one line item: body { quantity?, reasonCode, note?, approval? }
+const adjustItemHandler = (type) => async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const order = await Order.findById(req.params.id);
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        const { quantity, reasonCode, note, approval } = req.body;
+        const adjustment = await adjustmentService.adjustItem(order, req.params.itemId, type, {
+            quantity: quantity !== undefined ? parseInt(quantity) : undefined,
+            reasonCode,
+            note,
+            approval,
+            actor: orderLifecycle.actorFromRequest(req)
+        });
+        
+        emitOrderAdjusted(req.app.get('io'), order, adjustment);
+        
+        res.json({
+            success: true,
+            message: `${adjustment.items[0].quantity}x ${adjustment.items[0].name} ${type === 'void' ? 'voided' : 'comped'}`,
+            adjustment,
+            order
+        });
+        
+    } catch (error) {
+        sendAdjustmentError(res, error, `Item ${type}`);
+    }
+};
+
+// @route   POST /api/admin/orders/:id/items/:itemId/void
+// @desc    Void some or all units of a line item, e.g. one entered by mistake
+// @access  Private (Admin)
+router.post('/orders/:id/items/:itemId/void', auth, isAdmin, [
+    check('quantity', 'Quantity must be at least 1').optional().isInt({ min: 1 }),
+    ...adjustmentChecks
+], adjustItemHandler('void'));
+
+// @route   POST /api/admin/orders/:id/items/:itemId/comp
+// @desc    Comp some or all units of a line item
+// @access  Private (Admin)
+router.post('/orders/:id/items/:itemId/comp', auth, isAdmin, [
+    check('quantity', 'Quantity must be at least 1').optional().isInt({ min: 1 }),
+    ...adjustmentChecks
+], adjustItemHandler('comp'));
+
+// Void or comp everything left on an order: body { reasonCode, note?, approval? }
+const adjustOrderHandler = (type) => async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const order = await Order.findById(req.params.id);
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        const previousStatus = order.status;
+        const { reasonCode, note, approval } = req.body;
+        const adjustment = await adjustmentService.adjustOrder(order, type, {
+            reasonCode,
+            note,
+            approval,
+            actor: orderLifecycle.actorFromRequest(req)
+        });
+        
+        const io = req.app.get('io');
+        emitOrderAdjusted(io, order, adjustment);
+        if (order.status !== previousStatus) {
+            orderLifecycle.emitStatusChange(io, order);
+            await tableService.releaseTableIfIdle(order.tableNumber, io, orderLifecycle.actorFromRequest(req));
+        }
+        
+        res.json({
+            success: true,
+            message: `Order #${order.orderNumber} ${type === 'void' ? 'voided' : 'comped'} ($${adjustment.amount.toFixed(2)})`,
+            adjustment,
+            order
+        });
+        
+    } catch (error) {
+        sendAdjustmentError(res, error, `Order ${type}`);
+    }
+};
+
+// @route   POST /api/admin/orders/:id/void
+// @desc    Void every item still on an order's bill
+// @access  Private (Admin)
+router.post('/orders/:id/void', auth, isAdmin, adjustmentChecks, adjustOrderHandler('void'));
+
+// @route   POST /api/admin/orders/:id/comp
+// @desc    Comp every item still on an order's bill
+// @access  Private (Admin)
+router.post('/orders/:id/comp', auth, isAdmin, adjustmentChecks, adjustOrderHandler('comp'));
+
+// @route   POST /api/admin/payments/:id/refund
+// @desc    Refund all or part of a captured payment
+// @access  Private (Admin)
+router.post('/payments/:id/refund', auth, isAdmin, [
+    check('amount', 'Amount must be a positive number').optional().isFloat({ gt: 0 }),
+    ...adjustmentChecks
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const payment = await Payment.findById(req.params.id);
+        
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+        
+        const order = await Order.findById(payment.order);
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        const { amount, reasonCode, note, approval } = req.body;
+        const adjustment = await adjustmentService.refund(payment, order, {
+            amount: amount !== undefined ? parseFloat(amount) : undefined,
+            reasonCode,
+            note,
+            approval,
+            actor: orderLifecycle.actorFromRequest(req)
+        });
+        
+        paymentService.emitPaymentUpdate(req.app.get('io'), order, payment);
+        
+        res.json({
+            success: true,
+            message: `Refunded $${adjustment.amount.toFixed(2)} to ${payment.method}`,
+            adjustment,
+            payment,
+            paymentStatus: order.paymentStatus
+        });
+        
+    } catch (error) {
+        sendAdjustmentError(res, error, 'Refund');
+    }
+});
+
+// @route   GET /api/admin/adjustments
+// @desc    List voids, comps and refunds for a day, optionally by type or order
+// @access  Private (Admin)
+router.get('/adjustments', auth, isAdmin, async (req, res) => {
+    try {
+        const { date, type, order } = req.query;
+        const query = {};
+        
+        if (order) {
+            query.order = order;
+        } else {
+            const { from, to } = dayRange(date);
+            query.createdAt = { $gte: from, $lt: to };
+        }
+        if (type) {
+            query.type = type;
+        }
+        
+        const adjustments = await Adjustment.find(query).sort({ createdAt: -1 });
+        
+        res.json({
+            success: true,
+            count: adjustments.length,
+            adjustments
+        });
+        
+    } catch (error) {
+        console.error('Get adjustments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/admin/reports/reconciliation
+// @desc    End-of-day sales, voids, comps, refunds and payments by method
+// @access  Private (Admin)
+router.get('/reports/reconciliation', auth, isAdmin, async (req, res) => {
+    try {
+        const report = await adjustmentService.reconcile(dayRange(req.query.date));
+        
+        res.json({
+            success: true,
+            report
+        });
+        
+    } catch (error) {
+        console.error('Reconciliation report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/admin/reports/tips
+// @desc    Tips pooled per shift and shared among staff by role weight.
+//          Pass staff=id1,id2 to name who worked instead of using activity.
+// @access  Private (Admin)
+router.get('/reports/tips', auth, isAdmin, async (req, res) => {
+    try {
+        const { from } = dayRange(req.query.date);
+        const staffIds = req.query.staff
+            ? req.query.staff.split(',').map(id => id.trim()).filter(Boolean)
+            : undefined;
+        
+        const report = await tipService.tipPool({
+            day: from,
+            branch: req.query.branch,
+            staffIds
+        });
+        
+        res.json({
+            success: true,
+            date: from,
+            report
+        });
+        
+    } catch (error) {
+        console.error('Tip pool report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/admin/reports/visits
+// @desc    Visits to tables on a day with party size, spend and dwell time
+// @access  Private (Admin)
+router.get('/reports/visits', auth, isAdmin, async (req, res) => {
+    try {
+        const { from, to } = dayRange(req.query.date);
+        
+        const report = await diningSessionService.visitReport({
+            from,
+            to,
+            branch: req.query.branch,
+            tableNumber: req.query.tableNumber ? parseInt(req.query.tableNumber) : undefined
+        });
+        
+        res.json({
+            success: true,
+            date: from,
+            ...report
+        });
+        
+    } catch (error) {
+        console.error('Visit report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/admin/dining-sessions/:id
+// @desc    Get one visit with its guests, orders, service requests and payments
+// @access  Private (Admin)
+router.get('/dining-sessions/:id', auth, isAdmin, async (req, res) => {
+    try {
+        const session = await DiningSession.findById(req.params.id);
+        
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Visit not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            ...(await diningSessionService.sessionDetail(session))
+        });
+        
+    } catch (error) {
+        console.error('Get dining session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 // @route   GET /api/admin/menu
 // @desc    Get all menu items
 // @access  Private (Admin)
@@ -308,6 +779,7 @@ router.post('/menu', auth, isAdmin, [
         'appetizer', 'main', 'dessert', 'drink', 'soup', 'salad'
     ]),
     check('preparationTime', 'Preparation time must be a number').optional().isInt({ min: 1 }),
+    check('taxCategory', 'Tax category must be text').optional().isString().trim(),
     check('isAvailable', 'isAvailable must be boolean').optional().isBoolean()
 ], async (req, res) => {
     try {
@@ -325,6 +797,7 @@ router.post('/menu', auth, isAdmin, [
             description = '', 
             price, 
             category, 
+            taxCategory,
             isAvailable = true,
             preparationTime = 15,
             image = 'https://via.placeholder.com/400x300/667eea/ffffff?text=' + encodeURIComponent(name)
@@ -337,6 +810,7 @@ router.post('/menu', auth, isAdmin, [
             description,
             price: parseFloat(price),
             category,
+            taxCategory,
             isAvailable: isAvailable === true || isAvailable === 'true',
             preparationTime: parseInt(preparationTime),
             image
@@ -604,6 +1078,37 @@ router.post('/tables', auth, isAdmin, [
     }
 });
 
+// @route   GET /api/admin/tables/tent-cards
+// @desc    Download a print-ready PDF of QR tent cards for all active tables
+// @access  Private (Admin)
+router.get('/tables/tent-cards', auth, isAdmin, async (req, res) => {
+    try {
+        const tables = await Table.find({ isActive: true }).sort({ tableNumber: 1 });
+        
+        if (tables.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'No active tables to print'
+            });
+        }
+        
+        const pdfBuffer = await tentCardService.createTentCards(tables, req.query.branch);
+        
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', 'attachment; filename="table-tent-cards.pdf"');
+        res.setHeader('Content-Length', pdfBuffer.length);
+        
+        res.send(pdfBuffer);
+        
+    } catch (error) {
+        console.error('Tent cards error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate tent cards'
+        });
+    }
+});
+
 // @route   GET /api/admin/tables/:id
 // @desc    Get table by ID
 // @access  Private (Admin)
@@ -664,6 +1169,15 @@ router.put('/tables/:id', auth, isAdmin, [
         // Update fields
         const updates = req.body;
         
+        // A seated table's status follows its visit; staff clear it instead
+        if (table.currentSession && updates.status && updates.status !== table.status) {
+            return res.status(409).json({
+                success: false,
+                message: `Table ${table.tableNumber} is seated. Clear the table to end the visit first.`
+            });
+        }
+        delete updates.currentSession;
+        
         // Check if table number is being changed and if it already exists
         if (updates.tableNumber && updates.tableNumber !== table.tableNumber) {
             const existingTable = await Table.findOne({ tableNumber: updates.tableNumber });
@@ -743,6 +1257,80 @@ router.delete('/tables/:id', auth, isAdmin, async (req, res) => {
     }
 });
 
+// @route   GET /api/admin/tables/:id/qr.png, /api/admin/tables/:id/qr.svg
+// @desc    Download a table's QR code; ?size= sets the PNG width in pixels
+// @access  Private (Admin)
+router.get('/tables/:id/qr.:format(png|svg)', auth, isAdmin, [
+    check('size', 'Size must be between 100 and 2000 pixels').optional().isInt({ min: 100, max: 2000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const table = await Table.findById(req.params.id);
+        
+        if (!table) {
+            return res.status(404).json({
+                success: false,
+                message: 'Table not found'
+            });
+        }
+        
+        const filename = `table-${table.tableNumber}-qr.${req.params.format}`;
+        res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+        
+        if (req.params.format === 'svg') {
+            res.type('image/svg+xml').send(await tableQrService.qrSvg(table));
+        } else {
+            res.type('image/png').send(await tableQrService.qrPng(table, parseInt(req.query.size) || undefined));
+        }
+        
+    } catch (error) {
+        console.error('Table QR error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/admin/tables/:id/qr/rotate
+// @desc    Issue a new QR token for a table; codes printed before stop working
+// @access  Private (Admin)
+router.post('/tables/:id/qr/rotate', auth, isAdmin, async (req, res) => {
+    try {
+        const table = await Table.findById(req.params.id);
+        
+        if (!table) {
+            return res.status(404).json({
+                success: false,
+                message: 'Table not found'
+            });
+        }
+        
+        tableQrService.rotateToken(table);
+        await table.save();
+        
+        res.json({
+            success: true,
+            message: `Table ${table.tableNumber} has a new QR code. Print it to replace the old one.`,
+            table
+        });
+        
+    } catch (error) {
+        console.error('Rotate table QR error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 // @route   POST /api/admin/tables/bulk
 // @desc    Create multiple tables at once
 // @access  Private (Admin)
@@ -817,6 +1405,296 @@ router.post('/tables/bulk', auth, isAdmin, [
     }
 });
 
+const reservationError = (res, error, label) => {
+    if (error instanceof reservationService.ReservationError) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message
+        });
+    }
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+    console.error(`${label} error:`, error);
+    res.status(500).json({
+        success: false,
+        message: 'Server error'
+    });
+};
+
+// Loads the booking into req.reservation
+const loadReservation = async (req, res, next) => {
+    try {
+        req.reservation = await Reservation.findById(req.params.id);
+        if (!req.reservation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+        next();
+    } catch (error) {
+        reservationError(res, error, 'Load reservation');
+    }
+};
+
+// Validation shared by booking create and update
+const reservationChecks = (optional) => {
+    const field = (name, message) => optional ? check(name, message).optional() : check(name, message);
+    return [
+        field('startsAt', 'Booking time must be a date and time').isISO8601(),
+        field('partySize', 'Party size must be 1 to 20').isInt({ min: 1, max: 20 }),
+        optional
+            ? check('name', 'Name cannot exceed 100 characters').optional().isString().trim().isLength({ max: 100 })
+            : check('name', 'Name is required').isString().trim().isLength({ min: 1, max: 100 }),
+        check('section', 'Unknown section').optional({ checkFalsy: true }).isIn(Reservation.SECTIONS),
+        check('tableNumber', 'Table number must be a positive number').optional({ checkFalsy: true }).isInt({ min: 1 }),
+        check('durationMinutes', 'Bookings must last 15 to 480 minutes').optional({ checkFalsy: true }).isInt({ min: 15, max: 480 }),
+        check('email', 'Valid email is required').optional({ checkFalsy: true }).isEmail(),
+        check('phone', 'Phone cannot exceed 30 characters').optional().isString().trim().isLength({ max: 30 }),
+        check('notes', 'Notes cannot exceed 500 characters').optional().isString().trim().isLength({ max: 500 })
+    ];
+};
+
+// Booking fields from the request body, with the numbers parsed
+const reservationDetails = (body) => ({
+    startsAt: body.startsAt,
+    partySize: body.partySize !== undefined ? parseInt(body.partySize) : undefined,
+    section: body.section,
+    tableNumber: body.tableNumber ? parseInt(body.tableNumber) : undefined,
+    durationMinutes: body.durationMinutes ? parseInt(body.durationMinutes) : undefined,
+    name: body.name,
+    email: body.email,
+    phone: body.phone,
+    notes: body.notes
+});
+
+// @route   GET /api/admin/reservations
+// @desc    Bookings on a day (defaults to today), by time, with totals
+// @access  Private (Admin)
+router.get('/reservations', auth, isAdmin, [
+    check('date', 'Date must be YYYY-MM-DD').optional().isISO8601(),
+    check('status', 'Unknown status').optional().isIn(Reservation.RESERVATION_STATUSES)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const { from, to } = dayRange(req.query.date && `${req.query.date}T00:00:00`);
+        const query = { startsAt: { $gte: from, $lt: to } };
+        if (req.query.status) query.status = req.query.status;
+        if (req.query.tableNumber) query.tableNumber = parseInt(req.query.tableNumber);
+        if (req.query.branch) query.branch = req.query.branch;
+        
+        const reservations = await Reservation.find(query).sort({ startsAt: 1, tableNumber: 1 });
+        
+        const count = (status) => reservations.filter(reservation => reservation.status === status).length;
+        const expected = reservations.filter(reservation => Reservation.ACTIVE_STATUSES.includes(reservation.status) || reservation.status === 'completed');
+        
+        res.json({
+            success: true,
+            date: from,
+            reservations,
+            totals: {
+                bookings: reservations.length,
+                booked: count('booked'),
+                seated: count('seated'),
+                completed: count('completed'),
+                cancelled: count('cancelled'),
+                noShows: count('no-show'),
+                covers: expected.reduce((sum, reservation) => sum + reservation.partySize, 0)
+            }
+        });
+        
+    } catch (error) {
+        reservationError(res, error, 'Get reservations');
+    }
+});
+
+// @route   GET /api/admin/reservations/availability
+// @desc    Tables free for a party at a time, best fit first
+// @access  Private (Admin)
+router.get('/reservations/availability', auth, isAdmin, [
+    check('startsAt', 'Booking time must be a date and time').isISO8601(),
+    check('partySize', 'Party size must be 1 to 20').isInt({ min: 1, max: 20 }),
+    check('section', 'Unknown section').optional({ checkFalsy: true }).isIn(Reservation.SECTIONS),
+    check('durationMinutes', 'Bookings must last 15 to 480 minutes').optional({ checkFalsy: true }).isInt({ min: 15, max: 480 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const tables = await reservationService.availableTables({
+            startsAt: req.query.startsAt,
+            partySize: parseInt(req.query.partySize),
+            section: req.query.section || undefined,
+            durationMinutes: req.query.durationMinutes ? parseInt(req.query.durationMinutes) : undefined,
+            branch: req.query.branch,
+            excludeId: req.query.exclude
+        });
+        
+        res.json({
+            success: true,
+            tables: tables.map(table => ({
+                _id: table._id,
+                tableNumber: table.tableNumber,
+                tableName: table.tableName,
+                capacity: table.capacity,
+                section: table.section,
+                status: table.status
+            }))
+        });
+        
+    } catch (error) {
+        reservationError(res, error, 'Get table availability');
+    }
+});
+
+// @route   POST /api/admin/reservations
+// @desc    Book a table for a guest, e.g. by phone. Picks a table unless tableNumber is given.
+// @access  Private (Admin)
+router.post('/reservations', auth, isAdmin, reservationChecks(false), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const reservation = await reservationService.createReservation(reservationDetails(req.body), {
+            actor: orderLifecycle.actorFromRequest(req),
+            online: false,
+            branch: req.body.branch,
+            io: req.app.get('io')
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: `Table ${reservation.tableNumber} booked for ${reservation.name} (${reservation.reference})`,
+            reservation
+        });
+        
+    } catch (error) {
+        reservationError(res, error, 'Create reservation');
+    }
+});
+
+// @route   PUT /api/admin/reservations/:id
+// @desc    Change a booking's time, party, table or contact details
+// @access  Private (Admin)
+router.put('/reservations/:id', auth, isAdmin, reservationChecks(true), loadReservation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const reservation = await reservationService.updateReservation(req.reservation, reservationDetails(req.body), {
+            online: false,
+            io: req.app.get('io')
+        });
+        
+        res.json({
+            success: true,
+            message: `Booking ${reservation.reference} updated`,
+            reservation
+        });
+        
+    } catch (error) {
+        reservationError(res, error, 'Update reservation');
+    }
+});
+
+// @route   POST /api/admin/reservations/:id/seat
+// @desc    The party has arrived: seat them at the booked table
+// @access  Private (Admin)
+router.post('/reservations/:id/seat', auth, isAdmin, loadReservation, async (req, res) => {
+    try {
+        const reservation = await reservationService.seatReservation(req.reservation, {
+            io: req.app.get('io')
+        });
+        
+        res.json({
+            success: true,
+            message: `${reservation.name} seated at table ${reservation.tableNumber}`,
+            reservation
+        });
+        
+    } catch (error) {
+        reservationError(res, error, 'Seat reservation');
+    }
+});
+
+// @route   POST /api/admin/reservations/:id/cancel
+// @desc    Cancel a booking and free its table
+// @access  Private (Admin)
+router.post('/reservations/:id/cancel', auth, isAdmin, [
+    check('reason', 'Reason cannot exceed 200 characters').optional().isString().trim().isLength({ max: 200 })
+], loadReservation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const reservation = await reservationService.cancelReservation(req.reservation, {
+            actor: orderLifecycle.actorFromRequest(req),
+            reason: req.body.reason,
+            io: req.app.get('io')
+        });
+        
+        res.json({
+            success: true,
+            message: `Booking ${reservation.reference} cancelled`,
+            reservation
+        });
+        
+    } catch (error) {
+        reservationError(res, error, 'Cancel reservation');
+    }
+});
+
+// @route   POST /api/admin/reservations/:id/no-show
+// @desc    Mark a booking as a no-show before the grace period runs out
+// @access  Private (Admin)
+router.post('/reservations/:id/no-show', auth, isAdmin, loadReservation, async (req, res) => {
+    try {
+        const reservation = await reservationService.markNoShow(req.reservation, {
+            io: req.app.get('io')
+        });
+        
+        res.json({
+            success: true,
+            message: `Booking ${reservation.reference} marked as a no-show`,
+            reservation
+        });
+        
+    } catch (error) {
+        reservationError(res, error, 'Mark no-show');
+    }
+});
+
 // @route   GET /api/admin/staff
 // @desc    Get all staff members
 // @access  Private (Admin)
@@ -824,7 +1702,7 @@ router.get('/staff', auth, isAdmin, async (req, res) => {
     try {
         const { role, isActive } = req.query;
         
-        let query = { role: { $in: ['chef', 'waiter', 'manager', 'cashier', 'admin'] } };
+        let query = { role: { $in: ['chef', 'waiter', 'driver', 'manager', 'cashier', 'admin'] } };
         
         if (role) {
             query.role = role;
@@ -862,7 +1740,7 @@ router.post('/staff', auth, isAdmin, [
     check('email', 'Valid email is required').isEmail().normalizeEmail(),
     check('password', 'Password must be at least 6 characters').isLength({ min: 6 }),
     check('phone', 'Phone number is required').not().isEmpty().trim().escape(),
-    check('role', 'Valid role is required').isIn(['chef', 'waiter', 'manager', 'cashier'])
+    check('role', 'Valid role is required').isIn(['chef', 'waiter', 'driver', 'manager', 'cashier'])
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -967,7 +1845,7 @@ router.put('/staff/:id', auth, isAdmin, [
     check('firstName', 'First name is required').optional().not().isEmpty().trim().escape(),
     check('lastName', 'Last name is required').optional().not().isEmpty().trim().escape(),
     check('phone', 'Phone number is required').optional().not().isEmpty().trim().escape(),
-    check('role', 'Valid role is required').optional().isIn(['chef', 'waiter', 'manager', 'cashier', 'admin']),
+    check('role', 'Valid role is required').optional().isIn(['chef', 'waiter', 'driver', 'manager', 'cashier', 'admin']),
     check('isActive', 'isActive must be boolean').optional().isBoolean()
 ], async (req, res) => {
     try {
@@ -1003,6 +1881,7 @@ router.put('/staff/:id', auth, isAdmin, [
         // Remove restricted fields
         delete updates.email;
         delete updates.password;
+        delete updates.approvalPin;
         delete updates.createdAt;
         
         Object.keys(updates).forEach(key => {
@@ -1072,6 +1951,62 @@ router.delete('/staff/:id', auth, isAdmin, async (req, res) => {
     }
 });
 
+// @route   PUT /api/admin/staff/:id/approval-pin
+// @desc    Set your own PIN for approving voids, comps and refunds
+// @access  Private (Admin)
+router.put('/staff/:id/approval-pin', auth, isAdmin, [
+    check('pin', 'PIN must be 4 to 8 digits').matches(/^\d{4,8}$/)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        // Whoever sets a PIN could approve their own adjustments with it
+        if (String(req.userId) !== req.params.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only set your own approval PIN'
+            });
+        }
+        
+        const user = await User.findById(req.params.id);
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'Staff member not found'
+            });
+        }
+        
+        if (user.role !== 'admin') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only admins can approve adjustments'
+            });
+        }
+        
+        user.approvalPin = req.body.pin;
+        await user.save();
+        
+        res.json({
+            success: true,
+            message: `Approval PIN set for ${user.firstName} ${user.lastName}`
+        });
+        
+    } catch (error) {
+        console.error('Set approval PIN error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 // @route   GET /api/admin/analytics/sales
 // @desc    Get sales analytics
 // @access  Private (Admin)
@@ -1151,12 +2086,24 @@ router.get('/analytics/sales', auth, isAdmin, async (req, res) => {
         const revenueChange = previousRevenue > 0 ? ((totalRevenue - previousRevenue) / previousRevenue) * 100 : 0;
         const ordersChange = previousOrdersCount > 0 ? ((totalOrders - previousOrdersCount) / previousOrdersCount) * 100 : 0;
         
-        // Get category distribution
-        const categoryRevenue = {};
+        // Tax and service charge collected, by the names on the bills
+        const taxCollected = {};
+        let serviceChargeCollected = 0;
         orders.forEach(order => {
-            order.items.forEach(item => {
+            (order.taxLines || []).forEach(line => {
+                const key = `${line.name} (${line.rate}%)`;
+                taxCollected[key] = (taxCollected[key] || 0) + (line.amount || 0);
+            });
+            serviceChargeCollected += order.serviceCharge || 0;
+        });
+        const netSales = orders.reduce((sum, order) => sum + (order.subtotal || 0) - (order.discount || 0), 0);
+        
+        // Get category distribution
+        const categoryRevenue = {};
+        orders.forEach(order => {
+            order.items.forEach(item => {
                 const category = item.category || 'unknown';
-                categoryRevenue[category] = (categoryRevenue[category] || 0) + (item.price * item.quantity);
+                categoryRevenue[category] = (categoryRevenue[category] || 0) + itemNetRevenue(item);
             });
         });
         
@@ -1189,7 +2136,7 @@ router.get('/analytics/sales', auth, isAdmin, async (req, res) => {
                 }
                 
                 itemCounts[itemId].count += item.quantity;
-                itemCounts[itemId].revenue += (item.price * item.quantity);
+                itemCounts[itemId].revenue += itemNetRevenue(item);
             });
         });
         
@@ -1220,6 +2167,10 @@ router.get('/analytics/sales', auth, isAdmin, async (req, res) => {
                 totalRevenue,
                 totalOrders,
                 averageOrderValue: totalOrders > 0 ? totalRevenue / totalOrders : 0,
+                netSales,
+                taxCollected: Object.entries(taxCollected).map(([name, amount]) => ({ name, amount })),
+                totalTax: orders.reduce((sum, order) => sum + (order.tax || 0), 0),
+                serviceChargeCollected,
                 change: {
                     revenue: revenueChange,
                     orders: ordersChange
@@ -1241,4 +2192,1018 @@ router.get('/analytics/sales', auth, isAdmin, async (req, res) => {
     }
 });
 
-module.exports = router;
\ No newline at end of file
+// Validation shared by promotion create and update
+const promotionChecks = (optional) => {
+    const field = (name, message) => optional ? check(name, message).optional() : check(name, message);
+    return [
+        field('name', 'Promotion name is required').not().isEmpty().trim(),
+        field('type', 'Type must be percent, fixed or bogo').isIn(['percent', 'fixed', 'bogo']),
+        field('value', 'Value must be a positive number').isFloat({ min: 0 }),
+        check('code', 'Code may only contain letters, numbers, - and _').optional({ checkFalsy: true }).matches(/^[A-Za-z0-9_-]+$/),
+        check('buyQuantity', 'Buy quantity must be at least 1').optional().isInt({ min: 1 }),
+        check('getQuantity', 'Get quantity must be at least 1').optional().isInt({ min: 1 }),
+        check('minSpend', 'Minimum spend must be a number').optional().isFloat({ min: 0 }),
+        check('maxDiscount', 'Maximum discount must be a number').optional({ nullable: true }).isFloat({ min: 0 }),
+        check('menuItems', 'Menu items must be a list').optional().isArray(),
+        check('categories', 'Categories must be a list').optional().isArray(),
+        check('schedule.daysOfWeek', 'Days must be a list').optional().isArray(),
+        check('startsAt', 'Start date must be a date').optional({ checkFalsy: true }).isISO8601(),
+        check('expiresAt', 'Expiry date must be a date').optional({ checkFalsy: true }).isISO8601(),
+        check('usageLimit', 'Usage limit must be at least 1').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }),
+        check('perCustomerLimit', 'Per-customer limit must be at least 1').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }),
+        check('autoApply', 'autoApply must be boolean').optional().isBoolean(),
+        check('isActive', 'isActive must be boolean').optional().isBoolean()
+    ];
+};
+
+const PROMOTION_FIELDS = [
+    'code', 'name', 'description', 'type', 'value', 'buyQuantity', 'getQuantity',
+    'maxDiscount', 'minSpend', 'menuItems', 'categories', 'orderTypes', 'schedule',
+    'startsAt', 'expiresAt', 'autoApply', 'usageLimit', 'perCustomerLimit', 'isActive'
+];
+
+const applyPromotionFields = (promotion, body) => {
+    PROMOTION_FIELDS.forEach(key => {
+        if (body[key] === undefined) return;
+        // Empty form fields clear optional values
+        promotion[key] = body[key] === '' ? undefined : body[key];
+    });
+    if (promotion.type === 'percent' && promotion.value > 100) {
+        return 'A percent promotion cannot exceed 100%';
+    }
+    if (!promotion.code && !promotion.autoApply) {
+        return 'A promotion needs a code unless it is applied automatically';
+    }
+    return null;
+};
+
+// @route   GET /api/admin/promotions
+// @desc    Get all promotions
+// @access  Private (Admin)
+router.get('/promotions', auth, isAdmin, async (req, res) => {
+    try {
+        const promotions = await Promotion.find()
+            .sort({ isActive: -1, createdAt: -1 })
+            .populate('menuItems', 'name');
+        
+        res.json({
+            success: true,
+            count: promotions.length,
+            promotions
+        });
+        
+    } catch (error) {
+        console.error('Get promotions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/admin/promotions
+// @desc    Create a promotion or promo code
+// @access  Private (Admin)
+router.post('/promotions', auth, isAdmin, promotionChecks(false), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const actor = orderLifecycle.actorFromRequest(req);
+        const promotion = new Promotion({
+            createdBy: actor.id,
+            createdByName: actor.name
+        });
+        
+        const invalid = applyPromotionFields(promotion, req.body);
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                message: invalid
+            });
+        }
+        
+        await promotion.save();
+        
+        res.status(201).json({
+            success: true,
+            message: 'Promotion created successfully',
+            promotion
+        });
+        
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A promotion with this code already exists'
+            });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Create promotion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   PUT /api/admin/promotions/:id
+// @desc    Update a promotion
+// @access  Private (Admin)
+router.put('/promotions/:id', auth, isAdmin, promotionChecks(true), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const promotion = await Promotion.findById(req.params.id);
+        
+        if (!promotion) {
+            return res.status(404).json({
+                success: false,
+                message: 'Promotion not found'
+            });
+        }
+        
+        const invalid = applyPromotionFields(promotion, req.body);
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                message: invalid
+            });
+        }
+        
+        await promotion.save();
+        
+        res.json({
+            success: true,
+            message: 'Promotion updated successfully',
+            promotion
+        });
+        
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A promotion with this code already exists'
+            });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Update promotion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   DELETE /api/admin/promotions/:id
+// @desc    Delete an unused promotion, or deactivate one that has been used
+// @access  Private (Admin)
+router.delete('/promotions/:id', auth, isAdmin, async (req, res) => {
+    try {
+        const promotion = await Promotion.findById(req.params.id);
+        
+        if (!promotion) {
+            return res.status(404).json({
+                success: false,
+                message: 'Promotion not found'
+            });
+        }
+        
+        // Past orders refer to used promotions, so keep those for reporting
+        const used = await Order.exists({ 'promotion.promotion': promotion._id });
+        if (used) {
+            promotion.isActive = false;
+            await promotion.save();
+            
+            return res.json({
+                success: true,
+                message: 'Promotion has been used and was deactivated instead of deleted'
+            });
+        }
+        
+        await promotion.deleteOne();
+        
+        res.json({
+            success: true,
+            message: 'Promotion deleted successfully'
+        });
+        
+    } catch (error) {
+        console.error('Delete promotion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/admin/settings/tax
+// @desc    Get tax, service charge and gratuity settings
+// @access  Private (Admin)
+router.get('/settings/tax', auth, isAdmin, async (req, res) => {
+    try {
+        const config = await taxService.getTaxConfig(req.query.branch);
+        
+        res.json({
+            success: true,
+            settings: config
+        });
+        
+    } catch (error) {
+        console.error('Get tax settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   PUT /api/admin/settings/tax
+// @desc    Update tax lines, tax-inclusive pricing, service charge, packaging fee and gratuity rules
+// @access  Private (Admin)
+router.put('/settings/tax', auth, isAdmin, [
+    check('branch', 'Branch must be text').optional().isString().trim(),
+    check('pricesIncludeTax', 'pricesIncludeTax must be boolean').optional().isBoolean(),
+    check('taxLines', 'Tax lines must be a list').optional().isArray(),
+    check('taxLines.*.name', 'Tax line name is required').not().isEmpty().trim(),
+    check('taxLines.*.rate', 'Tax rate must be between 0 and 100').isFloat({ min: 0, max: 100 }),
+    check('taxLines.*.categories', 'Categories must be a list').optional().isArray(),
+    check('taxLines.*.excludedCategories', 'Excluded categories must be a list').optional().isArray(),
+    check('taxLines.*.orderTypes', 'Order types must be a list').optional().isArray(),
+    check('taxLines.*.isActive', 'isActive must be boolean').optional().isBoolean(),
+    check('serviceCharge.enabled', 'enabled must be boolean').optional().isBoolean(),
+    check('serviceCharge.name', 'Service charge name must be text').optional().isString().trim(),
+    check('serviceCharge.rate', 'Service charge must be between 0 and 100').optional().isFloat({ min: 0, max: 100 }),
+    check('serviceCharge.waivedOrderTypes', 'Waived order types must be a list').optional().isArray(),
+    check('serviceCharge.minPartySize', 'Minimum party size must be a number').optional().isInt({ min: 0 }),
+    check('packagingFee.enabled', 'enabled must be boolean').optional().isBoolean(),
+    check('packagingFee.name', 'Packaging fee name must be text').optional().isString().trim(),
+    check('packagingFee.perOrder', 'Packaging fee cannot be negative').optional().isFloat({ min: 0 }),
+    check('packagingFee.perItem', 'Packaging fee cannot be negative').optional().isFloat({ min: 0 }),
+    check('packagingFee.orderTypes', 'Order types must be a list').optional().isArray(),
+    check('gratuity.suggestedPercents', 'Suggested tips must be a list').optional().isArray({ max: 6 }),
+    check('gratuity.suggestedPercents.*', 'Suggested tips must be between 0 and 100').isFloat({ min: 0, max: 100 }),
+    check('gratuity.allowCustom', 'allowCustom must be boolean').optional().isBoolean(),
+    check('gratuity.autoGratuity.enabled', 'enabled must be boolean').optional().isBoolean(),
+    check('gratuity.autoGratuity.rate', 'Gratuity must be between 0 and 100').optional().isFloat({ min: 0, max: 100 }),
+    check('gratuity.autoGratuity.minPartySize', 'Party size must be at least 1').optional().isInt({ min: 1 }),
+    check('gratuity.pool.roleWeights.*', 'Role weights cannot be negative').isFloat({ min: 0 }),
+    check('gratuity.pool.shifts', 'Shifts must be a list').optional().isArray(),
+    check('gratuity.pool.shifts.*.name', 'Shift name is required').not().isEmpty().trim(),
+    check('gratuity.pool.shifts.*.start', 'Shift start must be HH:MM').matches(/^([01]\d|2[0-3]):[0-5]\d$/),
+    check('gratuity.pool.shifts.*.end', 'Shift end must be HH:MM').matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const branch = req.body.branch || DEFAULT_BRANCH;
+        const config = await TaxConfig.findOne({ branch }) || new TaxConfig({ branch });
+        const { pricesIncludeTax, taxLines, serviceCharge, packagingFee, gratuity } = req.body;
+        
+        if (pricesIncludeTax !== undefined) {
+            config.pricesIncludeTax = pricesIncludeTax === true || pricesIncludeTax === 'true';
+        }
+        if (taxLines) {
+            config.taxLines = taxLines;
+        }
+        if (serviceCharge) {
+            Object.keys(serviceCharge).forEach(key => {
+                config.serviceCharge[key] = serviceCharge[key];
+            });
+        }
+        if (packagingFee) {
+            Object.keys(packagingFee).forEach(key => {
+                config.packagingFee[key] = packagingFee[key];
+            });
+        }
+        if (gratuity) {
+            ['suggestedPercents', 'allowCustom'].forEach(key => {
+                if (gratuity[key] !== undefined) config.gratuity[key] = gratuity[key];
+            });
+            Object.keys(gratuity.autoGratuity || {}).forEach(key => {
+                config.gratuity.autoGratuity[key] = gratuity.autoGratuity[key];
+            });
+            const pool = gratuity.pool || {};
+            Object.keys(pool.roleWeights || {}).forEach(role => {
+                config.gratuity.pool.roleWeights[role] = pool.roleWeights[role];
+            });
+            if (pool.shifts) {
+                config.gratuity.pool.shifts = pool.shifts;
+            }
+        }
+        
+        const actor = orderLifecycle.actorFromRequest(req);
+        config.updatedBy = actor.id;
+        config.updatedByName = actor.name;
+        config.updatedAt = new Date();
+        
+        await config.save();
+        taxService.clearTaxConfigCache(branch);
+        
+        res.json({
+            success: true,
+            message: 'Tax settings updated. New rates apply to orders from now on.',
+            settings: config
+        });
+        
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Update tax settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/admin/settings/restaurant
+// @desc    Get the restaurant profile printed on receipts and emails
+// @access  Private (Admin)
+router.get('/settings/restaurant', auth, isAdmin, async (req, res) => {
+    try {
+        const settings = await restaurantService.getRestaurantSettings(req.query.branch);
+        
+        res.json({
+            success: true,
+            settings
+        });
+        
+    } catch (error) {
+        console.error('Get restaurant settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   PUT /api/admin/settings/restaurant
+// @desc    Update the restaurant's name, contact details, branding, tax IDs, hours, kitchen timers, coursing, pickup slots and bookings
+// @access  Private (Admin)
+router.put('/settings/restaurant', auth, isAdmin, [
+    check('branch', 'Branch must be text').optional().isString().trim(),
+    check('name', 'Restaurant name is required').optional().isString().trim().not().isEmpty(),
+    check('tagline', 'Tagline must be text').optional().isString(),
+    check('address', 'Address must be an object').optional().isObject(),
+    check('phone', 'Phone must be text').optional().isString(),
+    check('email', 'Valid email is required').optional({ checkFalsy: true }).isEmail(),
+    check('website', 'Website must be a URL').optional({ checkFalsy: true }).isURL(),
+    check('logo', 'Logo must be text').optional({ nullable: true }).isString(),
+    check('currency.code', 'Currency code must be three letters').optional().isAlpha().isLength({ min: 3, max: 3 }),
+    check('currency.symbol', 'Currency symbol must be 1 to 5 characters').optional().isString().isLength({ min: 1, max: 5 }),
+    check('footerMessage', 'Footer message must be text').optional().isString(),
+    check('taxIds', 'Tax IDs must be a list').optional().isArray({ max: 5 }),
+    check('taxIds.*.label', 'Tax ID label is required').not().isEmpty().trim(),
+    check('taxIds.*.value', 'Tax ID is required').not().isEmpty().trim(),
+    check('openingHours', 'Opening hours must be a list').optional().isArray({ max: 7 }),
+    check('openingHours.*.day', 'Day must be a weekday name').isIn(RestaurantSettings.DAYS),
+    check('openingHours.*.closed', 'closed must be boolean').optional().isBoolean(),
+    check('openingHours.*.open', 'Opening time must be HH:MM').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/),
+    check('openingHours.*.close', 'Closing time must be HH:MM').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/),
+    check('kitchenSla.enabled', 'enabled must be boolean').optional().isBoolean(),
+    check('kitchenSla.atRiskPercent', 'At-risk threshold must be 10 to 100 percent').optional().isInt({ min: 10, max: 100 }),
+    check('kitchenSla.lateGraceMinutes', 'Grace period must be 0 to 60 minutes').optional().isInt({ min: 0, max: 60 }),
+    check('coursing.enabled', 'enabled must be boolean').optional().isBoolean(),
+    check('coursing.holdCourses', 'Held courses must be a list').optional().isArray(),
+    check('coursing.holdCourses.*', 'Held courses can be starter, main or dessert').isIn(['starter', 'main', 'dessert']),
+    check('coursing.autoFireMinutes', 'Auto-fire delay must be 0 to 180 minutes').optional().isInt({ min: 0, max: 180 }),
+    check('pickup.enabled', 'enabled must be boolean').optional().isBoolean(),
+    check('pickup.slotMinutes', 'Pickup slots must be 5 to 120 minutes').optional().isInt({ min: 5, max: 120 }),
+    check('pickup.ordersPerSlot', 'Each slot must take at least one order').optional().isInt({ min: 1 }),
+    check('pickup.leadMinutes', 'Lead time must be 0 to 240 minutes').optional().isInt({ min: 0, max: 240 }),
+    check('pickup.maxDaysAhead', 'Days ahead must be 0 to 30').optional().isInt({ min: 0, max: 30 }),
+    check('reservations.enabled', 'enabled must be boolean').optional().isBoolean(),
+    check('reservations.slotMinutes', 'Booking slots must be 5 to 120 minutes').optional().isInt({ min: 5, max: 120 }),
+    check('reservations.durationMinutes', 'Bookings must last 15 to 480 minutes').optional().isInt({ min: 15, max: 480 }),
+    check('reservations.holdMinutes', 'Hold time must be 0 to 240 minutes').optional().isInt({ min: 0, max: 240 }),
+    check('reservations.noShowGraceMinutes', 'Grace period must be 5 to 120 minutes').optional().isInt({ min: 5, max: 120 }),
+    check('reservations.leadMinutes', 'Lead time must be 0 to 1440 minutes').optional().isInt({ min: 0, max: 1440 }),
+    check('reservations.maxDaysAhead', 'Days ahead must be 0 to 180').optional().isInt({ min: 0, max: 180 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const branch = req.body.branch || DEFAULT_BRANCH;
+        const settings = await RestaurantSettings.findOne({ branch }) || new RestaurantSettings({ branch });
+        
+        ['name', 'tagline', 'phone', 'email', 'website', 'logo', 'footerMessage', 'taxIds', 'openingHours'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                settings[field] = req.body[field] === null ? undefined : req.body[field];
+            }
+        });
+        ['address', 'currency', 'kitchenSla', 'coursing', 'pickup', 'reservations'].forEach(group => {
+            Object.keys(req.body[group] || {}).forEach(key => {
+                settings[group][key] = req.body[group][key];
+            });
+        });
+        
+        const actor = orderLifecycle.actorFromRequest(req);
+        settings.updatedBy = actor.id;
+        settings.updatedByName = actor.name;
+        settings.updatedAt = new Date();
+        
+        await settings.save();
+        restaurantService.clearRestaurantSettingsCache(branch);
+        
+        res.json({
+            success: true,
+            message: 'Restaurant profile updated',
+            settings
+        });
+        
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Update restaurant settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Validation shared by printer create and update
+const printerChecks = (optional) => {
+    const field = (name, message) => optional ? check(name, message).optional() : check(name, message);
+    return [
+        field('name', 'Printer name is required').not().isEmpty().trim(),
+        field('host', 'Printer host is required').not().isEmpty().trim(),
+        check('port', 'Port must be between 1 and 65535').optional().isInt({ min: 1, max: 65535 }),
+        check('paper', 'Paper must be 58mm or 80mm').optional().isIn(['58mm', '80mm']),
+        check('purposes', 'Purposes must be a list').optional().isArray(),
+        check('purposes.*', 'Purpose must be receipt or kitchen').isIn(['receipt', 'kitchen']),
+        check('isActive', 'isActive must be boolean').optional().isBoolean()
+    ];
+};
+
+const PRINTER_FIELDS = ['name', 'host', 'port', 'paper', 'purposes', 'branch', 'isActive'];
+
+// @route   GET /api/admin/printers
+// @desc    Get the network printers and their recent jobs
+// @access  Private (Admin)
+router.get('/printers', auth, isAdmin, async (req, res) => {
+    try {
+        const printers = await Printer.find().sort({ createdAt: 1 });
+        const jobs = await PrintJob.find()
+            .select('-data')
+            .sort({ createdAt: -1 })
+            .limit(50);
+        
+        res.json({
+            success: true,
+            count: printers.length,
+            printers,
+            jobs
+        });
+        
+    } catch (error) {
+        console.error('Get printers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/admin/printers
+// @desc    Add a network printer
+// @access  Private (Admin)
+router.post('/printers', auth, isAdmin, printerChecks(false), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const printer = new Printer();
+        PRINTER_FIELDS.forEach(key => {
+            if (req.body[key] !== undefined) printer[key] = req.body[key];
+        });
+        await printer.save();
+        
+        res.status(201).json({
+            success: true,
+            message: 'Printer added successfully',
+            printer
+        });
+        
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Create printer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   PUT /api/admin/printers/:id
+// @desc    Update a network printer
+// @access  Private (Admin)
+router.put('/printers/:id', auth, isAdmin, printerChecks(true), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const printer = await Printer.findById(req.params.id);
+        
+        if (!printer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Printer not found'
+            });
+        }
+        
+        PRINTER_FIELDS.forEach(key => {
+            if (req.body[key] !== undefined) printer[key] = req.body[key];
+        });
+        await printer.save();
+        
+        res.json({
+            success: true,
+            message: 'Printer updated successfully',
+            printer
+        });
+        
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Update printer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   DELETE /api/admin/printers/:id
+// @desc    Remove a network printer and drop its unsent jobs
+// @access  Private (Admin)
+router.delete('/printers/:id', auth, isAdmin, async (req, res) => {
+    try {
+        const printer = await Printer.findByIdAndDelete(req.params.id);
+        
+        if (!printer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Printer not found'
+            });
+        }
+        
+        await PrintJob.deleteMany({ printer: printer._id, status: 'queued' });
+        
+        res.json({
+            success: true,
+            message: 'Printer removed'
+        });
+        
+    } catch (error) {
+        console.error('Delete printer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/admin/printers/:id/test
+// @desc    Print a test page to check the printer and paper size
+// @access  Private (Admin)
+router.post('/printers/:id/test', auth, isAdmin, async (req, res) => {
+    try {
+        const printer = await printService.resolvePrinter({ printerId: req.params.id });
+        const job = await printService.printTestPage(printer, {
+            actor: orderLifecycle.actorFromRequest(req),
+            io: req.app.get('io')
+        });
+        
+        res.status(202).json({
+            success: true,
+            message: `Test page sent to ${printer.name}`,
+            job: { ...job.toObject(), data: undefined }
+        });
+        
+    } catch (error) {
+        if (error instanceof printService.PrintError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Test printer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Validation shared by station create and update
+const stationChecks = (optional) => {
+    const field = (name, message) => optional ? check(name, message).optional() : check(name, message);
+    return [
+        field('name', 'Station name is required').not().isEmpty().trim(),
+        field('key', 'Key may only contain letters, numbers and -').matches(/^[A-Za-z0-9-]+$/),
+        check('categories', 'Categories must be a list').optional().isArray(),
+        check('categories.*', 'Invalid menu category').isIn(Station.MENU_CATEGORIES),
+        check('menuItems', 'Menu items must be a list').optional().isArray(),
+        check('menuItems.*', 'Invalid menu item').isMongoId(),
+        check('isDefault', 'isDefault must be boolean').optional().isBoolean(),
+        check('sortOrder', 'Sort order must be a number').optional().isInt(),
+        check('isActive', 'isActive must be boolean').optional().isBoolean()
+    ];
+};
+
+const STATION_FIELDS = ['name', 'key', 'categories', 'menuItems', 'isDefault', 'sortOrder', 'branch', 'isActive'];
+
+// Save a station, keeping a single default station per branch
+const saveStation = async (station) => {
+    await station.save();
+    if (station.isDefault) {
+        await Station.updateMany(
+            { branch: station.branch, _id: { $ne: station._id }, isDefault: true },
+            { isDefault: false }
+        );
+    }
+    stationService.clearStationCache(station.branch);
+};
+
+// @route   GET /api/admin/stations
+// @desc    Get the kitchen stations and what they cook
+// @access  Private (Admin)
+router.get('/stations', auth, isAdmin, async (req, res) => {
+    try {
+        const stations = await Station.find()
+            .sort({ sortOrder: 1, name: 1 })
+            .populate('menuItems', 'name category');
+        
+        res.json({
+            success: true,
+            count: stations.length,
+            categories: Station.MENU_CATEGORIES,
+            stations
+        });
+        
+    } catch (error) {
+        console.error('Get stations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/admin/stations
+// @desc    Add a kitchen station
+// @access  Private (Admin)
+router.post('/stations', auth, isAdmin, stationChecks(false), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const station = new Station();
+        STATION_FIELDS.forEach(key => {
+            if (req.body[key] !== undefined) station[key] = req.body[key];
+        });
+        await saveStation(station);
+        
+        res.status(201).json({
+            success: true,
+            message: 'Station added successfully',
+            station
+        });
+        
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A station with this key already exists'
+            });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Create station error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   PUT /api/admin/stations/:id
+// @desc    Update a kitchen station. Items already on tickets keep their station.
+// @access  Private (Admin)
+router.put('/stations/:id', auth, isAdmin, stationChecks(true), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const station = await Station.findById(req.params.id);
+        
+        if (!station) {
+            return res.status(404).json({
+                success: false,
+                message: 'Station not found'
+            });
+        }
+        
+        STATION_FIELDS.forEach(key => {
+            if (req.body[key] !== undefined) station[key] = req.body[key];
+        });
+        await saveStation(station);
+        
+        res.json({
+            success: true,
+            message: 'Station updated successfully',
+            station
+        });
+        
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A station with this key already exists'
+            });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Update station error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   DELETE /api/admin/stations/:id
+// @desc    Remove a kitchen station
+// @access  Private (Admin)
+router.delete('/stations/:id', auth, isAdmin, async (req, res) => {
+    try {
+        const station = await Station.findByIdAndDelete(req.params.id);
+        
+        if (!station) {
+            return res.status(404).json({
+                success: false,
+                message: 'Station not found'
+            });
+        }
+        
+        stationService.clearStationCache(station.branch);
+        
+        res.json({
+            success: true,
+            message: 'Station removed'
+        });
+        
+    } catch (error) {
+        console.error('Delete station error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Validation shared by delivery zone create and update
+const zoneChecks = (optional) => {
+    const field = (name, message) => optional ? check(name, message).optional() : check(name, message);
+    return [
+        field('name', 'Zone name is required').not().isEmpty().trim(),
+        field('postcodes', 'Postcodes must be a non-empty list').isArray({ min: 1 }),
+        check('postcodes.*', 'Postcodes may only contain letters, numbers and spaces, with an optional * at the end')
+            .isString().matches(/^[A-Za-z0-9 ]+\*?$/),
+        check('minimumOrder', 'Minimum order must be a positive number').optional().isFloat({ min: 0 }),
+        check('fee', 'Delivery fee must be a positive number').optional().isFloat({ min: 0 }),
+        check('sortOrder', 'Sort order must be a number').optional().isInt(),
+        check('isActive', 'isActive must be boolean').optional().isBoolean()
+    ];
+};
+
+const ZONE_FIELDS = ['name', 'postcodes', 'minimumOrder', 'fee', 'sortOrder', 'branch', 'isActive'];
+
+const assignZoneFields = (zone, body) => {
+    ZONE_FIELDS.forEach(key => {
+        if (body[key] !== undefined) zone[key] = body[key];
+    });
+    if (body.postcodes !== undefined) {
+        zone.postcodes = body.postcodes.map(deliveryService.normalizePostcode);
+    }
+};
+
+// @route   GET /api/admin/delivery-zones
+// @desc    Get the delivery zones with their postcodes, minimums and fees
+// @access  Private (Admin)
+router.get('/delivery-zones', auth, isAdmin, async (req, res) => {
+    try {
+        const zones = await DeliveryZone.find().sort({ sortOrder: 1, name: 1 });
+        
+        res.json({
+            success: true,
+            count: zones.length,
+            zones
+        });
+        
+    } catch (error) {
+        console.error('Get delivery zones error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/admin/delivery-zones
+// @desc    Add a delivery zone
+// @access  Private (Admin)
+router.post('/delivery-zones', auth, isAdmin, zoneChecks(false), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const zone = new DeliveryZone();
+        assignZoneFields(zone, req.body);
+        await zone.save();
+        deliveryService.clearZoneCache(zone.branch);
+        
+        res.status(201).json({
+            success: true,
+            message: 'Delivery zone added successfully',
+            zone
+        });
+        
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Create delivery zone error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   PUT /api/admin/delivery-zones/:id
+// @desc    Update a delivery zone. Orders already placed keep their fee.
+// @access  Private (Admin)
+router.put('/delivery-zones/:id', auth, isAdmin, zoneChecks(true), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const zone = await DeliveryZone.findById(req.params.id);
+        
+        if (!zone) {
+            return res.status(404).json({
+                success: false,
+                message: 'Delivery zone not found'
+            });
+        }
+        
+        assignZoneFields(zone, req.body);
+        await zone.save();
+        deliveryService.clearZoneCache(zone.branch);
+        
+        res.json({
+            success: true,
+            message: 'Delivery zone updated successfully',
+            zone
+        });
+        
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Update delivery zone error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   DELETE /api/admin/delivery-zones/:id
+// @desc    Remove a delivery zone
+// @access  Private (Admin)
+router.delete('/delivery-zones/:id', auth, isAdmin, async (req, res) => {
+    try {
+        const zone = await DeliveryZone.findByIdAndDelete(req.params.id);
+        
+        if (!zone) {
+            return res.status(404).json({
+                success: false,
+                message: 'Delivery zone not found'
+            });
+        }
+        
+        deliveryService.clearZoneCache(zone.branch);
+        
+        res.json({
+            success: true,
+            message: 'Delivery zone removed'
+        });
+        
+    } catch (error) {
+        console.error('Delete delivery zone error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+module.exports = router;
@@ -3,6 +3,8 @@ const router = express.Router();
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const auth = require('../middleware/auth');
+const guestService = require('../services/guestService');
 
 // ==================== LOGIN ENDPOINT ====================
 router.post('/login', async (req, res) => {
@@ -27,6 +29,7 @@ router.post('/login', async (req, res) => {
         const demoAccounts = [
             {email: 'admin@demo.com', password: '123456', role: 'admin'},
             {email: 'chef@demo.com', password: '123456', role: 'chef'},
+            {email: 'driver@demo.com', password: '123456', role: 'driver'},
             {email: 'customer@demo.com', password: '123456', role: 'customer'}
         ];
         
@@ -215,6 +218,140 @@ router.post('/register', async (req, res) => {
     }
 });
 
+// ==================== GUEST SESSION ====================
+// Diners who scan the table QR can order with just a name; see guestService
+router.post('/guest', async (req, res) => {
+    try {
+        const { displayName, email, tableToken } = req.body;
+        const tableNumber = parseInt(req.body.tableNumber, 10);
+        
+        // Validate input
+        if (!tableNumber || tableNumber < 1 || !displayName || !String(displayName).trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Table number and your name are required'
+            });
+        }
+        
+        const { session, token } = await guestService.startSession({
+            tableNumber,
+            tableToken,
+            displayName: String(displayName).trim(),
+            email: email ? String(email).toLowerCase().trim() : undefined
+        });
+        
+        console.log('🍽️ Guest session started at table', tableNumber);
+        
+        res.status(201).json({
+            success: true,
+            token,
+            user: guestService.guestProfile(session)
+        });
+        
+    } catch (error) {
+        if (error instanceof guestService.GuestError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(e => e.message).join(', ')
+            });
+        }
+        
+        console.error('❌ Guest session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// ==================== GUEST UPGRADE ====================
+// Turns the guest into a customer account that keeps the session's orders
+router.post('/guest/upgrade', auth, async (req, res) => {
+    try {
+        if (req.userRole !== 'guest') {
+            return res.status(400).json({
+                success: false,
+                message: 'You are already signed in to an account'
+            });
+        }
+        
+        const { firstName, lastName, email, password, phone } = req.body;
+        
+        // Existing accounts only need email and password
+        if (!email || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email and password are required'
+            });
+        }
+        
+        const { user, ordersLinked } = await guestService.upgradeSession(req.userId, {
+            firstName,
+            lastName,
+            email,
+            password,
+            phone
+        });
+        
+        console.log('✅ Guest session upgraded to', user.email, '-', ordersLinked, 'orders linked');
+        
+        res.json({
+            success: true,
+            message: ordersLinked
+                ? `Welcome, ${user.firstName}! Your ${ordersLinked} order${ordersLinked === 1 ? ' is' : 's are'} saved to your account.`
+                : `Welcome, ${user.firstName}!`,
+            token: user.generateAuthToken(),
+            user: {
+                _id: user._id,
+                email: user.email,
+                role: user.role,
+                firstName: user.firstName,
+                lastName: user.lastName,
+                phone: user.phone,
+                avatar: user.avatar
+            },
+            ordersLinked
+        });
+        
+    } catch (error) {
+        if (error instanceof guestService.GuestError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        
+        console.error('❌ Guest upgrade error:', error);
+        
+        let errorMessage = 'Could not create your account. Please try again.';
+        let statusCode = 500;
+        
+        // Handle validation errors
+        if (error.name === 'ValidationError') {
+            errorMessage = Object.values(error.errors).map(e => e.message).join(', ');
+            statusCode = 400;
+        }
+        
+        // Handle duplicate email error
+        if (error.code === 11000) {
+            errorMessage = 'Email already registered. Please login instead.';
+            statusCode = 409;
+        }
+        
+        res.status(statusCode).json({
+            success: false,
+            message: errorMessage
+        });
+    }
+});
+
 // ==================== FORGOT PASSWORD ====================
 router.post('/forgot-password', async (req, res) => {
     try {
@@ -290,6 +427,21 @@ router.get('/me', async (req, res) => {
             });
         }
         
+        if (decoded.isGuest) {
+            return res.json({
+                success: true,
+                user: {
+                    _id: decoded.userId,
+                    email: decoded.email,
+                    role: decoded.role,
+                    firstName: decoded.firstName,
+                    lastName: '',
+                    tableNumber: decoded.tableNumber,
+                    isGuest: true
+                }
+            });
+        }
+        
         // Find user in database
         const user = await User.findById(decoded.userId).select('-password');
         
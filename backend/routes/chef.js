@@ -2,8 +2,24 @@ const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
-const { Order, MenuItem, Table, User } = require('../models');
-const PDFDocument = require('pdfkit');
+const { Order, MenuItem, Table, User, Payment, PrintJob, DiningSession } = require('../models');
+const orderLifecycle = require('../services/orderLifecycle');
+const tableService = require('../services/tableService');
+const diningSessionService = require('../services/diningSessionService');
+const billSplitter = require('../services/billSplitter');
+const promotionService = require('../services/promotionService');
+const paymentService = require('../services/paymentService');
+const restaurantService = require('../services/restaurantService');
+const tipService = require('../services/tipService');
+const { createPDFBill, createShareReceipt } = require('../services/receiptService');
+const { escapeHtml } = require('../services/emailService');
+const escposService = require('../services/escposService');
+const printService = require('../services/printService');
+const stationService = require('../services/stationService');
+const slaMonitor = require('../services/slaMonitor');
+const prepTimeEstimator = require('../services/prepTimeEstimator');
+const courseService = require('../services/courseService');
+const pickupService = require('../services/pickupService');
 const nodemailer = require('nodemailer');
 
 // Middleware to check if user is a chef
@@ -17,106 +33,6 @@ const isChef = (req, res, next) => {
     next();
 };
 
-// Create PDF bill
-const createPDFBill = (order) => {
-    return new Promise((resolve, reject) => {
-        try {
-            const doc = new PDFDocument({ margin: 50 });
-            const chunks = [];
-            
-            doc.on('data', chunk => chunks.push(chunk));
-            doc.on('end', () => {
-                const pdfBuffer = Buffer.concat(chunks);
-                resolve(pdfBuffer);
-            });
-            
-            // Restaurant header
-            doc.fontSize(24).text('SMART WAITER RESTAURANT', { align: 'center' });
-            doc.moveDown(0.5);
-            doc.fontSize(12).text('123 Restaurant Street, Food City', { align: 'center' });
-            doc.fontSize(12).text('Phone: (123) 456-7890 | Email: info@smartwaiter.com', { align: 'center' });
-            doc.moveDown();
-            
-            // Order details
-            doc.fontSize(16).text('ORDER RECEIPT', { align: 'center' });
-            doc.moveDown();
-            
-            doc.fontSize(12);
-            doc.text(`Order Number: ${order.orderNumber}`);
-            doc.text(`Table Number: ${order.tableNumber}`);
-            doc.text(`Customer: ${order.customerName}`);
-            doc.text(`Date: ${new Date(order.createdAt).toLocaleDateString()}`);
-            doc.text(`Time: ${new Date(order.createdAt).toLocaleTimeString()}`);
-            doc.moveDown();
-            
-            // Items table header
-            doc.text('ITEMS', { underline: true });
-            doc.moveDown(0.5);
-            
-            // Items table
-            let yPos = doc.y;
-            doc.font('Helvetica-Bold');
-            doc.text('Item', 50, yPos);
-            doc.text('Qty', 300, yPos);
-            doc.text('Price', 350, yPos);
-            doc.text('Total', 400, yPos);
-            
-            doc.font('Helvetica');
-            yPos += 20;
-            
-            order.items.forEach(item => {
-                doc.text(item.name, 50, yPos, { width: 240 });
-                doc.text(item.quantity.toString(), 300, yPos);
-                doc.text(`$${item.price.toFixed(2)}`, 350, yPos);
-                doc.text(`$${(item.price * item.quantity).toFixed(2)}`, 400, yPos);
-                yPos += 20;
-                
-                // Add special instructions if any
-                if (item.specialInstructions) {
-                    doc.fontSize(10).text(`  Note: ${item.specialInstructions}`, 60, yPos, { width: 280 });
-                    yPos += 20;
-                    doc.fontSize(12);
-                }
-            });
-            
-            doc.moveDown(2);
-            
-            // Totals
-            const totalsY = doc.y;
-            doc.text(`Subtotal:`, 300, totalsY);
-            doc.text(`$${order.subtotal.toFixed(2)}`, 400, totalsY);
-            
-            doc.text(`Tax (10%):`, 300, totalsY + 20);
-            doc.text(`$${order.tax.toFixed(2)}`, 400, totalsY + 20);
-            
-            doc.text(`Service Charge (5%):`, 300, totalsY + 40);
-            doc.text(`$${order.serviceCharge.toFixed(2)}`, 400, totalsY + 40);
-            
-            if (order.discount > 0) {
-                doc.text(`Discount:`, 300, totalsY + 60);
-                doc.text(`-$${order.discount.toFixed(2)}`, 400, totalsY + 60);
-            }
-            
-            doc.font('Helvetica-Bold');
-            doc.text(`Total Amount:`, 300, totalsY + 80);
-            doc.text(`$${order.totalAmount.toFixed(2)}`, 400, totalsY + 80);
-            
-            doc.moveDown(3);
-            doc.font('Helvetica');
-            doc.fontSize(10).text('Thank you for dining with us!', { align: 'center' });
-            doc.text('Please visit us again soon!', { align: 'center' });
-            doc.moveDown();
-            doc.text(`Chef: ${order.chefName || 'Kitchen Staff'}`, { align: 'center' });
-            doc.text(`Order Status: ${order.status.toUpperCase()}`, { align: 'center' });
-            
-            doc.end();
-            
-        } catch (error) {
-            reject(error);
-        }
-    });
-};
-
 // Send email with bill
 const sendBillEmail = async (order, pdfBuffer) => {
     try {
@@ -129,31 +45,36 @@ const sendBillEmail = async (order, pdfBuffer) => {
             }
         });
         
+        const restaurant = await restaurantService.getRestaurantSettings(order.branch);
+        const total = restaurantService.formatMoney(order.totalAmount, restaurant.currency?.symbol);
+        const thanks = restaurant.footerMessage || 'Thank you for dining with us!';
+        
         const mailOptions = {
-            from: `"Smart Waiter Restaurant" <${process.env.EMAIL_USER}>`,
+            from: `"${restaurant.name.replace(/"/g, '')}" <${process.env.EMAIL_USER}>`,
             to: order.customerEmail || 'customer@example.com',
-            subject: `Your Order Receipt - ${order.orderNumber}`,
-            text: `Thank you for dining with us!\n\nOrder Number: ${order.orderNumber}\nTable: ${order.tableNumber}\nTotal: $${order.totalAmount.toFixed(2)}\n\nPlease find your receipt attached.\n\nWe hope to see you again soon!`,
+            subject: `Your ${restaurant.name} Receipt - ${order.orderNumber}`,
+            text: `${thanks}\n\nOrder Number: ${order.orderNumber}\nTable: ${order.tableNumber}\nTotal: ${total}\n\nPlease find your receipt attached.\n\n${restaurant.name}\n${restaurantService.formatAddress(restaurant)}`,
             html: `
                 <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                    <h2 style="color: #2c3e50;">Thank you for dining with us!</h2>
+                    <h2 style="color: #2c3e50;">${escapeHtml(thanks)}</h2>
                     <p>Your order has been completed successfully.</p>
                     
                     <div style="background: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
                         <h3 style="margin-top: 0;">Order Details</h3>
                         <p><strong>Order Number:</strong> ${order.orderNumber}</p>
                         <p><strong>Table Number:</strong> ${order.tableNumber}</p>
-                        <p><strong>Customer Name:</strong> ${order.customerName}</p>
-                        <p><strong>Total Amount:</strong> $${order.totalAmount.toFixed(2)}</p>
+                        <p><strong>Customer Name:</strong> ${escapeHtml(order.customerName)}</p>
+                        <p><strong>Total Amount:</strong> ${total}</p>
                         <p><strong>Status:</strong> ${order.status.toUpperCase()}</p>
-                        <p><strong>Chef:</strong> ${order.chefName || 'Kitchen Staff'}</p>
+                        <p><strong>Chef:</strong> ${escapeHtml(order.chefName || 'Kitchen Staff')}</p>
                     </div>
                     
                     <p>Please find your detailed receipt attached to this email.</p>
                     <p>We hope to see you again soon!</p>
                     <br>
                     <p>Best regards,<br>
-                    <strong>Smart Waiter Restaurant</strong></p>
+                    <strong>${escapeHtml(restaurant.name)}</strong><br>
+                    ${escapeHtml(restaurantService.formatAddress(restaurant))}${restaurant.phone ? `<br>${escapeHtml(restaurant.phone)}` : ''}</p>
                 </div>
             `,
             attachments: [
@@ -179,22 +100,39 @@ const sendBillEmail = async (order, pdfBuffer) => {
 // @access  Private (Chef)
 router.get('/orders', auth, isChef, async (req, res) => {
     try {
-        const { status } = req.query;
+        const { status, station, orderType } = req.query;
         
         let query = {
-            status: { $in: ['pending', 'confirmed', 'preparing', 'ready'] }
+            status: { $in: orderLifecycle.ACTIVE_STATUSES }
         };
         
         if (status) {
             query.status = status;
         }
         
-        const orders = await Order.find(query)
+        if (orderType) {
+            query.orderType = orderType;
+        }
+        
+        // A station only sees orders with items for it
+        if (station) {
+            query['items.station'] = station;
+        }
+        
+        let orders = await Order.find(query)
             .sort({ createdAt: -1 })
             .populate('items.menuItem', 'name category preparationTime')
             .populate('customer', 'firstName lastName email')
             .populate('assignedChef', 'firstName lastName');
         
+        const stations = await stationService.getStations();
+        if (stations.length > 0) {
+            orders = orders.map(order => ({
+                ...(station ? stationService.stationView(order, station) : order.toObject({ virtuals: true })),
+                stationProgress: stationService.stationProgress(order, stations)
+            }));
+        }
+        
         res.json({
             success: true,
             count: orders.length,
@@ -232,16 +170,1356 @@ router.get('/orders/stats', auth, isChef, async (req, res) => {
             preparing: todayOrders.filter(o => o.status === 'preparing').length,
             ready: todayOrders.filter(o => o.status === 'ready').length,
             completed: todayOrders.filter(o => o.status === 'completed').length,
-            totalToday: todayOrders.length
+            totalToday: todayOrders.length,
+            sla: await slaMonitor.slaStats({ from: today, to: tomorrow })
         };
         
         res.json({
             success: true,
-            stats
+            stats
+        });
+        
+    } catch (error) {
+        console.error('Get chef stats error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/chef/orders/:id/confirm
+// @desc    Chef confirms an order without starting preparation
+// @access  Private (Chef)
+router.post('/orders/:id/confirm', auth, isChef, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id);
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        orderLifecycle.transition(order, 'confirmed', {
+            actor: orderLifecycle.actorFromRequest(req),
+            reason: req.body.reason
+        });
+        await order.save();
+        
+        orderLifecycle.emitStatusChange(req.app.get('io'), order);
+        
+        res.json({
+            success: true,
+            message: 'Order confirmed',
+            order: {
+                id: order._id,
+                orderNumber: order.orderNumber,
+                status: order.status,
+                confirmedAt: order.confirmedAt
+            }
+        });
+        
+    } catch (error) {
+        if (error instanceof orderLifecycle.OrderTransitionError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Confirm order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/chef/orders/:id/accept
+// @desc    Chef accepts an order
+// @access  Private (Chef)
+router.post('/orders/:id/accept', auth, isChef, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id);
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        // Update order
+        orderLifecycle.transition(order, 'preparing', {
+            actor: orderLifecycle.actorFromRequest(req),
+            reason: req.body.reason
+        });
+        order.assignedChef = req.user.id;
+        order.chefName = req.user.firstName + ' ' + req.user.lastName;
+        await order.save();
+        
+        // Real-time notification
+        orderLifecycle.emitStatusChange(req.app.get('io'), order, {
+            message: `Chef ${order.chefName} has started preparing your order`
+        });
+        
+        res.json({
+            success: true,
+            message: 'Order accepted and preparation started',
+            order: {
+                id: order._id,
+                orderNumber: order.orderNumber,
+                status: order.status,
+                chefName: order.chefName,
+                preparingAt: order.preparingAt
+            }
+        });
+        
+    } catch (error) {
+        if (error instanceof orderLifecycle.OrderTransitionError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Accept order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/chef/orders/:id/reject
+// @desc    Chef rejects an order with a reason code
+// @access  Private (Chef)
+router.post('/orders/:id/reject', auth, isChef, [
+    check('reasonCode', 'Valid rejection reason is required').isIn(Object.keys(orderLifecycle.REJECTION_REASONS)),
+    check('note', 'Note cannot exceed 200 characters').optional().isLength({ max: 200 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const { reasonCode, note } = req.body;
+        
+        if (reasonCode === 'other' && !note) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please describe the reason when rejecting with "other"'
+            });
+        }
+        
+        const order = await Order.findById(req.params.id);
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        const reasonLabel = orderLifecycle.REJECTION_REASONS[reasonCode];
+        
+        orderLifecycle.transition(order, 'rejected', {
+            actor: orderLifecycle.actorFromRequest(req),
+            reason: note ? `${reasonLabel}: ${note}` : reasonLabel
+        });
+        order.rejection = { code: reasonCode, note };
+        await promotionService.releasePromotion(order);
+        await pickupService.releaseSlot(order);
+        await order.save();
+        
+        // Roll back popularity counters incremented at order time
+        for (const item of order.items) {
+            await MenuItem.updateOne(
+                { _id: item.menuItem, orderCount: { $gte: item.quantity } },
+                { $inc: { orderCount: -item.quantity } }
+            );
+        }
+        
+        const io = req.app.get('io');
+        await tableService.releaseTableIfIdle(order.tableNumber, io, orderLifecycle.actorFromRequest(req));
+        
+        // Tell the table what happened so they can re-order
+        orderLifecycle.emitStatusChange(io, order, {
+            message: `Sorry, your order was rejected: ${reasonLabel}`,
+            reasonCode,
+            reasonLabel,
+            note,
+            items: order.items.map(item => ({
+                menuItem: item.menuItem,
+                name: item.name,
+                price: item.price,
+                quantity: item.quantity
+            }))
+        });
+        
+        res.json({
+            success: true,
+            message: 'Order rejected',
+            order: {
+                id: order._id,
+                orderNumber: order.orderNumber,
+                status: order.status,
+                rejection: order.rejection,
+                rejectedAt: order.rejectedAt
+            }
+        });
+        
+    } catch (error) {
+        if (error instanceof orderLifecycle.OrderTransitionError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Reject order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/chef/orders/:id/complete-prep
+// @desc    Complete preparation and mark as ready
+// @access  Private (Chef)
+router.post('/orders/:id/complete-prep', auth, isChef, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id);
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        // Check if chef is assigned to this order
+        if (order.assignedChef && order.assignedChef.toString() !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this order'
+            });
+        }
+        
+        // Update order (also calculates actual preparation time)
+        orderLifecycle.transition(order, 'ready', {
+            actor: orderLifecycle.actorFromRequest(req),
+            reason: req.body.reason
+        });
+        await order.save();
+        
+        // Real-time notification to ALL chefs
+        const io = req.app.get('io');
+        if (io) {
+            // Notify all chefs
+            io.to('chef-dashboard').emit('order-ready-update', {
+                orderId: order._id,
+                orderNumber: order.orderNumber,
+                tableNumber: order.tableNumber,
+                status: order.status,
+                chefName: order.chefName,
+                timestamp: new Date().toISOString(),
+                message: 'Order is ready for billing!'
+            });
+        }
+        orderLifecycle.emitStatusChange(io, order);
+        
+        res.json({
+            success: true,
+            message: 'Order marked as ready for billing',
+            order: {
+                id: order._id,
+                orderNumber: order.orderNumber,
+                status: order.status,
+                readyAt: order.readyAt,
+                actualPrepTime: order.actualPrepTime
+            }
+        });
+        
+    } catch (error) {
+        if (error instanceof orderLifecycle.OrderTransitionError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Complete prep error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/chef/orders/:id/serve
+// @desc    Mark a ready order as served to the table
+// @access  Private (Chef)
+router.post('/orders/:id/serve', auth, isChef, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id);
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        orderLifecycle.transition(order, 'served', {
+            actor: orderLifecycle.actorFromRequest(req),
+            reason: req.body.reason
+        });
+        await order.save();
+        
+        orderLifecycle.emitStatusChange(req.app.get('io'), order);
+        
+        res.json({
+            success: true,
+            message: 'Order marked as served',
+            order: {
+                id: order._id,
+                orderNumber: order.orderNumber,
+                status: order.status,
+                servedAt: order.servedAt
+            }
+        });
+        
+    } catch (error) {
+        if (error instanceof orderLifecycle.OrderTransitionError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Serve order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/chef/orders/:id/history
+// @desc    Get the status timeline of an order
+// @access  Private (Chef)
+router.get('/orders/:id/history', auth, isChef, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id)
+            .select('orderNumber tableNumber status statusHistory createdAt');
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            orderNumber: order.orderNumber,
+            status: order.status,
+            history: order.statusHistory
+        });
+        
+    } catch (error) {
+        console.error('Get order history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Shared handler for per-item kitchen updates. getTarget picks the new
+// item status from the request and the item's current status.
+const updateOrderItem = async (req, res, getTarget) => {
+    try {
+        const order = await Order.findById(req.params.id);
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        const item = order.items.id(req.params.itemId);
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order item not found'
+            });
+        }
+        
+        const to = getTarget(item.status || 'queued');
+        if (!to) {
+            return res.status(400).json({
+                success: false,
+                message: `${item.name} is already ${item.status}`
+            });
+        }
+        
+        const actor = orderLifecycle.actorFromRequest(req);
+        const change = orderLifecycle.transitionItem(order, item, to, { actor });
+        
+        // First item on the pass claims the order for this chef
+        if (!order.assignedChef && !req.user.isDemo) {
+            order.assignedChef = req.user.id;
+            order.chefName = req.user.firstName + ' ' + req.user.lastName;
+        }
+        
+        const previousStatus = order.status;
+        orderLifecycle.syncStatusWithItems(order, {
+            actor,
+            reason: `${item.name} is ${to}`
+        });
+        await order.save();
+        
+        const io = req.app.get('io');
+        if (io) {
+            const payload = {
+                orderId: order._id,
+                orderNumber: order.orderNumber,
+                tableNumber: order.tableNumber,
+                itemId: item._id,
+                name: item.name,
+                quantity: item.quantity,
+                status: item.status,
+                previousStatus: change.from,
+                orderStatus: order.status,
+                bumpedBy: item.bumpedByName,
+                timestamp: change.at.toISOString()
+            };
+            
+            io.to('role:chef').to('role:admin').emit('order-item-updated', payload);
+            io.to(orderLifecycle.guestRoom(order)).emit('order-item-updated', payload);
+            if (item.station) {
+                io.to(`station:${item.station}`).emit('order-item-updated', payload);
+            }
+            await stationService.emitProgress(io, order);
+        }
+        
+        if (order.status !== previousStatus) {
+            orderLifecycle.emitStatusChange(io, order);
+        }
+        
+        res.json({
+            success: true,
+            message: `${item.name} marked as ${item.status}`,
+            item,
+            order: {
+                id: order._id,
+                orderNumber: order.orderNumber,
+                status: order.status
+            }
+        });
+        
+    } catch (error) {
+        if (error instanceof orderLifecycle.OrderTransitionError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Update order item error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @route   PUT /api/chef/orders/:id/items/:itemId
+// @desc    Set the kitchen status of a single order item
+// @access  Private (Chef)
+router.put('/orders/:id/items/:itemId', auth, isChef, [
+    check('status', 'Valid item status is required').isIn(orderLifecycle.ITEM_STATUSES)
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+    
+    await updateOrderItem(req, res, () => req.body.status);
+});
+
+// @route   POST /api/chef/orders/:id/items/:itemId/bump
+// @desc    Advance a single order item to its next kitchen status
+// @access  Private (Chef)
+router.post('/orders/:id/items/:itemId/bump', auth, isChef, async (req, res) => {
+    await updateOrderItem(req, res, (current) =>
+        orderLifecycle.ITEM_STATUSES[orderLifecycle.ITEM_STATUSES.indexOf(current) + 1]
+    );
+});
+
+// @route   GET /api/chef/stations
+// @desc    Get the kitchen stations, for picking a station view
+// @access  Private (Chef)
+router.get('/stations', auth, isChef, async (req, res) => {
+    try {
+        const stations = await stationService.getStations(req.query.branch);
+        
+        res.json({
+            success: true,
+            count: stations.length,
+            stations: stations.map(station => ({
+                key: station.key,
+                name: station.name,
+                categories: station.categories,
+                isDefault: station.isDefault
+            }))
+        });
+        
+    } catch (error) {
+        console.error('Get stations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/chef/expo
+// @desc    Expeditor view: orders in the kitchen with each station's progress
+// @access  Private (Chef)
+router.get('/expo', auth, isChef, async (req, res) => {
+    try {
+        const orders = await Order.find({ status: { $in: ['pending', 'confirmed', 'preparing', 'ready'] } })
+            .sort({ createdAt: 1 });
+        const stations = await stationService.getStations(req.query.branch);
+        
+        const expo = orders.map(order => ({
+            orderId: order._id,
+            orderNumber: order.orderNumber,
+            tableNumber: order.tableNumber,
+            orderType: order.orderType,
+            pickup: order.pickup,
+            status: order.status,
+            createdAt: order.createdAt,
+            ...stationService.stationProgress(order, stations)
+        }));
+        
+        res.json({
+            success: true,
+            count: expo.length,
+            orders: expo
+        });
+        
+    } catch (error) {
+        console.error('Get expo view error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/chef/scheduled-orders
+// @desc    Get scheduled pickup orders not yet released to the kitchen, soonest first
+// @access  Private (Chef)
+router.get('/scheduled-orders', auth, isChef, async (req, res) => {
+    try {
+        const orders = await Order.find({ status: 'scheduled' })
+            .sort({ 'pickup.releaseAt': 1 })
+            .select('orderNumber orderType customerName items pickup estimatedPrepTime totalAmount specialInstructions createdAt');
+        
+        res.json({
+            success: true,
+            orders
+        });
+        
+    } catch (error) {
+        console.error('Get scheduled orders error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/chef/orders/:id/release
+// @desc    Send a scheduled pickup order to the kitchen ahead of its release time
+// @access  Private (Chef)
+router.post('/orders/:id/release', auth, isChef, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id);
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        pickupService.releaseOrder(order, {
+            actor: orderLifecycle.actorFromRequest(req),
+            reason: 'Released early by the kitchen'
+        });
+        await order.save();
+        
+        pickupService.emitReleased(req.app.get('io'), order);
+        
+        res.json({
+            success: true,
+            message: `Order #${order.orderNumber} sent to the kitchen`,
+            order
+        });
+        
+    } catch (error) {
+        if (error instanceof orderLifecycle.OrderTransitionError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Release order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/chef/orders/:id/courses/:course/fire
+// @desc    Send a held course (e.g. mains) to the kitchen
+// @access  Private (Chef)
+router.post('/orders/:id/courses/:course/fire', auth, isChef, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id);
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        const actor = orderLifecycle.actorFromRequest(req);
+        const previousStatus = order.status;
+        const fired = courseService.fireCourse(order, req.params.course, { actor });
+        
+        // The kitchen timer restarts for the fired course
+        await prepTimeEstimator.applyEstimate(order);
+        await order.save();
+        
+        const io = req.app.get('io');
+        courseService.emitCourseFired(io, order, req.params.course, fired);
+        if (order.status !== previousStatus) {
+            orderLifecycle.emitStatusChange(io, order);
+        }
+        
+        res.json({
+            success: true,
+            message: `${fired.length} ${req.params.course} item(s) fired`,
+            heldCourses: courseService.heldCourses(order),
+            order: {
+                id: order._id,
+                orderNumber: order.orderNumber,
+                status: order.status,
+                estimatedPrepTime: order.estimatedPrepTime
+            }
+        });
+        
+    } catch (error) {
+        if (error instanceof courseService.CourseError || error instanceof orderLifecycle.OrderTransitionError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Fire course error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/chef/orders/:id/stations/:station/bump
+// @desc    Mark all of one station's items on an order cooking, ready or served
+// @access  Private (Chef)
+router.post('/orders/:id/stations/:station/bump', auth, isChef, [
+    check('status', 'Status must be cooking, ready or served').optional().isIn(['cooking', 'ready', 'served'])
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const order = await Order.findById(req.params.id);
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        const to = req.body.status || 'ready';
+        const actor = orderLifecycle.actorFromRequest(req);
+        const bumped = stationService.bumpStation(order, req.params.station, { to, actor });
+        const stationName = bumped[0].stationName || req.params.station;
+        
+        const previousStatus = order.status;
+        orderLifecycle.syncStatusWithItems(order, {
+            actor,
+            reason: `${stationName} items are ${to}`
+        });
+        await order.save();
+        
+        const io = req.app.get('io');
+        if (io) {
+            const payload = {
+                orderId: order._id,
+                orderNumber: order.orderNumber,
+                tableNumber: order.tableNumber,
+                station: req.params.station,
+                itemIds: bumped.map(item => item._id),
+                status: to,
+                orderStatus: order.status,
+                bumpedBy: actor.name,
+                timestamp: new Date().toISOString()
+            };
+            
+            io.to('role:chef').to('role:admin').to(`station:${req.params.station}`).emit('station-bumped', payload);
+            await stationService.emitProgress(io, order);
+        }
+        
+        if (order.status !== previousStatus) {
+            orderLifecycle.emitStatusChange(io, order);
+        }
+        
+        res.json({
+            success: true,
+            message: `${bumped.length} ${stationName} item(s) marked ${to}`,
+            stationProgress: stationService.stationProgress(order, await stationService.getStations(order.branch)),
+            order: {
+                id: order._id,
+                orderNumber: order.orderNumber,
+                status: order.status
+            }
+        });
+        
+    } catch (error) {
+        if (error instanceof stationService.StationError || error instanceof orderLifecycle.OrderTransitionError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Bump station error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/chef/orders/:id/bill
+// @desc    Download bill as PDF
+// @access  Private (Chef)
+router.get('/orders/:id/bill', auth, isChef, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id)
+            .populate('customer', 'firstName lastName email');
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        // Create PDF bill
+        const pdfBuffer = await createPDFBill(order);
+        
+        // Set response headers
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="receipt-${order.orderNumber}.pdf"`);
+        res.setHeader('Content-Length', pdfBuffer.length);
+        
+        res.send(pdfBuffer);
+        
+    } catch (error) {
+        console.error('Download bill error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate bill'
+        });
+    }
+});
+
+const paperCheck = check('paper', 'Paper must be 58mm or 80mm').optional().isIn(Object.keys(escposService.PAPER_SIZES));
+
+// Send raw ESC/POS bytes for the printer driver or a raw print utility
+const sendEscpos = (res, data, filename) => {
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', data.length);
+    res.send(data);
+};
+
+// @route   GET /api/chef/orders/:id/bill/escpos
+// @desc    Download the receipt as raw ESC/POS bytes for a thermal printer
+// @access  Private (Chef)
+router.get('/orders/:id/bill/escpos', auth, isChef, [paperCheck], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const order = await Order.findById(req.params.id);
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        const data = await escposService.createReceipt(order, { paper: req.query.paper });
+        sendEscpos(res, data, `receipt-${order.orderNumber}.bin`);
+        
+    } catch (error) {
+        console.error('Download ESC/POS bill error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate bill'
+        });
+    }
+});
+
+// @route   GET /api/chef/orders/:id/kot/escpos
+// @desc    Download the kitchen order ticket as raw ESC/POS bytes
+// @access  Private (Chef)
+router.get('/orders/:id/kot/escpos', auth, isChef, [
+    paperCheck,
+    check('round', 'Round must be a positive number').optional().isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const order = await Order.findById(req.params.id);
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        const round = req.query.round ? parseInt(req.query.round) : undefined;
+        const data = escposService.renderKitchenTicket(order, {
+            paper: req.query.paper,
+            round,
+            reprint: req.query.reprint === 'true'
+        });
+        sendEscpos(res, data, `kot-${order.orderNumber}${round ? `-r${round}` : ''}.bin`);
+        
+    } catch (error) {
+        console.error('Download kitchen ticket error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate kitchen ticket'
+        });
+    }
+});
+
+// @route   POST /api/chef/orders/:id/print
+// @desc    Queue the receipt or kitchen ticket on a network printer
+// @access  Private (Chef)
+router.post('/orders/:id/print', auth, isChef, [
+    check('type', 'Type must be receipt or kitchen').isIn(['receipt', 'kitchen']),
+    check('printer', 'Invalid printer').optional().isMongoId(),
+    check('round', 'Round must be a positive number').optional().isInt({ min: 1 }),
+    check('reprint', 'reprint must be boolean').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const order = await Order.findById(req.params.id);
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        const options = {
+            printerId: req.body.printer,
+            actor: orderLifecycle.actorFromRequest(req),
+            io: req.app.get('io')
+        };
+        const job = req.body.type === 'kitchen'
+            ? await printService.printKitchenTicket(order, {
+                ...options,
+                round: req.body.round ? parseInt(req.body.round) : undefined,
+                reprint: req.body.reprint === true || req.body.reprint === 'true'
+            })
+            : await printService.printReceipt(order, options);
+        
+        res.status(202).json({
+            success: true,
+            message: `${req.body.type === 'kitchen' ? 'Kitchen ticket' : 'Receipt'} sent to ${job.printerName}`,
+            job: { ...job.toObject(), data: undefined }
+        });
+        
+    } catch (error) {
+        if (error instanceof printService.PrintError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Print order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/chef/print-jobs
+// @desc    Get recent print jobs, newest first
+// @access  Private (Chef)
+router.get('/print-jobs', auth, isChef, async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.order) filter.order = req.query.order;
+        
+        const jobs = await PrintJob.find(filter)
+            .select('-data')
+            .sort({ createdAt: -1 })
+            .limit(50);
+        
+        res.json({
+            success: true,
+            count: jobs.length,
+            jobs
+        });
+        
+    } catch (error) {
+        console.error('Get print jobs error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/chef/print-jobs/:id/retry
+// @desc    Send a failed print job again
+// @access  Private (Chef)
+router.post('/print-jobs/:id/retry', auth, isChef, async (req, res) => {
+    try {
+        const job = await PrintJob.findById(req.params.id);
+        
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Print job not found'
+            });
+        }
+        
+        await printService.retryJob(job, { io: req.app.get('io') });
+        
+        res.json({
+            success: true,
+            message: `Print job queued again on ${job.printerName}`,
+            job: { ...job.toObject(), data: undefined }
+        });
+        
+    } catch (error) {
+        if (error instanceof printService.PrintError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Retry print job error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   PUT /api/chef/orders/:id/items/:itemId/seat
+// @desc    Assign an order item to a seat (used for splitting by seat)
+// @access  Private (Chef)
+router.put('/orders/:id/items/:itemId/seat', auth, isChef, [
+    check('seat', 'Seat must be a positive number or null').optional({ nullable: true }).isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const order = await Order.findById(req.params.id);
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        const item = order.items.id(req.params.itemId);
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order item not found'
+            });
+        }
+        
+        item.seat = req.body.seat ? parseInt(req.body.seat) : undefined;
+        await order.save();
+        
+        res.json({
+            success: true,
+            message: item.seat ? `${item.name} assigned to seat ${item.seat}` : `${item.name} is now shared`,
+            item
+        });
+        
+    } catch (error) {
+        console.error('Assign item seat error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/chef/orders/:id/split
+// @desc    Get the current bill split of an order
+// @access  Private (Chef)
+router.get('/orders/:id/split', auth, isChef, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id);
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            orderNumber: order.orderNumber,
+            totalAmount: order.totalAmount,
+            split: order.billSplit && order.billSplit.mode ? order.billSplit : null,
+            stale: billSplitter.isSplitStale(order)
+        });
+        
+    } catch (error) {
+        console.error('Get bill split error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/chef/orders/:id/split
+// @desc    Split an order's bill by item, by seat or equally
+// @access  Private (Chef)
+router.post('/orders/:id/split', auth, isChef, [
+    check('mode', 'Split mode is required').isIn(billSplitter.SPLIT_MODES),
+    check('count', 'Number of people must be a number').optional().isInt({ min: 2 }),
+    check('assignments', 'Assignments must be a list').optional().isArray()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const order = await Order.findById(req.params.id);
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        if (['cancelled', 'rejected'].includes(order.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot split the bill of a ${order.status} order`
+            });
+        }
+        
+        if (order.billSplit?.shares?.some(share => share.paymentStatus === 'paid')) {
+            return res.status(400).json({
+                success: false,
+                message: 'Some shares are already paid. The split can no longer be changed.'
+            });
+        }
+        
+        if (order.amountPaid > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Payments have already been taken on this order. It can no longer be split.'
+            });
+        }
+        
+        const { mode, count, assignments } = req.body;
+        const shares = billSplitter.splitBill(order, { mode, count, assignments });
+        const actor = orderLifecycle.actorFromRequest(req);
+        
+        order.billSplit = {
+            mode,
+            basedOnTotal: order.totalAmount,
+            createdBy: actor.id,
+            createdByName: actor.name,
+            createdAt: new Date(),
+            shares
+        };
+        await order.save();
+        
+        res.status(201).json({
+            success: true,
+            message: `Bill split into ${shares.length} shares`,
+            split: order.billSplit
+        });
+        
+    } catch (error) {
+        if (error instanceof billSplitter.BillSplitError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Split bill error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   DELETE /api/chef/orders/:id/split
+// @desc    Remove a bill split before any share is paid
+// @access  Private (Chef)
+router.delete('/orders/:id/split', auth, isChef, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id);
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        if (order.billSplit?.shares?.some(share => share.paymentStatus === 'paid')) {
+            return res.status(400).json({
+                success: false,
+                message: 'Some shares are already paid. The split can no longer be removed.'
+            });
+        }
+        
+        order.billSplit = undefined;
+        await order.save();
+        
+        res.json({
+            success: true,
+            message: 'Bill split removed'
+        });
+        
+    } catch (error) {
+        console.error('Remove bill split error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/chef/orders/:id/split/shares/:shareId/pay
+// @desc    Record payment of one share of a split bill
+// @access  Private (Chef)
+router.post('/orders/:id/split/shares/:shareId/pay', auth, isChef, [
+    check('paymentMethod', 'Valid payment method is required').isIn(['cash', 'card', 'upi', 'wallet'])
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const order = await Order.findById(req.params.id);
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        const payment = await paymentService.recordPayment(order, {
+            method: req.body.paymentMethod,
+            shareId: req.params.shareId,
+            reference: req.body.reference,
+            actor: orderLifecycle.actorFromRequest(req)
+        });
+        const share = order.billSplit.shares.id(req.params.shareId);
+        const allPaid = order.billSplit.shares.every(s => s.paymentStatus === 'paid');
+        
+        const io = req.app.get('io');
+        if (io) {
+            io.to(`table:${order.tableNumber}`).to('role:chef').emit('bill-share-paid', {
+                orderId: order._id,
+                orderNumber: order.orderNumber,
+                shareId: share._id,
+                label: share.label,
+                total: share.total,
+                allPaid,
+                timestamp: new Date().toISOString()
+            });
+        }
+        paymentService.emitPaymentUpdate(io, order, payment);
+        
+        res.json({
+            success: true,
+            message: allPaid ? 'All shares paid' : `${share.label} paid`,
+            share,
+            payment,
+            allPaid
+        });
+        
+    } catch (error) {
+        if (error instanceof paymentService.PaymentError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Pay bill share error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/chef/orders/:id/split/shares/:shareId/receipt
+// @desc    Download the PDF receipt for one share of a split bill
+// @access  Private (Chef)
+router.get('/orders/:id/split/shares/:shareId/receipt', auth, isChef, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id);
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        const share = order.billSplit?.shares?.id(req.params.shareId);
+        if (!share) {
+            return res.status(404).json({
+                success: false,
+                message: 'Bill share not found'
+            });
+        }
+        
+        const pdfBuffer = await createShareReceipt(order, share);
+        const fileLabel = share.label.replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+        
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="receipt-${order.orderNumber}-${fileLabel}.pdf"`);
+        res.setHeader('Content-Length', pdfBuffer.length);
+        
+        res.send(pdfBuffer);
+        
+    } catch (error) {
+        console.error('Download share receipt error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate receipt'
+        });
+    }
+});
+
+// @route   GET /api/chef/orders/:id/payments
+// @desc    Get the payments taken against an order and the balance due
+// @access  Private (Chef)
+router.get('/orders/:id/payments', auth, isChef, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id)
+            .select('orderNumber tableNumber status branch subtotal discount tip tipPercent tipSource totalAmount amountPaid amountRefunded paymentStatus paidAt');
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        const payments = await Payment.find({ order: order._id }).sort({ createdAt: 1 });
+        
+        res.json({
+            success: true,
+            orderNumber: order.orderNumber,
+            totalAmount: order.totalAmount,
+            amountPaid: order.amountPaid,
+            amountRefunded: order.amountRefunded,
+            balanceDue: order.balanceDue,
+            paymentStatus: order.paymentStatus,
+            tipping: await tipService.tipOptions(order),
+            payments
         });
         
     } catch (error) {
-        console.error('Get chef stats error:', error);
+        console.error('Get order payments error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -249,11 +1527,23 @@ router.get('/orders/stats', auth, isChef, async (req, res) => {
     }
 });
 
-// @route   POST /api/chef/orders/:id/accept
-// @desc    Chef accepts an order
+// @route   POST /api/chef/orders/:id/payments
+// @desc    Record a cash, card or UPI payment taken at the table or counter
 // @access  Private (Chef)
-router.post('/orders/:id/accept', auth, isChef, async (req, res) => {
+router.post('/orders/:id/payments', auth, isChef, [
+    check('method', 'Valid payment method is required').isIn(['cash', 'card', 'upi', 'wallet']),
+    check('amount', 'Amount must be a positive number').optional().isFloat({ gt: 0 }),
+    check('reference', 'Reference cannot exceed 100 characters').optional().isString().isLength({ max: 100 })
+], async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
         const order = await Order.findById(req.params.id);
         
         if (!order) {
@@ -263,53 +1553,35 @@ router.post('/orders/:id/accept', auth, isChef, async (req, res) => {
             });
         }
         
-        if (order.status !== 'pending' && order.status !== 'confirmed') {
-            return res.status(400).json({
-                success: false,
-                message: `Order cannot be accepted in ${order.status} status`
-            });
-        }
-        
-        // Update order
-        order.status = 'preparing';
-        order.assignedChef = req.user.id;
-        order.chefName = req.user.firstName + ' ' + req.user.lastName;
-        order.preparingAt = new Date();
-        await order.save();
+        const { method, amount, reference, shareId } = req.body;
+        const payment = await paymentService.recordPayment(order, {
+            method,
+            amount: amount !== undefined ? parseFloat(amount) : undefined,
+            shareId,
+            reference,
+            actor: orderLifecycle.actorFromRequest(req)
+        });
         
-        // Real-time notification
-        const io = req.app.get('io');
-        if (io) {
-            io.emit('order-status-update', {
-                orderId: order._id,
-                orderNumber: order.orderNumber,
-                status: order.status,
-                chefName: order.chefName,
-                timestamp: new Date().toISOString()
-            });
-            
-            // Notify specific table
-            io.to(`table:${order.tableNumber}`).emit('order-updated', {
-                message: `Chef ${order.chefName} has started preparing your order`,
-                status: order.status,
-                orderId: order._id
-            });
-        }
+        paymentService.emitPaymentUpdate(req.app.get('io'), order, payment);
         
-        res.json({
+        res.status(201).json({
             success: true,
-            message: 'Order accepted and preparation started',
-            order: {
-                id: order._id,
-                orderNumber: order.orderNumber,
-                status: order.status,
-                chefName: order.chefName,
-                preparingAt: order.preparingAt
-            }
+            message: order.paymentStatus === 'paid'
+                ? 'Payment recorded. The order is fully paid.'
+                : `Payment recorded. Balance due: $${order.balanceDue.toFixed(2)}`,
+            payment,
+            paymentStatus: order.paymentStatus,
+            balanceDue: order.balanceDue
         });
         
     } catch (error) {
-        console.error('Accept order error:', error);
+        if (error instanceof paymentService.PaymentError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Record payment error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -317,82 +1589,58 @@ router.post('/orders/:id/accept', auth, isChef, async (req, res) => {
     }
 });
 
-// @route   POST /api/chef/orders/:id/complete-prep
-// @desc    Complete preparation and mark as ready
+// @route   PUT /api/chef/orders/:id/tip
+// @desc    Set the tip on a bill, or override the automatic gratuity
 // @access  Private (Chef)
-router.post('/orders/:id/complete-prep', auth, isChef, async (req, res) => {
+router.put('/orders/:id/tip', auth, isChef, [
+    check('percent', 'Tip percentage must be between 0 and 100').optional().isFloat({ min: 0, max: 100 }),
+    check('amount', 'Tip amount cannot be negative').optional().isFloat({ min: 0 })
+], async (req, res) => {
     try {
-        const order = await Order.findById(req.params.id);
-        
-        if (!order) {
-            return res.status(404).json({
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
                 success: false,
-                message: 'Order not found'
+                errors: errors.array()
             });
         }
         
-        if (order.status !== 'preparing' && order.status !== 'confirmed') {
-    return res.status(400).json({
-        success: false,
-        message: `Order cannot be completed in ${order.status} status`
-    });
-}
+        const order = await Order.findById(req.params.id);
         
-        // Check if chef is assigned to this order
-        if (order.assignedChef && order.assignedChef.toString() !== req.user.id) {
-            return res.status(403).json({
+        if (!order) {
+            return res.status(404).json({
                 success: false,
-                message: 'Not authorized to update this order'
+                message: 'Order not found'
             });
         }
         
-        // Update order
-        order.status = 'ready';
-        order.readyAt = new Date();
-        
-        // Calculate actual preparation time
-        if (order.preparingAt) {
-            order.actualPrepTime = Math.round((order.readyAt - order.preparingAt) / 60000); // minutes
-        }
-        
-        await order.save();
+        const { percent, amount } = req.body;
+        await tipService.setTip(order, {
+            percent: percent !== undefined ? parseFloat(percent) : undefined,
+            amount: amount !== undefined ? parseFloat(amount) : undefined,
+            actor: orderLifecycle.actorFromRequest(req)
+        });
         
-        // Real-time notification to ALL chefs
-        const io = req.app.get('io');
-        if (io) {
-            // Notify all chefs
-            io.to('chef-dashboard').emit('order-ready-update', {
-                orderId: order._id,
-                orderNumber: order.orderNumber,
-                tableNumber: order.tableNumber,
-                status: order.status,
-                chefName: order.chefName,
-                timestamp: new Date().toISOString(),
-                message: 'Order is ready for billing!'
-            });
-            
-            // Notify specific table
-            io.to(`table:${order.tableNumber}`).emit('order-ready', {
-                message: 'Your order is ready! Please wait for server.',
-                status: order.status,
-                orderId: order._id
-            });
-        }
+        tipService.emitTipUpdate(req.app.get('io'), order);
         
         res.json({
             success: true,
-            message: 'Order marked as ready for billing',
-            order: {
-                id: order._id,
-                orderNumber: order.orderNumber,
-                status: order.status,
-                readyAt: order.readyAt,
-                actualPrepTime: order.actualPrepTime
-            }
+            message: `Tip set to $${order.tip.toFixed(2)}. Balance due: $${order.balanceDue.toFixed(2)}`,
+            tip: order.tip,
+            tipPercent: order.tipPercent,
+            tipSource: order.tipSource,
+            totalAmount: order.totalAmount,
+            balanceDue: order.balanceDue
         });
         
     } catch (error) {
-        console.error('Complete prep error:', error);
+        if (error instanceof tipService.TipError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Set tip error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -400,13 +1648,12 @@ router.post('/orders/:id/complete-prep', auth, isChef, async (req, res) => {
     }
 });
 
-// @route   GET /api/chef/orders/:id/bill
-// @desc    Download bill as PDF
+// @route   DELETE /api/chef/orders/:id/tip
+// @desc    Remove a hand-set tip; the automatic gratuity applies again if due
 // @access  Private (Chef)
-router.get('/orders/:id/bill', auth, isChef, async (req, res) => {
+router.delete('/orders/:id/tip', auth, isChef, async (req, res) => {
     try {
-        const order = await Order.findById(req.params.id)
-            .populate('customer', 'firstName lastName email');
+        const order = await Order.findById(req.params.id);
         
         if (!order) {
             return res.status(404).json({
@@ -415,21 +1662,32 @@ router.get('/orders/:id/bill', auth, isChef, async (req, res) => {
             });
         }
         
-        // Create PDF bill
-        const pdfBuffer = await createPDFBill(order);
+        await tipService.clearTip(order, { actor: orderLifecycle.actorFromRequest(req) });
         
-        // Set response headers
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `attachment; filename="receipt-${order.orderNumber}.pdf"`);
-        res.setHeader('Content-Length', pdfBuffer.length);
+        tipService.emitTipUpdate(req.app.get('io'), order);
         
-        res.send(pdfBuffer);
+        res.json({
+            success: true,
+            message: order.tipSource === 'auto'
+                ? `Automatic gratuity of $${order.tip.toFixed(2)} applied`
+                : 'Tip removed',
+            tip: order.tip,
+            tipSource: order.tipSource,
+            totalAmount: order.totalAmount,
+            balanceDue: order.balanceDue
+        });
         
     } catch (error) {
-        console.error('Download bill error:', error);
+        if (error instanceof tipService.TipError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Remove tip error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to generate bill'
+            message: 'Server error'
         });
     }
 });
@@ -449,12 +1707,12 @@ router.post('/orders/:id/final-complete', auth, isChef, async (req, res) => {
             });
         }
         
-        if (order.status !== 'ready') {
-            return res.status(400).json({
-                success: false,
-                message: `Order cannot be completed in ${order.status} status`
-            });
+        // A ready order is served and completed in one step
+        const actor = orderLifecycle.actorFromRequest(req);
+        if (order.status === 'ready') {
+            orderLifecycle.transition(order, 'served', { actor, reason: req.body.reason });
         }
+        orderLifecycle.transition(order, 'completed', { actor, reason: req.body.reason });
         
         // Create PDF bill first
         const pdfBuffer = await createPDFBill(order);
@@ -469,57 +1727,15 @@ router.post('/orders/:id/final-complete', auth, isChef, async (req, res) => {
             }
         }
         
-        // Update order
-        order.status = 'completed';
-        order.completedAt = new Date();
-        order.servedAt = new Date();
         await order.save();
         
         // Update table status
-        const activeOrder = await Order.findOne({
-            tableNumber: order.tableNumber,
-            status: { $nin: ['completed', 'cancelled', 'rejected'] }
-        });
-        
-        if (!activeOrder) {
-            const table = await Table.findOne({ tableNumber: order.tableNumber });
-            if (table) {
-                table.status = 'available';
-                table.currentOrder = null;
-                table.currentCustomer = null;
-                table.customerName = null;
-                await table.save();
-                
-                // Notify table is available
-                const io = req.app.get('io');
-                if (io) {
-                    io.emit('table-updated', {
-                        tableNumber: table.tableNumber,
-                        status: table.status
-                    });
-                }
-            }
-        }
+        await tableService.releaseTableIfIdle(order.tableNumber, req.app.get('io'), actor);
         
         // Real-time notification
-        const io = req.app.get('io');
-        if (io) {
-            // Notify customer
-            io.to(`table:${order.tableNumber}`).emit('order-completed', {
-                message: 'Thank you for dining with us! Your bill has been sent to your email.',
-                status: order.status,
-                orderId: order._id
-            });
-            
-            // Notify chefs
-            io.emit('order-status-update', {
-                orderId: order._id,
-                orderNumber: order.orderNumber,
-                status: order.status,
-                message: 'Order completed successfully',
-                timestamp: new Date().toISOString()
-            });
-        }
+        orderLifecycle.emitStatusChange(req.app.get('io'), order, {
+            message: 'Thank you for dining with us! Your bill has been sent to your email.'
+        });
         
         res.json({
             success: true,
@@ -533,6 +1749,12 @@ router.post('/orders/:id/final-complete', auth, isChef, async (req, res) => {
         });
         
     } catch (error) {
+        if (error instanceof orderLifecycle.OrderTransitionError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
         console.error('Final complete error:', error);
         res.status(500).json({
             success: false,
@@ -541,6 +1763,152 @@ router.post('/orders/:id/final-complete', auth, isChef, async (req, res) => {
     }
 });
 
+// Shared error handling for the table move/merge routes
+const handleTableMoveError = (res, error, label) => {
+    if (error instanceof tableService.TableServiceError ||
+        error instanceof orderLifecycle.OrderTransitionError) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message
+        });
+    }
+    console.error(`${label} error:`, error);
+    res.status(500).json({
+        success: false,
+        message: 'Server error'
+    });
+};
+
+// @route   POST /api/chef/tables/:tableNumber/transfer
+// @desc    Move a table's active orders to another available table
+// @access  Private (Chef/Admin)
+router.post('/tables/:tableNumber/transfer', auth, isChef, [
+    check('tableNumber', 'Table number is required').isInt({ min: 1 }),
+    check('toTable', 'Destination table number is required').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const fromTable = parseInt(req.params.tableNumber);
+        const toTable = parseInt(req.body.toTable);
+
+        const result = await tableService.transferTable(
+            fromTable,
+            toTable,
+            orderLifecycle.actorFromRequest(req),
+            req.app.get('io')
+        );
+
+        res.json({
+            success: true,
+            message: `Table ${fromTable} moved to table ${toTable}`,
+            orders: result.orders,
+            tables: [result.fromTable, result.toTable]
+        });
+
+    } catch (error) {
+        handleTableMoveError(res, error, 'Transfer table');
+    }
+});
+
+// @route   POST /api/chef/tables/merge
+// @desc    Merge one table's active orders into another table's bill
+// @access  Private (Chef/Admin)
+router.post('/tables/merge', auth, isChef, [
+    check('sourceTable', 'Source table number is required').isInt({ min: 1 }),
+    check('targetTable', 'Target table number is required').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const sourceTable = parseInt(req.body.sourceTable);
+        const targetTable = parseInt(req.body.targetTable);
+
+        const result = await tableService.mergeTables(
+            sourceTable,
+            targetTable,
+            orderLifecycle.actorFromRequest(req),
+            req.app.get('io')
+        );
+
+        res.json({
+            success: true,
+            message: `Table ${sourceTable} merged into table ${targetTable}`,
+            order: result.order,
+            mergedOrders: result.mergedOrders.map(order => order._id),
+            tables: [result.fromTable, result.toTable]
+        });
+
+    } catch (error) {
+        handleTableMoveError(res, error, 'Merge tables');
+    }
+});
+
+// @route   GET /api/chef/tables/:tableNumber/session
+// @desc    Get the visit at a table: guests, orders, service requests, payments
+// @access  Private (Chef/Admin)
+router.get('/tables/:tableNumber/session', auth, isChef, async (req, res) => {
+    try {
+        const table = await Table.findOne({ tableNumber: parseInt(req.params.tableNumber) });
+        const session = table?.currentSession && await DiningSession.findById(table.currentSession);
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: `Table ${req.params.tableNumber} is not seated`
+            });
+        }
+
+        res.json({
+            success: true,
+            ...(await diningSessionService.sessionDetail(session))
+        });
+
+    } catch (error) {
+        console.error('Get table session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/chef/tables/:tableNumber/clear
+// @desc    Clear a table once the party has left, closing its visit
+// @access  Private (Chef/Admin)
+router.post('/tables/:tableNumber/clear', auth, isChef, async (req, res) => {
+    try {
+        const tableNumber = parseInt(req.params.tableNumber);
+
+        const { session } = await tableService.clearTable(
+            tableNumber,
+            orderLifecycle.actorFromRequest(req),
+            req.app.get('io')
+        );
+
+        res.json({
+            success: true,
+            message: `Table ${tableNumber} is free`,
+            session
+        });
+
+    } catch (error) {
+        handleTableMoveError(res, error, 'Clear table');
+    }
+});
+
 // @route   GET /api/chef/service-requests
 // @desc    Get service requests for chef
 // @access  Private (Chef)
@@ -792,7 +2160,9 @@ router.post('/orders/new', auth, isChef, [
     check('items.*.itemId', 'Item ID is required').not().isEmpty(),
     check('items.*.name', 'Item name is required').not().isEmpty(),
     check('items.*.price', 'Price must be at least 0').isFloat({ min: 0 }),
-    check('items.*.quantity', 'Quantity must be at least 1').isInt({ min: 1 })
+    check('items.*.quantity', 'Quantity must be at least 1').isInt({ min: 1 }),
+    check('partySize', 'Party size must be at least 1').optional().isInt({ min: 1 }),
+    check('promoCode', 'Promo code must be text').optional().isString().trim()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -804,7 +2174,7 @@ router.post('/orders/new', auth, isChef, [
             });
         }
         
-        const { tableNumber, items, specialInstructions, customerName, customerEmail } = req.body;
+        const { tableNumber, items, specialInstructions, customerName, customerEmail, partySize, promoCode } = req.body;
         
         console.log('Creating new order for table:', tableNumber);
         console.log('Items:', items);
@@ -861,57 +2231,58 @@ router.post('/orders/new', auth, isChef, [
                 price: item.price,
                 quantity: item.quantity,
                 specialInstructions: item.specialInstructions || '',
-                itemTotal
+                itemTotal,
+                category: menuItem.category,
+                taxCategory: menuItem.taxCategory
             });
-            
-            // Increment order count
-            menuItem.orderCount += item.quantity;
-            await menuItem.save();
         }
         
-        // Calculate estimated prep time (simplified)
-        const estimatedPrepTime = 15; // Default 15 minutes
-        
-        // Get next order number
-        const lastOrder = await Order.findOne().sort({ orderNumber: -1 });
-        const orderNumber = lastOrder ? lastOrder.orderNumber + 1 : 1000;
-        
-        // Calculate totals
-        const subtotal = totalAmount;
-        const tax = subtotal * 0.1; // 10% tax
-        const serviceCharge = subtotal * 0.05; // 5% service charge
-        const finalTotal = subtotal + tax + serviceCharge;
+        const session = await diningSessionService.sessionForTable(table);
         
         // Create order
+        // Order number is assigned by the model from the walk-in sequence
         const order = new Order({
-            orderNumber,
             tableNumber,
+            diningSession: session._id,
             customerName: customerName || 'Walk-in Customer',
             customerEmail: customerEmail || null,
             items: orderItems,
-            subtotal,
-            tax,
-            serviceCharge,
-            totalAmount: finalTotal,
+            // Tax and service charge are applied by the model from the tax settings
+            subtotal: totalAmount,
+            totalAmount,
+            partySize: partySize ? parseInt(partySize) : undefined,
             paymentMethod: 'pending',
             specialInstructions: specialInstructions || '',
-            estimatedPrepTime,
             status: 'pending',
             assignedChef: req.user.id,
             chefName: req.user.firstName + ' ' + req.user.lastName,
             orderType: 'walk-in'
         });
         
-        console.log('Saving order...');
-        await order.save();
-        console.log('Order saved:', order._id);
+        try {
+            await promotionService.applyPromotion(order, promoCode);
+            await courseService.assignCourses(order);
+            await prepTimeEstimator.applyEstimate(order);
+            
+            console.log('Saving order...');
+            await order.save();
+            console.log('Order saved:', order._id);
+        } catch (error) {
+            // Don't use up the promotion on an order that wasn't placed
+            await promotionService.releasePromotion(order);
+            throw error;
+        }
         
-        // Update table status
-        table.status = 'occupied';
-        table.currentOrder = order._id;
-        table.customerName = customerName || 'Walk-in Customer';
-        table.occupiedAt = new Date();
-        await table.save();
+        // Increment order counts once the order is accepted
+        for (const item of orderItems) {
+            await MenuItem.updateOne({ _id: item.menuItem }, { $inc: { orderCount: item.quantity } });
+        }
+        
+        // Seat the table
+        await diningSessionService.seatOrder(session, table, order, {
+            name: order.customerName,
+            partySize: order.partySize
+        });
         console.log('Table updated');
         
         // Real-time notification
@@ -927,6 +2298,7 @@ router.post('/orders/new', auth, isChef, [
                 estimatedPrepTime: order.estimatedPrepTime,
                 timestamp: new Date().toISOString()
             });
+            stationService.emitTickets(io, order);
         }
         
         res.status(201).json({
@@ -937,14 +2309,23 @@ router.post('/orders/new', auth, isChef, [
                 orderNumber: order.orderNumber,
                 tableNumber: order.tableNumber,
                 items: order.items,
+                discount: order.discount,
+                promotion: order.promotion?.name,
                 totalAmount: order.totalAmount,
                 status: order.status,
                 estimatedPrepTime: order.estimatedPrepTime,
+                estimatedReadyAt: order.estimatedReadyAt,
                 createdAt: order.createdAt
             }
         });
         
     } catch (error) {
+        if (error instanceof promotionService.PromotionError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
         console.error('Create new order error:', error);
         console.error('Error details:', error.message);
         console.error('Error stack:', error.stack);
@@ -983,7 +2364,7 @@ router.get('/dashboard-stats', auth, isChef, async (req, res) => {
         
         // Get recent orders (last 5)
         const recentOrders = await Order.find({
-            status: { $in: ['pending', 'confirmed', 'preparing', 'ready'] }
+            status: { $in: orderLifecycle.ACTIVE_STATUSES }
         })
         .sort({ createdAt: -1 })
         .limit(5)
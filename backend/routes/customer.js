@@ -2,7 +2,100 @@ const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
-const { MenuItem, Order, Table, User } = require('../models');
+const { MenuItem, Order, Table, User, Payment, Reservation } = require('../models');
+const orderLifecycle = require('../services/orderLifecycle');
+const tableService = require('../services/tableService');
+const promotionService = require('../services/promotionService');
+const paymentService = require('../services/paymentService');
+const tipService = require('../services/tipService');
+const restaurantService = require('../services/restaurantService');
+const stationService = require('../services/stationService');
+const prepTimeEstimator = require('../services/prepTimeEstimator');
+const courseService = require('../services/courseService');
+const pickupService = require('../services/pickupService');
+const deliveryService = require('../services/deliveryService');
+const tableQrService = require('../services/tableQrService');
+const diningSessionService = require('../services/diningSessionService');
+const tableCartService = require('../services/tableCartService');
+const reservationService = require('../services/reservationService');
+const { ownTableOnly, accountRequired } = require('../middleware/guest');
+
+// Whether the requesting user (or guest session) placed the order
+const isOrderOwner = (req, order) => {
+    if (req.userRole === 'guest') {
+        return !!order.guestSession && order.guestSession.toString() === req.userId;
+    }
+    return req.userId.includes('@demo.com')
+        ? order.customerEmail === req.userId
+        : !!order.customer && order.customer.toString() === req.userId;
+};
+
+// Whether the requesting user placed the order or is staff
+const canAccessOrder = (req, order) =>
+    isOrderOwner(req, order) || req.userRole === 'admin' || req.userRole === 'chef';
+
+// Who a new order belongs to: a User, a demo account or a guest session.
+// Returns null if the signed-in user no longer exists.
+const orderCustomer = async (req) => {
+    if (req.userRole === 'guest') {
+        return {
+            customer: null,
+            guestSession: req.userId,
+            customerName: req.user.firstName,
+            customerEmail: req.user.email
+        };
+    }
+
+    if (req.userId.includes('@demo.com')) {
+        return {
+            customer: null,
+            customerName: req.user.firstName + ' ' + req.user.lastName,
+            customerEmail: req.userId
+        };
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user) return null;
+
+    return {
+        customer: user._id,
+        customerName: user.firstName + ' ' + user.lastName,
+        customerEmail: user.email
+    };
+};
+
+const tableTokenCheck = check('tableToken', 'Please scan the QR code on your table to order').isString();
+
+// Only someone who scanned the table's QR code can order for it
+const rejectUnscannedTable = (res, table, tableToken) => {
+    if (tableQrService.verifyTableToken(table, tableToken)) return false;
+    res.status(403).json({
+        success: false,
+        message: 'This table link is out of date. Please scan the QR code on your table to order.'
+    });
+    return true;
+};
+
+// @route   GET /api/customer/restaurant
+// @desc    Get the restaurant's name, contact details, branding and opening hours
+// @access  Public
+router.get('/restaurant', async (req, res) => {
+    try {
+        const settings = await restaurantService.getRestaurantSettings(req.query.branch);
+        
+        res.json({
+            success: true,
+            restaurant: restaurantService.publicProfile(settings)
+        });
+        
+    } catch (error) {
+        console.error('Get restaurant profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
 
 // @route   GET /api/customer/menu
 // @desc    Get available menu items
@@ -81,15 +174,60 @@ router.get('/menu/:id', async (req, res) => {
     }
 });
 
-// @route   POST /api/customer/order
-// @desc    Place a new order
-// @access  Private
-router.post('/order', auth, [
-    check('tableNumber', 'Table number is required').isInt({ min: 1 }),
-    check('items', 'Items are required').isArray({ min: 1 }),
-    check('items.*.menuItem', 'Menu item ID is required').not().isEmpty(),
-    check('items.*.quantity', 'Quantity must be at least 1').isInt({ min: 1 })
-], async (req, res) => {
+// Resolve requested items against the menu. Returns { error } if any item
+// is missing or unavailable, otherwise the priced order items. Menu item
+// discounts are applied to the price charged.
+const buildOrderItems = async (items, round = 1) => {
+    const resolved = [];
+    
+    for (const item of items) {
+        const menuItem = await MenuItem.findById(item.menuItem);
+        
+        if (!menuItem) {
+            return { error: `Menu item ${item.menuItem} not found` };
+        }
+        
+        if (!menuItem.available) {
+            return { error: `${menuItem.name} is currently unavailable` };
+        }
+        
+        resolved.push({ menuItem, item });
+    }
+    
+    const orderItems = [];
+    let totalAmount = 0;
+    
+    for (const { menuItem, item } of resolved) {
+        const price = Math.round(menuItem.discountedPrice * 100) / 100;
+        const itemTotal = price * item.quantity;
+        totalAmount += itemTotal;
+        
+        orderItems.push({
+            menuItem: menuItem._id,
+            name: menuItem.name,
+            price,
+            quantity: item.quantity,
+            specialInstructions: item.specialInstructions || '',
+            itemTotal,
+            category: menuItem.category,
+            taxCategory: menuItem.taxCategory,
+            round,
+            seat: item.seat ? parseInt(item.seat) : undefined
+        });
+    }
+    
+    return { orderItems, totalAmount };
+};
+
+// Popularity counters are only bumped once the order is accepted
+const recordItemOrders = (orderItems) =>
+    Promise.all(orderItems.map(item =>
+        MenuItem.updateOne({ _id: item.menuItem }, { $inc: { orderCount: item.quantity } })
+    ));
+
+// Place a dine-in order for a table; used by POST /order and by the table
+// cart submit
+const placeTableOrder = async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -99,27 +237,15 @@ router.post('/order', auth, [
             });
         }
         
-        const { tableNumber, items, specialInstructions, paymentMethod } = req.body;
+        const { tableNumber, tableToken, items, specialInstructions, paymentMethod, partySize, promoCode } = req.body;
         
         // Get user info
-        let user;
-        let customerEmail, customerName;
-        
-        if (req.userId.includes('@demo.com')) {
-            // Demo user
-            customerEmail = req.userId;
-            customerName = req.user.firstName + ' ' + req.user.lastName;
-        } else {
-            // Database user
-            user = await User.findById(req.userId);
-            if (!user) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'User not found'
-                });
-            }
-            customerEmail = user.email;
-            customerName = user.firstName + ' ' + user.lastName;
+        const owner = await orderCustomer(req);
+        if (!owner) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
         }
         
         // Check table availability
@@ -131,6 +257,8 @@ router.post('/order', auth, [
             });
         }
         
+        if (rejectUnscannedTable(res, table, tableToken)) return;
+        
         if (table.status !== 'available' && table.status !== 'occupied') {
             return res.status(400).json({
                 success: false,
@@ -139,69 +267,53 @@ router.post('/order', auth, [
         }
         
         // Get menu items and validate
-        const orderItems = [];
-        let totalAmount = 0;
-        
-        for (const item of items) {
-            const menuItem = await MenuItem.findById(item.menuItem);
-            
-            if (!menuItem) {
-                return res.status(400).json({
-                    success: false,
-                    message: `Menu item ${item.menuItem} not found`
-                });
-            }
-            
-            if (!menuItem.available) {
-                return res.status(400).json({
-                    success: false,
-                    message: `${menuItem.name} is currently unavailable`
-                });
-            }
-            
-            const itemTotal = menuItem.price * item.quantity;
-            totalAmount += itemTotal;
-            
-            orderItems.push({
-                menuItem: menuItem._id,
-                name: menuItem.name,
-                price: menuItem.price,
-                quantity: item.quantity,
-                specialInstructions: item.specialInstructions || '',
-                itemTotal
+        const { error: itemsError, orderItems, totalAmount } = await buildOrderItems(items);
+        if (itemsError) {
+            return res.status(400).json({
+                success: false,
+                message: itemsError
             });
-            
-            // Increment order count
-            menuItem.orderCount += item.quantity;
-            await menuItem.save();
         }
         
+        // Join the table's visit, or start one when this order is saved
+        const session = await diningSessionService.sessionForTable(table);
+        
         // Create order
         const order = new Order({
             tableNumber,
-            customer: req.userId.includes('@demo.com') ? null : req.userId,
-            customerName,
-            customerEmail,
+            diningSession: session._id,
+            ...owner,
             items: orderItems,
             subtotal: totalAmount,
             totalAmount,
             paymentMethod: paymentMethod || 'pending',
             specialInstructions,
-            estimatedPrepTime: Math.max(...orderItems.map(item => {
-                const prepTime = item.quantity * 10; // 10 minutes per item
-                return Math.min(prepTime, 60); // Max 60 minutes
-            }))
+            partySize: partySize ? parseInt(partySize) : undefined
         });
         
-        await order.save();
-        
-        // Update table status
-        table.status = 'occupied';
-        table.currentOrder = order._id;
-        table.currentCustomer = req.userId.includes('@demo.com') ? null : req.userId;
-        table.customerName = customerName;
-        table.occupiedAt = new Date();
-        await table.save();
+        // Hold later courses, then estimate what goes to the kitchen now from
+        // learned dish times plus the wait behind the current queue
+        await courseService.assignCourses(order);
+        await prepTimeEstimator.applyEstimate(order);
+        
+        // Promo code, or the best automatic promotion (e.g. happy hour)
+        try {
+            await promotionService.applyPromotion(order, promoCode);
+            await order.save();
+        } catch (error) {
+            // Don't use up the promotion on an order that wasn't placed
+            await promotionService.releasePromotion(order);
+            throw error;
+        }
+        await recordItemOrders(orderItems);
+        
+        // Seat the table
+        await diningSessionService.seatOrder(session, table, order, {
+            customer: owner.customer,
+            guestSession: owner.guestSession,
+            name: owner.customerName,
+            partySize: order.partySize
+        });
         
         // Real-time notification
         const io = req.app.get('io');
@@ -215,86 +327,1135 @@ router.post('/order', auth, [
                 estimatedPrepTime: order.estimatedPrepTime,
                 timestamp: new Date().toISOString()
             });
-            
-            io.to('role:admin').emit('order-placed', {
-                orderId: order._id,
-                orderNumber: order.orderNumber,
-                tableNumber: order.tableNumber,
-                totalAmount: order.totalAmount,
-                customerName: order.customerName,
-                timestamp: new Date().toISOString()
+            
+            io.to('role:admin').emit('order-placed', {
+                orderId: order._id,
+                orderNumber: order.orderNumber,
+                tableNumber: order.tableNumber,
+                totalAmount: order.totalAmount,
+                customerName: order.customerName,
+                timestamp: new Date().toISOString()
+            });
+            
+            stationService.emitTickets(io, order);
+        }
+        
+        res.status(201).json({
+            success: true,
+            message: 'Order placed successfully!',
+            order: {
+                id: order._id,
+                orderNumber: order.orderNumber,
+                tableNumber: order.tableNumber,
+                items: order.items,
+                discount: order.discount,
+                promotion: order.promotion?.name,
+                totalAmount: order.totalAmount,
+                status: order.status,
+                estimatedPrepTime: order.estimatedPrepTime,
+                estimatedReadyAt: order.estimatedReadyAt,
+                createdAt: order.createdAt
+            }
+        });
+        
+    } catch (error) {
+        if (error instanceof promotionService.PromotionError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Place order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: process.env.NODE_ENV === 'production' ? undefined : error.message
+        });
+    }
+};
+
+// @route   POST /api/customer/order
+// @desc    Place a new order
+// @access  Private
+router.post('/order', auth, ownTableOnly, [
+    check('tableNumber', 'Table number is required').isInt({ min: 1 }),
+    check('items', 'Items are required').isArray({ min: 1 }),
+    check('items.*.menuItem', 'Menu item ID is required').not().isEmpty(),
+    check('items.*.quantity', 'Quantity must be at least 1').isInt({ min: 1 }),
+    check('items.*.seat', 'Seat must be a positive number').optional().isInt({ min: 1 }),
+    check('partySize', 'Party size must be at least 1').optional().isInt({ min: 1 }),
+    check('promoCode', 'Promo code must be text').optional().isString().trim(),
+    tableTokenCheck
+], placeTableOrder);
+
+// @route   GET /api/customer/pickup-slots
+// @desc    Get the pickup slots still open on a date (defaults to today)
+// @access  Private
+router.get('/pickup-slots', auth, [
+    check('date', 'Date must be YYYY-MM-DD').optional().isISO8601()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        // A bare date is read as local midnight, not UTC
+        const date = req.query.date ? new Date(`${req.query.date}T00:00:00`) : new Date();
+        const slots = await pickupService.listSlots(req.query.branch, date);
+        
+        res.json({
+            success: true,
+            date: date.toISOString(),
+            slots
+        });
+        
+    } catch (error) {
+        console.error('Get pickup slots error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/customer/order/pickup
+// @desc    Place a takeaway order, or schedule one for a later pickup slot
+// @access  Private
+router.post('/order/pickup', auth, accountRequired, [
+    check('orderType', 'Order type must be takeaway or scheduled').isIn(orderLifecycle.PICKUP_ORDER_TYPES),
+    check('pickupSlot', 'Pickup slot must be a date and time').optional().isISO8601(),
+    check('items', 'Items are required').isArray({ min: 1 }),
+    check('items.*.menuItem', 'Menu item ID is required').not().isEmpty(),
+    check('items.*.quantity', 'Quantity must be at least 1').isInt({ min: 1 }),
+    check('phone', 'Phone must be text').optional().isString().trim().isLength({ max: 30 }),
+    check('promoCode', 'Promo code must be text').optional().isString().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const { orderType, pickupSlot, items, phone, specialInstructions, paymentMethod, promoCode } = req.body;
+        
+        if (orderType === 'scheduled' && !pickupSlot) {
+            return res.status(400).json({
+                success: false,
+                message: 'Choose a pickup slot for a scheduled order'
+            });
+        }
+        
+        // Get user info
+        const owner = await orderCustomer(req);
+        if (!owner) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+        
+        const { error: itemsError, orderItems, totalAmount } = await buildOrderItems(items);
+        if (itemsError) {
+            return res.status(400).json({
+                success: false,
+                message: itemsError
+            });
+        }
+        
+        const order = new Order({
+            orderType,
+            ...owner,
+            items: orderItems,
+            subtotal: totalAmount,
+            totalAmount,
+            paymentMethod: paymentMethod || 'pending',
+            specialInstructions,
+            pickup: { phone }
+        });
+        
+        try {
+            if (orderType === 'scheduled') {
+                const slot = await pickupService.bookSlot(order.branch, pickupSlot);
+                order.pickup.slotStart = slot.slotStart;
+                order.pickup.slotEnd = slot.slotEnd;
+                await pickupService.scheduleRelease(order);
+            } else {
+                // Takeaway goes into the queue now; the slot can't be before the food is ready
+                await prepTimeEstimator.applyEstimate(order);
+                const slot = pickupSlot
+                    ? await pickupService.bookSlot(order.branch, pickupSlot, { readyBy: order.estimatedReadyAt })
+                    : await pickupService.bookEarliestSlot(order.branch, order.estimatedReadyAt);
+                if (!slot) {
+                    throw new pickupService.PickupError('There are no pickup slots left today', 409);
+                }
+                order.pickup.slotStart = slot.slotStart;
+                order.pickup.slotEnd = slot.slotEnd;
+                order.pickup.releasedAt = order.createdAt;
+            }
+            
+            await promotionService.applyPromotion(order, promoCode);
+            
+            await order.save();
+        } catch (error) {
+            // The order was never placed, so it gives back its place in
+            // the slot and its use of the promotion
+            await pickupService.releaseSlot(order);
+            await promotionService.releasePromotion(order);
+            throw error;
+        }
+        await recordItemOrders(orderItems);
+        
+        const io = req.app.get('io');
+        if (io) {
+            if (order.status === 'scheduled') {
+                io.to('role:chef').to('role:admin').emit('order-scheduled', {
+                    orderId: order._id,
+                    orderNumber: order.orderNumber,
+                    customerName: order.customerName,
+                    pickup: order.pickup,
+                    timestamp: new Date().toISOString()
+                });
+            } else {
+                io.to('role:chef').emit('new-order', {
+                    orderId: order._id,
+                    orderNumber: order.orderNumber,
+                    orderType: order.orderType,
+                    pickup: order.pickup,
+                    items: order.items,
+                    customerName: order.customerName,
+                    estimatedPrepTime: order.estimatedPrepTime,
+                    timestamp: new Date().toISOString()
+                });
+                stationService.emitTickets(io, order);
+            }
+            
+            io.to('role:admin').emit('order-placed', {
+                orderId: order._id,
+                orderNumber: order.orderNumber,
+                orderType: order.orderType,
+                totalAmount: order.totalAmount,
+                customerName: order.customerName,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        res.status(201).json({
+            success: true,
+            message: order.status === 'scheduled'
+                ? 'Order scheduled! We\'ll start preparing it in time for your pickup.'
+                : 'Order placed successfully!',
+            order: {
+                id: order._id,
+                orderNumber: order.orderNumber,
+                orderType: order.orderType,
+                pickup: order.pickup,
+                items: order.items,
+                discount: order.discount,
+                promotion: order.promotion?.name,
+                packagingFee: order.packagingFee,
+                totalAmount: order.totalAmount,
+                status: order.status,
+                estimatedPrepTime: order.estimatedPrepTime,
+                estimatedReadyAt: order.estimatedReadyAt,
+                createdAt: order.createdAt
+            }
+        });
+        
+    } catch (error) {
+        if (error instanceof pickupService.PickupError || error instanceof promotionService.PromotionError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Place pickup order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: process.env.NODE_ENV === 'production' ? undefined : error.message
+        });
+    }
+});
+
+// @route   GET /api/customer/delivery-quote
+// @desc    Get the delivery zone, fee and minimum order for a postcode
+// @access  Private
+router.get('/delivery-quote', auth, accountRequired, [
+    check('postcode', 'Postcode is required').not().isEmpty()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const { zone, fee, minimumOrder } = await deliveryService.quote(req.query.branch, req.query.postcode);
+        
+        res.json({
+            success: true,
+            quote: {
+                zoneName: zone.name,
+                fee,
+                minimumOrder
+            }
+        });
+        
+    } catch (error) {
+        if (error instanceof deliveryService.DeliveryError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Get delivery quote error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/customer/order/delivery
+// @desc    Place an order for delivery to an address in one of the delivery zones
+// @access  Private
+router.post('/order/delivery', auth, accountRequired, [
+    check('items', 'Items are required').isArray({ min: 1 }),
+    check('items.*.menuItem', 'Menu item ID is required').not().isEmpty(),
+    check('items.*.quantity', 'Quantity must be at least 1').isInt({ min: 1 }),
+    check('address.line1', 'Street address is required').isString().trim().isLength({ min: 1, max: 100 }),
+    check('address.line2', 'Address line 2 must be text').optional().isString().trim().isLength({ max: 100 }),
+    check('address.city', 'City must be text').optional().isString().trim().isLength({ max: 50 }),
+    check('address.postalCode', 'Postcode is required').isString().trim().isLength({ min: 1, max: 12 }),
+    check('phone', 'Phone number is required for delivery').isString().trim().isLength({ min: 5, max: 30 }),
+    check('instructions', 'Delivery instructions cannot exceed 200 characters').optional().isString().trim().isLength({ max: 200 }),
+    check('promoCode', 'Promo code must be text').optional().isString().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const { items, address, phone, instructions, specialInstructions, paymentMethod, promoCode } = req.body;
+        
+        // Get user info
+        const owner = await orderCustomer(req);
+        if (!owner) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+        
+        const { error: itemsError, orderItems, totalAmount } = await buildOrderItems(items);
+        if (itemsError) {
+            return res.status(400).json({
+                success: false,
+                message: itemsError
+            });
+        }
+        
+        const order = new Order({
+            orderType: 'delivery',
+            ...owner,
+            items: orderItems,
+            subtotal: totalAmount,
+            totalAmount,
+            paymentMethod: paymentMethod || 'pending',
+            specialInstructions,
+            delivery: {
+                address: {
+                    line1: address.line1,
+                    line2: address.line2,
+                    city: address.city,
+                    postalCode: deliveryService.normalizePostcode(address.postalCode)
+                },
+                phone,
+                instructions
+            }
+        });
+        
+        const { zone, fee } = await deliveryService.quote(order.branch, address.postalCode, totalAmount);
+        order.deliveryFee = fee;
+        order.delivery.zone = zone._id;
+        order.delivery.zoneName = zone.name;
+        
+        await prepTimeEstimator.applyEstimate(order);
+        
+        try {
+            await promotionService.applyPromotion(order, promoCode);
+            await order.save();
+        } catch (error) {
+            // Don't use up the promotion on an order that wasn't placed
+            await promotionService.releasePromotion(order);
+            throw error;
+        }
+        await recordItemOrders(orderItems);
+        
+        const io = req.app.get('io');
+        if (io) {
+            io.to('role:chef').emit('new-order', {
+                orderId: order._id,
+                orderNumber: order.orderNumber,
+                orderType: order.orderType,
+                delivery: order.delivery,
+                items: order.items,
+                customerName: order.customerName,
+                estimatedPrepTime: order.estimatedPrepTime,
+                timestamp: new Date().toISOString()
+            });
+            stationService.emitTickets(io, order);
+            
+            io.to('role:admin').emit('order-placed', {
+                orderId: order._id,
+                orderNumber: order.orderNumber,
+                orderType: order.orderType,
+                totalAmount: order.totalAmount,
+                customerName: order.customerName,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        res.status(201).json({
+            success: true,
+            message: 'Order placed successfully! We\'ll let you know when it\'s on its way.',
+            order: {
+                id: order._id,
+                orderNumber: order.orderNumber,
+                orderType: order.orderType,
+                delivery: order.delivery,
+                items: order.items,
+                discount: order.discount,
+                promotion: order.promotion?.name,
+                packagingFee: order.packagingFee,
+                deliveryFee: order.deliveryFee,
+                totalAmount: order.totalAmount,
+                status: order.status,
+                estimatedPrepTime: order.estimatedPrepTime,
+                estimatedReadyAt: order.estimatedReadyAt,
+                createdAt: order.createdAt
+            }
+        });
+        
+    } catch (error) {
+        if (error instanceof deliveryService.DeliveryError || error instanceof promotionService.PromotionError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Place delivery order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: process.env.NODE_ENV === 'production' ? undefined : error.message
+        });
+    }
+});
+
+// Add a round to the table's active order; used by POST /order/round and
+// by the table cart submit
+const addOrderRound = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const { tableNumber, tableToken, items } = req.body;
+        
+        const table = await Table.findOne({ tableNumber, isActive: true });
+        if (!table) {
+            return res.status(400).json({
+                success: false,
+                message: 'Table not found or inactive'
+            });
+        }
+        
+        if (rejectUnscannedTable(res, table, tableToken)) return;
+        
+        const order = await Order.findOne({
+            tableNumber,
+            status: { $nin: orderLifecycle.TERMINAL_STATUSES }
+        }).sort({ createdAt: -1 });
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'No active order found for this table. Please place a new order.'
+            });
+        }
+        
+        const round = order.currentRound + 1;
+        
+        const { error: itemsError, orderItems } = await buildOrderItems(items, round);
+        if (itemsError) {
+            return res.status(400).json({
+                success: false,
+                message: itemsError
+            });
+        }
+        
+        const actor = orderLifecycle.actorFromRequest(req);
+        
+        orderItems.forEach(item => order.items.push(item));
+        order.rounds.push({
+            number: round,
+            addedBy: actor.id,
+            addedByName: actor.name
+        });
+        
+        await promotionService.refreshDiscount(order);
+        
+        // The kitchen timer restarts for the new round, so estimate just that
+        await courseService.assignCourses(order);
+        await prepTimeEstimator.applyEstimate(order);
+        
+        // Food already on the table goes back to the kitchen for the new round
+        const previousStatus = order.status;
+        if (['ready', 'served'].includes(order.status)) {
+            orderLifecycle.transition(order, 'preparing', {
+                actor,
+                reason: `Round ${round} added`
+            });
+        }
+        
+        // The new round is owed even if the bill was already paid
+        await paymentService.refreshOrderTotals(order);
+        await order.save();
+        await recordItemOrders(orderItems);
+        
+        // Whoever ordered the round is part of the visit
+        const owner = await orderCustomer(req);
+        if (owner) {
+            await diningSessionService.joinTable(table, {
+                customer: owner.customer,
+                guestSession: owner.guestSession,
+                name: owner.customerName
+            });
+        }
+        
+        const roundItems = order.items.filter(item => item.round === round);
+        
+        // Only the new round goes to the kitchen
+        const io = req.app.get('io');
+        if (io) {
+            io.to('role:chef').emit('order-round-added', {
+                orderId: order._id,
+                orderNumber: order.orderNumber,
+                tableNumber: order.tableNumber,
+                round,
+                items: roundItems,
+                customerName: actor.name,
+                timestamp: new Date().toISOString()
+            });
+            stationService.emitTickets(io, order, roundItems);
+            
+            io.to('role:admin').emit('order-updated', {
+                orderId: order._id,
+                orderNumber: order.orderNumber,
+                tableNumber: order.tableNumber,
+                totalAmount: order.totalAmount,
+                round,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        if (order.status !== previousStatus) {
+            orderLifecycle.emitStatusChange(io, order);
+        }
+        
+        res.status(201).json({
+            success: true,
+            message: `Round ${round} added to order #${order.orderNumber}`,
+            order: {
+                id: order._id,
+                orderNumber: order.orderNumber,
+                tableNumber: order.tableNumber,
+                round,
+                items: roundItems,
+                totalAmount: order.totalAmount,
+                status: order.status,
+                estimatedPrepTime: order.estimatedPrepTime,
+                estimatedReadyAt: order.estimatedReadyAt
+            }
+        });
+        
+    } catch (error) {
+        if (error instanceof orderLifecycle.OrderTransitionError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Add order round error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: process.env.NODE_ENV === 'production' ? undefined : error.message
+        });
+    }
+};
+
+// @route   POST /api/customer/order/round
+// @desc    Add a new round of items to the table's active order
+// @access  Private
+router.post('/order/round', auth, ownTableOnly, [
+    check('tableNumber', 'Table number is required').isInt({ min: 1 }),
+    check('items', 'Items are required').isArray({ min: 1 }),
+    check('items.*.menuItem', 'Menu item ID is required').not().isEmpty(),
+    check('items.*.quantity', 'Quantity must be at least 1').isInt({ min: 1 }),
+    check('items.*.seat', 'Seat must be a positive number').optional().isInt({ min: 1 }),
+    tableTokenCheck
+], addOrderRound);
+
+// The table for a table cart request, if the diner scanned its QR code.
+// Otherwise sends the error and returns null.
+const scannedTable = async (req, res) => {
+    const tableNumber = parseInt(req.body.tableNumber ?? req.query.tableNumber, 10);
+    const table = await Table.findOne({ tableNumber, isActive: true });
+    if (!table) {
+        res.status(404).json({
+            success: false,
+            message: 'Table not found or inactive'
+        });
+        return null;
+    }
+    if (rejectUnscannedTable(res, table, req.body.tableToken ?? req.query.tableToken)) return null;
+    return table;
+};
+
+const tableCartError = (res, error, label) => {
+    if (error instanceof tableCartService.TableCartError) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message
+        });
+    }
+    console.error(`${label} error:`, error);
+    res.status(500).json({
+        success: false,
+        message: 'Server error'
+    });
+};
+
+// @route   GET /api/customer/table-cart
+// @desc    Get the shared cart for the diner's table
+// @access  Private
+router.get('/table-cart', auth, ownTableOnly, [
+    check('tableNumber', 'Table number is required').isInt({ min: 1 }),
+    tableTokenCheck
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const table = await scannedTable(req, res);
+        if (!table) return;
+        
+        const cart = await tableCartService.getCart(table.tableNumber);
+        
+        res.json({
+            success: true,
+            cart: tableCartService.cartView(cart, table.tableNumber)
+        });
+        
+    } catch (error) {
+        tableCartError(res, error, 'Get table cart');
+    }
+});
+
+// @route   POST /api/customer/table-cart/items
+// @desc    Add an item to the table's shared cart
+// @access  Private
+router.post('/table-cart/items', auth, ownTableOnly, [
+    check('tableNumber', 'Table number is required').isInt({ min: 1 }),
+    check('menuItem', 'Menu item ID is required').isMongoId(),
+    check('quantity', 'Quantity must be at least 1').optional().isInt({ min: 1 }),
+    check('seat', 'Seat must be a positive number').optional({ nullable: true }).isInt({ min: 1 }),
+    check('specialInstructions', 'Special instructions must be text').optional().isString().trim(),
+    tableTokenCheck
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const table = await scannedTable(req, res);
+        if (!table) return;
+        
+        const actor = orderLifecycle.actorFromRequest(req);
+        const { menuItem, quantity, seat, specialInstructions } = req.body;
+        
+        const { cart, line } = await tableCartService.addLine(table.tableNumber, actor, {
+            menuItem,
+            quantity: quantity ? parseInt(quantity) : 1,
+            seat: seat ? parseInt(seat) : undefined,
+            specialInstructions
+        });
+        
+        tableCartService.emitCart(req.app.get('io'), cart, table.tableNumber, {
+            type: 'added',
+            by: actor.name,
+            byId: actor.id,
+            item: line.name,
+            quantity: quantity ? parseInt(quantity) : 1
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: `${line.name} added to the table's cart`,
+            cart: tableCartService.cartView(cart)
+        });
+        
+    } catch (error) {
+        tableCartError(res, error, 'Add to table cart');
+    }
+});
+
+// @route   PUT /api/customer/table-cart/items/:lineId
+// @desc    Change the quantity, seat or notes of one of your items (quantity 0 removes it)
+// @access  Private
+router.put('/table-cart/items/:lineId', auth, ownTableOnly, [
+    check('tableNumber', 'Table number is required').isInt({ min: 1 }),
+    check('lineId', 'Invalid cart item').isMongoId(),
+    check('quantity', 'Quantity must be 0 or more').optional().isInt({ min: 0 }),
+    check('seat', 'Seat must be a positive number').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }),
+    check('specialInstructions', 'Special instructions must be text').optional().isString().trim(),
+    tableTokenCheck
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const table = await scannedTable(req, res);
+        if (!table) return;
+        
+        const actor = orderLifecycle.actorFromRequest(req);
+        const { quantity, seat, specialInstructions } = req.body;
+        
+        const { cart, line } = await tableCartService.updateLine(table.tableNumber, actor, req.params.lineId, {
+            quantity: quantity !== undefined ? parseInt(quantity) : undefined,
+            seat: seat !== undefined ? (parseInt(seat) || null) : undefined,
+            specialInstructions
+        });
+        
+        const removed = parseInt(quantity) === 0;
+        tableCartService.emitCart(req.app.get('io'), cart, table.tableNumber, {
+            type: removed ? 'removed' : 'updated',
+            by: actor.name,
+            byId: actor.id,
+            item: line.name,
+            quantity: removed ? 0 : line.quantity
+        });
+        
+        res.json({
+            success: true,
+            message: removed ? `${line.name} removed from the table's cart` : `${line.name} updated`,
+            cart: tableCartService.cartView(cart)
+        });
+        
+    } catch (error) {
+        tableCartError(res, error, 'Update table cart');
+    }
+});
+
+// @route   DELETE /api/customer/table-cart/items/:lineId
+// @desc    Remove one of your items from the table's cart
+// @access  Private
+router.delete('/table-cart/items/:lineId', auth, ownTableOnly, [
+    check('tableNumber', 'Table number is required').isInt({ min: 1 }),
+    check('lineId', 'Invalid cart item').isMongoId(),
+    tableTokenCheck
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const table = await scannedTable(req, res);
+        if (!table) return;
+        
+        const actor = orderLifecycle.actorFromRequest(req);
+        const { cart, line } = await tableCartService.removeLine(table.tableNumber, actor, req.params.lineId);
+        
+        tableCartService.emitCart(req.app.get('io'), cart, table.tableNumber, {
+            type: 'removed',
+            by: actor.name,
+            byId: actor.id,
+            item: line.name,
+            quantity: 0
+        });
+        
+        res.json({
+            success: true,
+            message: `${line.name} removed from the table's cart`,
+            cart: tableCartService.cartView(cart)
+        });
+        
+    } catch (error) {
+        tableCartError(res, error, 'Remove from table cart');
+    }
+});
+
+// @route   POST /api/customer/table-cart/submit
+// @desc    Send the whole table cart to the kitchen: a new order, or a new
+//          round if the table already has one. Only one diner's submit runs.
+// @access  Private
+router.post('/table-cart/submit', auth, ownTableOnly, [
+    check('tableNumber', 'Table number is required').isInt({ min: 1 }),
+    check('partySize', 'Party size must be at least 1').optional().isInt({ min: 1 }),
+    check('promoCode', 'Promo code must be text').optional().isString().trim(),
+    tableTokenCheck
+], async (req, res) => {
+    const io = req.app.get('io');
+    const actor = orderLifecycle.actorFromRequest(req);
+    const tableNumber = parseInt(req.body.tableNumber, 10);
+    let claimed = null;
+    
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const table = await scannedTable(req, res);
+        if (!table) return;
+        
+        claimed = await tableCartService.claimForSubmit(tableNumber, actor);
+        tableCartService.emitCart(io, claimed.cart, tableNumber, {
+            type: 'submitting',
+            by: actor.name,
+            byId: actor.id
+        });
+        
+        const activeOrder = await Order.exists({
+            tableNumber,
+            status: { $nin: orderLifecycle.TERMINAL_STATUSES }
+        });
+        
+        // The order handlers validate, price and respond as usual; only a
+        // placed order empties the cart
+        req.body.items = tableCartService.orderItems(claimed.lines);
+        await (activeOrder ? addOrderRound : placeTableOrder)(req, res);
+        
+        const placed = res.statusCode === 201;
+        const cart = placed
+            ? await tableCartService.finishSubmit(tableNumber, claimed.lines)
+            : await tableCartService.releaseSubmit(tableNumber);
+        claimed = null;
+        
+        tableCartService.emitCart(io, cart, tableNumber, {
+            type: placed ? 'submitted' : 'released',
+            by: actor.name,
+            byId: actor.id
+        });
+        
+    } catch (error) {
+        if (claimed) {
+            const cart = await tableCartService.releaseSubmit(tableNumber).catch(() => null);
+            if (cart) {
+                tableCartService.emitCart(io, cart, tableNumber, {
+                    type: 'released',
+                    by: actor.name,
+                    byId: actor.id
+                });
+            }
+        }
+        if (res.headersSent) {
+            return console.error('Submit table cart error:', error);
+        }
+        tableCartError(res, error, 'Submit table cart');
+    }
+});
+
+// @route   GET /api/customer/orders
+// @desc    Get customer orders
+// @access  Private
+router.get('/orders', auth, async (req, res) => {
+    try {
+        const { status, limit = 20, page = 1 } = req.query;
+        
+        let query = {};
+        
+        if (req.userRole === 'guest') {
+            // Guest - orders placed in this session
+            query.guestSession = req.userId;
+        } else if (req.userId.includes('@demo.com')) {
+            // Demo user - get by email
+            query.customerEmail = req.userId;
+        } else {
+            query.customer = req.userId;
+        }
+        
+        if (status) {
+            query.status = status;
+        }
+        
+        const pageNumber = parseInt(page);
+        const pageSize = parseInt(limit);
+        const skip = (pageNumber - 1) * pageSize;
+        
+        const orders = await Order.find(query)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(pageSize)
+            .populate('items.menuItem', 'name image category')
+            .populate('assignedChef', 'firstName lastName');
+        
+        const totalOrders = await Order.countDocuments(query);
+        
+        res.json({
+            success: true,
+            count: orders.length,
+            total: totalOrders,
+            page: pageNumber,
+            pages: Math.ceil(totalOrders / pageSize),
+            orders
+        });
+        
+    } catch (error) {
+        console.error('Get orders error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/customer/orders/:id
+// @desc    Get order details
+// @access  Private
+router.get('/orders/:id', auth, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id)
+            .populate('items.menuItem')
+            .populate('assignedChef', 'firstName lastName');
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        // Check authorization
+        if (!canAccessOrder(req, order)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this order'
+            });
+        }
+        
+        res.json({
+            success: true,
+            order
+        });
+        
+    } catch (error) {
+        console.error('Get order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   GET /api/customer/orders/:id/payments
+// @desc    Get the bill balance, payments made and accepted online methods
+// @access  Private
+router.get('/orders/:id/payments', auth, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id);
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        if (!canAccessOrder(req, order)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this order'
+            });
+        }
+        
+        const payments = await Payment.find({ order: order._id, status: { $ne: 'pending' } })
+            .select('method amount status refundedAmount failureReason capturedAt createdAt share')
+            .sort({ createdAt: 1 });
+        
+        res.json({
+            success: true,
+            totalAmount: order.totalAmount,
+            amountPaid: order.amountPaid,
+            amountRefunded: order.amountRefunded,
+            balanceDue: order.balanceDue,
+            paymentStatus: order.paymentStatus,
+            shares: (order.billSplit?.shares || []).map(share => ({
+                _id: share._id,
+                label: share.label,
+                total: share.total,
+                paymentStatus: share.paymentStatus
+            })),
+            methods: paymentService.getProvider(paymentService.ONLINE_PROVIDER).methods,
+            tipping: await tipService.tipOptions(order),
+            payments
+        });
+        
+    } catch (error) {
+        console.error('Get order payments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   PUT /api/customer/orders/:id/tip
+// @desc    Add a tip to the bill, as a percentage or an amount
+// @access  Private
+router.put('/orders/:id/tip', auth, [
+    check('percent', 'Tip percentage must be between 0 and 100').optional().isFloat({ min: 0, max: 100 }),
+    check('amount', 'Tip amount cannot be negative').optional().isFloat({ min: 0 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const order = await Order.findById(req.params.id);
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        
+        if (!canAccessOrder(req, order)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to tip on this order'
             });
         }
         
-        res.status(201).json({
+        const { percent, amount } = req.body;
+        await tipService.setTip(order, {
+            percent: percent !== undefined ? parseFloat(percent) : undefined,
+            amount: amount !== undefined ? parseFloat(amount) : undefined,
+            actor: orderLifecycle.actorFromRequest(req)
+        });
+        
+        tipService.emitTipUpdate(req.app.get('io'), order);
+        
+        res.json({
             success: true,
-            message: 'Order placed successfully!',
-            order: {
-                id: order._id,
-                orderNumber: order.orderNumber,
-                tableNumber: order.tableNumber,
-                items: order.items,
-                totalAmount: order.totalAmount,
-                status: order.status,
-                estimatedPrepTime: order.estimatedPrepTime,
-                createdAt: order.createdAt
-            }
+            message: order.tip > 0 ? 'Thank you! Your tip has been added.' : 'Tip removed',
+            tip: order.tip,
+            tipPercent: order.tipPercent,
+            totalAmount: order.totalAmount,
+            balanceDue: order.balanceDue
         });
         
     } catch (error) {
-        console.error('Place order error:', error);
+        if (error instanceof tipService.TipError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Set tip error:', error);
         res.status(500).json({
             success: false,
-            message: 'Server error',
-            error: process.env.NODE_ENV === 'production' ? undefined : error.message
+            message: 'Server error'
         });
     }
 });
 
-// @route   GET /api/customer/orders
-// @desc    Get customer orders
+// @route   DELETE /api/customer/orders/:id/tip
+// @desc    Remove the tip added from the table
 // @access  Private
-router.get('/orders', auth, async (req, res) => {
+router.delete('/orders/:id/tip', auth, async (req, res) => {
     try {
-        const { status, limit = 20, page = 1 } = req.query;
-        
-        let query = {};
+        const order = await Order.findById(req.params.id);
         
-        if (req.userId.includes('@demo.com')) {
-            // Demo user - get by email
-            query.customerEmail = req.userId;
-        } else {
-            query.customer = req.userId;
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
         }
         
-        if (status) {
-            query.status = status;
+        if (!canAccessOrder(req, order)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to change this order'
+            });
         }
         
-        const pageNumber = parseInt(page);
-        const pageSize = parseInt(limit);
-        const skip = (pageNumber - 1) * pageSize;
-        
-        const orders = await Order.find(query)
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(pageSize)
-            .populate('items.menuItem', 'name image category')
-            .populate('assignedChef', 'firstName lastName');
+        await tipService.clearTip(order, { actor: orderLifecycle.actorFromRequest(req) });
         
-        const totalOrders = await Order.countDocuments(query);
+        tipService.emitTipUpdate(req.app.get('io'), order);
         
         res.json({
             success: true,
-            count: orders.length,
-            total: totalOrders,
-            page: pageNumber,
-            pages: Math.ceil(totalOrders / pageSize),
-            orders
+            message: 'Tip removed',
+            tip: order.tip,
+            totalAmount: order.totalAmount,
+            balanceDue: order.balanceDue
         });
         
     } catch (error) {
-        console.error('Get orders error:', error);
+        if (error instanceof tipService.TipError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Remove tip error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -302,14 +1463,23 @@ router.get('/orders', auth, async (req, res) => {
     }
 });
 
-// @route   GET /api/customer/orders/:id
-// @desc    Get order details
+// @route   POST /api/customer/orders/:id/pay
+// @desc    Start paying the bill (or one split share) from the table
 // @access  Private
-router.get('/orders/:id', auth, async (req, res) => {
+router.post('/orders/:id/pay', auth, [
+    check('method', 'Valid payment method is required').isIn(['card', 'upi', 'wallet']),
+    check('amount', 'Amount must be a positive number').optional().isFloat({ gt: 0 })
+], async (req, res) => {
     try {
-        const order = await Order.findById(req.params.id)
-            .populate('items.menuItem')
-            .populate('assignedChef', 'firstName lastName');
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const order = await Order.findById(req.params.id);
         
         if (!order) {
             return res.status(404).json({
@@ -318,25 +1488,97 @@ router.get('/orders/:id', auth, async (req, res) => {
             });
         }
         
-        // Check authorization
-        const isAuthorized = req.userId.includes('@demo.com') 
-            ? order.customerEmail === req.userId
-            : order.customer && order.customer.toString() === req.userId;
+        if (!canAccessOrder(req, order)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to pay for this order'
+            });
+        }
+        
+        const { method, amount, shareId } = req.body;
+        const { payment, clientSecret } = await paymentService.startPayment(order, {
+            method,
+            amount: amount !== undefined ? parseFloat(amount) : undefined,
+            shareId,
+            actor: orderLifecycle.actorFromRequest(req)
+        });
+        
+        res.status(201).json({
+            success: true,
+            paymentId: payment._id,
+            provider: payment.provider,
+            amount: payment.amount,
+            currency: payment.currency,
+            clientSecret
+        });
+        
+    } catch (error) {
+        if (error instanceof paymentService.PaymentError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Start payment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/customer/payments/:id/confirm
+// @desc    Confirm a payment started from the table with card/UPI details
+// @access  Private
+router.post('/payments/:id/confirm', auth, async (req, res) => {
+    try {
+        const payment = await Payment.findById(req.params.id);
+        
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+        
+        const order = await Order.findById(payment.order);
         
-        if (!isAuthorized && req.userRole !== 'admin' && req.userRole !== 'chef') {
+        if (!order || !canAccessOrder(req, order)) {
             return res.status(403).json({
                 success: false,
-                message: 'Not authorized to view this order'
+                message: 'Not authorized to confirm this payment'
+            });
+        }
+        
+        await paymentService.confirmPayment(payment, order, {
+            paymentDetails: req.body.paymentDetails
+        });
+        
+        paymentService.emitPaymentUpdate(req.app.get('io'), order, payment);
+        
+        if (payment.status !== 'captured') {
+            return res.status(402).json({
+                success: false,
+                message: `Payment failed: ${payment.failureReason.replace(/_/g, ' ')}`,
+                paymentStatus: payment.status
             });
         }
         
         res.json({
             success: true,
-            order
+            message: order.paymentStatus === 'paid' ? 'Thank you! Your bill is fully paid.' : 'Payment received',
+            paymentStatus: order.paymentStatus,
+            balanceDue: order.balanceDue
         });
         
     } catch (error) {
-        console.error('Get order error:', error);
+        if (error instanceof paymentService.PaymentError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Confirm payment error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -347,7 +1589,7 @@ router.get('/orders/:id', auth, async (req, res) => {
 // @route   POST /api/customer/service-request
 // @desc    Request service (water, cleaning, bill, etc.)
 // @access  Private
-router.post('/service-request', auth, [
+router.post('/service-request', auth, ownTableOnly, [
     check('tableNumber', 'Table number is required').isInt({ min: 1 }),
     check('type', 'Service type is required').isIn(['water', 'cleaning', 'bill', 'cutlery', 'napkin', 'extra_sauce', 'other']),
     check('description', 'Description cannot exceed 200 characters').optional().isLength({ max: 200 })
@@ -366,7 +1608,7 @@ router.post('/service-request', auth, [
         // Find active order for this table
         const order = await Order.findOne({
             tableNumber,
-            status: { $nin: ['completed', 'cancelled', 'rejected'] }
+            status: { $nin: orderLifecycle.TERMINAL_STATUSES }
         }).sort({ createdAt: -1 });
         
         if (!order) {
@@ -434,46 +1676,34 @@ router.post('/cancel-order/:id', auth, async (req, res) => {
         }
         
         // Check authorization
-        const isAuthorized = req.userId.includes('@demo.com') 
-            ? order.customerEmail === req.userId
-            : order.customer && order.customer.toString() === req.userId;
-        
-        if (!isAuthorized) {
+        if (!isOrderOwner(req, order)) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to cancel this order'
             });
         }
         
-        // Check if order can be cancelled
-        if (!['pending', 'confirmed'].includes(order.status)) {
-            return res.status(400).json({
+        // Staff refund paid orders through the adjustments screen
+        if (orderLifecycle.amountHeld(order) > 0) {
+            return res.status(409).json({
                 success: false,
-                message: `Order cannot be cancelled in ${order.status} status`
+                message: 'This order has already been paid. Please ask a member of staff to cancel it and refund your payment.'
             });
         }
         
         // Update order
-        order.status = 'cancelled';
-        order.cancelledAt = new Date();
+        orderLifecycle.transition(order, 'cancelled', {
+            actor: orderLifecycle.actorFromRequest(req),
+            reason: req.body.reason || 'Cancelled by customer'
+        });
+        await promotionService.releasePromotion(order);
+        await pickupService.releaseSlot(order);
         await order.save();
         
+        orderLifecycle.emitStatusChange(req.app.get('io'), order);
+        
         // Update table if no other active orders
-        const activeOrder = await Order.findOne({
-            tableNumber: order.tableNumber,
-            status: { $nin: ['completed', 'cancelled', 'rejected'] }
-        });
-        
-        if (!activeOrder) {
-            const table = await Table.findOne({ tableNumber: order.tableNumber });
-            if (table) {
-                table.status = 'available';
-                table.currentOrder = null;
-                table.currentCustomer = null;
-                table.customerName = null;
-                await table.save();
-            }
-        }
+        await tableService.releaseTableIfIdle(order.tableNumber, req.app.get('io'), orderLifecycle.actorFromRequest(req));
         
         res.json({
             success: true,
@@ -482,6 +1712,12 @@ router.post('/cancel-order/:id', auth, async (req, res) => {
         });
         
     } catch (error) {
+        if (error instanceof orderLifecycle.OrderTransitionError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
         console.error('Cancel order error:', error);
         res.status(500).json({
             success: false,
@@ -518,11 +1754,7 @@ router.post('/feedback/:id', auth, [
         }
         
         // Check authorization
-        const isAuthorized = req.userId.includes('@demo.com') 
-            ? order.customerEmail === req.userId
-            : order.customer && order.customer.toString() === req.userId;
-        
-        if (!isAuthorized) {
+        if (!isOrderOwner(req, order)) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to provide feedback for this order'
@@ -562,6 +1794,233 @@ router.post('/feedback/:id', auth, [
     }
 });
 
+// Whether the requesting customer made the booking
+const isReservationOwner = (req, reservation) => req.userId.includes('@demo.com')
+    ? reservation.email === req.userId
+    : !!reservation.customer && reservation.customer.toString() === req.userId;
+
+const reservationError = (res, error, label) => {
+    if (error instanceof reservationService.ReservationError) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message
+        });
+    }
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+    console.error(`${label} error:`, error);
+    res.status(500).json({
+        success: false,
+        message: 'Server error'
+    });
+};
+
+// Loads the booking into req.reservation if it belongs to the customer
+const ownReservation = async (req, res, next) => {
+    try {
+        const reservation = await Reservation.findById(req.params.id);
+        if (!reservation || !isReservationOwner(req, reservation)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+        req.reservation = reservation;
+        next();
+    } catch (error) {
+        reservationError(res, error, 'Load reservation');
+    }
+};
+
+// @route   GET /api/customer/reservations/availability
+// @desc    Get the booking times on a date (defaults to today) with a table for the party
+// @access  Public
+router.get('/reservations/availability', [
+    check('partySize', 'Party size must be 1 to 20').isInt({ min: 1, max: 20 }),
+    check('date', 'Date must be YYYY-MM-DD').optional().isISO8601(),
+    check('section', 'Unknown section').optional().isIn(Reservation.SECTIONS)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        // A bare date is read as local midnight, not UTC
+        const date = req.query.date ? new Date(`${req.query.date}T00:00:00`) : new Date();
+        const slots = await reservationService.availableSlots({
+            date,
+            partySize: parseInt(req.query.partySize),
+            section: req.query.section,
+            branch: req.query.branch
+        });
+        
+        res.json({
+            success: true,
+            date: date.toISOString(),
+            slots
+        });
+        
+    } catch (error) {
+        reservationError(res, error, 'Get reservation availability');
+    }
+});
+
+// @route   POST /api/customer/reservations
+// @desc    Book a table
+// @access  Private
+router.post('/reservations', auth, accountRequired, [
+    check('startsAt', 'Booking time must be a date and time').isISO8601(),
+    check('partySize', 'Party size must be 1 to 20').isInt({ min: 1, max: 20 }),
+    check('section', 'Unknown section').optional({ checkFalsy: true }).isIn(Reservation.SECTIONS),
+    check('name', 'Name cannot exceed 100 characters').optional().isString().trim().isLength({ max: 100 }),
+    check('email', 'Valid email is required').optional({ checkFalsy: true }).isEmail(),
+    check('phone', 'Phone cannot exceed 30 characters').optional().isString().trim().isLength({ max: 30 }),
+    check('notes', 'Notes cannot exceed 500 characters').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const owner = await orderCustomer(req);
+        if (!owner) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+        
+        const { startsAt, partySize, section, name, email, phone, notes } = req.body;
+        
+        const reservation = await reservationService.createReservation({
+            startsAt,
+            partySize: parseInt(partySize),
+            section,
+            customer: owner.customer,
+            name: name || owner.customerName,
+            email: email || owner.customerEmail,
+            phone,
+            notes
+        }, {
+            actor: orderLifecycle.actorFromRequest(req),
+            branch: req.body.branch,
+            io: req.app.get('io')
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: `Table booked! Your reference is ${reservation.reference}`,
+            reservation
+        });
+        
+    } catch (error) {
+        reservationError(res, error, 'Create reservation');
+    }
+});
+
+// @route   GET /api/customer/reservations
+// @desc    Get the customer's bookings, upcoming first
+// @access  Private
+router.get('/reservations', auth, accountRequired, async (req, res) => {
+    try {
+        const query = req.userId.includes('@demo.com')
+            ? { email: req.userId }
+            : { customer: req.userId };
+        
+        const reservations = await Reservation.find(query)
+            .sort({ startsAt: -1 })
+            .limit(50);
+        
+        const now = new Date();
+        const upcoming = reservations.filter(reservation => reservation.status === 'booked' && reservation.endsAt > now).reverse();
+        const past = reservations.filter(reservation => !upcoming.includes(reservation));
+        
+        res.json({
+            success: true,
+            upcoming,
+            past
+        });
+        
+    } catch (error) {
+        reservationError(res, error, 'Get reservations');
+    }
+});
+
+// @route   PUT /api/customer/reservations/:id
+// @desc    Change the time, party size, section or details of a booking
+// @access  Private
+router.put('/reservations/:id', auth, accountRequired, [
+    check('startsAt', 'Booking time must be a date and time').optional().isISO8601(),
+    check('partySize', 'Party size must be 1 to 20').optional().isInt({ min: 1, max: 20 }),
+    check('section', 'Unknown section').optional({ checkFalsy: true }).isIn(Reservation.SECTIONS),
+    check('phone', 'Phone cannot exceed 30 characters').optional().isString().trim().isLength({ max: 30 }),
+    check('notes', 'Notes cannot exceed 500 characters').optional().isString().trim().isLength({ max: 500 })
+], ownReservation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        
+        const { startsAt, partySize, section, phone, notes } = req.body;
+        
+        const reservation = await reservationService.updateReservation(req.reservation, {
+            startsAt,
+            partySize: partySize !== undefined ? parseInt(partySize) : undefined,
+            section,
+            phone,
+            notes
+        }, {
+            io: req.app.get('io')
+        });
+        
+        res.json({
+            success: true,
+            message: `Booking ${reservation.reference} updated`,
+            reservation
+        });
+        
+    } catch (error) {
+        reservationError(res, error, 'Update reservation');
+    }
+});
+
+// @route   POST /api/customer/reservations/:id/cancel
+// @desc    Cancel a booking
+// @access  Private
+router.post('/reservations/:id/cancel', auth, accountRequired, ownReservation, async (req, res) => {
+    try {
+        const reservation = await reservationService.cancelReservation(req.reservation, {
+            actor: orderLifecycle.actorFromRequest(req),
+            io: req.app.get('io')
+        });
+        
+        res.json({
+            success: true,
+            message: `Booking ${reservation.reference} cancelled`,
+            reservation
+        });
+        
+    } catch (error) {
+        reservationError(res, error, 'Cancel reservation');
+    }
+});
+
 // Add to routes/customer.js or create new file routes/seed.js
 router.post('/menu/seed', async (req, res) => {
     try {
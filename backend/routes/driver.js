@@ -0,0 +1,173 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { Order } = require('../models');
+const orderLifecycle = require('../services/orderLifecycle');
+const deliveryService = require('../services/deliveryService');
+const paymentService = require('../services/paymentService');
+
+// Middleware to check if user is a driver
+const isDriver = (req, res, next) => {
+    if (req.userRole !== 'driver' && req.userRole !== 'admin') {
+        return res.status(403).json({
+            success: false,
+            message: 'Access denied. Driver role required.'
+        });
+    }
+    next();
+};
+
+const DELIVERY_FIELDS = 'orderNumber status customerName items.name items.quantity items.voidedQuantity ' +
+    'delivery totalAmount amountPaid amountRefunded refundCredit balanceDue paymentStatus estimatedReadyAt readyAt dispatchedAt outForDeliveryAt createdAt';
+
+// Shared error handling for the delivery handoff routes
+const handleDeliveryError = (res, error, label) => {
+    if (error instanceof deliveryService.DeliveryError ||
+        error instanceof orderLifecycle.OrderTransitionError ||
+        error instanceof paymentService.PaymentError) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message
+        });
+    }
+    // A malformed order id
+    if (error.name === 'CastError') {
+        return res.status(404).json({
+            success: false,
+            message: 'Delivery not found'
+        });
+    }
+    console.error(`${label} error:`, error);
+    res.status(500).json({
+        success: false,
+        message: 'Server error'
+    });
+};
+
+// @route   GET /api/driver/deliveries
+// @desc    Get deliveries waiting for a driver, still in the kitchen, and on the road with this driver
+// @access  Private (Driver)
+router.get('/deliveries', auth, isDriver, async (req, res) => {
+    try {
+        const actor = orderLifecycle.actorFromRequest(req);
+
+        const orders = await Order.find({
+            orderType: 'delivery',
+            status: { $in: [...orderLifecycle.KITCHEN_STATUSES, 'ready', ...deliveryService.DRIVER_STATUSES] }
+        })
+            .sort({ createdAt: 1 })
+            .select(DELIVERY_FIELDS);
+
+        // Managers see every delivery on the road, drivers only their own
+        const isMine = (order) => actor.role === 'admin' || order.delivery.driverId === String(actor.id);
+
+        res.json({
+            success: true,
+            ready: orders.filter(order => order.status === 'ready' && !order.delivery.driverId),
+            upcoming: orders.filter(order => orderLifecycle.KITCHEN_STATUSES.includes(order.status)),
+            mine: orders.filter(order => deliveryService.DRIVER_STATUSES.includes(order.status) && isMine(order))
+        });
+
+    } catch (error) {
+        console.error('Get deliveries error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// @route   POST /api/driver/deliveries/:id/claim
+// @desc    Claim a ready delivery and mark it dispatched
+// @access  Private (Driver)
+router.post('/deliveries/:id/claim', auth, isDriver, async (req, res) => {
+    try {
+        const order = await deliveryService.claimDelivery(req.params.id, orderLifecycle.actorFromRequest(req));
+
+        deliveryService.emitDeliveryUpdate(req.app.get('io'), order);
+
+        res.json({
+            success: true,
+            message: `Order ${order.orderNumber} is yours`,
+            order
+        });
+
+    } catch (error) {
+        handleDeliveryError(res, error, 'Claim delivery');
+    }
+});
+
+// Routes that move a delivery the driver holds to its next status
+const advanceRoute = (status, label, message) => async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id);
+
+        deliveryService.advanceDelivery(order, status, orderLifecycle.actorFromRequest(req));
+        await order.save();
+
+        deliveryService.emitDeliveryUpdate(req.app.get('io'), order);
+
+        res.json({
+            success: true,
+            message: message(order),
+            order
+        });
+
+    } catch (error) {
+        handleDeliveryError(res, error, label);
+    }
+};
+
+// @route   POST /api/driver/deliveries/:id/out
+// @desc    Mark a claimed delivery as out for delivery
+// @access  Private (Driver)
+router.post('/deliveries/:id/out', auth, isDriver,
+    advanceRoute('out_for_delivery', 'Out for delivery', order => `Order ${order.orderNumber} is on its way`));
+
+// @route   POST /api/driver/deliveries/:id/delivered
+// @desc    Mark a delivery as handed to the customer
+// @access  Private (Driver)
+router.post('/deliveries/:id/delivered', auth, isDriver,
+    advanceRoute('delivered', 'Delivered', order => `Order ${order.orderNumber} delivered`));
+
+// @route   POST /api/driver/deliveries/:id/collect
+// @desc    Record the balance collected from the customer at the door
+// @access  Private (Driver)
+router.post('/deliveries/:id/collect', auth, isDriver, [
+    check('paymentMethod', 'Valid payment method is required').isIn(['cash', 'card', 'upi'])
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const order = await Order.findById(req.params.id);
+
+        const payment = await deliveryService.collectPayment(order, {
+            method: req.body.paymentMethod,
+            reference: req.body.reference,
+            actor: orderLifecycle.actorFromRequest(req)
+        });
+
+        const io = req.app.get('io');
+        paymentService.emitPaymentUpdate(io, order, payment);
+        deliveryService.emitDeliveryUpdate(io, order);
+
+        res.json({
+            success: true,
+            message: `${paymentService.balanceDue(order) > 0 ? 'Part payment' : 'Payment'} for order ${order.orderNumber} recorded`,
+            payment,
+            order
+        });
+
+    } catch (error) {
+        handleDeliveryError(res, error, 'Collect payment');
+    }
+});
+
+module.exports = router;
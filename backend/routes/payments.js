@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const { Order } = require('../models');
+const paymentService = require('../services/paymentService');
+
+// @route   POST /api/payments/webhook/:provider
+// @desc    Receive payment events from a gateway. Verified by the provider's signature.
+// @access  Public
+router.post('/webhook/:provider', async (req, res) => {
+    try {
+        if (!req.rawBody) {
+            return res.status(400).json({
+                success: false,
+                message: 'Webhook body is required'
+            });
+        }
+
+        const { payment, order } = await paymentService.handleWebhook(
+            req.params.provider,
+            req.rawBody,
+            req.headers,
+            (orderId) => Order.findById(orderId)
+        );
+
+        if (payment && order) {
+            paymentService.emitPaymentUpdate(req.app.get('io'), order, payment);
+        }
+
+        // Always acknowledge verified events so the gateway stops retrying
+        res.json({ success: true, received: true });
+
+    } catch (error) {
+        if (error instanceof paymentService.PaymentError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Payment webhook error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+module.exports = router;
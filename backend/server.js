@@ -8,6 +8,14 @@ require('dotenv').config();
 // Import middleware
 const securityMiddleware = require('./middleware/security');
 
+// Import services
+const printService = require('./services/printService');
+const slaMonitor = require('./services/slaMonitor');
+const prepTimeEstimator = require('./services/prepTimeEstimator');
+const courseService = require('./services/courseService');
+const pickupService = require('./services/pickupService');
+const reservationService = require('./services/reservationService');
+
 const app = express();
 const server = http.createServer(app);
 
@@ -46,7 +54,15 @@ app.use(cors({
 securityMiddleware(app);
 
 // Body parser
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body so payment webhooks can verify their signatures
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Simple request logger
@@ -171,6 +187,21 @@ socket.on('order-update', (data) => {
     console.log(`🪑 Socket ${socket.id} joined table: ${tableNumber}`);
   });
 
+  // Guests following an order with no table, e.g. a pickup order
+  socket.on('track-order', (orderId) => {
+    socket.join(`order:${orderId}`);
+  });
+
+  // Kitchen station screens (and the expeditor, as "expo") get their own room
+  socket.on('join-station', (station) => {
+    socket.join(`station:${station}`);
+    console.log(`🔥 Socket ${socket.id} joined station: ${station}`);
+  });
+
+  socket.on('leave-station', (station) => {
+    socket.leave(`station:${station}`);
+  });
+
   // In server.js socket connection
 socket.on('chef-ready-order', (data) => {
     console.log('📋 Order ready for billing:', data.orderNumber);
@@ -233,6 +264,8 @@ const adminRoutes = require('./routes/admin');
 const chefRoutes = require('./routes/chef');
 const customerRoutes = require('./routes/customer');
 const demoRoutes = require('./routes/demo');
+const paymentRoutes = require('./routes/payments');
+const driverRoutes = require('./routes/driver');
 
 // Mount routes
 app.use('/api/auth', authRoutes);
@@ -240,6 +273,8 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/chef', chefRoutes);
 app.use('/api/customer', customerRoutes);
 app.use('/api/demo', demoRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/driver', driverRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -253,6 +288,8 @@ app.get('/', (req, res) => {
       auth: {
         login: 'POST /api/auth/login',
         register: 'POST /api/auth/register',
+        guest: 'POST /api/auth/guest',
+        guestUpgrade: 'POST /api/auth/guest/upgrade',
         verify: 'GET /api/auth/verify',
         me: 'GET /api/auth/me'
       },
@@ -260,7 +297,13 @@ app.get('/', (req, res) => {
         menu: 'GET /api/customer/menu',
         order: 'POST /api/customer/order',
         orders: 'GET /api/customer/orders',
-        serviceRequest: 'POST /api/customer/service-request'
+        serviceRequest: 'POST /api/customer/service-request',
+        tableCart: 'GET /api/customer/table-cart',
+        tableCartSubmit: 'POST /api/customer/table-cart/submit',
+        reservationAvailability: 'GET /api/customer/reservations/availability',
+        reservations: 'POST /api/customer/reservations',
+        pay: 'POST /api/customer/orders/:id/pay',
+        restaurant: 'GET /api/customer/restaurant'
       },
       chef: {
         orders: 'GET /api/chef/orders',
@@ -272,9 +315,17 @@ app.get('/', (req, res) => {
         orders: 'GET /api/admin/orders',
         menu: 'GET /api/admin/menu',
         tables: 'GET /api/admin/tables',
+        reservations: 'GET /api/admin/reservations',
         staff: 'GET /api/admin/staff',
         sales: 'GET /api/admin/sales'
       },
+      payments: {
+        webhook: 'POST /api/payments/webhook/:provider'
+      },
+      driver: {
+        deliveries: 'GET /api/driver/deliveries',
+        claim: 'POST /api/driver/deliveries/:id/claim'
+      },
       demo: 'GET /api/demo'
     },
     status: {
@@ -392,6 +443,12 @@ app.get('/api/auth/verify', async (req, res) => {
   }
 });
 
+// Table QR codes printed before they pointed at the customer page
+app.get('/table/:tableNumber', (req, res) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'https://smart-waiter-frontend.onrender.com';
+  res.redirect(`${frontendUrl}/customer/dashboard.html?table=${parseInt(req.params.tableNumber, 10) || ''}`);
+});
+
 // 404 handler
 app.use('*', (req, res) => {
   res.status(404).json({
@@ -444,6 +501,25 @@ const startServer = async () => {
     // Connect to database first
     await connectDB();
     
+    // Send any print jobs left over from before the restart
+    printService.resumeQueue(io)
+      .catch(error => console.error('Print queue resume error:', error));
+    
+    // Watch kitchen orders for ones running past their prep time
+    slaMonitor.startSlaMonitor(io);
+    
+    // Push new ready times to tables whenever the kitchen queue changes
+    prepTimeEstimator.attach(io);
+    
+    // Fire held courses once their auto-fire delay has passed
+    courseService.startCourseMonitor(io);
+    
+    // Send scheduled pickup orders to the kitchen in time for their slot
+    pickupService.startReleaseMonitor(io);
+    
+    // Hold tables for upcoming bookings and release them for no-shows
+    reservationService.startReservationMonitor(io);
+    
     // Now start the server
     server.listen(PORT, '0.0.0.0', () => {
       console.log('='.repeat(60));
@@ -0,0 +1,382 @@
+// services/adjustmentService.js
+// Voids, comps and refunds made by managers. Each one is recorded as an
+// Adjustment, and anything over the approval threshold needs a second
+// admin's PIN.
+//
+// A void takes an item off the bill because it should never have been
+// charged (entered by mistake, not made). A comp gives away an item that
+// was made and served. Both reduce the order total; a refund gives money
+// back against a captured payment.
+
+const { Adjustment, Order, Payment, User } = require('../models');
+const orderLifecycle = require('./orderLifecycle');
+const promotionService = require('./promotionService');
+const pickupService = require('./pickupService');
+const paymentService = require('./paymentService');
+const { billableQuantity } = require('./taxService');
+const { toCents, fromCents } = require('./billSplitter');
+
+// Reason codes allowed for each type of adjustment
+const ADJUSTMENT_REASONS = {
+    void: {
+        entered_in_error: 'Entered in error',
+        customer_changed_mind: 'Customer changed mind',
+        duplicate_item: 'Duplicate item',
+        out_of_stock: 'Out of stock',
+        other: 'Other'
+    },
+    comp: {
+        quality_issue: 'Quality issue',
+        long_wait: 'Long wait',
+        wrong_item_served: 'Wrong item served',
+        manager_goodwill: 'Manager goodwill',
+        staff_meal: 'Staff meal',
+        other: 'Other'
+    },
+    refund: {
+        overcharged: 'Customer overcharged',
+        voided_after_payment: 'Voided or comped after payment',
+        quality_issue: 'Quality issue',
+        duplicate_payment: 'Duplicate payment',
+        other: 'Other'
+    }
+};
+
+// Refunds that give money back on items still on the bill. The others
+// return money paid for voided or comped items, or paid twice, which the
+// bill already allows for.
+const CREDIT_REFUND_REASONS = ['overcharged', 'quality_issue', 'other'];
+
+// Adjustments above this amount need a second admin's approval PIN
+const APPROVAL_THRESHOLD = parseFloat(process.env.ADJUSTMENT_APPROVAL_THRESHOLD || '25');
+
+const CLOSED_STATUSES = ['cancelled', 'rejected', 'merged'];
+
+class AdjustmentError extends Error {
+    constructor(message, status = 400, code) {
+        super(message);
+        this.name = 'AdjustmentError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+const checkReason = (type, reasonCode, note) => {
+    if (!ADJUSTMENT_REASONS[type][reasonCode]) {
+        throw new AdjustmentError(`Unknown ${type} reason: ${reasonCode}`);
+    }
+    if (reasonCode === 'other' && !(note && note.trim())) {
+        throw new AdjustmentError('A note is required when the reason is "other"');
+    }
+};
+
+// Check the approver's PIN when the amount is over the threshold. Returns the
+// approver, or null when no approval was needed.
+const verifyApproval = async (amount, approval, actor) => {
+    if (toCents(amount) <= toCents(APPROVAL_THRESHOLD)) return null;
+
+    // Demo logins are shared and can't be told apart, so they can't take
+    // part in a two-manager approval
+    if (actor.isDemo) {
+        throw new AdjustmentError('Demo accounts cannot make adjustments that need approval', 403, 'approval_invalid');
+    }
+
+    if (!approval || !approval.email || !approval.pin) {
+        throw new AdjustmentError(
+            `Adjustments over $${APPROVAL_THRESHOLD.toFixed(2)} need a second manager's approval PIN`,
+            403,
+            'approval_required'
+        );
+    }
+
+    const approver = await User.findOne({
+        email: approval.email.toLowerCase().trim(),
+        role: 'admin',
+        isActive: true
+    }).select('+approvalPin');
+
+    if (!approver || !(await approver.compareApprovalPin(approval.pin))) {
+        throw new AdjustmentError('Approval email or PIN is not valid', 403, 'approval_invalid');
+    }
+
+    if (actor.id && approver._id.toString() === actor.id.toString()) {
+        throw new AdjustmentError('A different manager must approve this adjustment', 403, 'approval_invalid');
+    }
+
+    return {
+        id: approver._id.toString(),
+        name: `${approver.firstName} ${approver.lastName}`
+    };
+};
+
+const newAdjustment = (order, fields, actor, approver) => new Adjustment({
+    order: order._id,
+    orderNumber: order.orderNumber,
+    tableNumber: order.tableNumber,
+    actorId: actor.id ? actor.id.toString() : undefined,
+    actorName: actor.name,
+    actorRole: actor.role,
+    approvedBy: approver?.id,
+    approvedByName: approver?.name,
+    ...fields
+});
+
+// Take units of one line item, or every remaining item, off the bill.
+// `lines` is [{ item, quantity }]. Saves the order and the adjustment.
+const adjustItems = async (order, type, scope, lines, { reasonCode, note, actor, approval }) => {
+    if (CLOSED_STATUSES.includes(order.status)) {
+        throw new AdjustmentError(`Items on a ${order.status} order cannot be adjusted`);
+    }
+    if (order.billSplit?.shares?.some(share => share.paymentStatus === 'paid')) {
+        throw new AdjustmentError('Some bill shares are already paid. Refund the payment instead.');
+    }
+    checkReason(type, reasonCode, note);
+
+    const entries = lines.map(({ item, quantity }) => ({
+        item: item._id,
+        name: item.name,
+        quantity,
+        amount: fromCents(toCents(item.price) * quantity)
+    }));
+    const amount = fromCents(entries.reduce((sum, entry) => sum + toCents(entry.amount), 0));
+
+    const approver = await verifyApproval(amount, approval, actor);
+
+    const field = type === 'void' ? 'voidedQuantity' : 'compedQuantity';
+    lines.forEach(({ item, quantity }) => {
+        item[field] = (item[field] || 0) + quantity;
+    });
+
+    // The promotion's discount follows the items left on the bill
+    await promotionService.refreshDiscount(order);
+
+    // Voiding the last unfinished items can leave the rest of the order ready
+    orderLifecycle.syncStatusWithItems(order, { actor: orderLifecycle.SYSTEM_ACTOR });
+
+    await paymentService.refreshOrderTotals(order);
+    await order.save();
+
+    const adjustment = newAdjustment(order, {
+        type,
+        scope,
+        items: entries,
+        amount,
+        reasonCode,
+        note
+    }, actor, approver);
+    await adjustment.save();
+
+    return adjustment;
+};
+
+// Void or comp some or all units of one line item
+const adjustItem = async (order, itemId, type, { quantity, ...options }) => {
+    const item = order.items.id(itemId);
+    if (!item) {
+        throw new AdjustmentError('Order item not found', 404);
+    }
+
+    const remaining = billableQuantity(item);
+    const units = quantity !== undefined ? quantity : remaining;
+    if (remaining === 0) {
+        throw new AdjustmentError(`${item.name} has already been voided or comped`);
+    }
+    if (!Number.isInteger(units) || units < 1 || units > remaining) {
+        throw new AdjustmentError(`Quantity must be between 1 and ${remaining}`);
+    }
+
+    return adjustItems(order, type, 'item', [{ item, quantity: units }], options);
+};
+
+// Void or comp everything still on an order's bill. A voided order that
+// the lifecycle still allows an admin to cancel is cancelled, unless
+// payments on it still have to be refunded.
+const adjustOrder = async (order, type, options) => {
+    const lines = order.items
+        .map(item => ({ item, quantity: billableQuantity(item) }))
+        .filter(line => line.quantity > 0);
+
+    if (lines.length === 0) {
+        throw new AdjustmentError('Nothing is left on this bill to adjust');
+    }
+
+    const adjustment = await adjustItems(order, type, 'order', lines, options);
+
+    if (type === 'void' && orderLifecycle.canTransition(order.status, 'cancelled', 'admin') &&
+        orderLifecycle.amountHeld(order) === 0) {
+        orderLifecycle.transition(order, 'cancelled', {
+            actor: options.actor,
+            reason: `Voided: ${ADJUSTMENT_REASONS.void[options.reasonCode]}`
+        });
+        await promotionService.releasePromotion(order);
+        await pickupService.releaseSlot(order);
+        await order.save();
+    }
+
+    return adjustment;
+};
+
+// Refund part or all of a captured payment and record why
+const refund = async (payment, order, { amount, reasonCode, note, actor, approval }) => {
+    checkReason('refund', reasonCode, note);
+
+    const refundable = fromCents(toCents(payment.amount) - toCents(payment.refundedAmount));
+    const approver = await verifyApproval(amount !== undefined ? amount : refundable, approval, actor);
+
+    const before = toCents(payment.refundedAmount);
+    await paymentService.refundPayment(payment, order, {
+        amount,
+        reason: note || ADJUSTMENT_REASONS.refund[reasonCode],
+        actor
+    });
+    const refunded = toCents(payment.refundedAmount) - before;
+
+    // Otherwise the refunded amount would show as owed again
+    if (CREDIT_REFUND_REASONS.includes(reasonCode)) {
+        order.refundCredit = fromCents(toCents(order.refundCredit) + refunded);
+        await order.save();
+    }
+
+    const adjustment = newAdjustment(order, {
+        type: 'refund',
+        scope: 'payment',
+        payment: payment._id,
+        paymentMethod: payment.method,
+        amount: fromCents(refunded),
+        reasonCode,
+        note
+    }, actor, approver);
+    await adjustment.save();
+
+    return adjustment;
+};
+
+// Sales, adjustments and money movement between two dates, so the day's
+// takings can be checked against the drawer and card settlements
+const reconcile = async ({ from, to }) => {
+    const range = { $gte: from, $lt: to };
+
+    const orders = await Order.find({
+        createdAt: range,
+        status: { $nin: ['rejected', 'merged'] }
+    });
+
+    const totals = {
+        orders: 0,
+        grossSales: 0,
+        discounts: 0,
+        tax: 0,
+        serviceCharge: 0,
+        packagingFees: 0,
+        deliveryFees: 0,
+        tips: 0,
+        refundCredits: 0,
+        netSales: 0,
+        outstanding: 0
+    };
+
+    orders.forEach(order => {
+        const cancelled = order.status === 'cancelled';
+        // Customer cancellations never reached the bill; voided orders did
+        order.items.forEach(item => {
+            const units = cancelled ? (item.voidedQuantity || 0) : item.quantity;
+            totals.grossSales += toCents(item.price) * units;
+        });
+        if (cancelled) return;
+
+        totals.orders += 1;
+        totals.discounts += toCents(order.discount);
+        totals.tax += toCents(order.tax);
+        totals.serviceCharge += toCents(order.serviceCharge);
+        totals.packagingFees += toCents(order.packagingFee);
+        totals.deliveryFees += toCents(order.deliveryFee);
+        // Tips are collected with the bill but belong to the staff
+        totals.tips += toCents(order.tip);
+        totals.refundCredits += toCents(order.refundCredit);
+        totals.netSales += toCents(order.totalAmount) - toCents(order.tip) - toCents(order.refundCredit);
+        totals.outstanding += toCents(order.balanceDue);
+    });
+
+    const adjustments = await Adjustment.find({ createdAt: range }).sort({ createdAt: 1 });
+    const byType = { void: 0, comp: 0, refund: 0 };
+    const byReason = {};
+    adjustments.forEach(adjustment => {
+        byType[adjustment.type] += toCents(adjustment.amount);
+        const key = `${adjustment.type}:${adjustment.reasonCode}`;
+        byReason[key] = byReason[key] || {
+            type: adjustment.type,
+            reasonCode: adjustment.reasonCode,
+            reason: ADJUSTMENT_REASONS[adjustment.type][adjustment.reasonCode] || adjustment.reasonCode,
+            count: 0,
+            amount: 0
+        };
+        byReason[key].count += 1;
+        byReason[key].amount += toCents(adjustment.amount);
+    });
+
+    // Money in by capture date and money out by refund date
+    const captured = await Payment.find({ capturedAt: range });
+    const refunded = await Payment.find({ 'refunds.at': range });
+    const byMethod = {};
+    const methodTotals = (method) => {
+        byMethod[method] = byMethod[method] || { method, captured: 0, refunded: 0, count: 0 };
+        return byMethod[method];
+    };
+    captured.forEach(payment => {
+        const entry = methodTotals(payment.method);
+        entry.captured += toCents(payment.amount);
+        entry.count += 1;
+    });
+    refunded.forEach(payment => {
+        const entry = methodTotals(payment.method);
+        payment.refunds
+            .filter(r => r.at >= from && r.at < to)
+            .forEach(r => { entry.refunded += toCents(r.amount); });
+    });
+
+    const payments = Object.values(byMethod).map(entry => ({
+        method: entry.method,
+        count: entry.count,
+        captured: fromCents(entry.captured),
+        refunded: fromCents(entry.refunded),
+        net: fromCents(entry.captured - entry.refunded)
+    }));
+    const collectedCents = Object.values(byMethod).reduce((sum, entry) => sum + entry.captured - entry.refunded, 0);
+
+    return {
+        from,
+        to,
+        sales: {
+            orders: totals.orders,
+            grossSales: fromCents(totals.grossSales),
+            voids: fromCents(byType.void),
+            comps: fromCents(byType.comp),
+            discounts: fromCents(totals.discounts),
+            refundCredits: fromCents(totals.refundCredits),
+            tax: fromCents(totals.tax),
+            serviceCharge: fromCents(totals.serviceCharge),
+            packagingFees: fromCents(totals.packagingFees),
+            deliveryFees: fromCents(totals.deliveryFees),
+            netSales: fromCents(totals.netSales)
+        },
+        tips: fromCents(totals.tips),
+        payments,
+        refunds: fromCents(byType.refund),
+        collected: fromCents(collectedCents),
+        expectedCash: byMethod.cash ? fromCents(byMethod.cash.captured - byMethod.cash.refunded) : 0,
+        outstanding: fromCents(totals.outstanding),
+        adjustmentsByReason: Object.values(byReason).map(entry => ({ ...entry, amount: fromCents(entry.amount) })),
+        adjustments
+    };
+};
+
+module.exports = {
+    ADJUSTMENT_REASONS,
+    APPROVAL_THRESHOLD,
+    AdjustmentError,
+    verifyApproval,
+    adjustItem,
+    adjustOrder,
+    refund,
+    reconcile
+};
@@ -0,0 +1,219 @@
+// services/billSplitter.js
+// Splits an order's bill into shares. All arithmetic is done in cents and
+// every component (subtotal, tax, service charge, discount, tip) is allocated
+// with the largest-remainder method so the shares add up to the order.
+
+const SPLIT_MODES = ['item', 'seat', 'equal'];
+const MAX_SHARES = 20;
+
+class BillSplitError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'BillSplitError';
+        this.status = status;
+    }
+}
+
+const toCents = (amount) => Math.round((amount || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+// Divide totalCents across weights; the parts always sum to totalCents
+const allocate = (totalCents, weights) => {
+    const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+    const effective = weightSum > 0 ? weights : weights.map(() => 1);
+    const effectiveSum = weightSum > 0 ? weightSum : weights.length;
+
+    const raw = effective.map(weight => totalCents * weight / effectiveSum);
+    const parts = raw.map(Math.floor);
+    let remainder = totalCents - parts.reduce((sum, part) => sum + part, 0);
+
+    raw.map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+        .sort((a, b) => b.fraction - a.fraction || a.index - b.index)
+        .forEach(({ index }) => {
+            if (remainder > 0) {
+                parts[index] += 1;
+                remainder -= 1;
+            }
+        });
+
+    return parts;
+};
+
+// Order components in cents. Any rounding drift between the components and
+// the order total is absorbed by tax so the shares match what was charged.
+const orderComponents = (order) => {
+    const components = {
+        subtotal: toCents(order.subtotal),
+        tax: toCents(order.tax),
+        serviceCharge: toCents(order.serviceCharge),
+        packagingFee: toCents(order.packagingFee),
+        deliveryFee: toCents(order.deliveryFee),
+        discount: toCents(order.discount),
+        tip: toCents(order.tip)
+    };
+    const total = toCents(order.totalAmount);
+    components.tax += total - (components.subtotal + components.tax + components.serviceCharge +
+        components.packagingFee + components.deliveryFee - components.discount + components.tip);
+    return components;
+};
+
+// Portion of the order subtotal (in cents) carried by each line item
+const itemCents = (order, subtotalCents) =>
+    allocate(subtotalCents, order.items.map(item => toCents(item.itemTotal || item.price * item.quantity)));
+
+// Build shares from a list of { label, payer, seat, lines: [{ item, cents, portion }] }
+const finalizeShares = (order, drafts) => {
+    const components = orderComponents(order);
+    const subtotals = drafts.map(draft => draft.lines.reduce((sum, line) => sum + line.cents, 0));
+
+    const taxes = allocate(components.tax, subtotals);
+    const serviceCharges = allocate(components.serviceCharge, subtotals);
+    const packagingFees = allocate(components.packagingFee, subtotals);
+    const deliveryFees = allocate(components.deliveryFee, subtotals);
+    const discounts = allocate(components.discount, subtotals);
+    const tips = allocate(components.tip, subtotals);
+
+    return drafts.map((draft, index) => ({
+        label: draft.label,
+        payer: draft.payer,
+        seat: draft.seat,
+        items: draft.lines.map(line => ({
+            item: line.item._id,
+            name: line.item.name,
+            portion: line.portion,
+            amount: fromCents(line.cents)
+        })),
+        subtotal: fromCents(subtotals[index]),
+        tax: fromCents(taxes[index]),
+        serviceCharge: fromCents(serviceCharges[index]),
+        packagingFee: fromCents(packagingFees[index]),
+        deliveryFee: fromCents(deliveryFees[index]),
+        discount: fromCents(discounts[index]),
+        tip: fromCents(tips[index]),
+        total: fromCents(subtotals[index] + taxes[index] + serviceCharges[index] + packagingFees[index] +
+            deliveryFees[index] - discounts[index] + tips[index]),
+        paymentStatus: 'pending'
+    }));
+};
+
+// Split evenly across `count` people
+const splitEqually = (order, count) => {
+    const people = parseInt(count);
+    if (!Number.isInteger(people) || people < 2 || people > MAX_SHARES) {
+        throw new BillSplitError(`Number of people must be between 2 and ${MAX_SHARES}`);
+    }
+
+    const cents = itemCents(order, orderComponents(order).subtotal);
+    const drafts = Array.from({ length: people }, (_, index) => ({
+        label: `Guest ${index + 1}`,
+        lines: []
+    }));
+
+    order.items.forEach((item, itemIndex) => {
+        allocate(cents[itemIndex], drafts.map(() => 1)).forEach((part, shareIndex) => {
+            drafts[shareIndex].lines.push({ item, cents: part, portion: 1 / people });
+        });
+    });
+
+    return finalizeShares(order, drafts);
+};
+
+// Split by the seat number on each item; items without a seat are shared
+const splitBySeat = (order) => {
+    const seats = [...new Set(order.items.filter(item => item.seat).map(item => item.seat))].sort((a, b) => a - b);
+    if (seats.length === 0) {
+        throw new BillSplitError('No items have a seat number assigned');
+    }
+    if (seats.length > MAX_SHARES) {
+        throw new BillSplitError(`A bill can be split into at most ${MAX_SHARES} shares`);
+    }
+
+    const cents = itemCents(order, orderComponents(order).subtotal);
+    const drafts = seats.map(seat => ({ label: `Seat ${seat}`, seat, lines: [] }));
+
+    order.items.forEach((item, itemIndex) => {
+        if (item.seat) {
+            drafts[seats.indexOf(item.seat)].lines.push({ item, cents: cents[itemIndex], portion: 1 });
+            return;
+        }
+        allocate(cents[itemIndex], drafts.map(() => 1)).forEach((part, shareIndex) => {
+            drafts[shareIndex].lines.push({ item, cents: part, portion: 1 / seats.length });
+        });
+    });
+
+    return finalizeShares(order, drafts);
+};
+
+// Split by assigning line items to payers: [{ payer, items: [itemId] }].
+// An item assigned to several payers is shared evenly between them.
+const splitByItem = (order, assignments) => {
+    if (!Array.isArray(assignments) || assignments.length < 2 || assignments.length > MAX_SHARES) {
+        throw new BillSplitError(`Assign items to between 2 and ${MAX_SHARES} payers`);
+    }
+
+    const payersByItem = new Map(order.items.map(item => [item._id.toString(), []]));
+
+    assignments.forEach((assignment, shareIndex) => {
+        if (!assignment.payer) {
+            throw new BillSplitError('Every share needs a payer name');
+        }
+        (assignment.items || []).forEach(itemId => {
+            const payers = payersByItem.get(itemId.toString());
+            if (!payers) {
+                throw new BillSplitError(`Item ${itemId} is not on this order`);
+            }
+            if (!payers.includes(shareIndex)) payers.push(shareIndex);
+        });
+    });
+
+    const unassigned = order.items.filter(item => payersByItem.get(item._id.toString()).length === 0);
+    if (unassigned.length > 0) {
+        throw new BillSplitError(`Unassigned items: ${unassigned.map(item => item.name).join(', ')}`);
+    }
+
+    const cents = itemCents(order, orderComponents(order).subtotal);
+    const drafts = assignments.map(assignment => ({
+        label: assignment.payer,
+        payer: assignment.payer,
+        lines: []
+    }));
+
+    order.items.forEach((item, itemIndex) => {
+        const payers = payersByItem.get(item._id.toString());
+        allocate(cents[itemIndex], payers.map(() => 1)).forEach((part, index) => {
+            drafts[payers[index]].lines.push({ item, cents: part, portion: 1 / payers.length });
+        });
+    });
+
+    return finalizeShares(order, drafts);
+};
+
+// Entry point used by the routes
+const splitBill = (order, { mode, count, assignments } = {}) => {
+    if (!order.items || order.items.length === 0) {
+        throw new BillSplitError('Order has no items to split');
+    }
+
+    switch (mode) {
+        case 'equal': return splitEqually(order, count);
+        case 'seat': return splitBySeat(order);
+        case 'item': return splitByItem(order, assignments);
+        default:
+            throw new BillSplitError(`Split mode must be one of: ${SPLIT_MODES.join(', ')}`);
+    }
+};
+
+// A split is stale once the order total changes after it was made
+const isSplitStale = (order) =>
+    !!(order.billSplit && order.billSplit.mode) &&
+    toCents(order.billSplit.basedOnTotal) !== toCents(order.totalAmount);
+
+module.exports = {
+    SPLIT_MODES,
+    BillSplitError,
+    allocate,
+    toCents,
+    fromCents,
+    splitBill,
+    isSplitStale
+};
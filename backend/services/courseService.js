@@ -0,0 +1,204 @@
+// services/courseService.js
+// Coursing for dine-in orders: each item belongs to a course, later courses
+// can be held back from the kitchen and are fired by staff or automatically
+// after a delay.
+
+const mongoose = require('mongoose');
+const orderLifecycle = require('./orderLifecycle');
+const restaurantService = require('./restaurantService');
+const stationService = require('./stationService');
+
+// In the order they are served
+const COURSES = ['drinks', 'starter', 'main', 'dessert'];
+
+const CATEGORY_COURSES = {
+    drink: 'drinks',
+    beverage: 'drinks',
+    appetizer: 'starter',
+    soup: 'starter',
+    salad: 'starter',
+    main: 'main',
+    dessert: 'dessert'
+};
+
+// Takeaway food all goes out together
+const COURSED_ORDER_TYPES = ['customer', 'walk-in'];
+
+const CHECK_INTERVAL_MS = parseInt(process.env.COURSE_CHECK_INTERVAL_MS || '30000', 10);
+
+// Looked up when needed because the Order model calls into this service
+const Order = () => mongoose.model('Order');
+
+class CourseError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'CourseError';
+        this.status = status;
+    }
+}
+
+const courseFor = (category) => CATEGORY_COURSES[category] || 'main';
+
+// Give each new item its course and hold it if the order also has an
+// earlier food course in the same batch, e.g. mains wait for starters but
+// a table that only orders mains gets them straight away. Items keep their
+// course once assigned, so this can run more than once. Does not save.
+const assignCourses = async (order) => {
+    const fresh = order.items.filter(item => !item.course);
+    if (fresh.length === 0) return;
+
+    fresh.forEach(item => {
+        item.course = courseFor(item.category);
+    });
+
+    if (!COURSED_ORDER_TYPES.includes(order.orderType)) return;
+
+    const settings = await restaurantService.getRestaurantSettings(order.branch);
+    const coursing = settings.coursing;
+    if (!coursing.enabled) return;
+
+    const firstFood = Math.min(...fresh
+        .filter(item => item.course !== 'drinks')
+        .map(item => COURSES.indexOf(item.course)));
+    const fireAt = coursing.autoFireMinutes > 0
+        ? new Date(Date.now() + coursing.autoFireMinutes * 60000)
+        : undefined;
+
+    fresh.forEach(item => {
+        if (coursing.holdCourses.includes(item.course) && COURSES.indexOf(item.course) > firstFood) {
+            item.held = true;
+            item.fireAt = fireAt;
+        }
+    });
+};
+
+// Courses on the order that still have items held back
+const heldCourses = (order) => COURSES.filter(course =>
+    order.items.some(item => item.held && item.course === course));
+
+// Send a held course to the kitchen. Food already on the table goes back to
+// the kitchen, as it does for a new round. Does not save the order.
+const fireCourse = (order, course, { actor = orderLifecycle.SYSTEM_ACTOR, reason } = {}) => {
+    if (!COURSES.includes(course)) {
+        throw new CourseError(`Unknown course: ${course}`);
+    }
+
+    if (orderLifecycle.TERMINAL_STATUSES.includes(order.status)) {
+        throw new CourseError(`Courses cannot be fired on a ${order.status} order`);
+    }
+
+    const items = order.items.filter(item => item.held && item.course === course);
+    if (items.length === 0) {
+        throw new CourseError(`No ${course} items are being held`, 404);
+    }
+
+    const at = new Date();
+    items.forEach(item => {
+        item.held = false;
+        item.firedAt = at;
+        item.firedBy = actor.id ? actor.id.toString() : undefined;
+        item.firedByName = actor.name;
+    });
+
+    if (['ready', 'served'].includes(order.status)) {
+        orderLifecycle.transition(order, 'preparing', {
+            actor,
+            reason: reason || `${course} fired`
+        });
+    }
+
+    return items;
+};
+
+// Tell the kitchen and the table a course has gone in, and send the items
+// to their stations
+const emitCourseFired = (io, order, course, items, { auto = false } = {}) => {
+    if (!io) return;
+
+    const payload = {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        tableNumber: order.tableNumber,
+        course,
+        items,
+        auto,
+        firedBy: items[0] ? items[0].firedByName : undefined,
+        timestamp: new Date().toISOString()
+    };
+
+    io.to('role:chef').to('role:admin').emit('course-fired', payload);
+    io.to(`table:${order.tableNumber}`).emit('course-fired', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        course,
+        timestamp: payload.timestamp
+    });
+    stationService.emitTickets(io, order, items);
+};
+
+// Fire every held course whose auto-fire time has passed
+const fireDueCourses = async (io, now = new Date()) => {
+    const orders = await Order().find({
+        status: { $nin: orderLifecycle.TERMINAL_STATUSES },
+        items: { $elemMatch: { held: true, fireAt: { $lte: now } } }
+    });
+
+    let fired = 0;
+    for (const order of orders) {
+        try {
+            const due = heldCourses(order).filter(course =>
+                order.items.some(item => item.held && item.course === course && item.fireAt && item.fireAt <= now));
+
+            const previousStatus = order.status;
+            const firedItems = due.map(course => ({
+                course,
+                items: fireCourse(order, course, { reason: `${course} fired automatically` })
+            }));
+
+            await order.save();
+            firedItems.forEach(({ course, items }) => emitCourseFired(io, order, course, items, { auto: true }));
+            if (order.status !== previousStatus) {
+                orderLifecycle.emitStatusChange(io, order);
+            }
+            fired += firedItems.length;
+        } catch (error) {
+            console.error(`Course fire error for order #${order.orderNumber}:`, error);
+        }
+    }
+
+    return fired;
+};
+
+// Run fireDueCourses in the background for the life of the process
+const startCourseMonitor = (io, { interval = CHECK_INTERVAL_MS } = {}) => {
+    let running = false;
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await fireDueCourses(io);
+        } catch (error) {
+            console.error('Course monitor error:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, interval);
+    timer.unref();
+    tick();
+    return timer;
+};
+
+module.exports = {
+    COURSES,
+    CourseError,
+    courseFor,
+    assignCourses,
+    heldCourses,
+    fireCourse,
+    emitCourseFired,
+    fireDueCourses,
+    startCourseMonitor
+};
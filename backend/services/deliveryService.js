@@ -0,0 +1,184 @@
+// services/deliveryService.js
+// Delivery orders: which zone an address falls in and what it costs, and
+// the driver's claim, on-the-road and delivered handoff.
+
+const Order = require('../models/Order');
+const DeliveryZone = require('../models/DeliveryZone');
+const orderLifecycle = require('./orderLifecycle');
+const paymentService = require('./paymentService');
+const { DEFAULT_BRANCH } = require('./orderNumberService');
+
+// Zone setup changes rarely, so keep it in memory between requests
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+// Statuses a delivery is in while a driver has it
+const DRIVER_STATUSES = ['dispatched', 'out_for_delivery'];
+
+// Staff who can move any delivery along, not just their own
+const DISPATCH_ROLES = ['admin', 'chef'];
+
+class DeliveryError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'DeliveryError';
+        this.status = status;
+    }
+}
+
+const getZones = async (branch = DEFAULT_BRANCH) => {
+    const cached = cache.get(branch);
+    if (cached && cached.expires > Date.now()) {
+        return cached.zones;
+    }
+
+    const zones = await DeliveryZone.find({ branch, isActive: true }).sort({ sortOrder: 1, name: 1 });
+    cache.set(branch, { zones, expires: Date.now() + CACHE_TTL_MS });
+    return zones;
+};
+
+const clearZoneCache = (branch) => {
+    if (branch) {
+        cache.delete(branch);
+    } else {
+        cache.clear();
+    }
+};
+
+const normalizePostcode = (postcode) => String(postcode || '').replace(/\s+/g, '').toUpperCase();
+
+// A zone listing the full postcode wins over one matching it by prefix
+const zoneFor = (zones, postcode) => {
+    const code = normalizePostcode(postcode);
+    if (!code) return null;
+
+    const coversPrefix = (entry) => entry.endsWith('*') && code.startsWith(entry.slice(0, -1));
+
+    return zones.find(zone => zone.postcodes.includes(code)) ||
+        zones.find(zone => zone.postcodes.some(coversPrefix)) ||
+        null;
+};
+
+// The zone, fee and minimum order for delivering to a postcode. With a
+// food total, also checks the order meets the zone's minimum.
+const quote = async (branch = DEFAULT_BRANCH, postcode, foodTotal) => {
+    const zone = zoneFor(await getZones(branch), postcode);
+    if (!zone) {
+        throw new DeliveryError(`Sorry, we don't deliver to ${normalizePostcode(postcode) || 'that address'}`);
+    }
+
+    if (foodTotal !== undefined && foodTotal < zone.minimumOrder) {
+        throw new DeliveryError(`The minimum order for delivery to ${zone.name} is $${zone.minimumOrder.toFixed(2)}`);
+    }
+
+    return {
+        zone,
+        fee: zone.fee,
+        minimumOrder: zone.minimumOrder
+    };
+};
+
+// Give a ready delivery to the driver. Only one driver can claim an order,
+// even if two tap at once.
+const claimDelivery = async (orderId, actor) => {
+    const order = await Order.findOneAndUpdate({
+        _id: orderId,
+        orderType: 'delivery',
+        status: 'ready',
+        'delivery.driverId': null
+    }, {
+        $set: {
+            'delivery.driverId': actor.id,
+            'delivery.driverName': actor.name,
+            'delivery.claimedAt': new Date()
+        }
+    }, { new: true });
+
+    if (!order) {
+        const existing = await Order.findById(orderId).select('orderType status delivery');
+        if (!existing || existing.orderType !== 'delivery') {
+            throw new DeliveryError('Delivery not found', 404);
+        }
+        if (existing.delivery && existing.delivery.driverId) {
+            throw new DeliveryError(`This delivery has already been claimed by ${existing.delivery.driverName}`, 409);
+        }
+        throw new DeliveryError(`Only ready orders can be claimed, this one is ${existing.status}`, 409);
+    }
+
+    try {
+        orderLifecycle.transition(order, 'dispatched', {
+            actor,
+            reason: `Claimed by ${actor.name}`
+        });
+        await order.save();
+    } catch (error) {
+        // Put the delivery back on the ready list rather than leave it
+        // claimed but never dispatched
+        await Order.updateOne(
+            { _id: order._id, status: 'ready', 'delivery.driverId': actor.id },
+            { $set: { 'delivery.driverId': null, 'delivery.driverName': null, 'delivery.claimedAt': null } }
+        );
+        throw error;
+    }
+    return order;
+};
+
+// Check the order is a delivery the driver holds; managers may act on any
+const assertHolder = (order, actor) => {
+    if (!order || order.orderType !== 'delivery') {
+        throw new DeliveryError('Delivery not found', 404);
+    }
+
+    const driverId = order.delivery && order.delivery.driverId;
+    if (!DISPATCH_ROLES.includes(actor.role) && (!driverId || driverId.toString() !== actor.id.toString())) {
+        throw new DeliveryError('This delivery is assigned to another driver', 403);
+    }
+};
+
+// Move a delivery the driver holds along to its next status. Does not save
+// the order.
+const advanceDelivery = (order, status, actor) => {
+    assertHolder(order, actor);
+    orderLifecycle.transition(order, status, { actor });
+};
+
+// Record the balance the driver took at the door. Saves the order.
+const collectPayment = async (order, { method, reference, actor }) => {
+    assertHolder(order, actor);
+    if (![...DRIVER_STATUSES, 'delivered'].includes(order.status)) {
+        throw new DeliveryError(`Payment is collected once the order has left the kitchen, not while it is ${order.status}`);
+    }
+
+    return paymentService.recordPayment(order, { method, reference, actor });
+};
+
+// Tell drivers and managers a delivery has moved, and the guest through
+// the usual status change
+const emitDeliveryUpdate = (io, order) => {
+    if (!io) return;
+
+    io.to('role:driver').to('role:admin').emit('delivery-updated', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        driverId: order.delivery.driverId,
+        driverName: order.delivery.driverName,
+        zoneName: order.delivery.zoneName,
+        timestamp: new Date().toISOString()
+    });
+    orderLifecycle.emitStatusChange(io, order);
+};
+
+module.exports = {
+    DRIVER_STATUSES,
+    DeliveryError,
+    getZones,
+    clearZoneCache,
+    normalizePostcode,
+    zoneFor,
+    quote,
+    claimDelivery,
+    advanceDelivery,
+    collectPayment,
+    emitDeliveryUpdate
+};
@@ -0,0 +1,357 @@
+// services/diningSessionService.js
+// Dining sessions: one per visit to a table. The session opens with the
+// table's first order (or when a booking is seated), collects everyone
+// who orders or joins by QR, follows the party through transfers and
+// merges, and closes when the table is cleared. Table status is only
+// changed here, so it always matches the session.
+
+const { DiningSession, Order, Payment, Reservation } = require('../models');
+const tableCartService = require('./tableCartService');
+
+// Orders that never turned into money for the visit
+const UNBILLED_STATUSES = ['cancelled', 'rejected', 'merged'];
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+// Free the table for the next party
+const clearTable = (table) => {
+    table.status = 'available';
+    table.currentSession = null;
+    table.currentOrder = null;
+    table.currentCustomer = null;
+    table.customerName = null;
+};
+
+// The table's open session, or a new unsaved one. Orders are given the id
+// before they are saved, and seatOrder saves the session after them.
+const sessionForTable = async (table) => {
+    const session = table.currentSession
+        ? await DiningSession.findOne({ _id: table.currentSession, status: 'open' })
+        : null;
+
+    return session || new DiningSession({
+        tableNumber: table.tableNumber,
+        tables: [table.tableNumber]
+    });
+};
+
+// Record a diner once, matched by account, guest session or (for walk-ins) name
+const addGuest = (session, { customer, guestSession, name }) => {
+    const known = session.guests.some(guest =>
+        (customer && sameId(guest.customer, customer)) ||
+        (guestSession && sameId(guest.guestSession, guestSession)) ||
+        (!customer && !guestSession && !guest.customer && !guest.guestSession && guest.name === name)
+    );
+    if (!known) {
+        session.guests.push({ customer, guestSession, name });
+    }
+    return session;
+};
+
+const applyDiner = (session, diner) => {
+    addGuest(session, diner);
+    if (diner.partySize) {
+        session.partySize = Math.max(session.partySize || 0, diner.partySize);
+    }
+};
+
+// Seat the table for a newly saved order. diner is { customer, guestSession,
+// name, partySize }. Returns the session the order belongs to.
+const seatOrder = async (session, table, order, diner) => {
+    const opening = session.isNew;
+    if (opening) {
+        session.hostName = diner.name;
+        session.reservation = diner.reservation;
+    }
+    applyDiner(session, diner);
+
+    try {
+        await session.save();
+    } catch (error) {
+        if (!opening || error.code !== 11000) throw error;
+
+        // Another order seated the table at the same moment; join that visit
+        session = await DiningSession.findOne({ tableNumber: table.tableNumber, status: 'open' });
+        applyDiner(session, diner);
+        await session.save();
+
+        if (order) {
+            order.diningSession = session._id;
+            await Order.updateOne({ _id: order._id }, { $set: { diningSession: session._id } });
+        }
+    }
+
+    if (!sameId(table.currentSession, session._id)) {
+        table.currentCustomer = diner.customer || null;
+        table.customerName = session.hostName;
+        table.occupiedAt = session.openedAt;
+    }
+    table.status = 'occupied';
+    table.currentSession = session._id;
+    if (order) {
+        table.currentOrder = order._id;
+    }
+    table.reservedUntil = null;
+    await table.save();
+
+    return session;
+};
+
+// Seat a party before they order, e.g. a booking that has arrived. Their
+// first order joins the session.
+const seatParty = async (table, diner) =>
+    seatOrder(await sessionForTable(table), table, null, diner);
+
+// A diner who scanned the QR of a table that is already seated
+const joinTable = async (table, diner) => {
+    if (!table.currentSession) return null;
+
+    const session = await DiningSession.findOne({ _id: table.currentSession, status: 'open' });
+    if (!session) return null;
+
+    addGuest(session, diner);
+    await session.save();
+    return session;
+};
+
+// Hold a free table for a booking until the given time. Returns false if
+// the table is not free.
+const reserveTable = async (table, name, until) => {
+    if (table.status !== 'available') return false;
+
+    table.status = 'reserved';
+    table.reservedUntil = until;
+    table.customerName = name;
+    await table.save();
+    return true;
+};
+
+// Give a held table back. Returns false if it was not being held.
+const unreserveTable = async (table) => {
+    if (table.status !== 'reserved') return false;
+
+    table.status = 'available';
+    table.reservedUntil = null;
+    table.customerName = null;
+    await table.save();
+    return true;
+};
+
+// Totals for the visit from its orders
+const summarize = async (session) => {
+    const orders = await Order.find({ diningSession: session._id })
+        .select('status totalAmount amountPaid amountRefunded');
+    const billed = orders.filter(order => !UNBILLED_STATUSES.includes(order.status));
+
+    return {
+        orderCount: billed.length,
+        spend: round2(billed.reduce((sum, order) => sum + (order.totalAmount || 0), 0)),
+        amountPaid: round2(billed.reduce((sum, order) =>
+            sum + (order.amountPaid || 0) - (order.amountRefunded || 0), 0)),
+        dwellMinutes: session.elapsedMinutes
+    };
+};
+
+const closeOpenSession = async (session, reason, actor) => {
+    if (!session || session.status !== 'open') return session;
+
+    session.status = 'closed';
+    session.closedAt = new Date();
+    session.closeReason = reason;
+    session.closedBy = actor?.name;
+    Object.assign(session, await summarize(session));
+    await session.save();
+
+    if (session.reservation) {
+        await Reservation.updateOne(
+            { _id: session.reservation, status: 'seated' },
+            { $set: { status: 'completed', completedAt: session.closedAt } }
+        );
+    }
+    return session;
+};
+
+// End the visit and free the table. Callers check the table is idle.
+const closeSession = async (table, { actor, io } = {}) => {
+    const session = table.currentSession ? await DiningSession.findById(table.currentSession) : null;
+    await closeOpenSession(session, 'cleared', actor);
+
+    clearTable(table);
+    await table.save();
+    await tableCartService.clearCart(table.tableNumber);
+
+    if (io) {
+        io.emit('table-updated', {
+            tableNumber: table.tableNumber,
+            status: table.status
+        });
+    }
+
+    return session;
+};
+
+// The party moves to another table and the visit goes with it
+const moveSession = async (fromTable, toTable, latestOrderId) => {
+    const session = fromTable.currentSession ? await DiningSession.findById(fromTable.currentSession) : null;
+    if (session) {
+        session.tableNumber = toTable.tableNumber;
+        session.tables.push(toTable.tableNumber);
+        await session.save();
+    }
+
+    toTable.status = 'occupied';
+    toTable.currentSession = fromTable.currentSession;
+    toTable.currentOrder = fromTable.currentOrder || latestOrderId;
+    toTable.currentCustomer = fromTable.currentCustomer;
+    toTable.customerName = fromTable.customerName;
+    toTable.occupiedAt = fromTable.occupiedAt || new Date();
+    await toTable.save();
+
+    clearTable(fromTable);
+    await fromTable.save();
+    await tableCartService.moveCart(fromTable.tableNumber, toTable.tableNumber);
+
+    return session;
+};
+
+// Two parties become one bill: the source visit closes into the target's,
+// which takes its guests and party size
+const mergeSessions = async (fromTable, toTable, targetOrder, actor) => {
+    const [source, target] = await Promise.all([
+        fromTable.currentSession ? DiningSession.findById(fromTable.currentSession) : null,
+        toTable.currentSession ? DiningSession.findById(toTable.currentSession) : null
+    ]);
+
+    let session = target;
+    if (source && target && !sameId(source._id, target._id)) {
+        source.guests.forEach(guest => addGuest(target, guest));
+        target.partySize = (target.partySize || 0) + (source.partySize || 0) || undefined;
+        source.tables.forEach(tableNumber => {
+            if (!target.tables.includes(tableNumber)) target.tables.push(tableNumber);
+        });
+        await target.save();
+
+        source.mergedInto = target._id;
+        await closeOpenSession(source, 'merged', actor);
+    } else if (source && !target) {
+        // Orders from before sessions existed; the source visit carries on here
+        source.tableNumber = toTable.tableNumber;
+        source.tables.push(toTable.tableNumber);
+        await source.save();
+        session = source;
+    }
+
+    toTable.status = 'occupied';
+    toTable.currentSession = session?._id || null;
+    toTable.currentOrder = targetOrder._id;
+    await toTable.save();
+
+    clearTable(fromTable);
+    await fromTable.save();
+    await tableCartService.moveCart(fromTable.tableNumber, toTable.tableNumber);
+
+    return session;
+};
+
+// Everything that happened during the visit
+const sessionDetail = async (session) => {
+    const orders = await Order.find({ diningSession: session._id })
+        .sort({ createdAt: 1 })
+        .select('orderNumber status tableNumber customerName items.name items.quantity items.round ' +
+            'serviceRequests totalAmount amountPaid amountRefunded paymentStatus createdAt');
+
+    const payments = await Payment.find({ order: { $in: orders.map(order => order._id) } })
+        .sort({ createdAt: 1 })
+        .select('order orderNumber method amount status refundedAmount capturedAt createdAt');
+
+    const serviceRequests = orders.flatMap(order => order.serviceRequests.map(request => ({
+        ...request.toObject(),
+        orderNumber: order.orderNumber
+    })));
+
+    return {
+        session,
+        summary: session.status === 'closed'
+            ? {
+                orderCount: session.orderCount,
+                spend: session.spend,
+                amountPaid: session.amountPaid,
+                dwellMinutes: session.dwellMinutes
+            }
+            : await summarize(session),
+        orders,
+        serviceRequests,
+        payments
+    };
+};
+
+// Visits that started in the range, each with spend and dwell time, plus
+// averages. Merged visits are counted in the visit they joined.
+const visitReport = async ({ from, to, branch, tableNumber }) => {
+    const query = {
+        openedAt: { $gte: from, $lt: to },
+        closeReason: { $ne: 'merged' }
+    };
+    if (branch) query.branch = branch;
+    if (tableNumber) query.tables = tableNumber;
+
+    const sessions = await DiningSession.find(query).sort({ openedAt: 1 });
+
+    const visits = await Promise.all(sessions.map(async session => ({
+        _id: session._id,
+        tableNumber: session.tableNumber,
+        tables: session.tables,
+        status: session.status,
+        hostName: session.hostName,
+        partySize: session.partySize,
+        guestCount: session.guests.length,
+        openedAt: session.openedAt,
+        closedAt: session.closedAt,
+        ...(session.status === 'closed'
+            ? {
+                orderCount: session.orderCount,
+                spend: session.spend,
+                amountPaid: session.amountPaid,
+                dwellMinutes: session.dwellMinutes
+            }
+            : await summarize(session))
+    })));
+
+    const closed = visits.filter(visit => visit.status === 'closed');
+    const totalSpend = round2(visits.reduce((sum, visit) => sum + visit.spend, 0));
+    const covers = visits.reduce((sum, visit) => sum + (visit.partySize || visit.guestCount || 0), 0);
+
+    return {
+        visits,
+        totals: {
+            visits: visits.length,
+            open: visits.length - closed.length,
+            covers,
+            totalSpend,
+            averageSpend: visits.length ? round2(totalSpend / visits.length) : 0,
+            spendPerCover: covers ? round2(totalSpend / covers) : 0,
+            // Only finished visits have a dwell time
+            averageDwellMinutes: closed.length
+                ? Math.round(closed.reduce((sum, visit) => sum + visit.dwellMinutes, 0) / closed.length)
+                : 0
+        }
+    };
+};
+
+module.exports = {
+    UNBILLED_STATUSES,
+    sessionForTable,
+    seatOrder,
+    seatParty,
+    joinTable,
+    reserveTable,
+    unreserveTable,
+    summarize,
+    closeSession,
+    moveSession,
+    mergeSessions,
+    sessionDetail,
+    visitReport
+};
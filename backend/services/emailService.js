@@ -1,4 +1,23 @@
 const nodemailer = require('nodemailer');
+const { billableQuantity, totalsLabels, tipLabel } = require('./taxService');
+const restaurantService = require('./restaurantService');
+
+// Names, notes and settings typed by staff or guests, made safe for email HTML
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+// Where the order goes: a table, a delivery address or a pickup time
+const orderPlaceHtml = (order) => {
+    if (order.tableNumber) {
+        return `<p><strong>Table Number:</strong> ${order.tableNumber}</p>`;
+    }
+    if (order.orderType === 'delivery') {
+        const address = order.delivery?.address || {};
+        return `<p><strong>Deliver to:</strong> ${[address.line1, address.line2, address.city, address.postalCode].filter(Boolean).map(escapeHtml).join(', ')}</p>`;
+    }
+    return `<p><strong>Pickup:</strong> ${order.pickup?.slotStart ? new Date(order.pickup.slotStart).toLocaleString() : 'At the counter'}</p>`;
+};
 
 class EmailService {
     constructor() {
@@ -26,11 +45,12 @@ class EmailService {
     
     async sendOrderConfirmation(order, customer) {
         try {
+            const restaurant = await restaurantService.getRestaurantSettings(order.branch);
             const mailOptions = {
-                from: `"Smart Waiter System" <${process.env.EMAIL_FROM || 'noreply@smartwaiter.com'}>`,
+                from: this.sender(restaurant),
                 to: customer.email,
                 subject: `Order Confirmation - #${order.orderNumber}`,
-                html: this.generateOrderConfirmationEmail(order, customer)
+                html: this.generateOrderConfirmationEmail(order, customer, restaurant)
             };
             
             const info = await this.transporter.sendMail(mailOptions);
@@ -44,11 +64,12 @@ class EmailService {
     
     async sendOrderStatusUpdate(order, customer, oldStatus, newStatus) {
         try {
+            const restaurant = await restaurantService.getRestaurantSettings(order.branch);
             const mailOptions = {
-                from: `"Smart Waiter System" <${process.env.EMAIL_FROM || 'noreply@smartwaiter.com'}>`,
+                from: this.sender(restaurant),
                 to: customer.email,
                 subject: `Order Update - #${order.orderNumber} is now ${newStatus}`,
-                html: this.generateOrderStatusEmail(order, customer, oldStatus, newStatus)
+                html: this.generateOrderStatusEmail(order, customer, oldStatus, newStatus, restaurant)
             };
             
             const info = await this.transporter.sendMail(mailOptions);
@@ -62,13 +83,14 @@ class EmailService {
     
     async sendPasswordReset(email, resetToken) {
         try {
+            const restaurant = await restaurantService.getRestaurantSettings();
             const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
             
             const mailOptions = {
-                from: `"Smart Waiter System" <${process.env.EMAIL_FROM || 'noreply@smartwaiter.com'}>`,
+                from: this.sender(restaurant),
                 to: email,
                 subject: 'Password Reset Request',
-                html: this.generatePasswordResetEmail(resetUrl)
+                html: this.generatePasswordResetEmail(resetUrl, restaurant)
             };
             
             const info = await this.transporter.sendMail(mailOptions);
@@ -82,11 +104,12 @@ class EmailService {
     
     async sendWelcomeEmail(user) {
         try {
+            const restaurant = await restaurantService.getRestaurantSettings();
             const mailOptions = {
-                from: `"Smart Waiter System" <${process.env.EMAIL_FROM || 'noreply@smartwaiter.com'}>`,
+                from: this.sender(restaurant),
                 to: user.email,
-                subject: 'Welcome to Smart Waiter System!',
-                html: this.generateWelcomeEmail(user)
+                subject: `Welcome to ${restaurant.name}!`,
+                html: this.generateWelcomeEmail(user, restaurant)
             };
             
             const info = await this.transporter.sendMail(mailOptions);
@@ -100,11 +123,12 @@ class EmailService {
     
     async sendDailyReport(adminEmail, reportData) {
         try {
+            const restaurant = await restaurantService.getRestaurantSettings();
             const mailOptions = {
-                from: `"Smart Waiter System" <${process.env.EMAIL_FROM || 'noreply@smartwaiter.com'}>`,
+                from: this.sender(restaurant),
                 to: adminEmail,
                 subject: `Daily Report - ${new Date().toLocaleDateString()}`,
-                html: this.generateDailyReportEmail(reportData)
+                html: this.generateDailyReportEmail(reportData, restaurant)
             };
             
             const info = await this.transporter.sendMail(mailOptions);
@@ -116,7 +140,71 @@ class EmailService {
         }
     }
     
-    generateOrderConfirmationEmail(order, customer) {
+    // Sent when a table is booked, and again (updated) when the booking changes
+    async sendReservationConfirmation(reservation, { updated = false } = {}) {
+        try {
+            const restaurant = await restaurantService.getRestaurantSettings(reservation.branch);
+            const mailOptions = {
+                from: this.sender(restaurant),
+                to: reservation.email,
+                subject: `${updated ? 'Booking Updated' : 'Booking Confirmed'} - ${reservation.reference}`,
+                html: this.generateReservationEmail(reservation, restaurant, updated ? 'updated' : 'confirmed')
+            };
+            
+            const info = await this.transporter.sendMail(mailOptions);
+            console.log('📧 Reservation confirmation email sent:', info.messageId);
+            return info;
+        } catch (error) {
+            console.error('Error sending reservation confirmation:', error);
+            return null;
+        }
+    }
+    
+    async sendReservationCancellation(reservation) {
+        try {
+            const restaurant = await restaurantService.getRestaurantSettings(reservation.branch);
+            const mailOptions = {
+                from: this.sender(restaurant),
+                to: reservation.email,
+                subject: `Booking Cancelled - ${reservation.reference}`,
+                html: this.generateReservationEmail(reservation, restaurant, 'cancelled')
+            };
+            
+            const info = await this.transporter.sendMail(mailOptions);
+            console.log('📧 Reservation cancellation email sent:', info.messageId);
+            return info;
+        } catch (error) {
+            console.error('Error sending reservation cancellation:', error);
+            return null;
+        }
+    }
+    
+    // Emails are sent in the restaurant's name from the configured address
+    sender(restaurant) {
+        return `"${restaurant.name.replace(/"/g, '')}" <${process.env.EMAIL_FROM || 'noreply@smartwaiter.com'}>`;
+    }
+    
+    // Restaurant name, address and phone for the bottom of an email
+    restaurantFooter(restaurant) {
+        const address = restaurantService.formatAddress(restaurant);
+        return [
+            restaurant.name,
+            address,
+            restaurant.phone && `Phone: ${restaurant.phone}`
+        ].filter(Boolean).map(escapeHtml).join('<br>\n                    ');
+    }
+    
+    // Logo above the email heading. Most mail clients block data: images,
+    // so only a logo given as a URL is shown.
+    restaurantLogo(restaurant) {
+        return restaurant.logo && /^https?:\/\//.test(restaurant.logo)
+            ? `<img src="${escapeHtml(restaurant.logo)}" alt="${escapeHtml(restaurant.name)}" style="max-height: 60px; margin-bottom: 10px;"><br>`
+            : '';
+    }
+    
+    generateOrderConfirmationEmail(order, customer, restaurant) {
+        const money = (amount) => restaurantService.formatMoney(amount, restaurant.currency?.symbol);
+        
         return `
             <!DOCTYPE html>
             <html>
@@ -136,16 +224,17 @@ class EmailService {
             </head>
             <body>
                 <div class="header">
+                    ${this.restaurantLogo(restaurant)}
                     <h1>Order Confirmation</h1>
                 </div>
                 <div class="content">
-                    <p>Dear ${customer.firstName} ${customer.lastName},</p>
-                    <p>Thank you for your order at Smart Waiter Restaurant!</p>
+                    <p>Dear ${escapeHtml(customer.firstName)} ${escapeHtml(customer.lastName)},</p>
+                    <p>Thank you for your order at ${escapeHtml(restaurant.name)}!</p>
                     
                     <div class="order-details">
                         <h3>Order Details</h3>
                         <p><strong>Order Number:</strong> ${order.orderNumber}</p>
-                        <p><strong>Table Number:</strong> ${order.tableNumber}</p>
+                        ${orderPlaceHtml(order)}
                         <p><strong>Order Time:</strong> ${new Date(order.createdAt).toLocaleString()}</p>
                         <p><strong>Status:</strong> <span class="status">${order.status}</span></p>
                         
@@ -162,32 +251,30 @@ class EmailService {
                             <tbody>
                                 ${order.items.map(item => `
                                     <tr>
-                                        <td>${item.name}</td>
+                                        <td>${escapeHtml(item.name)}${item.voidedQuantity > 0 ? ` <small>(${item.voidedQuantity} voided)</small>` : ''}${item.compedQuantity > 0 ? ` <small>(${item.compedQuantity} complimentary)</small>` : ''}</td>
                                         <td>${item.quantity}</td>
-                                        <td>$${item.price.toFixed(2)}</td>
-                                        <td>$${(item.price * item.quantity).toFixed(2)}</td>
+                                        <td>${money(item.price)}</td>
+                                        <td>${money(item.price * billableQuantity(item))}</td>
                                     </tr>
                                 `).join('')}
                             </tbody>
                         </table>
                         
                         <div style="text-align: right;">
-                            <p>Subtotal: $${order.subtotal.toFixed(2)}</p>
-                            <p>Tax (10%): $${order.tax.toFixed(2)}</p>
-                            <p>Service Charge (5%): $${order.serviceCharge.toFixed(2)}</p>
-                            ${order.discount > 0 ? `<p>Discount: -$${order.discount.toFixed(2)}</p>` : ''}
-                            <p class="total">Total: $${order.totalAmount.toFixed(2)}</p>
+                            <p>Subtotal: ${money(order.subtotal)}</p>
+                            ${totalsLabels(order).map(([label, amount]) => `<p>${label} ${money(amount)}</p>`).join('')}
+                            ${order.discount > 0 ? `<p>Discount${order.promotion?.code ? ` (${escapeHtml(order.promotion.code)})` : ''}: ${money(-order.discount)}</p>` : ''}
+                            ${order.tip > 0 ? `<p>${tipLabel(order)} ${money(order.tip)}</p>` : ''}
+                            <p class="total">Total: ${money(order.totalAmount)}</p>
                         </div>
                     </div>
                     
                     <p><strong>Estimated Preparation Time:</strong> ${order.estimatedPrepTime} minutes</p>
                     <p>You can track your order status in real-time through our website or mobile app.</p>
-                    <p>Thank you for dining with us!</p>
+                    ${restaurant.footerMessage ? `<p>${escapeHtml(restaurant.footerMessage)}</p>` : ''}
                 </div>
                 <div class="footer">
-                    <p>Smart Waiter Restaurant<br>
-                    123 Gourmet Street, Foodville<br>
-                    Phone: (555) 123-4567</p>
+                    <p>${this.restaurantFooter(restaurant)}</p>
                     <p>This is an automated email, please do not reply.</p>
                 </div>
             </body>
@@ -195,7 +282,7 @@ class EmailService {
         `;
     }
     
-    generateOrderStatusEmail(order, customer, oldStatus, newStatus) {
+    generateOrderStatusEmail(order, customer, oldStatus, newStatus, restaurant) {
         const statusColors = {
             pending: '#f39c12',
             confirmed: '#3498db',
@@ -221,10 +308,11 @@ class EmailService {
             </head>
             <body>
                 <div class="header">
+                    ${this.restaurantLogo(restaurant)}
                     <h1>Order Status Update</h1>
                 </div>
                 <div class="content">
-                    <p>Dear ${customer.firstName} ${customer.lastName},</p>
+                    <p>Dear ${escapeHtml(customer.firstName)} ${escapeHtml(customer.lastName)},</p>
                     
                     <div class="status-change">
                         <p>Your order status has been updated:</p>
@@ -236,7 +324,7 @@ class EmailService {
                     </div>
                     
                     <p><strong>Order Number:</strong> ${order.orderNumber}</p>
-                    <p><strong>Table Number:</strong> ${order.tableNumber}</p>
+                    ${orderPlaceHtml(order)}
                     <p><strong>Update Time:</strong> ${new Date().toLocaleString()}</p>
                     
                     ${newStatus === 'ready' ? `
@@ -249,22 +337,22 @@ class EmailService {
                     ${newStatus === 'completed' ? `
                         <p style="background: #d1ecf1; padding: 10px; border-radius: 5px; border-left: 4px solid #17a2b8;">
                             <strong>✅ Order completed!</strong><br>
-                            Thank you for dining with us. We hope you enjoyed your meal!
+                            ${escapeHtml(restaurant.footerMessage || 'We hope you enjoyed your meal!')}
                         </p>
                     ` : ''}
                     
                     <p>If you have any questions, please contact our staff.</p>
                 </div>
                 <div class="footer">
-                    <p>Smart Waiter Restaurant<br>
-                    This is an automated email, please do not reply.</p>
+                    <p>${this.restaurantFooter(restaurant)}</p>
+                    <p>This is an automated email, please do not reply.</p>
                 </div>
             </body>
             </html>
         `;
     }
     
-    generatePasswordResetEmail(resetUrl) {
+    generatePasswordResetEmail(resetUrl, restaurant) {
         return `
             <!DOCTYPE html>
             <html>
@@ -282,7 +370,7 @@ class EmailService {
                     <h1>Password Reset</h1>
                 </div>
                 <div class="content">
-                    <p>You requested a password reset for your Smart Waiter account.</p>
+                    <p>You requested a password reset for your ${escapeHtml(restaurant.name)} account.</p>
                     
                     <div style="text-align: center;">
                         <a href="${resetUrl}" class="reset-button">Reset Your Password</a>
@@ -297,7 +385,7 @@ class EmailService {
                     <p>If you didn't request this password reset, please ignore this email.</p>
                 </div>
                 <div class="footer">
-                    <p>Smart Waiter System<br>
+                    <p>${escapeHtml(restaurant.name)}<br>
                     This is an automated email, please do not reply.</p>
                 </div>
             </body>
@@ -305,7 +393,7 @@ class EmailService {
         `;
     }
     
-    generateWelcomeEmail(user) {
+    generateWelcomeEmail(user, restaurant) {
         return `
             <!DOCTYPE html>
             <html>
@@ -322,11 +410,12 @@ class EmailService {
             </head>
             <body>
                 <div class="header">
-                    <h1>Welcome to Smart Waiter!</h1>
+                    ${this.restaurantLogo(restaurant)}
+                    <h1>Welcome to ${escapeHtml(restaurant.name)}!</h1>
                 </div>
                 <div class="content">
-                    <p>Dear ${user.firstName} ${user.lastName},</p>
-                    <p>Welcome to Smart Waiter System! We're excited to have you on board.</p>
+                    <p>Dear ${escapeHtml(user.firstName)} ${escapeHtml(user.lastName)},</p>
+                    <p>Welcome to ${escapeHtml(restaurant.name)}! We're excited to have you on board.</p>
                     
                     <div class="features">
                         <div class="feature">
@@ -347,7 +436,7 @@ class EmailService {
                         </div>
                     </div>
                     
-                    <p>With Smart Waiter, you can:</p>
+                    <p>With our table ordering, you can:</p>
                     <ul>
                         <li>Browse our digital menu with photos</li>
                         <li>Place orders directly from your table</li>
@@ -361,15 +450,72 @@ class EmailService {
                     <p>If you have any questions, our staff will be happy to assist you.</p>
                 </div>
                 <div class="footer">
-                    <p>Smart Waiter Restaurant<br>
-                    Enjoy your dining experience!</p>
+                    <p>${this.restaurantFooter(restaurant)}</p>
+                </div>
+            </body>
+            </html>
+        `;
+    }
+    
+    generateReservationEmail(reservation, restaurant, kind) {
+        const headings = {
+            confirmed: { title: 'Your Table is Booked', color: '#27ae60' },
+            updated: { title: 'Your Booking Has Changed', color: '#3498db' },
+            cancelled: { title: 'Your Booking is Cancelled', color: '#e74c3c' }
+        };
+        const heading = headings[kind];
+        const startsAt = new Date(reservation.startsAt);
+        
+        return `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <style>
+                    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+                    .header { background: ${heading.color}; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+                    .content { background: #f9f9f9; padding: 20px; border-radius: 0 0 5px 5px; }
+                    .booking { background: white; padding: 15px; border-radius: 5px; margin: 20px 0; }
+                    .reference { font-size: 1.4em; font-weight: bold; letter-spacing: 2px; }
+                    .footer { text-align: center; margin-top: 30px; color: #777; font-size: 0.9em; }
+                </style>
+            </head>
+            <body>
+                <div class="header">
+                    ${this.restaurantLogo(restaurant)}
+                    <h1>${heading.title}</h1>
+                </div>
+                <div class="content">
+                    <p>Dear ${escapeHtml(reservation.name)},</p>
+                    ${kind === 'cancelled'
+                        ? `<p>Your booking at ${escapeHtml(restaurant.name)} has been cancelled${reservation.cancelReason ? `: ${escapeHtml(reservation.cancelReason)}` : ''}. We hope to see you another time.</p>`
+                        : `<p>${kind === 'updated' ? 'Here are your new booking details' : `Thank you for booking with ${escapeHtml(restaurant.name)}`}.</p>`}
+                    
+                    <div class="booking">
+                        <p>Booking reference: <span class="reference">${reservation.reference}</span></p>
+                        <p><strong>Date:</strong> ${startsAt.toLocaleDateString()}</p>
+                        <p><strong>Time:</strong> ${startsAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</p>
+                        <p><strong>Guests:</strong> ${reservation.partySize}</p>
+                        ${kind !== 'cancelled' ? `<p><strong>Table:</strong> ${reservation.tableNumber}</p>` : ''}
+                        ${reservation.notes ? `<p><strong>Notes:</strong> ${escapeHtml(reservation.notes)}</p>` : ''}
+                    </div>
+                    
+                    ${kind !== 'cancelled' ? `
+                        <p>We keep your table for ${reservation.durationMinutes} minutes. If you are running late or can no longer make it,
+                        please let us know${restaurant.phone ? ` on ${escapeHtml(restaurant.phone)}` : ''} and quote your booking reference.</p>
+                    ` : ''}
+                </div>
+                <div class="footer">
+                    <p>${this.restaurantFooter(restaurant)}</p>
+                    <p>This is an automated email, please do not reply.</p>
                 </div>
             </body>
             </html>
         `;
     }
     
-    generateDailyReportEmail(reportData) {
+    generateDailyReportEmail(reportData, restaurant) {
+        const money = (amount) => restaurantService.formatMoney(amount, restaurant.currency?.symbol);
+        
         return `
             <!DOCTYPE html>
             <html>
@@ -397,7 +543,7 @@ class EmailService {
                     
                     <div class="stats-grid">
                         <div class="stat-card">
-                            <div class="stat-value">$${reportData.revenue.toFixed(2)}</div>
+                            <div class="stat-value">${money(reportData.revenue)}</div>
                             <div class="stat-label">Total Revenue</div>
                         </div>
                         <div class="stat-card">
@@ -422,9 +568,9 @@ class EmailService {
                         <tbody>
                             ${reportData.topItems.map(item => `
                                 <tr>
-                                    <td>${item.name}</td>
+                                    <td>${escapeHtml(item.name)}</td>
                                     <td>${item.quantity}</td>
-                                    <td>$${item.revenue.toFixed(2)}</td>
+                                    <td>${money(item.revenue)}</td>
                                 </tr>
                             `).join('')}
                         </tbody>
@@ -444,7 +590,7 @@ class EmailService {
                                 <tr>
                                     <td>${hour.hour}:00</td>
                                     <td>${hour.orders}</td>
-                                    <td>$${hour.revenue.toFixed(2)}</td>
+                                    <td>${money(hour.revenue)}</td>
                                 </tr>
                             `).join('')}
                         </tbody>
@@ -456,7 +602,7 @@ class EmailService {
                     </ul>
                 </div>
                 <div class="footer">
-                    <p>Smart Waiter System - Automated Daily Report<br>
+                    <p>${escapeHtml(restaurant.name)} - Automated Daily Report<br>
                     Generated on ${new Date().toLocaleString()}</p>
                 </div>
             </body>
@@ -466,4 +612,5 @@ class EmailService {
 }
 
 // Export singleton instance
-module.exports = new EmailService();
\ No newline at end of file
+module.exports = new EmailService();
+module.exports.escapeHtml = escapeHtml;
\ No newline at end of file
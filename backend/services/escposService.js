@@ -0,0 +1,372 @@
+// services/escposService.js
+// ESC/POS output for thermal printers: customer receipts and kitchen order
+// tickets (KOT), laid out in fixed-width columns for 58mm or 80mm paper.
+
+const { billableQuantity, totalsLabels, tipLabel } = require('./taxService');
+const restaurantService = require('./restaurantService');
+
+// Characters per line in the printer's standard font (Font A, 12x24 dots)
+// and the width of the quantity and amount columns on receipts
+const PAPER_SIZES = {
+    '58mm': { width: 32, qty: 4, amount: 11 },
+    '80mm': { width: 48, qty: 5, amount: 12 }
+};
+const DEFAULT_PAPER = '80mm';
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+const COMMANDS = {
+    init: [ESC, 0x40],
+    codePage437: [ESC, 0x74, 0],
+    align: { left: [ESC, 0x61, 0], center: [ESC, 0x61, 1], right: [ESC, 0x61, 2] },
+    bold: (on) => [ESC, 0x45, on ? 1 : 0],
+    // GS ! n: high nibble is the width multiplier, low nibble the height
+    size: { normal: [GS, 0x21, 0x00], tall: [GS, 0x21, 0x01], large: [GS, 0x21, 0x11] },
+    // Feed past the tear bar, then partial cut
+    cut: [GS, 0x56, 0x42, 0x03]
+};
+
+// Printers start in code page 437, so text is reduced to plain ASCII:
+// accents are dropped and anything else unprintable becomes "?"
+const toPrintable = (text) => String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\u2018\u2019]/g, '\'')
+    .replace(/[\u201c\u201d]/g, '"')
+    .replace(/[\u2013\u2014]/g, '-')
+    .replace(/[^\x20-\x7e\n]/g, '?');
+
+// Break text into lines no longer than width, splitting long words
+const wrap = (text, width) => {
+    const lines = [];
+    toPrintable(text).split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            while (word.length > width) {
+                if (line) {
+                    lines.push(line);
+                    line = '';
+                }
+                lines.push(word.slice(0, width));
+                word = word.slice(width);
+            }
+            if (!word) return;
+            if (line && line.length + 1 + word.length > width) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = line ? `${line} ${word}` : word;
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+};
+
+// Currency symbols outside ASCII (€, ₹, ...) print as the currency code
+const escposMoney = (restaurant) => {
+    const symbol = restaurant.currency?.symbol ?? '$';
+    const printable = /^[\x20-\x7e]*$/.test(symbol) ? symbol : `${restaurant.currency?.code || ''} `;
+    return (amount) => restaurantService.formatMoney(amount, printable);
+};
+
+const paperLayout = (paper = DEFAULT_PAPER) => {
+    const layout = PAPER_SIZES[paper];
+    if (!layout) {
+        throw new Error(`Unsupported paper size: ${paper}`);
+    }
+    return layout;
+};
+
+// Collects commands and text for one ticket and turns them into bytes
+class EscPosBuilder {
+    constructor(paper = DEFAULT_PAPER) {
+        this.layout = paperLayout(paper);
+        this.width = this.layout.width;
+        this.chunks = [];
+        this.raw(COMMANDS.init, COMMANDS.codePage437);
+    }
+
+    raw(...commands) {
+        commands.forEach(command => this.chunks.push(Buffer.from(command)));
+        return this;
+    }
+
+    line(text = '') {
+        this.chunks.push(Buffer.from(toPrintable(text), 'ascii'), Buffer.from([LF]));
+        return this;
+    }
+
+    // Wrapped paragraph; large text is twice as wide, so fits half as much
+    text(text, { align = 'left', bold = false, size = 'normal' } = {}) {
+        const width = size === 'large' ? Math.floor(this.width / 2) : this.width;
+        this.raw(COMMANDS.align[align], COMMANDS.bold(bold), COMMANDS.size[size]);
+        wrap(text, width).forEach(line => this.line(line));
+        return this.raw(COMMANDS.size.normal, COMMANDS.bold(false), COMMANDS.align.left);
+    }
+
+    rule(char = '-') {
+        return this.line(char.repeat(this.width));
+    }
+
+    // Label on the left and value flush right, wrapping the label if needed
+    pair(label, value, { bold = false } = {}) {
+        const right = toPrintable(value);
+        const lines = wrap(label, Math.max(1, this.width - right.length - 1));
+        this.raw(COMMANDS.bold(bold));
+        lines.forEach((line, index) => {
+            const end = index === lines.length - 1 ? right : '';
+            this.line(line.padEnd(this.width - end.length) + end);
+        });
+        return this.raw(COMMANDS.bold(false));
+    }
+
+    // Receipt item row: quantity, wrapped name, amount on the first line.
+    // An amount wider than its column takes space from the name.
+    itemRow(qty, name, amount) {
+        const price = toPrintable(amount);
+        const qtyWidth = this.layout.qty;
+        const amountWidth = Math.max(this.layout.amount, price.length + 1);
+        const nameWidth = this.width - qtyWidth - amountWidth;
+        wrap(name, nameWidth).forEach((line, index) => {
+            const first = index === 0;
+            this.line((
+                (first ? String(qty) : '').padEnd(qtyWidth) +
+                line.padEnd(nameWidth) +
+                (first ? price : '').padStart(amountWidth)
+            ).trimEnd());
+        });
+        return this;
+    }
+
+    // Indented note under an item
+    note(text, indent = 2) {
+        wrap(text, this.width - indent).forEach(line => this.line(' '.repeat(indent) + line));
+        return this;
+    }
+
+    feed(lines = 1) {
+        for (let i = 0; i < lines; i++) this.line();
+        return this;
+    }
+
+    cut() {
+        return this.feed(3).raw(COMMANDS.cut);
+    }
+
+    toBuffer() {
+        return Buffer.concat(this.chunks);
+    }
+}
+
+const formatDateTime = (date) => {
+    const value = new Date(date);
+    return `${value.toLocaleDateString()} ${value.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+};
+
+const deliveryAddress = (order) => {
+    const address = order.delivery?.address || {};
+    return [address.line1, address.line2, address.city, address.postalCode].filter(Boolean).join(', ');
+};
+
+const renderRestaurantHeader = (builder, restaurant) => {
+    builder.text(restaurant.name.toUpperCase(), { align: 'center', bold: true, size: 'large' });
+    if (restaurant.tagline) {
+        builder.text(restaurant.tagline, { align: 'center' });
+    }
+    const address = restaurantService.formatAddress(restaurant);
+    if (address) {
+        builder.text(address, { align: 'center' });
+    }
+    if (restaurant.phone) {
+        builder.text(`Tel: ${restaurant.phone}`, { align: 'center' });
+    }
+    (restaurant.taxIds || []).forEach(taxId => {
+        builder.text(`${taxId.label}: ${taxId.value}`, { align: 'center' });
+    });
+};
+
+// Customer receipt for the whole order
+const renderReceipt = (order, restaurant, { paper = DEFAULT_PAPER } = {}) => {
+    const money = escposMoney(restaurant);
+    const builder = new EscPosBuilder(paper);
+
+    renderRestaurantHeader(builder, restaurant);
+    builder.rule('=');
+    builder.text('RECEIPT', { align: 'center', bold: true });
+    builder.pair('Order:', order.orderNumber);
+    if (order.tableNumber) {
+        builder.pair('Table:', String(order.tableNumber));
+    } else if (order.orderType === 'delivery') {
+        builder.pair('Deliver to:', deliveryAddress(order));
+    } else if (order.pickup?.slotStart) {
+        builder.pair('Pickup:', formatDateTime(order.pickup.slotStart));
+    }
+    if (order.customerName) {
+        builder.pair('Customer:', order.customerName);
+    }
+    builder.pair('Date:', formatDateTime(order.createdAt));
+    builder.rule();
+
+    builder.raw(COMMANDS.bold(true)).itemRow('Qty', 'Item', 'Amount').raw(COMMANDS.bold(false));
+
+    // Group items by ordering round when there is more than one
+    const hasRounds = order.items.some(item => (item.round || 1) > 1);
+    const sortedItems = [...order.items].sort((a, b) => (a.round || 1) - (b.round || 1));
+    let currentRound = null;
+
+    sortedItems.forEach(item => {
+        if (hasRounds && (item.round || 1) !== currentRound) {
+            currentRound = item.round || 1;
+            builder.text(`Round ${currentRound}`, { bold: true });
+        }
+
+        builder.itemRow(item.quantity, item.name, money(item.price * billableQuantity(item)));
+        if (item.quantity > 1) {
+            builder.note(`@ ${money(item.price)}`, builder.layout.qty);
+        }
+        [['voidedQuantity', 'voided'], ['compedQuantity', 'complimentary']].forEach(([field, label]) => {
+            if (item[field] > 0) {
+                builder.note(`${item[field]} ${label} (${money(-item.price * item[field])})`, builder.layout.qty);
+            }
+        });
+        if (item.specialInstructions) {
+            builder.note(`Note: ${item.specialInstructions}`, builder.layout.qty);
+        }
+    });
+
+    builder.rule();
+    builder.pair('Subtotal:', money(order.subtotal));
+    totalsLabels(order).forEach(([label, amount]) => builder.pair(label, money(amount)));
+    if (order.discount > 0) {
+        const name = order.promotion?.code || order.promotion?.name;
+        builder.pair(name ? `Discount (${name}):` : 'Discount:', money(-order.discount));
+    }
+    if (order.tip > 0) {
+        builder.pair(tipLabel(order), money(order.tip));
+    }
+    builder.rule('=');
+    builder.raw(COMMANDS.size.tall).pair('TOTAL:', money(order.totalAmount), { bold: true }).raw(COMMANDS.size.normal);
+
+    if (order.amountPaid > 0) {
+        builder.pair('Paid:', money(order.amountPaid - (order.amountRefunded || 0)));
+        if (order.balanceDue > 0) {
+            builder.pair('Balance Due:', money(order.balanceDue), { bold: true });
+        }
+    }
+    if (order.paymentStatus === 'paid' && order.paymentMethod) {
+        builder.pair('Payment:', order.paymentMethod.toUpperCase());
+    }
+
+    builder.feed();
+    if (order.pricesIncludeTax) {
+        builder.text('Menu prices include tax.', { align: 'center' });
+    }
+    if (restaurant.footerMessage) {
+        builder.text(restaurant.footerMessage, { align: 'center' });
+    }
+    builder.cut();
+
+    return builder.toBuffer();
+};
+
+// Kitchen order ticket: large item lines, no prices. `round` limits it to
+// one ordering round; `reprint` marks copies so the kitchen doesn't cook twice.
+const renderKitchenTicket = (order, { paper = DEFAULT_PAPER, round, reprint = false } = {}) => {
+    const builder = new EscPosBuilder(paper);
+
+    const lines = order.items.filter(item =>
+        (item.voidedQuantity || 0) < item.quantity &&
+        (!round || (item.round || 1) === round)
+    );
+    const items = lines.filter(item => !item.held);
+    const held = lines.filter(item => item.held);
+
+    if (reprint) {
+        builder.text('** REPRINT **', { align: 'center', bold: true });
+    }
+    builder.text('KITCHEN ORDER', { align: 'center', bold: true });
+    const location = order.orderType === 'delivery'
+        ? `DELIVERY ${order.delivery?.address?.postalCode || ''}`.trim()
+        : order.pickup?.slotStart
+            ? `PICKUP ${formatDateTime(order.pickup.slotStart)}`
+            : order.orderType === 'takeaway' ? 'TAKEAWAY' : `TABLE ${order.tableNumber}`;
+    builder.text(location, { align: 'center', bold: true, size: 'large' });
+    builder.rule('=');
+    builder.pair('Order:', order.orderNumber);
+    if (round || order.items.some(item => (item.round || 1) > 1)) {
+        builder.pair('Round:', round ? String(round) : 'All');
+    }
+    builder.pair('Placed:', formatDateTime(order.createdAt));
+    builder.pair('Printed:', formatDateTime(new Date()));
+    if (order.chefName) {
+        builder.pair('Chef:', order.chefName);
+    }
+    builder.rule();
+
+    items.forEach(item => {
+        const quantity = item.quantity - (item.voidedQuantity || 0);
+        builder.text(`${quantity} x ${item.name}`, { bold: true, size: 'tall' });
+        if (item.seat) {
+            builder.note(`Seat ${item.seat}`, 4);
+        }
+        if (item.specialInstructions) {
+            builder.note(`** ${item.specialInstructions}`, 4);
+        }
+    });
+
+    // Held courses are listed so the kitchen can plan, but not cooked yet
+    if (held.length > 0) {
+        builder.rule();
+        builder.text('ON HOLD - DO NOT START', { bold: true });
+        held.forEach(item => {
+            builder.text(`${item.quantity - (item.voidedQuantity || 0)} x ${item.name} (${item.course})`);
+        });
+    }
+
+    if (order.specialInstructions) {
+        builder.rule();
+        builder.text(`NOTE: ${order.specialInstructions}`, { bold: true });
+    }
+
+    builder.rule();
+    builder.text(`${items.reduce((sum, item) => sum + item.quantity - (item.voidedQuantity || 0), 0)} item(s)`, { align: 'center' });
+    builder.cut();
+
+    return builder.toBuffer();
+};
+
+// Short ticket to check a printer is reachable and the paper size is right
+const renderTestPage = (printer, restaurant) => {
+    const builder = new EscPosBuilder(printer.paper);
+
+    renderRestaurantHeader(builder, restaurant);
+    builder.rule('=');
+    builder.text('PRINTER TEST', { align: 'center', bold: true });
+    builder.pair('Printer:', printer.name);
+    builder.pair('Paper:', `${printer.paper} (${builder.width} columns)`);
+    builder.pair('Printed:', formatDateTime(new Date()));
+    builder.rule();
+    builder.line('0123456789'.repeat(Math.ceil(builder.width / 10)).slice(0, builder.width));
+    builder.cut();
+
+    return builder.toBuffer();
+};
+
+const createReceipt = async (order, options = {}) => {
+    const restaurant = await restaurantService.getRestaurantSettings(order.branch);
+    return renderReceipt(order, restaurant, options);
+};
+
+module.exports = {
+    PAPER_SIZES,
+    DEFAULT_PAPER,
+    EscPosBuilder,
+    wrap,
+    renderReceipt,
+    renderKitchenTicket,
+    renderTestPage,
+    createReceipt
+};
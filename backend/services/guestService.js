@@ -0,0 +1,147 @@
+// services/guestService.js
+// Guest sessions for diners who order from the table QR without signing
+// up. A guest gets a short-lived token for one table, and can later turn
+// the session into a User account that keeps the orders placed in it.
+
+const jwt = require('jsonwebtoken');
+const GuestSession = require('../models/GuestSession');
+const Order = require('../models/Order');
+const Table = require('../models/Table');
+const User = require('../models/User');
+const DiningSession = require('../models/DiningSession');
+const tableQrService = require('./tableQrService');
+const diningSessionService = require('./diningSessionService');
+const tableCartService = require('./tableCartService');
+
+// Long enough for a meal, short enough that a photo of the QR goes stale
+const SESSION_HOURS = parseFloat(process.env.GUEST_SESSION_HOURS || '4');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Tables a guest can't sit down at
+const CLOSED_TABLE_STATUSES = ['maintenance'];
+
+class GuestError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'GuestError';
+        this.status = status;
+    }
+}
+
+// Same shape as User.generateAuthToken, so the auth middleware reads it
+// the same way; the expiry matches the session's
+const guestToken = (session) => jwt.sign(
+    {
+        userId: session._id,
+        role: 'guest',
+        isGuest: true,
+        tableNumber: session.tableNumber,
+        firstName: session.displayName,
+        lastName: '',
+        email: session.email
+    },
+    process.env.JWT_SECRET || 'smartwaiter_production_secret_2024',
+    { expiresIn: Math.max(1, Math.floor((session.expiresAt - Date.now()) / 1000)) }
+);
+
+// What the page keeps about the signed-in guest
+const guestProfile = (session) => ({
+    _id: session._id,
+    role: 'guest',
+    isGuest: true,
+    firstName: session.displayName,
+    lastName: '',
+    email: session.email,
+    tableNumber: session.tableNumber,
+    expiresAt: session.expiresAt
+});
+
+// Start a guest session at a table; tableToken comes from its QR code
+const startSession = async ({ tableNumber, tableToken, displayName, email }) => {
+    const table = await Table.findOne({ tableNumber, isActive: true });
+    if (!table) {
+        throw new GuestError('Table not found or inactive', 404);
+    }
+    if (!tableQrService.verifyTableToken(table, tableToken)) {
+        throw new GuestError('This table link is out of date. Please scan the QR code on your table.', 403);
+    }
+    if (CLOSED_TABLE_STATUSES.includes(table.status)) {
+        throw new GuestError(`Table ${tableNumber} is not taking orders right now, please ask a member of staff`, 409);
+    }
+
+    const session = await GuestSession.create({
+        tableNumber,
+        displayName,
+        email: email || undefined,
+        expiresAt: new Date(Date.now() + SESSION_HOURS * HOUR_MS)
+    });
+
+    // Counted as one of the party if the table is already seated
+    await diningSessionService.joinTable(table, {
+        guestSession: session._id,
+        name: session.displayName
+    });
+
+    return { session, token: guestToken(session) };
+};
+
+// Turn a guest session into a customer account: a new one, or an existing
+// one if the guest knows its password. Orders from the session move to it.
+const upgradeSession = async (sessionId, { firstName, lastName, email, password, phone }) => {
+    const session = await GuestSession.findById(sessionId);
+    if (!session) {
+        throw new GuestError('Guest session not found', 404);
+    }
+    if (session.upgradedTo) {
+        throw new GuestError('These orders already belong to an account, please log in', 409);
+    }
+
+    const normalizedEmail = String(email || '').toLowerCase().trim();
+    let user = await User.findOne({ email: normalizedEmail });
+
+    if (user) {
+        if (!(await user.comparePassword(password))) {
+            throw new GuestError('An account with this email already exists. Enter its password to add these orders to it.', 401);
+        }
+        if (user.role !== 'customer') {
+            throw new GuestError('Guest orders can only move to a customer account', 403);
+        }
+    } else {
+        user = new User({
+            firstName,
+            lastName,
+            email: normalizedEmail,
+            password,
+            phone,
+            role: 'customer'
+        });
+        await user.save();
+    }
+
+    const { modifiedCount } = await Order.updateMany(
+        { guestSession: session._id },
+        { $set: { customer: user._id, customerEmail: user.email } }
+    );
+
+    await DiningSession.updateMany(
+        { 'guests.guestSession': session._id },
+        { $set: { 'guests.$.customer': user._id } }
+    );
+    await tableCartService.reassignLines(session._id, user._id);
+
+    session.upgradedTo = user._id;
+    session.upgradedAt = new Date();
+    await session.save();
+
+    return { user, ordersLinked: modifiedCount };
+};
+
+module.exports = {
+    SESSION_HOURS,
+    GuestError,
+    guestToken,
+    guestProfile,
+    startSession,
+    upgradeSession
+};
@@ -0,0 +1,417 @@
+// services/orderLifecycle.js
+// Single source of truth for how an Order moves between statuses.
+
+const STAFF = ['chef', 'admin'];
+// Drivers move delivery orders once they leave the kitchen
+const DELIVERY_STAFF = ['driver', ...STAFF];
+
+// Allowed transitions: from status -> { to status: roles allowed to make it }
+const TRANSITIONS = {
+    // Pre-orders wait here until they are released to the kitchen
+    scheduled: {
+        pending: STAFF,
+        cancelled: ['customer', ...STAFF],
+        rejected: STAFF
+    },
+    pending: {
+        confirmed: STAFF,
+        preparing: STAFF,
+        cancelled: ['customer', ...STAFF],
+        rejected: STAFF,
+        merged: STAFF
+    },
+    confirmed: {
+        preparing: STAFF,
+        ready: STAFF,
+        cancelled: ['customer', ...STAFF],
+        rejected: STAFF,
+        merged: STAFF
+    },
+    preparing: {
+        ready: STAFF,
+        cancelled: ['admin'],
+        merged: STAFF
+    },
+    // A new ordering round sends a ready or served order back to the kitchen
+    ready: {
+        served: STAFF,
+        dispatched: DELIVERY_STAFF,
+        preparing: ['customer', ...STAFF],
+        merged: STAFF
+    },
+    served: {
+        completed: STAFF,
+        preparing: ['customer', ...STAFF],
+        merged: STAFF
+    },
+    // Delivery orders: handed to a driver, on the road, at the door
+    dispatched: {
+        out_for_delivery: DELIVERY_STAFF,
+        cancelled: ['admin']
+    },
+    out_for_delivery: {
+        delivered: DELIVERY_STAFF,
+        cancelled: ['admin']
+    },
+    delivered: {
+        completed: STAFF
+    },
+    completed: {},
+    cancelled: {},
+    rejected: {},
+    merged: {}
+};
+
+// Timestamp field filled in when an order enters each status
+const TIMESTAMP_FIELDS = {
+    confirmed: 'confirmedAt',
+    preparing: 'preparingAt',
+    ready: 'readyAt',
+    served: 'servedAt',
+    dispatched: 'dispatchedAt',
+    out_for_delivery: 'outForDeliveryAt',
+    delivered: 'deliveredAt',
+    completed: 'completedAt',
+    cancelled: 'cancelledAt',
+    rejected: 'rejectedAt',
+    merged: 'mergedAt'
+};
+
+// Kitchen status of each line item, in the order an item moves through them
+const ITEM_STATUSES = ['queued', 'cooking', 'ready', 'served'];
+
+const ITEM_TRANSITIONS = {
+    queued: ['cooking', 'ready'],
+    cooking: ['ready'],
+    ready: ['served'],
+    served: []
+};
+
+const ITEM_TIMESTAMP_FIELDS = {
+    cooking: 'cookingAt',
+    ready: 'readyAt',
+    served: 'servedAt'
+};
+
+// Forward path an order takes while items are being worked on
+const PROGRESSION = ['pending', 'confirmed', 'preparing', 'ready', 'served'];
+
+const ACTIVE_STATUSES = ['pending', 'confirmed', 'preparing', 'ready', 'served', 'dispatched', 'out_for_delivery', 'delivered'];
+// Orders the kitchen still owes food for
+const KITCHEN_STATUSES = ['pending', 'confirmed', 'preparing'];
+const TERMINAL_STATUSES = ['completed', 'cancelled', 'rejected', 'merged'];
+
+// Orders collected at the counter rather than served at a table
+const PICKUP_ORDER_TYPES = ['takeaway', 'scheduled'];
+// Orders that leave the restaurant and so have no table
+const OFF_PREMISES_ORDER_TYPES = [...PICKUP_ORDER_TYPES, 'delivery'];
+// Statuses only delivery orders go through, and the one they skip
+const DELIVERY_STATUSES = ['dispatched', 'out_for_delivery', 'delivered'];
+
+// Event sent to the guest's room (see guestRoom) for each status
+const TABLE_EVENTS = {
+    pending: 'order-updated',
+    confirmed: 'order-updated',
+    preparing: 'order-updated',
+    ready: 'order-ready',
+    served: 'order-updated',
+    dispatched: 'order-updated',
+    out_for_delivery: 'order-updated',
+    delivered: 'order-delivered',
+    completed: 'order-completed',
+    cancelled: 'order-cancelled',
+    rejected: 'order-rejected',
+    merged: 'order-merged'
+};
+
+const TABLE_MESSAGES = {
+    pending: 'Your order has been sent to the kitchen',
+    confirmed: 'Your order has been confirmed by the kitchen',
+    preparing: 'The kitchen has started preparing your order',
+    ready: 'Your order is ready! Please wait for server.',
+    served: 'Your order has been served. Enjoy your meal!',
+    dispatched: 'Your order has been handed to a driver',
+    out_for_delivery: 'Your order is on its way',
+    delivered: 'Your order has been delivered. Enjoy your meal!',
+    completed: 'Thank you for dining with us!',
+    cancelled: 'Your order has been cancelled',
+    rejected: 'Sorry, the kitchen could not accept your order',
+    merged: 'Your order has been combined with another table\'s bill'
+};
+
+// Reason codes a chef can give when rejecting an order
+const REJECTION_REASONS = {
+    out_of_stock: 'Item out of stock',
+    kitchen_closed: 'Kitchen is closed',
+    invalid_table: 'Invalid table',
+    other: 'Other'
+};
+
+class OrderTransitionError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'OrderTransitionError';
+        this.status = status;
+    }
+}
+
+// Build the actor for a transition from an authenticated request
+const actorFromRequest = (req) => {
+    const user = req.user || {};
+    const name = user.firstName
+        ? `${user.firstName} ${user.lastName || ''}`.trim()
+        : (user.email || req.userId || 'Unknown');
+
+    const role = req.userRole || user.role;
+
+    return {
+        id: req.userId || user.id || user.email,
+        name,
+        isDemo: !!user.isDemo,
+        // Guests from the table QR can do whatever a customer can to their orders
+        role: role === 'guest' ? 'customer' : role
+    };
+};
+
+const SYSTEM_ACTOR = { id: 'system', name: 'System', role: 'system' };
+
+// Move items that are behind the order up to the given kitchen status
+const advanceItems = (order, itemStatus, actor, at) => {
+    const target = ITEM_STATUSES.indexOf(itemStatus);
+
+    order.items.forEach(item => {
+        // Held courses stay back until they are fired
+        if (item.held) return;
+        if (ITEM_STATUSES.indexOf(item.status || 'queued') >= target) return;
+
+        item.status = itemStatus;
+        item[ITEM_TIMESTAMP_FIELDS[itemStatus]] = at;
+        item.bumpedBy = actor.id ? actor.id.toString() : undefined;
+        item.bumpedByName = actor.name;
+    });
+};
+
+// Based on the balance rather than paymentStatus, which can be stale once
+// a round is added to a paid bill
+const isFullyPaid = (order) => order.balanceDue <= 0;
+
+// Money taken for an order and not yet given back, in dollars
+const amountHeld = (order) => Math.max(0, Math.round(((order.amountPaid || 0) - (order.amountRefunded || 0)) * 100) / 100);
+
+const canTransition = (from, to, role) => {
+    const allowed = TRANSITIONS[from] && TRANSITIONS[from][to];
+    if (!allowed) return false;
+    return role === 'system' || allowed.includes(role);
+};
+
+// Move an order to a new status, stamping the matching timestamp and
+// recording the change in statusHistory. Does not save the order.
+const transition = (order, to, { actor = SYSTEM_ACTOR, reason } = {}) => {
+    const from = order.status;
+
+    if (!TRANSITIONS[to]) {
+        throw new OrderTransitionError(`Unknown order status: ${to}`);
+    }
+
+    if (!TRANSITIONS[from] || !TRANSITIONS[from][to]) {
+        throw new OrderTransitionError(`Order cannot move from ${from} to ${to}`);
+    }
+
+    if (!canTransition(from, to, actor.role)) {
+        throw new OrderTransitionError(`Role ${actor.role || 'unknown'} cannot move an order from ${from} to ${to}`, 403);
+    }
+
+    const isDelivery = order.orderType === 'delivery';
+    if (DELIVERY_STATUSES.includes(to) && !isDelivery) {
+        throw new OrderTransitionError(`Only delivery orders can be ${to.replace(/_/g, ' ')}`);
+    }
+    if (to === 'served' && isDelivery) {
+        throw new OrderTransitionError('Delivery orders are dispatched to a driver, not served');
+    }
+
+    if (to === 'completed' && !isFullyPaid(order)) {
+        throw new OrderTransitionError(`Order cannot be completed until it is paid. Balance due: $${order.balanceDue.toFixed(2)}`, 402);
+    }
+
+    // Held courses have been ordered but not yet cooked
+    const held = to === 'completed'
+        ? [...new Set((order.items || [])
+            .filter(item => item.held && (item.voidedQuantity || 0) < item.quantity)
+            .map(item => item.course))]
+        : [];
+    if (held.length > 0) {
+        throw new OrderTransitionError(`Order cannot be completed while ${held.join(' and ')} is still held. Fire or void it first.`, 409);
+    }
+
+    // An order that never goes ahead must not keep the guest's money
+    if (['cancelled', 'rejected'].includes(to) && amountHeld(order) > 0) {
+        throw new OrderTransitionError(`Order has $${amountHeld(order).toFixed(2)} paid. Refund the payment before it can be ${to}.`, 409);
+    }
+
+    const at = new Date();
+    order.status = to;
+
+    const field = TIMESTAMP_FIELDS[to];
+    if (field) {
+        order[field] = at;
+    }
+
+    if (to === 'ready' && order.preparingAt) {
+        order.actualPrepTime = Math.round((at - order.preparingAt) / 60000); // minutes
+    }
+
+    // Keep line items in step when the whole order is bumped
+    if (to === 'ready' || to === 'served') {
+        advanceItems(order, to, actor, at);
+    }
+
+    const entry = {
+        from,
+        to,
+        actorId: actor.id ? actor.id.toString() : undefined,
+        actorName: actor.name,
+        actorRole: actor.role,
+        reason,
+        at
+    };
+    order.statusHistory.push(entry);
+
+    return entry;
+};
+
+// Work out the order status implied by its items, or null if the
+// items don't say anything beyond the current status
+const deriveStatusFromItems = (items) => {
+    // Fully voided items will never reach the table, and held courses
+    // don't count until they are fired
+    const live = (items || []).filter(item => (item.voidedQuantity || 0) < item.quantity && !item.held);
+    if (live.length === 0) return null;
+
+    const statuses = live.map(item => item.status || 'queued');
+
+    if (statuses.every(status => status === 'served')) return 'served';
+    if (statuses.every(status => status === 'ready' || status === 'served')) return 'ready';
+    if (statuses.some(status => status !== 'queued')) return 'preparing';
+    return null;
+};
+
+// Move one line item to a new kitchen status. Does not save the order.
+const transitionItem = (order, item, to, { actor = SYSTEM_ACTOR } = {}) => {
+    const from = item.status || 'queued';
+
+    if (TERMINAL_STATUSES.includes(order.status)) {
+        throw new OrderTransitionError(`Items cannot be updated on a ${order.status} order`);
+    }
+
+    if ((item.voidedQuantity || 0) >= item.quantity) {
+        throw new OrderTransitionError(`${item.name} has been voided`);
+    }
+
+    if (order.status === 'scheduled') {
+        throw new OrderTransitionError('Items cannot be started before the order is released to the kitchen');
+    }
+
+    if (item.held) {
+        throw new OrderTransitionError(`${item.name} is held until its course is fired`);
+    }
+
+    if (!ITEM_TRANSITIONS[to]) {
+        throw new OrderTransitionError(`Unknown item status: ${to}`);
+    }
+
+    if (!ITEM_TRANSITIONS[from].includes(to)) {
+        throw new OrderTransitionError(`${item.name} cannot move from ${from} to ${to}`);
+    }
+
+    const at = new Date();
+    item.status = to;
+    item[ITEM_TIMESTAMP_FIELDS[to]] = at;
+    item.bumpedBy = actor.id ? actor.id.toString() : undefined;
+    item.bumpedByName = actor.name;
+
+    return { from, to, at };
+};
+
+// Bring the order status forward to match its items, recording each
+// step in statusHistory. Returns the history entries added.
+const syncStatusWithItems = (order, options = {}) => {
+    const target = deriveStatusFromItems(order.items);
+    const entries = [];
+
+    const current = PROGRESSION.indexOf(order.status);
+    const targetIndex = PROGRESSION.indexOf(target);
+    if (current === -1 || targetIndex <= current) return entries;
+
+    PROGRESSION.slice(current + 1, targetIndex + 1)
+        // Delivery orders leave with a driver instead of being served
+        .filter(next => next !== 'confirmed' && !(next === 'served' && order.orderType === 'delivery'))
+        .forEach(next => {
+            if (TRANSITIONS[order.status][next]) {
+                entries.push(transition(order, next, options));
+            }
+        });
+
+    return entries;
+};
+
+// Socket room the guest following an order listens on: their table, or
+// the order itself when there is no table
+const guestRoom = (order) => order.tableNumber ? `table:${order.tableNumber}` : `order:${order._id}`;
+
+// Broadcast a status change to staff and to the order's table
+const emitStatusChange = (io, order, { message, ...extra } = {}) => {
+    if (!io) return;
+
+    const last = order.statusHistory[order.statusHistory.length - 1];
+    const timestamp = new Date().toISOString();
+
+    io.emit('order-status-update', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        tableNumber: order.tableNumber,
+        status: order.status,
+        previousStatus: last ? last.from : undefined,
+        chefName: order.chefName,
+        reason: last ? last.reason : undefined,
+        timestamp,
+        ...extra
+    });
+
+    const tableEvent = TABLE_EVENTS[order.status];
+    if (tableEvent) {
+        io.to(guestRoom(order)).emit(tableEvent, {
+            message: message || TABLE_MESSAGES[order.status],
+            status: order.status,
+            orderId: order._id,
+            orderNumber: order.orderNumber,
+            timestamp,
+            ...extra
+        });
+    }
+};
+
+module.exports = {
+    TRANSITIONS,
+    TIMESTAMP_FIELDS,
+    ACTIVE_STATUSES,
+    KITCHEN_STATUSES,
+    TERMINAL_STATUSES,
+    PICKUP_ORDER_TYPES,
+    OFF_PREMISES_ORDER_TYPES,
+    DELIVERY_STATUSES,
+    ITEM_STATUSES,
+    ITEM_TRANSITIONS,
+    REJECTION_REASONS,
+    SYSTEM_ACTOR,
+    OrderTransitionError,
+    actorFromRequest,
+    canTransition,
+    isFullyPaid,
+    amountHeld,
+    transition,
+    transitionItem,
+    deriveStatusFromItems,
+    syncStatusWithItems,
+    guestRoom,
+    emitStatusChange
+};
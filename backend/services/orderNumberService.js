@@ -0,0 +1,64 @@
+// services/orderNumberService.js
+// Order numbers come from one atomic counter per branch, order type and
+// day, e.g. ORD2510190001 for the first dine-in order on 19 Oct 2025.
+
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+
+const DEFAULT_BRANCH = process.env.BRANCH_CODE || 'main';
+
+// Prefix per order type, overridable per deployment
+const ORDER_NUMBER_PREFIXES = {
+    customer: process.env.ORDER_PREFIX_DINE_IN || 'ORD',
+    'walk-in': process.env.ORDER_PREFIX_WALK_IN || 'WLK',
+    takeaway: process.env.ORDER_PREFIX_TAKEAWAY || 'TKA',
+    scheduled: process.env.ORDER_PREFIX_SCHEDULED || 'PRE',
+    delivery: process.env.ORDER_PREFIX_DELIVERY || 'DLV'
+};
+
+const SEQUENCE_DIGITS = 4;
+
+const formatDay = (date) => {
+    const year = date.getFullYear().toString().slice(-2);
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const day = date.getDate().toString().padStart(2, '0');
+    return `${year}${month}${day}`;
+};
+
+// Branch code leading the number (DT-ORD...); the default branch is omitted
+// so single-site installs keep the original ORDyyMMddNNNN format
+const branchSegment = (branch) =>
+    branch && branch !== DEFAULT_BRANCH ? `${branch.toUpperCase()}-` : '';
+
+// Highest sequence number already given out after this prefix. A counter
+// started part way through a day (such as the day the counters went live,
+// when orders had been numbered by counting the day's orders) carries on
+// from there instead of reissuing numbers.
+const highestIssued = async (numberPrefix) => {
+    // Looked up here because the Order model loads this module
+    const Order = mongoose.model('Order');
+    const pattern = new RegExp(`^${numberPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\d+$`);
+    const orders = await Order.find({ orderNumber: pattern }).select('orderNumber');
+
+    return orders.reduce((highest, order) =>
+        Math.max(highest, parseInt(order.orderNumber.slice(numberPrefix.length), 10)), 0);
+};
+
+const nextOrderNumber = async ({ orderType = 'customer', branch = DEFAULT_BRANCH, date = new Date() } = {}) => {
+    const prefix = ORDER_NUMBER_PREFIXES[orderType] || ORDER_NUMBER_PREFIXES.customer;
+    const day = formatDay(date);
+    const numberPrefix = `${branchSegment(branch)}${prefix}${day}`;
+
+    // Sequences reset daily because the day is part of the key
+    const seq = await Counter.next(`order:${branch}:${orderType}:${day}`, {
+        seed: () => highestIssued(numberPrefix)
+    });
+
+    return `${numberPrefix}${seq.toString().padStart(SEQUENCE_DIGITS, '0')}`;
+};
+
+module.exports = {
+    DEFAULT_BRANCH,
+    ORDER_NUMBER_PREFIXES,
+    nextOrderNumber
+};
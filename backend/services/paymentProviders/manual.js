@@ -0,0 +1,31 @@
+// services/paymentProviders/manual.js
+// Payments taken outside the system and recorded by staff: cash, a
+// standalone card terminal or a UPI QR at the counter. Capture and refund
+// always succeed because the money has already changed hands.
+
+const crypto = require('crypto');
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+module.exports = {
+    name: 'manual',
+    methods: ['cash', 'card', 'upi', 'wallet'],
+
+    createIntent: async () => ({ id: newId('manual_pi'), status: 'requires_capture' }),
+
+    capture: async (intentId, { amount } = {}) => ({
+        status: 'succeeded',
+        chargeId: intentId.replace('manual_pi', 'manual_ch'),
+        amount
+    }),
+
+    refund: async (chargeId, { amount }) => ({
+        status: 'succeeded',
+        refundId: newId('manual_re'),
+        amount
+    }),
+
+    parseWebhook: () => {
+        throw new Error('Manual payments do not send webhooks');
+    }
+};
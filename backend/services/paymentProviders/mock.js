@@ -0,0 +1,98 @@
+// services/paymentProviders/mock.js
+// Offline payment gateway for development and testing. Intents live in
+// memory; webhooks are signed with HMAC-SHA256 like a real gateway's.
+//
+// Test details that fail on capture:
+//   card number 4000000000000002  -> card_declined
+//   UPI id      fail@upi          -> upi_rejected
+
+const crypto = require('crypto');
+
+const WEBHOOK_SECRET = process.env.MOCK_PAYMENT_WEBHOOK_SECRET || 'mock_webhook_secret';
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+const DECLINED_CARD = '4000000000000002';
+const REJECTED_UPI = 'fail@upi';
+
+const intents = new Map();
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const sign = (payload) =>
+    crypto.createHmac('sha256', WEBHOOK_SECRET).update(payload).digest('hex');
+
+const createIntent = async ({ amount, currency, metadata }) => {
+    const intent = {
+        id: newId('mock_pi'),
+        clientSecret: newId('mock_secret'),
+        amount,
+        currency,
+        metadata,
+        status: 'requires_confirmation',
+        refunded: 0
+    };
+    intents.set(intent.id, intent);
+
+    return { id: intent.id, clientSecret: intent.clientSecret, status: intent.status };
+};
+
+const declineReason = (details = {}) => {
+    if (details.cardNumber && details.cardNumber.replace(/\s/g, '') === DECLINED_CARD) return 'card_declined';
+    if (details.upiId && details.upiId.toLowerCase() === REJECTED_UPI) return 'upi_rejected';
+    return null;
+};
+
+const capture = async (intentId, { paymentDetails } = {}) => {
+    const intent = intents.get(intentId);
+    if (!intent) {
+        return { status: 'failed', failureReason: 'intent_not_found' };
+    }
+
+    const reason = declineReason(paymentDetails);
+    if (reason) {
+        intent.status = 'failed';
+        return { status: 'failed', failureReason: reason };
+    }
+
+    intent.status = 'succeeded';
+    intent.chargeId = newId('mock_ch');
+    return { status: 'succeeded', chargeId: intent.chargeId, amount: intent.amount };
+};
+
+const refund = async (chargeId, { amount }) => {
+    const intent = [...intents.values()].find(i => i.chargeId === chargeId);
+    if (intent) {
+        intent.refunded += amount;
+    }
+    // Refunds of charges from before a restart still succeed offline
+    return { status: 'succeeded', refundId: newId('mock_re'), amount };
+};
+
+// Verify and decode a webhook: { type, intentId, chargeId, amount, failureReason }
+const parseWebhook = (rawBody, headers) => {
+    const signature = headers[SIGNATURE_HEADER];
+    const expected = sign(rawBody);
+
+    if (!signature || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw new Error('Invalid webhook signature');
+    }
+
+    return JSON.parse(rawBody.toString());
+};
+
+// Build a signed webhook request body, for tests and local tooling
+const buildWebhook = (event) => {
+    const body = JSON.stringify(event);
+    return { body, headers: { [SIGNATURE_HEADER]: sign(body) } };
+};
+
+module.exports = {
+    name: 'mock',
+    methods: ['card', 'upi', 'wallet'],
+    createIntent,
+    capture,
+    refund,
+    parseWebhook,
+    buildWebhook
+};
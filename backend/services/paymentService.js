@@ -0,0 +1,374 @@
+// services/paymentService.js
+// Takes and records payments against orders through pluggable providers.
+//
+// A provider is an object with:
+//   name, methods                                   provider id and payment methods it accepts
+//   createIntent({ amount, currency, metadata })    -> { id, status, clientSecret? }
+//   capture(intentId, { amount, paymentDetails })   -> { status: 'succeeded'|'failed', chargeId?, failureReason? }
+//   refund(chargeId, { amount, reason })            -> { status: 'succeeded'|'failed', refundId? }
+//   parseWebhook(rawBody, headers)                  -> { type, intentId, chargeId?, amount?, failureReason? }
+// Webhook types: payment.succeeded, payment.failed, refund.succeeded.
+
+const { Payment } = require('../models');
+const { guestRoom } = require('./orderLifecycle');
+const { toCents, fromCents, isSplitStale } = require('./billSplitter');
+const taxService = require('./taxService');
+
+class PaymentError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'PaymentError';
+        this.status = status;
+    }
+}
+
+const providers = new Map();
+
+const registerProvider = (provider) => {
+    providers.set(provider.name, provider);
+};
+
+const getProvider = (name) => {
+    const provider = providers.get(name);
+    if (!provider) {
+        throw new PaymentError(`Unknown payment provider: ${name}`, 404);
+    }
+    return provider;
+};
+
+registerProvider(require('./paymentProviders/mock'));
+registerProvider(require('./paymentProviders/manual'));
+
+// Gateway used when guests pay from the table; staff-recorded payments use 'manual'
+const ONLINE_PROVIDER = process.env.PAYMENT_PROVIDER || 'mock';
+const CURRENCY = process.env.PAYMENT_CURRENCY || 'USD';
+
+// Delivery orders are often paid at the door, so they stay payable until completed
+const PAYABLE_STATUSES = ['pending', 'confirmed', 'preparing', 'ready', 'served', 'dispatched', 'out_for_delivery', 'delivered'];
+
+// Amount still owed on an order, in dollars
+const balanceDue = (order) => {
+    const net = toCents(order.amountPaid) - toCents(order.amountRefunded);
+    return fromCents(Math.max(0, toCents(order.totalAmount) - toCents(order.refundCredit) - net));
+};
+
+// Recalculate the order's paid/refunded totals and paymentStatus from its
+// payments, and mark split shares as paid. Does not save the order.
+const refreshOrderPayment = async (order) => {
+    const payments = await Payment.find({
+        order: order._id,
+        status: { $in: ['captured', 'partially_refunded', 'refunded'] }
+    }).sort({ capturedAt: 1 });
+
+    const paidCents = payments.reduce((sum, payment) => sum + toCents(payment.amount), 0);
+    const refundedCents = payments.reduce((sum, payment) => sum + toCents(payment.refundedAmount), 0);
+    const netCents = paidCents - refundedCents;
+
+    order.amountPaid = fromCents(paidCents);
+    order.amountRefunded = fromCents(refundedCents);
+
+    if (paidCents === 0) {
+        order.paymentStatus = 'pending';
+    } else if (refundedCents > 0) {
+        order.paymentStatus = netCents <= 0 ? 'refunded' : 'partially_refunded';
+    } else if (netCents >= toCents(order.totalAmount)) {
+        order.paymentStatus = 'paid';
+        order.paidAt = order.paidAt || new Date();
+    } else {
+        order.paymentStatus = 'partially_paid';
+    }
+
+    const methods = [...new Set(payments.map(payment => payment.method))];
+    if (methods.length === 1) {
+        order.paymentMethod = methods[0];
+    }
+    if (payments.length > 0) {
+        order.paymentId = payments[payments.length - 1]._id.toString();
+    }
+
+    (order.billSplit?.shares || []).forEach(share => {
+        const payment = payments.find(p => p.share && p.share.equals(share._id) && p.status === 'captured');
+        if (payment && share.paymentStatus !== 'paid') {
+            share.paymentStatus = 'paid';
+            share.paymentMethod = payment.method;
+            share.paidAt = payment.capturedAt;
+        }
+    });
+
+    return order;
+};
+
+// Recalculate the totals after items are added or taken off, so a bill
+// that was paid before a new round is no longer marked paid. Does not
+// save the order.
+const refreshOrderTotals = async (order) => {
+    await taxService.applyTotals(order);
+    if (order.amountPaid > 0) {
+        await refreshOrderPayment(order);
+    }
+    return order;
+};
+
+// Work out and check the amount for a new payment
+const resolveAmount = (order, { amount, shareId }) => {
+    if (!PAYABLE_STATUSES.includes(order.status)) {
+        throw new PaymentError(`A ${order.status} order cannot be paid`);
+    }
+
+    const dueCents = toCents(balanceDue(order));
+    if (dueCents <= 0) {
+        throw new PaymentError('This order is already fully paid');
+    }
+
+    if (shareId) {
+        const share = order.billSplit?.shares?.id(shareId);
+        if (!share) {
+            throw new PaymentError('Bill share not found', 404);
+        }
+        if (isSplitStale(order)) {
+            throw new PaymentError('The order changed after the bill was split. Please split it again.', 409);
+        }
+        if (share.paymentStatus === 'paid') {
+            throw new PaymentError(`${share.label} has already paid`);
+        }
+        if (toCents(share.total) > dueCents) {
+            throw new PaymentError(`${share.label} is more than the balance due of $${fromCents(dueCents).toFixed(2)}`);
+        }
+        return { amount: share.total, share };
+    }
+
+    const cents = amount !== undefined ? toCents(amount) : dueCents;
+    if (cents <= 0) {
+        throw new PaymentError('Payment amount must be positive');
+    }
+    if (cents > dueCents) {
+        throw new PaymentError(`Payment exceeds the balance due of $${fromCents(dueCents).toFixed(2)}`);
+    }
+
+    return { amount: fromCents(cents) };
+};
+
+const newPayment = (order, { provider, method, amount, share, source, actor, reference }) => new Payment({
+    order: order._id,
+    orderNumber: order.orderNumber,
+    tableNumber: order.tableNumber,
+    share: share ? share._id : undefined,
+    provider,
+    method,
+    amount,
+    currency: CURRENCY,
+    reference,
+    source,
+    actorId: actor?.id ? actor.id.toString() : undefined,
+    actorName: actor?.name,
+    actorRole: actor?.role
+});
+
+const applyCapture = (payment, result) => {
+    if (result.status === 'succeeded') {
+        payment.status = 'captured';
+        payment.providerChargeId = result.chargeId;
+        payment.capturedAt = new Date();
+        payment.failureReason = undefined;
+    } else {
+        payment.status = 'failed';
+        payment.failureReason = result.failureReason || 'payment_failed';
+    }
+};
+
+// Start an online payment from the table. Returns the pending payment and
+// the provider's client secret for confirming it.
+const startPayment = async (order, { method, amount, shareId, actor }) => {
+    const provider = getProvider(ONLINE_PROVIDER);
+    if (!provider.methods.includes(method)) {
+        throw new PaymentError(`${method} payments are not accepted online`);
+    }
+
+    const resolved = resolveAmount(order, { amount, shareId });
+    const payment = newPayment(order, {
+        provider: provider.name,
+        method,
+        amount: resolved.amount,
+        share: resolved.share,
+        source: 'customer',
+        actor
+    });
+
+    const intent = await provider.createIntent({
+        amount: payment.amount,
+        currency: payment.currency,
+        metadata: { orderId: order._id.toString(), paymentId: payment._id.toString() }
+    });
+    payment.providerIntentId = intent.id;
+    await payment.save();
+
+    return { payment, clientSecret: intent.clientSecret };
+};
+
+// Confirm a pending online payment with the guest's payment details
+const confirmPayment = async (payment, order, { paymentDetails } = {}) => {
+    if (payment.status !== 'pending') {
+        throw new PaymentError(`Payment is already ${payment.status}`);
+    }
+
+    // The balance may have been settled another way since the intent was made
+    if (toCents(payment.amount) > toCents(balanceDue(order))) {
+        payment.status = 'cancelled';
+        await payment.save();
+        throw new PaymentError('The balance has changed since this payment was started. Please try again.', 409);
+    }
+
+    const provider = getProvider(payment.provider);
+    const result = await provider.capture(payment.providerIntentId, {
+        amount: payment.amount,
+        paymentDetails
+    });
+    applyCapture(payment, result);
+    await payment.save();
+
+    await refreshOrderPayment(order);
+    await order.save();
+
+    return payment;
+};
+
+// Record a payment staff took at the counter (cash, card terminal, UPI)
+const recordPayment = async (order, { method, amount, shareId, reference, actor }) => {
+    const provider = getProvider('manual');
+    const resolved = resolveAmount(order, { amount, shareId });
+
+    const payment = newPayment(order, {
+        provider: provider.name,
+        method,
+        amount: resolved.amount,
+        share: resolved.share,
+        source: 'staff',
+        actor,
+        reference
+    });
+
+    const intent = await provider.createIntent({ amount: payment.amount, currency: payment.currency });
+    payment.providerIntentId = intent.id;
+    applyCapture(payment, await provider.capture(intent.id, { amount: payment.amount }));
+    await payment.save();
+
+    await refreshOrderPayment(order);
+    await order.save();
+
+    return payment;
+};
+
+// Refund part or all of a captured payment through its provider
+const refundPayment = async (payment, order, { amount, reason, actor }) => {
+    if (!['captured', 'partially_refunded'].includes(payment.status)) {
+        throw new PaymentError(`A ${payment.status} payment cannot be refunded`);
+    }
+
+    const refundableCents = toCents(payment.amount) - toCents(payment.refundedAmount);
+    const cents = amount !== undefined ? toCents(amount) : refundableCents;
+    if (cents <= 0 || cents > refundableCents) {
+        throw new PaymentError(`Refund must be between $0.01 and $${fromCents(refundableCents).toFixed(2)}`);
+    }
+
+    const provider = getProvider(payment.provider);
+    const result = await provider.refund(payment.providerChargeId, { amount: fromCents(cents), reason });
+    if (result.status !== 'succeeded') {
+        throw new PaymentError(`Refund failed: ${result.failureReason || 'provider error'}`, 502);
+    }
+
+    payment.refunds.push({
+        amount: fromCents(cents),
+        reason,
+        providerRefundId: result.refundId,
+        actorId: actor?.id ? actor.id.toString() : undefined,
+        actorName: actor?.name
+    });
+    payment.refundedAmount = fromCents(toCents(payment.refundedAmount) + cents);
+    payment.status = toCents(payment.refundedAmount) >= toCents(payment.amount) ? 'refunded' : 'partially_refunded';
+    await payment.save();
+
+    await refreshOrderPayment(order);
+    await order.save();
+
+    return payment;
+};
+
+// Apply a provider webhook. Events for unknown payments or events that were
+// already applied are ignored, so providers can safely retry.
+const handleWebhook = async (providerName, rawBody, headers, loadOrder) => {
+    const provider = getProvider(providerName);
+
+    let event;
+    try {
+        event = provider.parseWebhook(rawBody, headers);
+    } catch (error) {
+        throw new PaymentError(error.message, 401);
+    }
+
+    const payment = await Payment.findOne({ provider: provider.name, providerIntentId: event.intentId });
+    if (!payment) return { event, payment: null };
+
+    if (event.type === 'payment.succeeded' || event.type === 'payment.failed') {
+        if (payment.status !== 'pending') return { event, payment };
+        applyCapture(payment, {
+            status: event.type === 'payment.succeeded' ? 'succeeded' : 'failed',
+            chargeId: event.chargeId,
+            failureReason: event.failureReason
+        });
+    } else if (event.type === 'refund.succeeded') {
+        // Refunds made from the gateway's own dashboard
+        if (payment.refunds.some(r => r.providerRefundId === event.refundId)) return { event, payment };
+        const cents = Math.min(toCents(event.amount), toCents(payment.amount) - toCents(payment.refundedAmount));
+        if (cents <= 0) return { event, payment };
+        payment.refunds.push({ amount: fromCents(cents), reason: 'Refunded at provider', providerRefundId: event.refundId });
+        payment.refundedAmount = fromCents(toCents(payment.refundedAmount) + cents);
+        payment.status = toCents(payment.refundedAmount) >= toCents(payment.amount) ? 'refunded' : 'partially_refunded';
+    } else {
+        return { event, payment };
+    }
+
+    await payment.save();
+
+    const order = await loadOrder(payment.order);
+    if (order) {
+        await refreshOrderPayment(order);
+        await order.save();
+    }
+
+    return { event, payment, order };
+};
+
+// Let the table and staff know a payment changed
+const emitPaymentUpdate = (io, order, payment) => {
+    if (!io) return;
+
+    io.to(guestRoom(order)).to('role:chef').to('role:admin').emit('payment-updated', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        tableNumber: order.tableNumber,
+        paymentId: payment._id,
+        paymentStatus: payment.status,
+        method: payment.method,
+        amount: payment.amount,
+        orderPaymentStatus: order.paymentStatus,
+        balanceDue: balanceDue(order),
+        timestamp: new Date().toISOString()
+    });
+};
+
+module.exports = {
+    PaymentError,
+    ONLINE_PROVIDER,
+    PAYABLE_STATUSES,
+    registerProvider,
+    getProvider,
+    balanceDue,
+    refreshOrderPayment,
+    refreshOrderTotals,
+    startPayment,
+    confirmPayment,
+    recordPayment,
+    refundPayment,
+    handleWebhook,
+    emitPaymentUpdate
+};
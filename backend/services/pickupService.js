@@ -0,0 +1,282 @@
+// services/pickupService.js
+// Pickup slots for takeaway and scheduled orders. Slots follow the opening
+// hours and take a limited number of orders each. Scheduled orders wait
+// out of the kitchen and are released in time to be ready for their slot.
+// A slot's places are taken with an atomic per-slot counter, so orders
+// placed at the same moment can't overbook it.
+
+const Order = require('../models/Order');
+const Counter = require('../models/Counter');
+const orderLifecycle = require('./orderLifecycle');
+const restaurantService = require('./restaurantService');
+const stationService = require('./stationService');
+const prepTimeEstimator = require('./prepTimeEstimator');
+const { DEFAULT_BRANCH } = require('./orderNumberService');
+
+const { startOfDay } = restaurantService;
+
+const CHECK_INTERVAL_MS = parseInt(process.env.PICKUP_RELEASE_INTERVAL_MS || '30000', 10);
+
+// Orders in these statuses no longer take up their slot
+const FREED_STATUSES = ['cancelled', 'rejected', 'merged'];
+
+const MINUTE_MS = 60 * 1000;
+
+class PickupError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'PickupError';
+        this.status = status;
+    }
+}
+
+// Every slot in the day's opening hours. Hours running past midnight keep
+// their late slots on the day they opened.
+const daySlots = (settings, day) => {
+    const hours = restaurantService.openingWindow(settings, day);
+    if (!hours) return [];
+
+    const length = settings.pickup.slotMinutes * MINUTE_MS;
+    const slots = [];
+    for (let start = hours.open.getTime(); start + length <= hours.close.getTime(); start += length) {
+        slots.push({ slotStart: new Date(start), slotEnd: new Date(start + length) });
+    }
+    return slots;
+};
+
+// Orders holding each slot between two times, keyed by slot start
+const bookedCounts = async (branch, from, to) => {
+    const orders = await Order.find({
+        branch,
+        'pickup.slotStart': { $gte: from, $lt: to },
+        status: { $nin: FREED_STATUSES }
+    }).select('pickup.slotStart');
+
+    const counts = new Map();
+    orders.forEach(order => {
+        const key = order.pickup.slotStart.getTime();
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return counts;
+};
+
+// Slots guests can still choose on a date, with how many orders each has
+// room for. Slots sooner than the lead time are left out.
+const listSlots = async (branch = DEFAULT_BRANCH, date = new Date(), now = new Date()) => {
+    const settings = await restaurantService.getRestaurantSettings(branch);
+    const rules = settings.pickup;
+    if (!rules.enabled) return [];
+
+    const day = startOfDay(date);
+    const lastDay = startOfDay(now);
+    lastDay.setDate(lastDay.getDate() + rules.maxDaysAhead);
+    if (day < startOfDay(now) || day > lastDay) return [];
+
+    const earliest = now.getTime() + rules.leadMinutes * MINUTE_MS;
+    const slots = daySlots(settings, day).filter(slot => slot.slotStart.getTime() >= earliest);
+    if (slots.length === 0) return [];
+
+    const booked = await bookedCounts(branch, slots[0].slotStart, slots[slots.length - 1].slotEnd);
+    return slots.map(slot => {
+        const taken = booked.get(slot.slotStart.getTime()) || 0;
+        return {
+            ...slot,
+            booked: taken,
+            remaining: Math.max(0, rules.ordersPerSlot - taken),
+            available: taken < rules.ordersPerSlot
+        };
+    });
+};
+
+// The open slot starting at the given time, or a PickupError saying why
+// it can't be booked
+const findSlot = async (branch = DEFAULT_BRANCH, slotStart, now = new Date()) => {
+    const settings = await restaurantService.getRestaurantSettings(branch);
+    if (!settings.pickup.enabled) {
+        throw new PickupError('Pickup orders are not being taken at the moment');
+    }
+
+    const start = new Date(slotStart);
+    if (isNaN(start)) {
+        throw new PickupError('Pickup slot must be a date and time');
+    }
+
+    const slots = await listSlots(branch, start, now);
+    const slot = slots.find(entry => entry.slotStart.getTime() === start.getTime());
+    if (!slot) {
+        throw new PickupError('That pickup slot is not offered');
+    }
+    if (!slot.available) {
+        throw new PickupError('That pickup slot is full, please choose another', 409);
+    }
+    return slot;
+};
+
+const slotKey = (branch, slotStart) => `pickup:${branch}:${slotStart.toISOString()}`;
+
+// Take one of the slot's places. Returns false if it is full. The counter
+// starts from the orders already holding the slot.
+const reserveSlot = async (branch = DEFAULT_BRANCH, slotStart) => {
+    const settings = await restaurantService.getRestaurantSettings(branch);
+    const key = slotKey(branch, slotStart);
+
+    if (!(await Counter.exists({ key }))) {
+        const booked = await bookedCounts(branch, slotStart, new Date(slotStart.getTime() + 1));
+        try {
+            await Counter.create({ key, seq: booked.get(slotStart.getTime()) || 0 });
+        } catch (error) {
+            // Another order started the counter first
+            if (error.code !== 11000) throw error;
+        }
+    }
+
+    const reserved = await Counter.findOneAndUpdate(
+        { key, $expr: { $lt: ['$seq', settings.pickup.ordersPerSlot] } },
+        { $inc: { seq: 1 }, $set: { updatedAt: new Date() } },
+        { new: true }
+    );
+    return !!reserved;
+};
+
+// Give the order's place back when it is cancelled or rejected, or could
+// not be saved. Does not save the order.
+const releaseSlot = async (order) => {
+    if (!order.pickup || !order.pickup.slotStart || order.pickup.slotReleasedAt) return;
+
+    await Counter.updateOne(
+        { key: slotKey(order.branch || DEFAULT_BRANCH, order.pickup.slotStart), seq: { $gt: 0 } },
+        { $inc: { seq: -1 }, $set: { updatedAt: new Date() } }
+    );
+    order.pickup.slotReleasedAt = new Date();
+};
+
+// The open slot starting at the given time, with a place taken in it for
+// the order. readyBy is when the kitchen can have the order ready, if it
+// is already in the queue.
+const bookSlot = async (branch = DEFAULT_BRANCH, slotStart, { readyBy, now = new Date() } = {}) => {
+    const slot = await findSlot(branch, slotStart, now);
+    if (readyBy && slot.slotEnd <= readyBy) {
+        throw new PickupError('The kitchen cannot have the order ready by that slot, please choose a later one', 409);
+    }
+    if (!(await reserveSlot(branch, slot.slotStart))) {
+        throw new PickupError('That pickup slot is full, please choose another', 409);
+    }
+    return slot;
+};
+
+// Book the first slot today starting no earlier than the given time,
+// moving on to the next if another order fills it first
+const bookEarliestSlot = async (branch = DEFAULT_BRANCH, notBefore = new Date(), now = new Date()) => {
+    const slots = await listSlots(branch, now, now);
+    for (const slot of slots) {
+        if (!slot.available || slot.slotStart < notBefore) continue;
+        if (await reserveSlot(branch, slot.slotStart)) return slot;
+    }
+    return null;
+};
+
+// Give a scheduled order its prep time and the time it goes to the kitchen,
+// counting back from the slot. Orders whose release time has already
+// passed go straight in. Does not save the order.
+const scheduleRelease = async (order, now = new Date()) => {
+    const minutes = await prepTimeEstimator.estimatePrepTime(order, now, { queue: false });
+    const slotStart = order.pickup.slotStart;
+
+    order.estimatedPrepTime = minutes;
+    order.estimatedReadyAt = slotStart;
+    order.pickup.releaseAt = new Date(slotStart.getTime() - minutes * MINUTE_MS);
+
+    if (order.pickup.releaseAt > now) {
+        order.status = 'scheduled';
+    } else {
+        order.pickup.releasedAt = now;
+    }
+    return order.pickup.releaseAt;
+};
+
+// Send a scheduled order to the kitchen. Does not save the order.
+const releaseOrder = (order, { actor = orderLifecycle.SYSTEM_ACTOR, reason } = {}) => {
+    orderLifecycle.transition(order, 'pending', {
+        actor,
+        reason: reason || 'Released to the kitchen for pickup'
+    });
+    order.pickup.releasedAt = new Date();
+};
+
+// Tell the kitchen about an order that has just gone in
+const emitReleased = (io, order) => {
+    if (!io) return;
+
+    io.to('role:chef').emit('new-order', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        orderType: order.orderType,
+        pickup: order.pickup,
+        items: order.items,
+        customerName: order.customerName,
+        estimatedPrepTime: order.estimatedPrepTime,
+        timestamp: new Date().toISOString()
+    });
+    stationService.emitTickets(io, order);
+    orderLifecycle.emitStatusChange(io, order);
+};
+
+// Release every scheduled order whose release time has passed. Returns
+// how many were released; one that fails is retried on the next run
+// without holding up the rest.
+const releaseDueOrders = async (io, now = new Date()) => {
+    const orders = await Order.find({
+        status: 'scheduled',
+        'pickup.releaseAt': { $lte: now }
+    });
+
+    let released = 0;
+    for (const order of orders) {
+        try {
+            releaseOrder(order);
+            await order.save();
+            emitReleased(io, order);
+            released += 1;
+        } catch (error) {
+            console.error(`Pickup release error for order #${order.orderNumber}:`, error);
+        }
+    }
+
+    return released;
+};
+
+// Run releaseDueOrders in the background for the life of the process
+const startReleaseMonitor = (io, { interval = CHECK_INTERVAL_MS } = {}) => {
+    let running = false;
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await releaseDueOrders(io);
+        } catch (error) {
+            console.error('Pickup release monitor error:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, interval);
+    timer.unref();
+    tick();
+    return timer;
+};
+
+module.exports = {
+    PickupError,
+    listSlots,
+    findSlot,
+    bookSlot,
+    bookEarliestSlot,
+    releaseSlot,
+    scheduleRelease,
+    releaseOrder,
+    emitReleased,
+    releaseDueOrders,
+    startReleaseMonitor
+};
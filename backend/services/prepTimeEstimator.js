@@ -0,0 +1,238 @@
+// services/prepTimeEstimator.js
+// Prep-time estimates learned from how long the kitchen has actually taken
+// for each dish, plus the wait behind orders already in the queue. Guests
+// get a ready time that is recalculated whenever the queue changes.
+
+const mongoose = require('mongoose');
+const MenuItem = require('../models/MenuItem');
+const { KITCHEN_STATUSES, guestRoom } = require('./orderLifecycle');
+const { DEFAULT_BRANCH } = require('./orderNumberService');
+
+// Recent orders to learn from, and how many timings a dish needs before
+// its learned time replaces the menu's preparationTime
+const HISTORY_ORDERS = 500;
+const MIN_SAMPLES = 3;
+
+// Timings outside this range are forgotten tickets, not cooking
+const MAX_SAMPLE_MINUTES = 180;
+
+const DEFAULT_PREP_MINUTES = 15;
+
+// Orders the kitchen works on at the same time
+const PARALLEL_ORDERS = parseInt(process.env.KITCHEN_PARALLEL_ORDERS || '4', 10);
+
+const LEARNED_TTL_MS = 10 * 60 * 1000;
+
+// Queue changes usually come in bursts (an order and its items saved one
+// after another), so wait briefly and recalculate once
+const REFRESH_DELAY_MS = 2 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+
+// Looked up when needed because the Order model calls into this service
+const Order = () => mongoose.model('Order');
+
+let learned = null;
+let io = null;
+const scheduled = new Map();
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const idOf = (item) => (item.menuItem?._id || item.menuItem)?.toString();
+
+// Items that will still reach the table
+const liveItems = (order) => order.items.filter(item => (item.voidedQuantity || 0) < item.quantity);
+
+// Prep time each menu item is listed with
+const menuPrepTimes = async (ids) => {
+    const menuItems = await MenuItem.find({ _id: { $in: [...ids] } }).select('preparationTime');
+    return new Map(menuItems.map(menuItem => [menuItem._id.toString(), menuItem.preparationTime]));
+};
+
+// Median minutes per menu item, from item timings where the kitchen bumped
+// items one by one, else from the order's actualPrepTime credited to its
+// slowest dish (the one that held the order up)
+const learnPrepTimes = async () => {
+    if (learned && learned.expires > Date.now()) {
+        return learned.times;
+    }
+
+    const orders = await Order().find({ readyAt: { $exists: true } })
+        .sort({ readyAt: -1 })
+        .limit(HISTORY_ORDERS)
+        .select('items.menuItem items.quantity items.voidedQuantity items.cookingAt items.readyAt actualPrepTime');
+
+    const ids = new Set();
+    orders.forEach(order => order.items.forEach(item => ids.add(idOf(item))));
+    const listed = await menuPrepTimes(ids);
+
+    const samples = new Map();
+    const addSample = (id, minutes) => {
+        if (!id || !(minutes > 0) || minutes > MAX_SAMPLE_MINUTES) return;
+        if (!samples.has(id)) samples.set(id, []);
+        samples.get(id).push(minutes);
+    };
+
+    orders.forEach(order => {
+        const items = liveItems(order);
+        const timed = items.filter(item => item.cookingAt && item.readyAt);
+
+        if (timed.length > 0) {
+            timed.forEach(item => addSample(idOf(item), (item.readyAt - item.cookingAt) / MINUTE_MS));
+        } else if (order.actualPrepTime && items.length > 0) {
+            const slowest = items.reduce((a, b) =>
+                (listed.get(idOf(b)) || 0) > (listed.get(idOf(a)) || 0) ? b : a);
+            addSample(idOf(slowest), order.actualPrepTime);
+        }
+    });
+
+    const times = new Map();
+    samples.forEach((minutes, id) => {
+        if (minutes.length >= MIN_SAMPLES) {
+            times.set(id, Math.round(median(minutes) * 10) / 10);
+        }
+    });
+
+    learned = { times, expires: Date.now() + LEARNED_TTL_MS };
+    return times;
+};
+
+const clearLearnedPrepTimes = () => {
+    learned = null;
+};
+
+// Minutes of cooking each order still needs: its slowest unfinished dish,
+// less the time that dish has already been on the stove
+const remainingMinutes = async (orders, now = new Date()) => {
+    const ids = new Set();
+    orders.forEach(order => order.items.forEach(item => ids.add(idOf(item))));
+
+    const [times, listed] = await Promise.all([learnPrepTimes(), menuPrepTimes(ids)]);
+    const minutesFor = (item) => times.get(idOf(item)) ?? listed.get(idOf(item)) ?? DEFAULT_PREP_MINUTES;
+
+    return orders.map(order => liveItems(order)
+        .filter(item => !item.held && ['queued', 'cooking'].includes(item.status || 'queued'))
+        .reduce((longest, item) => {
+            const started = item.cookingAt || (order.status === 'preparing' ? order.preparingAt : null);
+            const elapsed = started ? (now - started) / MINUTE_MS : 0;
+            return Math.max(longest, minutesFor(item) - elapsed);
+        }, 0));
+};
+
+// Minutes until each order is ready, running the queue through a kitchen
+// that cooks PARALLEL_ORDERS orders at once. Orders already cooking go
+// first, then the rest in the order they came in.
+const simulateQueue = (orders, remaining) => {
+    const slots = new Array(Math.max(1, PARALLEL_ORDERS)).fill(0);
+    const queue = orders
+        .map((order, index) => ({ order, index }))
+        .sort((a, b) => (b.order.status === 'preparing') - (a.order.status === 'preparing'));
+
+    const finish = new Array(orders.length);
+    queue.forEach(({ index }) => {
+        const slot = slots.indexOf(Math.min(...slots));
+        slots[slot] += Math.max(0, remaining[index]);
+        finish[index] = slots[slot];
+    });
+    return finish;
+};
+
+// Orders still in the kitchen for a branch, oldest first
+const kitchenQueue = (branch = DEFAULT_BRANCH, excludeId) => {
+    const filter = { branch, status: { $in: KITCHEN_STATUSES } };
+    if (excludeId) filter._id = { $ne: excludeId };
+
+    return Order().find(filter)
+        .sort({ createdAt: 1 })
+        .select('orderNumber tableNumber status branch createdAt preparingAt estimatedReadyAt items');
+};
+
+// Minutes until an order (new, or with a new round) would be ready if it
+// joined the back of the current queue. With `queue: false`, the time to
+// cook it in an empty kitchen, for orders that go in later.
+const estimatePrepTime = async (order, now = new Date(), { queue: withQueue = true } = {}) => {
+    const queue = withQueue ? [...await kitchenQueue(order.branch, order._id), order] : [order];
+    const remaining = await remainingMinutes(queue, now);
+    const finish = simulateQueue(queue, remaining);
+    return Math.max(1, Math.ceil(finish[finish.length - 1]));
+};
+
+// Give a new order, or an order with a new round, its prep time and ready
+// time. Does not save the order.
+const applyEstimate = async (order, now = new Date()) => {
+    const minutes = await estimatePrepTime(order, now);
+    order.estimatedPrepTime = minutes;
+    order.estimatedReadyAt = new Date(now.getTime() + minutes * MINUTE_MS);
+    return minutes;
+};
+
+// Recalculate the ready time of every order in the kitchen and tell each
+// guest whose ready time moved by a minute or more
+const refreshEstimates = async (socket, branch = DEFAULT_BRANCH, now = new Date()) => {
+    const queue = await kitchenQueue(branch);
+    if (queue.length === 0) return 0;
+
+    const remaining = await remainingMinutes(queue, now);
+    const finish = simulateQueue(queue, remaining);
+    let changed = 0;
+
+    for (let index = 0; index < queue.length; index++) {
+        const order = queue[index];
+        const minutes = Math.max(1, Math.ceil(finish[index]));
+        const estimatedReadyAt = new Date(now.getTime() + minutes * MINUTE_MS);
+
+        if (order.estimatedReadyAt && Math.abs(estimatedReadyAt - order.estimatedReadyAt) < MINUTE_MS) {
+            continue;
+        }
+
+        await Order().updateOne({ _id: order._id }, { $set: { estimatedReadyAt } });
+        changed += 1;
+
+        if (socket) {
+            socket.to(guestRoom(order)).emit('order-eta-updated', {
+                orderId: order._id,
+                orderNumber: order.orderNumber,
+                tableNumber: order.tableNumber,
+                status: order.status,
+                estimatedReadyAt,
+                minutesRemaining: minutes,
+                timestamp: now.toISOString()
+            });
+        }
+    }
+
+    return changed;
+};
+
+// Socket server used for the pushes that follow queue changes
+const attach = (socket) => {
+    io = socket;
+};
+
+// Called whenever an order enters, changes in or leaves the kitchen
+const queueChanged = (branch = DEFAULT_BRANCH) => {
+    if (!io || scheduled.has(branch)) return;
+
+    const timer = setTimeout(() => {
+        scheduled.delete(branch);
+        refreshEstimates(io, branch)
+            .catch(error => console.error('Prep estimate refresh error:', error));
+    }, REFRESH_DELAY_MS);
+    timer.unref();
+    scheduled.set(branch, timer);
+};
+
+module.exports = {
+    PARALLEL_ORDERS,
+    learnPrepTimes,
+    clearLearnedPrepTimes,
+    estimatePrepTime,
+    applyEstimate,
+    refreshEstimates,
+    attach,
+    queueChanged
+};
@@ -0,0 +1,207 @@
+// services/printService.js
+// Print-job queue for network thermal printers. Jobs are stored as raw
+// ESC/POS bytes and sent over TCP (usually port 9100), one at a time per
+// printer, retrying a few times when the printer cannot be reached.
+
+const net = require('net');
+const { Printer, PrintJob } = require('../models');
+const escposService = require('./escposService');
+const restaurantService = require('./restaurantService');
+const { DEFAULT_BRANCH } = require('./orderNumberService');
+
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 5 * 1000;
+const SEND_TIMEOUT_MS = 10 * 1000;
+
+class PrintError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'PrintError';
+        this.status = status;
+    }
+}
+
+// Open a raw TCP connection, write the bytes and close it. Resolves once
+// the printer has taken all the data.
+const sendRaw = (host, port, data, { timeout = SEND_TIMEOUT_MS } = {}) => {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host, port });
+        let failed = false;
+
+        socket.setTimeout(timeout, () => {
+            socket.destroy(new Error(`Printer at ${host}:${port} did not respond`));
+        });
+        socket.on('connect', () => socket.end(data));
+        socket.on('error', (error) => {
+            failed = true;
+            reject(error);
+        });
+        socket.on('close', () => {
+            if (!failed) resolve();
+        });
+    });
+};
+
+// Printers currently being worked through, so each has one sender
+const draining = new Set();
+
+const emitJobUpdate = (io, job) => {
+    if (!io) return;
+
+    io.to('role:chef').to('role:admin').emit('print-job-updated', {
+        jobId: job._id,
+        printer: job.printer,
+        printerName: job.printerName,
+        kind: job.kind,
+        orderNumber: job.orderNumber,
+        status: job.status,
+        attempts: job.attempts,
+        lastError: job.lastError,
+        timestamp: new Date().toISOString()
+    });
+};
+
+// Send the printer's queued jobs oldest first. Stops at a job that is
+// waiting to retry so tickets don't come out of order.
+const processQueue = async (printerId, io) => {
+    const key = printerId.toString();
+    if (draining.has(key)) return;
+    draining.add(key);
+
+    try {
+        while (true) {
+            const job = await PrintJob.findOne({ printer: printerId, status: 'queued' }).sort({ createdAt: 1 });
+            if (!job) break;
+
+            const wait = job.nextAttemptAt - Date.now();
+            if (wait > 0) {
+                setTimeout(() => processQueue(printerId, io), wait).unref();
+                break;
+            }
+
+            const printer = await Printer.findById(printerId);
+            job.status = 'printing';
+            job.attempts += 1;
+            await job.save();
+
+            try {
+                if (!printer || !printer.isActive) {
+                    throw new Error('Printer is not available');
+                }
+                await sendRaw(printer.host, printer.port, job.data);
+                job.status = 'printed';
+                job.printedAt = new Date();
+                job.lastError = undefined;
+            } catch (error) {
+                job.lastError = error.message;
+                if (job.attempts >= MAX_ATTEMPTS || !printer || !printer.isActive) {
+                    job.status = 'failed';
+                } else {
+                    job.status = 'queued';
+                    job.nextAttemptAt = new Date(Date.now() + RETRY_DELAY_MS * job.attempts);
+                }
+            }
+
+            await job.save();
+            emitJobUpdate(io, job);
+        }
+    } catch (error) {
+        console.error('Print queue error:', error);
+    } finally {
+        draining.delete(key);
+    }
+};
+
+// Printer to use for a kind of job: the one asked for, else the branch's
+// first active printer set up for it
+const resolvePrinter = async ({ printerId, purpose, branch = DEFAULT_BRANCH }) => {
+    if (printerId) {
+        const printer = await Printer.findById(printerId);
+        if (!printer) {
+            throw new PrintError('Printer not found', 404);
+        }
+        if (!printer.isActive) {
+            throw new PrintError(`${printer.name} is switched off`);
+        }
+        return printer;
+    }
+
+    const printer = await Printer.findOne({ branch, purposes: purpose, isActive: true }).sort({ createdAt: 1 });
+    if (!printer) {
+        throw new PrintError(`No ${purpose} printer is set up`, 404);
+    }
+    return printer;
+};
+
+// Queue bytes for a printer and start sending in the background
+const enqueue = async ({ printer, kind, data, order, actor, io }) => {
+    const job = await PrintJob.create({
+        printer: printer._id,
+        printerName: printer.name,
+        kind,
+        order: order ? order._id : undefined,
+        orderNumber: order ? order.orderNumber : undefined,
+        data,
+        requestedBy: actor && actor.id ? actor.id.toString() : undefined,
+        requestedByName: actor ? actor.name : undefined
+    });
+
+    processQueue(printer._id, io);
+    return job;
+};
+
+const printReceipt = async (order, { printerId, actor, io } = {}) => {
+    const printer = await resolvePrinter({ printerId, purpose: 'receipt', branch: order.branch });
+    const data = await escposService.createReceipt(order, { paper: printer.paper });
+    return enqueue({ printer, kind: 'receipt', data, order, actor, io });
+};
+
+const printKitchenTicket = async (order, { printerId, round, reprint, actor, io } = {}) => {
+    const printer = await resolvePrinter({ printerId, purpose: 'kitchen', branch: order.branch });
+    const data = escposService.renderKitchenTicket(order, { paper: printer.paper, round, reprint });
+    return enqueue({ printer, kind: 'kitchen', data, order, actor, io });
+};
+
+const printTestPage = async (printer, { actor, io } = {}) => {
+    const restaurant = await restaurantService.getRestaurantSettings(printer.branch);
+    const data = escposService.renderTestPage(printer, restaurant);
+    return enqueue({ printer, kind: 'test', data, actor, io });
+};
+
+// Put a failed job back in the queue with a fresh set of attempts
+const retryJob = async (job, { io } = {}) => {
+    if (job.status !== 'failed') {
+        throw new PrintError(`Only failed jobs can be retried; this one is ${job.status}`, 409);
+    }
+
+    job.status = 'queued';
+    job.attempts = 0;
+    job.nextAttemptAt = new Date();
+    await job.save();
+
+    processQueue(job.printer, io);
+    return job;
+};
+
+// Pick up jobs left behind by a restart. Jobs caught mid-send are queued
+// again, so a ticket may occasionally print twice rather than not at all.
+const resumeQueue = async (io) => {
+    await PrintJob.updateMany({ status: 'printing' }, { status: 'queued' });
+    const printerIds = await PrintJob.distinct('printer', { status: 'queued' });
+    printerIds.forEach(printerId => processQueue(printerId, io));
+    return printerIds.length;
+};
+
+module.exports = {
+    MAX_ATTEMPTS,
+    PrintError,
+    sendRaw,
+    processQueue,
+    resolvePrinter,
+    enqueue,
+    printReceipt,
+    printKitchenTicket,
+    printTestPage,
+    retryJob,
+    resumeQueue
+};
@@ -0,0 +1,256 @@
+// services/promotionService.js
+// Validates promo codes and automatic promotions against an order and
+// works out the discount. One promotion applies per order.
+
+const { Order, Promotion } = require('../models');
+const { toCents, fromCents } = require('./billSplitter');
+const { billableQuantity } = require('./taxService');
+
+class PromotionError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'PromotionError';
+        this.status = status;
+    }
+}
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const minutesOf = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+// True if `at` falls inside the promotion's days and time window.
+// A window whose end is before its start runs past midnight.
+const isWithinSchedule = (promotion, at = new Date()) => {
+    const schedule = promotion.schedule || {};
+
+    if (schedule.daysOfWeek && schedule.daysOfWeek.length > 0 &&
+        !schedule.daysOfWeek.includes(at.getDay())) {
+        return false;
+    }
+
+    if (schedule.startTime && schedule.endTime) {
+        const now = at.getHours() * 60 + at.getMinutes();
+        const start = minutesOf(schedule.startTime);
+        const end = minutesOf(schedule.endTime);
+        return start <= end ? now >= start && now < end : now >= start || now < end;
+    }
+
+    return true;
+};
+
+const describeSchedule = (promotion) => {
+    const schedule = promotion.schedule || {};
+    const days = schedule.daysOfWeek && schedule.daysOfWeek.length > 0
+        ? schedule.daysOfWeek.map(day => DAY_NAMES[day]).join(', ')
+        : 'daily';
+    const hours = schedule.startTime && schedule.endTime ? ` ${schedule.startTime}-${schedule.endTime}` : '';
+    return `${days}${hours}`;
+};
+
+const isEligibleItem = (promotion, item) => {
+    const byItem = promotion.menuItems || [];
+    const byCategory = promotion.categories || [];
+    if (byItem.length === 0 && byCategory.length === 0) return true;
+
+    const menuItemId = (item.menuItem?._id || item.menuItem)?.toString();
+    return byItem.some(id => id.toString() === menuItemId) ||
+        byCategory.includes(item.category);
+};
+
+// Discount in cents for the given order items
+const discountCents = (promotion, items) => {
+    const eligible = items.filter(item => isEligibleItem(promotion, item));
+    const eligibleCents = eligible.reduce((sum, item) => sum + toCents(item.price * billableQuantity(item)), 0);
+
+    switch (promotion.type) {
+        case 'percent': {
+            const cents = Math.round(eligibleCents * promotion.value / 100);
+            return promotion.maxDiscount ? Math.min(cents, toCents(promotion.maxDiscount)) : cents;
+        }
+        case 'fixed':
+            return Math.min(toCents(promotion.value), eligibleCents);
+        case 'bogo': {
+            // Most expensive units first, so the free units in each group are the cheapest
+            const units = eligible
+                .flatMap(item => Array(billableQuantity(item)).fill(toCents(item.price)))
+                .sort((a, b) => b - a);
+            const buy = promotion.buyQuantity || 1;
+            const get = promotion.getQuantity || 1;
+            const percent = Math.min(promotion.value || 100, 100);
+
+            let cents = 0;
+            for (let start = 0; start + buy + get <= units.length; start += buy + get) {
+                units.slice(start + buy, start + buy + get).forEach(unit => {
+                    cents += Math.round(unit * percent / 100);
+                });
+            }
+            return cents;
+        }
+        default:
+            return 0;
+    }
+};
+
+// Check every rule except usage limits; returns the discount amount
+const checkPromotion = (promotion, { items, orderType = 'customer', at = new Date() }) => {
+    if (!promotion.isActive) {
+        throw new PromotionError('This promotion is no longer active');
+    }
+    if (promotion.startsAt && at < promotion.startsAt) {
+        throw new PromotionError('This promotion has not started yet');
+    }
+    if (promotion.expiresAt && at > promotion.expiresAt) {
+        throw new PromotionError('This promotion has expired');
+    }
+    if (!isWithinSchedule(promotion, at)) {
+        throw new PromotionError(`This promotion is only valid ${describeSchedule(promotion)}`);
+    }
+    if (promotion.orderTypes && promotion.orderTypes.length > 0 && !promotion.orderTypes.includes(orderType)) {
+        throw new PromotionError('This promotion does not apply to this type of order');
+    }
+
+    const spendCents = items.reduce((sum, item) => sum + toCents(item.price * billableQuantity(item)), 0);
+    if (spendCents < toCents(promotion.minSpend)) {
+        throw new PromotionError(`A minimum spend of $${promotion.minSpend.toFixed(2)} is required`);
+    }
+
+    const cents = discountCents(promotion, items);
+    if (cents <= 0) {
+        throw new PromotionError('No items on this order qualify for the promotion');
+    }
+
+    return fromCents(cents);
+};
+
+const checkCustomerLimit = async (promotion, { customer, customerEmail }) => {
+    if (!promotion.perCustomerLimit || (!customer && !customerEmail)) return;
+
+    const used = await Order.countDocuments({
+        'promotion.promotion': promotion._id,
+        status: { $nin: ['cancelled', 'rejected'] },
+        $or: [
+            ...(customer ? [{ customer }] : []),
+            ...(customerEmail ? [{ customerEmail }] : [])
+        ]
+    });
+
+    if (used >= promotion.perCustomerLimit) {
+        throw new PromotionError('You have already used this promotion the maximum number of times');
+    }
+};
+
+// Count a redemption, failing if the overall usage limit is reached
+const reserveUsage = async (promotion) => {
+    const reserved = await Promotion.findOneAndUpdate(
+        {
+            _id: promotion._id,
+            $or: [
+                { usageLimit: null },
+                { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+            ]
+        },
+        { $inc: { usageCount: 1 } },
+        { new: true }
+    );
+
+    if (!reserved) {
+        throw new PromotionError('This promotion has reached its usage limit');
+    }
+};
+
+// Best automatic promotion for the order, or null
+const findAutoPromotion = async (context) => {
+    const candidates = await Promotion.find({ autoApply: true, isActive: true });
+    let best = null;
+
+    for (const promotion of candidates) {
+        try {
+            const amount = checkPromotion(promotion, context);
+            await checkCustomerLimit(promotion, context);
+            if (!best || amount > best.amount) {
+                best = { promotion, amount };
+            }
+        } catch (error) {
+            if (!(error instanceof PromotionError)) throw error;
+        }
+    }
+
+    return best;
+};
+
+// Validate a promo code (or pick the best automatic promotion when no code
+// is given) for an unsaved order, reserve a use and set order.discount.
+// Throws PromotionError if the code cannot be used. Does not save.
+const applyPromotion = async (order, code) => {
+    const context = {
+        items: order.items,
+        orderType: order.orderType,
+        customer: order.customer,
+        customerEmail: order.customerEmail,
+        at: new Date()
+    };
+
+    let match;
+    if (code) {
+        const promotion = await Promotion.findOne({ code: code.trim().toUpperCase() });
+        if (!promotion) {
+            throw new PromotionError('Promo code not found', 404);
+        }
+        const amount = checkPromotion(promotion, context);
+        await checkCustomerLimit(promotion, context);
+        match = { promotion, amount };
+    } else {
+        match = await findAutoPromotion(context);
+        if (!match) return null;
+    }
+
+    await reserveUsage(match.promotion);
+
+    order.discount = match.amount;
+    order.promotion = {
+        promotion: match.promotion._id,
+        code: match.promotion.code,
+        name: match.promotion.name,
+        type: match.promotion.type,
+        amount: match.amount,
+        appliedAt: context.at
+    };
+
+    return match.promotion;
+};
+
+// Recompute the discount after items are added to an order. The promotion
+// was validated when the order was placed, so only the amount changes.
+const refreshDiscount = async (order) => {
+    if (!order.promotion || !order.promotion.promotion || order.promotion.releasedAt) return;
+
+    const promotion = await Promotion.findById(order.promotion.promotion);
+    if (!promotion) return;
+
+    const amount = fromCents(discountCents(promotion, order.items));
+    order.discount = amount;
+    order.promotion.amount = amount;
+};
+
+// Give a use back when an order with a promotion is cancelled or rejected
+const releasePromotion = async (order) => {
+    if (!order.promotion || !order.promotion.promotion || order.promotion.releasedAt) return;
+
+    await Promotion.updateOne(
+        { _id: order.promotion.promotion, usageCount: { $gt: 0 } },
+        { $inc: { usageCount: -1 } }
+    );
+    order.promotion.releasedAt = new Date();
+};
+
+module.exports = {
+    PromotionError,
+    isWithinSchedule,
+    checkPromotion,
+    applyPromotion,
+    refreshDiscount,
+    releasePromotion
+};
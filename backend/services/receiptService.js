@@ -0,0 +1,275 @@
+// services/receiptService.js
+// PDF receipts for whole orders and for individual bill-split shares.
+
+const PDFDocument = require('pdfkit');
+const { billableQuantity, totalsLabels, tipLabel } = require('./taxService');
+const restaurantService = require('./restaurantService');
+
+// Run a PDF builder and collect the output into a Buffer
+const renderPDF = (build) => {
+    return new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({ margin: 50 });
+            const chunks = [];
+
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => {
+                const pdfBuffer = Buffer.concat(chunks);
+                resolve(pdfBuffer);
+            });
+
+            build(doc);
+
+            doc.end();
+
+        } catch (error) {
+            reject(error);
+        }
+    });
+};
+
+// The built-in PDF fonts only cover Latin-1 (and the euro sign), so
+// symbols such as ₹ are printed as the currency code instead
+const pdfMoney = (restaurant) => {
+    const symbol = restaurant.currency?.symbol ?? '$';
+    const printable = /^[\x20-\xFF€]*$/.test(symbol) ? symbol : `${restaurant.currency?.code || ''} `;
+    return (amount) => restaurantService.formatMoney(amount, printable);
+};
+
+const renderHeader = (doc, title, restaurant) => {
+    // Uploaded logos are embedded; logo URLs would have to be fetched first, so they are left off
+    if (restaurant.logo && restaurant.logo.startsWith('data:image/')) {
+        try {
+            doc.image(restaurant.logo, (doc.page.width - 120) / 2, doc.y, { fit: [120, 60], align: 'center' });
+            doc.moveDown(0.5);
+        } catch (error) {
+            console.error('Receipt logo error:', error.message);
+        }
+    }
+
+    // Restaurant header
+    doc.fontSize(24).text(restaurant.name.toUpperCase(), 50, doc.y, { align: 'center' });
+    doc.moveDown(0.5);
+    const address = restaurantService.formatAddress(restaurant);
+    if (address) {
+        doc.fontSize(12).text(address, { align: 'center' });
+    }
+    const contact = restaurantService.formatContact(restaurant);
+    if (contact) {
+        doc.fontSize(12).text(contact, { align: 'center' });
+    }
+    if (restaurant.taxIds && restaurant.taxIds.length > 0) {
+        doc.fontSize(10).text(restaurant.taxIds.map(taxId => `${taxId.label}: ${taxId.value}`).join(' | '), { align: 'center' });
+    }
+    doc.moveDown();
+
+    // Order details
+    doc.fontSize(16).text(title, { align: 'center' });
+    doc.moveDown();
+};
+
+const renderOrderDetails = (doc, order) => {
+    doc.fontSize(12);
+    doc.text(`Order Number: ${order.orderNumber}`);
+    if (order.tableNumber) {
+        doc.text(`Table Number: ${order.tableNumber}`);
+    } else if (order.orderType === 'delivery') {
+        const address = order.delivery?.address || {};
+        doc.text(`Deliver to: ${[address.line1, address.line2, address.city, address.postalCode].filter(Boolean).join(', ')}`);
+    } else if (order.pickup?.slotStart) {
+        doc.text(`Pickup: ${new Date(order.pickup.slotStart).toLocaleString()}`);
+    }
+    doc.text(`Customer: ${order.customerName}`);
+    doc.text(`Date: ${new Date(order.createdAt).toLocaleDateString()}`);
+    doc.text(`Time: ${new Date(order.createdAt).toLocaleTimeString()}`);
+    doc.moveDown();
+};
+
+// Discount line names the promotion behind it, e.g. "Discount (HAPPYHOUR)"
+const discountLabel = (order) => {
+    const promotion = order.promotion || {};
+    const name = promotion.code || promotion.name;
+    return name ? `Discount (${name})` : 'Discount';
+};
+
+// Totals block; lines is a list of [label, amount] pairs, the last is bold
+const renderTotals = (doc, lines, money) => {
+    const totalsY = doc.y;
+
+    lines.forEach(([label, amount], index) => {
+        if (index === lines.length - 1) {
+            doc.font('Helvetica-Bold');
+        }
+        doc.text(label, 300, totalsY + index * 20);
+        doc.text(money(amount), 400, totalsY + index * 20);
+    });
+
+    doc.font('Helvetica');
+};
+
+// Create PDF bill
+const createPDFBill = async (order) => {
+    const restaurant = await restaurantService.getRestaurantSettings(order.branch);
+    const money = pdfMoney(restaurant);
+
+    return renderPDF(doc => renderBill(doc, order, restaurant, money));
+};
+
+const renderBill = (doc, order, restaurant, money) => {
+    renderHeader(doc, 'ORDER RECEIPT', restaurant);
+    renderOrderDetails(doc, order);
+
+    // Items table header
+    doc.text('ITEMS', { underline: true });
+    doc.moveDown(0.5);
+
+    // Items table
+    let yPos = doc.y;
+    doc.font('Helvetica-Bold');
+    doc.text('Item', 50, yPos);
+    doc.text('Qty', 300, yPos);
+    doc.text('Price', 350, yPos);
+    doc.text('Total', 400, yPos);
+
+    doc.font('Helvetica');
+    yPos += 20;
+
+    // Group items by ordering round when there is more than one
+    const hasRounds = order.items.some(item => (item.round || 1) > 1);
+    const sortedItems = [...order.items].sort((a, b) => (a.round || 1) - (b.round || 1));
+    let currentRound = null;
+
+    sortedItems.forEach(item => {
+        if (hasRounds && (item.round || 1) !== currentRound) {
+            currentRound = item.round || 1;
+            doc.font('Helvetica-Bold').text(`Round ${currentRound}`, 50, yPos);
+            doc.font('Helvetica');
+            yPos += 20;
+        }
+
+        doc.text(item.name, 50, yPos, { width: 240 });
+        doc.text(item.quantity.toString(), 300, yPos);
+        doc.text(money(item.price), 350, yPos);
+        doc.text(money(item.price * billableQuantity(item)), 400, yPos);
+        yPos += 20;
+
+        // Voids and comps are shown so the guest sees what was taken off
+        [['voidedQuantity', 'voided'], ['compedQuantity', 'complimentary']].forEach(([field, label]) => {
+            if (item[field] > 0) {
+                doc.fontSize(10).text(`  ${item[field]} ${label} (${money(-item.price * item[field])})`, 60, yPos, { width: 280 });
+                yPos += 20;
+                doc.fontSize(12);
+            }
+        });
+
+        // Add special instructions if any
+        if (item.specialInstructions) {
+            doc.fontSize(10).text(`  Note: ${item.specialInstructions}`, 60, yPos, { width: 280 });
+            yPos += 20;
+            doc.fontSize(12);
+        }
+    });
+
+    doc.moveDown(2);
+
+    // Totals
+    const totals = [
+        ['Subtotal:', order.subtotal],
+        ...totalsLabels(order)
+    ];
+    if (order.discount > 0) {
+        totals.push([`${discountLabel(order)}:`, -order.discount]);
+    }
+    if (order.tip > 0) {
+        totals.push([tipLabel(order), order.tip]);
+    }
+    totals.push(['Total Amount:', order.totalAmount]);
+    renderTotals(doc, totals, money);
+
+    doc.moveDown(3);
+    if (order.pricesIncludeTax) {
+        doc.fontSize(10).text('Menu prices include tax.', 50, doc.y, { align: 'center' });
+    }
+    if (restaurant.footerMessage) {
+        doc.fontSize(10).text(restaurant.footerMessage, 50, doc.y, { align: 'center' });
+    }
+    doc.moveDown();
+    doc.fontSize(10).text(`Chef: ${order.chefName || 'Kitchen Staff'}`, 50, doc.y, { align: 'center' });
+    doc.text(`Order Status: ${order.status.toUpperCase()}`, { align: 'center' });
+};
+
+// Receipt for one share of a split bill
+const createShareReceipt = async (order, share) => {
+    const restaurant = await restaurantService.getRestaurantSettings(order.branch);
+    const money = pdfMoney(restaurant);
+
+    return renderPDF(doc => renderShare(doc, order, share, restaurant, money));
+};
+
+const renderShare = (doc, order, share, restaurant, money) => {
+    const index = order.billSplit.shares.findIndex(s => s._id.equals(share._id));
+
+    renderHeader(doc, 'SPLIT BILL RECEIPT', restaurant);
+    renderOrderDetails(doc, order);
+
+    doc.text(`Share: ${share.label} (${index + 1} of ${order.billSplit.shares.length})`);
+    doc.text(`Split: by ${order.billSplit.mode}`);
+    doc.moveDown();
+
+    doc.text('ITEMS', { underline: true });
+    doc.moveDown(0.5);
+
+    let yPos = doc.y;
+    doc.font('Helvetica-Bold');
+    doc.text('Item', 50, yPos);
+    doc.text('Share', 300, yPos);
+    doc.text('Amount', 400, yPos);
+
+    doc.font('Helvetica');
+    yPos += 20;
+
+    share.items.forEach(line => {
+        const portion = line.portion >= 1 ? 'Full' : `${Math.round(line.portion * 100)}%`;
+        doc.text(line.name, 50, yPos, { width: 240 });
+        doc.text(portion, 300, yPos);
+        doc.text(money(line.amount), 400, yPos);
+        yPos += 20;
+    });
+
+    doc.moveDown(2);
+
+    const totals = [
+        ['Subtotal:', share.subtotal],
+        ['Tax:', share.tax],
+        ['Service Charge:', share.serviceCharge]
+    ];
+    if (share.packagingFee > 0) {
+        totals.push([`${order.packagingFeeName || 'Packaging'}:`, share.packagingFee]);
+    }
+    if (share.deliveryFee > 0) {
+        totals.push(['Delivery:', share.deliveryFee]);
+    }
+    if (share.discount > 0) {
+        totals.push(['Discount:', -share.discount]);
+    }
+    if (share.tip > 0) {
+        totals.push([tipLabel(order), share.tip]);
+    }
+    totals.push(['Share Total:', share.total]);
+    renderTotals(doc, totals, money);
+
+    doc.moveDown(3);
+    doc.fontSize(10).text(`Order total: ${money(order.totalAmount)}`, 50, doc.y, { align: 'center' });
+    doc.text(`Payment: ${share.paymentStatus.toUpperCase()}${share.paymentMethod ? ` (${share.paymentMethod})` : ''}`, { align: 'center' });
+    if (restaurant.footerMessage) {
+        doc.moveDown();
+        doc.text(restaurant.footerMessage, { align: 'center' });
+    }
+};
+
+module.exports = {
+    renderPDF,
+    renderHeader,
+    createPDFBill,
+    createShareReceipt
+};
@@ -0,0 +1,521 @@
+// services/reservationService.js
+// Table bookings. A booking gets the smallest free table that fits the
+// party (in the section asked for, if any) and holds it for the booking's
+// duration. A background monitor marks the table reserved shortly before
+// the party is due and, if they haven't been seated after the grace
+// period, marks the booking a no-show and frees the table. Seating the
+// booking hands the table to diningSessionService.
+
+const { Reservation, Table } = require('../models');
+const restaurantService = require('./restaurantService');
+const diningSessionService = require('./diningSessionService');
+const emailService = require('./emailService');
+const { DEFAULT_BRANCH } = require('./orderNumberService');
+
+const CHECK_INTERVAL_MS = parseInt(process.env.RESERVATION_CHECK_INTERVAL_MS || '60000', 10);
+
+const MINUTE_MS = 60 * 1000;
+
+// Longest hold the settings allow, to bound the monitor's query
+const MAX_HOLD_MINUTES = 240;
+
+// Fresh references to try when a new booking's random one is taken
+const MAX_REFERENCE_ATTEMPTS = 5;
+
+// A table in one of these can't be booked for a time that is about to start
+const UNAVAILABLE_NOW = ['occupied', 'maintenance'];
+
+class ReservationError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ReservationError';
+        this.status = status;
+    }
+}
+
+const { startOfDay } = restaurantService;
+
+const minutesFrom = (date, minutes) => new Date(date.getTime() + minutes * MINUTE_MS);
+
+// Tables big enough for the party, smallest first so large tables stay
+// free for large parties
+const tablesFor = (partySize, section) => Table.find({
+    isActive: true,
+    capacity: { $gte: partySize },
+    ...(section && { section })
+}).sort({ capacity: 1, tableNumber: 1 });
+
+// Active bookings on the tables overlapping the window
+const bookingsBetween = (tableIds, start, end, excludeId) => Reservation.find({
+    table: { $in: tableIds },
+    status: { $in: Reservation.ACTIVE_STATUSES },
+    startsAt: { $lt: end },
+    endsAt: { $gt: start },
+    ...(excludeId && { _id: { $ne: excludeId } })
+});
+
+// Which of the tables are free for the whole window, given the bookings
+// already loaded. A booking that starts within the hold time also needs a
+// table nobody is sitting at now.
+const freeAt = (tables, bookings, start, end, { holdMinutes, now }) => {
+    const soon = minutesFrom(start, -holdMinutes) <= now;
+    return tables.filter(table =>
+        !(soon && UNAVAILABLE_NOW.includes(table.status)) &&
+        !bookings.some(booking =>
+            booking.table.toString() === table._id.toString() &&
+            booking.startsAt < end && booking.endsAt > start
+        )
+    );
+};
+
+// Tables that can take the party for the whole booking, best fit first
+const availableTables = async ({ startsAt, partySize, section, durationMinutes, branch = DEFAULT_BRANCH, excludeId, now = new Date() }) => {
+    const rules = (await restaurantService.getRestaurantSettings(branch)).reservations;
+    const start = new Date(startsAt);
+    const end = minutesFrom(start, durationMinutes || rules.durationMinutes);
+
+    const tables = await tablesFor(partySize, section);
+    const bookings = await bookingsBetween(tables.map(table => table._id), start, end, excludeId);
+    return freeAt(tables, bookings, start, end, { holdMinutes: rules.holdMinutes, now });
+};
+
+// Booking times offered on a date, each with how many tables could take
+// the party. Times sooner than the lead time, or whose booking would run
+// past closing, are left out.
+const availableSlots = async ({ date = new Date(), partySize, section, branch = DEFAULT_BRANCH, now = new Date() }) => {
+    const settings = await restaurantService.getRestaurantSettings(branch);
+    const rules = settings.reservations;
+    if (!rules.enabled) return [];
+
+    const day = startOfDay(date);
+    const lastDay = startOfDay(now);
+    lastDay.setDate(lastDay.getDate() + rules.maxDaysAhead);
+    if (day < startOfDay(now) || day > lastDay) return [];
+
+    const hours = restaurantService.openingWindow(settings, day);
+    if (!hours) return [];
+
+    const earliest = minutesFrom(now, rules.leadMinutes);
+    const starts = [];
+    for (let start = hours.open; minutesFrom(start, rules.durationMinutes) <= hours.close; start = minutesFrom(start, rules.slotMinutes)) {
+        if (start >= earliest) starts.push(start);
+    }
+    if (starts.length === 0) return [];
+
+    const tables = await tablesFor(partySize, section);
+    const bookings = await bookingsBetween(
+        tables.map(table => table._id),
+        starts[0],
+        minutesFrom(starts[starts.length - 1], rules.durationMinutes)
+    );
+
+    return starts.map(start => {
+        const free = freeAt(tables, bookings, start, minutesFrom(start, rules.durationMinutes), { holdMinutes: rules.holdMinutes, now });
+        return {
+            startsAt: start,
+            endsAt: minutesFrom(start, rules.durationMinutes),
+            tables: free.length,
+            available: free.length > 0
+        };
+    });
+};
+
+// Online bookings must fall in opening hours, outside the lead time and
+// within the booking window. Staff can book any future time.
+const checkTime = (settings, start, durationMinutes, { online, now }) => {
+    const rules = settings.reservations;
+    if (isNaN(start)) {
+        throw new ReservationError('Booking time must be a date and time');
+    }
+    if (start < now) {
+        throw new ReservationError('Booking time has already passed');
+    }
+    if (!online) return;
+
+    if (!rules.enabled) {
+        throw new ReservationError('Online bookings are not being taken at the moment');
+    }
+    if (start < minutesFrom(now, rules.leadMinutes)) {
+        throw new ReservationError(`Please book at least ${rules.leadMinutes} minutes ahead, or call us`);
+    }
+    const lastDay = startOfDay(now);
+    lastDay.setDate(lastDay.getDate() + rules.maxDaysAhead + 1);
+    if (start >= lastDay) {
+        throw new ReservationError(`Bookings can be made up to ${rules.maxDaysAhead} days ahead`);
+    }
+    const hours = restaurantService.openingWindow(settings, startOfDay(start));
+    if (!hours || start < hours.open || minutesFrom(start, durationMinutes) > hours.close) {
+        throw new ReservationError('We are not open for the whole of that booking, please choose another time');
+    }
+};
+
+const emitReservation = (io, reservation) => {
+    if (!io) return;
+    io.to('role:admin').to('role:chef').emit('reservation-updated', {
+        reservationId: reservation._id,
+        reference: reservation.reference,
+        status: reservation.status,
+        tableNumber: reservation.tableNumber,
+        startsAt: reservation.startsAt,
+        partySize: reservation.partySize,
+        name: reservation.name,
+        timestamp: new Date().toISOString()
+    });
+};
+
+const emitTable = (io, table) => {
+    if (!io) return;
+    io.emit('table-updated', {
+        tableNumber: table.tableNumber,
+        status: table.status
+    });
+};
+
+// Mark the booking's table reserved, if nobody is sitting at it
+const holdTable = async (reservation, { graceMinutes, io, now = new Date() }) => {
+    const table = await Table.findById(reservation.table);
+    if (!table) return false;
+
+    const until = minutesFrom(reservation.startsAt, graceMinutes);
+    if (!await diningSessionService.reserveTable(table, reservation.name, until)) return false;
+
+    if (!reservation.tableHeldAt) {
+        reservation.tableHeldAt = now;
+        await reservation.save();
+    }
+    emitTable(io, table);
+    return true;
+};
+
+// Free a table held for a booking that won't be seated, unless another
+// booking is holding it too
+const releaseTable = async (reservation, io) => {
+    const table = await Table.findById(reservation.table);
+    if (!table || table.status !== 'reserved') return;
+
+    const other = await Reservation.findOne({
+        _id: { $ne: reservation._id },
+        table: table._id,
+        status: 'booked',
+        tableHeldAt: { $ne: null }
+    }).sort({ startsAt: 1 });
+    if (other) return;
+
+    await diningSessionService.unreserveTable(table);
+    emitTable(io, table);
+};
+
+// Save the booking; a new one whose random reference is already in use
+// draws another
+const saveBooking = async (reservation) => {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await reservation.save();
+        } catch (error) {
+            const referenceTaken = error.code === 11000 && error.keyPattern && error.keyPattern.reference;
+            if (!referenceTaken || !reservation.isNew || attempt >= MAX_REFERENCE_ATTEMPTS) throw error;
+            reservation.reference = Reservation.generateReference();
+        }
+    }
+};
+
+// Put the booking on the first free table (its own if given, or the one it
+// already has), then check no other booking took the table at the same
+// moment; if one did, the later booking moves on to the next table.
+const assignTable = async (reservation, { tableNumber, now, holdMinutes }) => {
+    const start = reservation.startsAt;
+    const end = minutesFrom(start, reservation.durationMinutes);
+
+    let tables = await tablesFor(reservation.partySize, reservation.section);
+    if (tableNumber) {
+        tables = tables.filter(table => table.tableNumber === tableNumber);
+        if (tables.length === 0) {
+            throw new ReservationError(`Table ${tableNumber} can't seat ${reservation.partySize}${reservation.section ? ` in the ${reservation.section} section` : ''}`);
+        }
+    } else if (reservation.table) {
+        // Keep the guest's table when a change still fits it
+        tables.sort((a, b) => (b._id.equals(reservation.table) ? 1 : 0) - (a._id.equals(reservation.table) ? 1 : 0));
+    }
+
+    const bookings = await bookingsBetween(tables.map(table => table._id), start, end, reservation._id);
+    const free = freeAt(tables, bookings, start, end, { holdMinutes, now });
+
+    for (const table of free) {
+        reservation.table = table._id;
+        reservation.tableNumber = table.tableNumber;
+        await saveBooking(reservation);
+
+        const clash = await bookingsBetween([table._id], start, end, reservation._id);
+        // ObjectIds grow over time, so the smaller id was booked first
+        if (!clash.some(booking => booking._id.toString() < reservation._id.toString())) {
+            return table;
+        }
+    }
+
+    if (tableNumber) {
+        throw new ReservationError(`Table ${tableNumber} is already booked at that time`, 409);
+    }
+    throw new ReservationError(
+        `No table for ${reservation.partySize}${reservation.section ? ` in the ${reservation.section} section` : ''} is free at that time, please choose another`,
+        409
+    );
+};
+
+// Book a table. details is { startsAt, partySize, section, name, email,
+// phone, notes, customer }; staff may also pass tableNumber and
+// durationMinutes. online applies the rules for guests booking themselves.
+const createReservation = async (details, { actor, online = true, branch = DEFAULT_BRANCH, io, now = new Date() } = {}) => {
+    const settings = await restaurantService.getRestaurantSettings(branch);
+    const rules = settings.reservations;
+    const durationMinutes = (!online && details.durationMinutes) || rules.durationMinutes;
+    const startsAt = new Date(details.startsAt);
+
+    checkTime(settings, startsAt, durationMinutes, { online, now });
+
+    const reservation = new Reservation({
+        branch,
+        partySize: details.partySize,
+        startsAt,
+        durationMinutes,
+        section: details.section || undefined,
+        customer: details.customer || undefined,
+        name: details.name,
+        email: details.email || undefined,
+        phone: details.phone || undefined,
+        notes: details.notes || undefined,
+        source: online ? 'online' : 'staff',
+        createdBy: actor?.id,
+        createdByName: actor?.name
+    });
+
+    try {
+        await assignTable(reservation, { tableNumber: details.tableNumber, now, holdMinutes: rules.holdMinutes });
+    } catch (error) {
+        // The booking may have been saved on a table another booking won
+        if (!reservation.isNew) await Reservation.deleteOne({ _id: reservation._id });
+        throw error;
+    }
+
+    // Booked for a time that is already in its hold window
+    if (minutesFrom(startsAt, -rules.holdMinutes) <= now) {
+        await holdTable(reservation, { graceMinutes: rules.noShowGraceMinutes, io, now });
+    }
+
+    if (reservation.email) {
+        emailService.sendReservationConfirmation(reservation);
+    }
+    emitReservation(io, reservation);
+
+    return reservation;
+};
+
+const ensureBooked = (reservation) => {
+    if (reservation.status !== 'booked') {
+        throw new ReservationError(`This booking is ${reservation.status} and can no longer be changed`, 409);
+    }
+};
+
+// Change the time, party size, section or contact details of a booking.
+// The table is kept if it still fits, otherwise another free one is found.
+const updateReservation = async (reservation, changes, { online = true, io, now = new Date() } = {}) => {
+    ensureBooked(reservation);
+
+    const settings = await restaurantService.getRestaurantSettings(reservation.branch);
+    const rules = settings.reservations;
+    const before = {
+        table: reservation.table,
+        tableNumber: reservation.tableNumber,
+        startsAt: reservation.startsAt.getTime(),
+        durationMinutes: reservation.durationMinutes,
+        partySize: reservation.partySize,
+        section: reservation.section
+    };
+
+    ['name', 'email', 'phone', 'notes'].forEach(field => {
+        if (changes[field] !== undefined) reservation[field] = changes[field] || undefined;
+    });
+    if (changes.partySize !== undefined) reservation.partySize = changes.partySize;
+    if (changes.section !== undefined) reservation.section = changes.section || undefined;
+    if (changes.startsAt !== undefined) reservation.startsAt = new Date(changes.startsAt);
+    if (!online && changes.durationMinutes) reservation.durationMinutes = changes.durationMinutes;
+
+    const moved = reservation.startsAt.getTime() !== before.startsAt ||
+        reservation.durationMinutes !== before.durationMinutes ||
+        reservation.partySize !== before.partySize ||
+        reservation.section !== before.section ||
+        (changes.tableNumber && changes.tableNumber !== reservation.tableNumber);
+
+    if (moved) {
+        checkTime(settings, reservation.startsAt, reservation.durationMinutes, { online, now });
+        try {
+            await assignTable(reservation, { tableNumber: changes.tableNumber, now, holdMinutes: rules.holdMinutes });
+        } catch (error) {
+            // Put the booking back on its old table and time
+            await Reservation.updateOne({ _id: reservation._id }, {
+                $set: {
+                    table: before.table,
+                    tableNumber: before.tableNumber,
+                    startsAt: new Date(before.startsAt),
+                    endsAt: minutesFrom(new Date(before.startsAt), before.durationMinutes),
+                    durationMinutes: before.durationMinutes,
+                    partySize: before.partySize,
+                    section: before.section
+                }
+            });
+            throw error;
+        }
+
+        // The old table was held for the old time or another table
+        if (reservation.tableHeldAt && (!reservation.table.equals(before.table) ||
+            minutesFrom(reservation.startsAt, -rules.holdMinutes) > now)) {
+            await releaseTable({ _id: reservation._id, table: before.table }, io);
+            reservation.tableHeldAt = undefined;
+        }
+    }
+    await reservation.save();
+
+    if (minutesFrom(reservation.startsAt, -rules.holdMinutes) <= now) {
+        await holdTable(reservation, { graceMinutes: rules.noShowGraceMinutes, io, now });
+    }
+
+    if (reservation.email) {
+        emailService.sendReservationConfirmation(reservation, { updated: true });
+    }
+    emitReservation(io, reservation);
+
+    return reservation;
+};
+
+const cancelReservation = async (reservation, { actor, reason, io, now = new Date() } = {}) => {
+    ensureBooked(reservation);
+
+    reservation.status = 'cancelled';
+    reservation.cancelledAt = now;
+    reservation.cancelledBy = actor?.name;
+    reservation.cancelReason = reason || undefined;
+    await reservation.save();
+
+    if (reservation.tableHeldAt) {
+        await releaseTable(reservation, io);
+    }
+
+    if (reservation.email) {
+        emailService.sendReservationCancellation(reservation);
+    }
+    emitReservation(io, reservation);
+
+    return reservation;
+};
+
+// The party has arrived: open the table's visit under the booking
+const seatReservation = async (reservation, { io, now = new Date() } = {}) => {
+    ensureBooked(reservation);
+
+    const table = await Table.findById(reservation.table);
+    if (!table || !table.isActive) {
+        throw new ReservationError(`Table ${reservation.tableNumber} is no longer in use, move the booking to another table`, 409);
+    }
+    if (table.status === 'occupied') {
+        throw new ReservationError(`Table ${table.tableNumber} is still occupied, clear it or move the booking first`, 409);
+    }
+
+    const session = await diningSessionService.seatParty(table, {
+        customer: reservation.customer,
+        name: reservation.name,
+        partySize: reservation.partySize,
+        reservation: reservation._id
+    });
+
+    reservation.status = 'seated';
+    reservation.seatedAt = now;
+    reservation.diningSession = session._id;
+    await reservation.save();
+
+    emitTable(io, table);
+    emitReservation(io, reservation);
+
+    return reservation;
+};
+
+const markNoShow = async (reservation, { io, now = new Date() } = {}) => {
+    ensureBooked(reservation);
+
+    reservation.status = 'no-show';
+    reservation.noShowAt = now;
+    await reservation.save();
+
+    await releaseTable(reservation, io);
+    emitReservation(io, reservation);
+
+    return reservation;
+};
+
+// Hold tables for bookings coming up and mark late parties as no-shows
+const processDueReservations = async (io, now = new Date()) => {
+    const due = await Reservation.find({
+        status: 'booked',
+        startsAt: { $lte: minutesFrom(now, MAX_HOLD_MINUTES) }
+    }).sort({ startsAt: 1 });
+
+    const rulesFor = new Map();
+    let held = 0;
+    let noShows = 0;
+
+    for (const reservation of due) {
+        // One booking that fails is retried on the next run without
+        // holding up the rest
+        try {
+            if (!rulesFor.has(reservation.branch)) {
+                rulesFor.set(reservation.branch, (await restaurantService.getRestaurantSettings(reservation.branch)).reservations);
+            }
+            const rules = rulesFor.get(reservation.branch);
+
+            if (minutesFrom(reservation.startsAt, rules.noShowGraceMinutes) <= now) {
+                await markNoShow(reservation, { io, now });
+                noShows++;
+            } else if (minutesFrom(reservation.startsAt, -rules.holdMinutes) <= now) {
+                // Also re-holds a table freed by the party before
+                if (await holdTable(reservation, { graceMinutes: rules.noShowGraceMinutes, io, now })) held++;
+            }
+        } catch (error) {
+            console.error(`Reservation monitor error for booking ${reservation.reference}:`, error);
+        }
+    }
+
+    return { held, noShows };
+};
+
+// Run processDueReservations in the background for the life of the process
+const startReservationMonitor = (io, { interval = CHECK_INTERVAL_MS } = {}) => {
+    let running = false;
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await processDueReservations(io);
+        } catch (error) {
+            console.error('Reservation monitor error:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, interval);
+    timer.unref();
+    tick();
+    return timer;
+};
+
+module.exports = {
+    ReservationError,
+    availableTables,
+    availableSlots,
+    createReservation,
+    updateReservation,
+    cancelReservation,
+    seatReservation,
+    markNoShow,
+    processDueReservations,
+    startReservationMonitor
+};
@@ -0,0 +1,114 @@
+// services/restaurantService.js
+// The restaurant's profile (name, contact details, branding) for receipts,
+// emails and the guest-facing pages.
+
+const RestaurantSettings = require('../models/RestaurantSettings');
+const { DEFAULT_BRANCH } = require('./orderNumberService');
+
+// Settings change rarely, so keep them in memory between requests
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+const getRestaurantSettings = async (branch = DEFAULT_BRANCH) => {
+    const cached = cache.get(branch);
+    if (cached && cached.expires > Date.now()) {
+        return cached.settings;
+    }
+
+    let settings = await RestaurantSettings.findOne({ branch });
+    if (!settings) {
+        // Defaults match the details printed before the profile was configurable
+        settings = new RestaurantSettings({ branch });
+    }
+
+    cache.set(branch, { settings, expires: Date.now() + CACHE_TTL_MS });
+    return settings;
+};
+
+const clearRestaurantSettingsCache = (branch) => {
+    if (branch) {
+        cache.delete(branch);
+    } else {
+        cache.clear();
+    }
+};
+
+// Midnight at the start of the date's day, server time
+const startOfDay = (date) => {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+};
+
+const atClock = (day, clock) => {
+    const [hours, minutes] = clock.split(':').map(Number);
+    const at = new Date(day);
+    at.setHours(hours, minutes, 0, 0);
+    return at;
+};
+
+// When the restaurant opens and closes on the day, or null if closed.
+// Hours running past midnight close on the next day.
+const openingWindow = (settings, day) => {
+    const name = RestaurantSettings.DAYS[(day.getDay() + 6) % 7];
+    const hours = (settings.openingHours || []).find(entry => entry.day === name);
+    if (!hours || hours.closed) return null;
+
+    const open = atClock(day, hours.open);
+    const close = atClock(day, hours.close);
+    if (close <= open) close.setDate(close.getDate() + 1);
+    return { open, close };
+};
+
+// Address on one line, e.g. "123 Restaurant Street, Food City 560001"
+const formatAddress = (settings) => {
+    const address = settings.address || {};
+    const cityLine = [address.city, address.state, address.postalCode].filter(Boolean).join(' ');
+    return [address.line1, address.line2, cityLine, address.country].filter(Boolean).join(', ');
+};
+
+// "Phone: ... | Email: ..." for receipt and email headers
+const formatContact = (settings) => [
+    settings.phone && `Phone: ${settings.phone}`,
+    settings.email && `Email: ${settings.email}`
+].filter(Boolean).join(' | ');
+
+const formatMoney = (amount, symbol = '$') =>
+    amount < 0 ? `-${symbol}${Math.abs(amount).toFixed(2)}` : `${symbol}${amount.toFixed(2)}`;
+
+// Fields safe to show on public pages; leaves out who last edited them
+const publicProfile = (settings) => ({
+    branch: settings.branch,
+    name: settings.name,
+    tagline: settings.tagline,
+    address: settings.address,
+    formattedAddress: formatAddress(settings),
+    phone: settings.phone,
+    email: settings.email,
+    website: settings.website,
+    logo: settings.logo,
+    currency: settings.currency,
+    footerMessage: settings.footerMessage,
+    taxIds: settings.taxIds,
+    openingHours: settings.openingHours,
+    pickup: {
+        enabled: settings.pickup.enabled,
+        maxDaysAhead: settings.pickup.maxDaysAhead
+    },
+    reservations: {
+        enabled: settings.reservations.enabled,
+        durationMinutes: settings.reservations.durationMinutes,
+        maxDaysAhead: settings.reservations.maxDaysAhead
+    }
+});
+
+module.exports = {
+    getRestaurantSettings,
+    clearRestaurantSettingsCache,
+    startOfDay,
+    openingWindow,
+    formatAddress,
+    formatContact,
+    formatMoney,
+    publicProfile
+};
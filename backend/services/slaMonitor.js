@@ -0,0 +1,196 @@
+// services/slaMonitor.js
+// Kitchen timers: checks each order still being cooked against its
+// estimated prep time, warns the kitchen and managers when it is about to
+// run late or has, and reports how late the kitchen has been running.
+
+const Order = require('../models/Order');
+const restaurantService = require('./restaurantService');
+const { KITCHEN_STATUSES } = require('./orderLifecycle');
+
+// Statuses that never reached the table, left out of the lateness figures
+const EXCLUDED_STATUSES = ['cancelled', 'rejected', 'merged'];
+
+const LEVELS = ['on_track', 'at_risk', 'late'];
+
+const EVENTS = {
+    at_risk: 'order-at-risk',
+    late: 'order-late'
+};
+
+const CHECK_INTERVAL_MS = parseInt(process.env.SLA_CHECK_INTERVAL_MS || '30000', 10);
+
+const MINUTE_MS = 60 * 1000;
+
+const roundMinutes = (ms) => Math.round(ms / MINUTE_MS * 10) / 10;
+
+const getSlaConfig = async (branch) => {
+    const settings = await restaurantService.getRestaurantSettings(branch);
+    return settings.kitchenSla;
+};
+
+// When the kitchen timer started and when the food is due. Orders placed
+// before the timer was stored fall back to the order time.
+const timerFor = (order) => {
+    const startedAt = order.sla?.startedAt || order.createdAt;
+    const targetAt = order.sla?.targetAt ||
+        new Date(startedAt.getTime() + (order.estimatedPrepTime || 0) * MINUTE_MS);
+    return { startedAt, targetAt };
+};
+
+// How close the order is to its target at the given time
+const slaLevel = (order, config, now = new Date()) => {
+    const { startedAt, targetAt } = timerFor(order);
+    const lateAt = targetAt.getTime() + config.lateGraceMinutes * MINUTE_MS;
+    const atRiskAt = startedAt.getTime() + (targetAt - startedAt) * config.atRiskPercent / 100;
+
+    if (now > lateAt) return 'late';
+    if (now >= atRiskAt) return 'at_risk';
+    return 'on_track';
+};
+
+const emitEscalation = (io, order, level, now) => {
+    if (!io) return;
+
+    const { startedAt, targetAt } = timerFor(order);
+    io.to('chef-dashboard').to('role:admin').emit(EVENTS[level], {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        tableNumber: order.tableNumber,
+        status: order.status,
+        sla: level,
+        startedAt,
+        targetAt,
+        // Negative while there is still time left
+        minutesOver: roundMinutes(now - targetAt),
+        timestamp: now.toISOString()
+    });
+};
+
+// Bring every kitchen order's SLA status up to date, announcing orders that
+// have just become at risk or late. Orders that get more time (a new round
+// or a longer estimate) drop back quietly.
+const checkOrders = async (io, now = new Date()) => {
+    const orders = await Order.find({ status: { $in: KITCHEN_STATUSES } })
+        .select('orderNumber tableNumber status branch createdAt estimatedPrepTime sla');
+
+    const configs = new Map();
+    let escalated = 0;
+
+    for (const order of orders) {
+        if (!configs.has(order.branch)) {
+            configs.set(order.branch, await getSlaConfig(order.branch));
+        }
+        const config = configs.get(order.branch);
+        if (!config.enabled) continue;
+
+        const level = slaLevel(order, config, now);
+        const previous = order.sla?.status || 'on_track';
+        if (level === previous && order.sla?.targetAt) continue;
+
+        const { startedAt, targetAt } = timerFor(order);
+        const update = {
+            'sla.status': level,
+            'sla.startedAt': startedAt,
+            'sla.targetAt': targetAt
+        };
+        const raised = LEVELS.indexOf(level) > LEVELS.indexOf(previous);
+        if (raised) update['sla.escalatedAt'] = now;
+
+        // Skip the order if it left the kitchen or got a new round meanwhile
+        const result = await Order.updateOne({
+            _id: order._id,
+            status: { $in: KITCHEN_STATUSES },
+            'sla.startedAt': order.sla?.startedAt || null
+        }, { $set: update });
+
+        if (raised && result.modifiedCount > 0) {
+            emitEscalation(io, order, level, now);
+            escalated += 1;
+        }
+    }
+
+    return escalated;
+};
+
+// Run checkOrders in the background for the life of the process
+const startSlaMonitor = (io, { interval = CHECK_INTERVAL_MS } = {}) => {
+    let running = false;
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await checkOrders(io);
+        } catch (error) {
+            console.error('SLA monitor error:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, interval);
+    timer.unref();
+    tick();
+    return timer;
+};
+
+// When the kitchen finished the order's current round, or null if it is
+// still cooking
+const finishedAt = (order, startedAt) => {
+    if (KITCHEN_STATUSES.includes(order.status)) return null;
+    if (order.readyAt && order.readyAt >= startedAt) return order.readyAt;
+    return order.servedAt || order.completedAt || null;
+};
+
+// Late orders and average lateness for orders placed in a period. Orders
+// still cooking count as late once they pass their target.
+const slaStats = async ({ from, to, now = new Date() } = {}) => {
+    const filter = { status: { $nin: EXCLUDED_STATUSES } };
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = from;
+        if (to) filter.createdAt.$lt = to;
+    }
+
+    const orders = await Order.find(filter)
+        .select('status branch createdAt estimatedPrepTime sla readyAt servedAt completedAt');
+
+    const configs = new Map();
+    let late = 0;
+    let atRisk = 0;
+    let lateMs = 0;
+
+    for (const order of orders) {
+        if (!configs.has(order.branch)) {
+            configs.set(order.branch, await getSlaConfig(order.branch));
+        }
+        const config = configs.get(order.branch);
+        const { startedAt, targetAt } = timerFor(order);
+        const done = finishedAt(order, startedAt);
+        const until = done || now;
+
+        // Left the kitchen without a recorded time, so there is nothing to measure
+        if (!done && !KITCHEN_STATUSES.includes(order.status)) continue;
+        if (!done && order.sla?.status === 'at_risk') atRisk += 1;
+
+        if (until - targetAt > config.lateGraceMinutes * MINUTE_MS) {
+            late += 1;
+            lateMs += until - targetAt;
+        }
+    }
+
+    return {
+        lateOrders: late,
+        atRiskOrders: atRisk,
+        averageLatenessMinutes: late > 0 ? roundMinutes(lateMs / late) : 0
+    };
+};
+
+module.exports = {
+    CHECK_INTERVAL_MS,
+    timerFor,
+    slaLevel,
+    checkOrders,
+    startSlaMonitor,
+    slaStats
+};
@@ -0,0 +1,194 @@
+// services/stationService.js
+// Kitchen stations: which station cooks each order item, per-station views
+// and bumps, and the expeditor's view of which stations are done.
+
+const Station = require('../models/Station');
+const orderLifecycle = require('./orderLifecycle');
+const { DEFAULT_BRANCH } = require('./orderNumberService');
+
+// Station setup changes rarely, so keep it in memory between requests
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+// Items with no matching station stay with the whole kitchen
+const UNROUTED_NAME = 'Kitchen';
+
+// Item statuses that count as done for the station
+const DONE_STATUSES = ['ready', 'served'];
+
+class StationError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'StationError';
+        this.status = status;
+    }
+}
+
+const getStations = async (branch = DEFAULT_BRANCH) => {
+    const cached = cache.get(branch);
+    if (cached && cached.expires > Date.now()) {
+        return cached.stations;
+    }
+
+    const stations = await Station.find({ branch, isActive: true }).sort({ sortOrder: 1, name: 1 });
+    cache.set(branch, { stations, expires: Date.now() + CACHE_TTL_MS });
+    return stations;
+};
+
+const clearStationCache = (branch) => {
+    if (branch) {
+        cache.delete(branch);
+    } else {
+        cache.clear();
+    }
+};
+
+// A station listing the menu item wins over one listing its category
+const stationFor = (stations, item) => {
+    const menuItemId = (item.menuItem?._id || item.menuItem)?.toString();
+
+    return stations.find(station => station.menuItems.some(id => id.toString() === menuItemId)) ||
+        stations.find(station => item.category && station.categories.includes(item.category)) ||
+        stations.find(station => station.isDefault) ||
+        null;
+};
+
+// Give each item that has no station yet the one that cooks it. Items keep
+// their station once routed, so changing the setup doesn't move live tickets.
+const routeItems = async (order) => {
+    const unrouted = order.items.filter(item => !item.station);
+    if (unrouted.length === 0) return;
+
+    const stations = await getStations(order.branch);
+    if (stations.length === 0) return;
+
+    unrouted.forEach(item => {
+        const station = stationFor(stations, item);
+        if (station) {
+            item.station = station.key;
+            item.stationName = station.name;
+        }
+    });
+};
+
+// Items the kitchen is working on: not voided and not in a held course
+const liveItems = (order) => order.items.filter(item => (item.voidedQuantity || 0) < item.quantity && !item.held);
+
+// Progress of each station that has items on the order, in station order
+const stationProgress = (order, stations = []) => {
+    const groups = new Map();
+
+    liveItems(order).forEach(item => {
+        const key = item.station || null;
+        if (!groups.has(key)) {
+            groups.set(key, {
+                key,
+                name: item.stationName || key || UNROUTED_NAME,
+                items: 0,
+                done: 0
+            });
+        }
+        const group = groups.get(key);
+        group.items += 1;
+        if (DONE_STATUSES.includes(item.status || 'queued')) group.done += 1;
+    });
+
+    const position = (key) => {
+        const index = stations.findIndex(station => station.key === key);
+        return index === -1 ? stations.length : index;
+    };
+
+    const progress = [...groups.values()]
+        .map(group => ({ ...group, complete: group.done === group.items }))
+        .sort((a, b) => position(a.key) - position(b.key));
+
+    return {
+        stations: progress,
+        allDone: progress.length > 0 && progress.every(group => group.complete)
+    };
+};
+
+// The order as one station sees it: only its own items
+const stationView = (order, key) => {
+    const view = order.toObject ? order.toObject({ virtuals: true }) : { ...order };
+    view.items = view.items.filter(item => item.station === key);
+    return view;
+};
+
+// Move all of a station's items up to a kitchen status, leaving items that
+// are already there or can't make that move. Does not save the order.
+const bumpStation = (order, key, { to = 'ready', actor } = {}) => {
+    const items = liveItems(order).filter(item => (item.station || null) === key);
+    if (items.length === 0) {
+        throw new StationError('This order has no items for the station', 404);
+    }
+
+    const target = orderLifecycle.ITEM_STATUSES.indexOf(to);
+    const bumped = items.filter(item => {
+        const from = item.status || 'queued';
+        return orderLifecycle.ITEM_STATUSES.indexOf(from) < target &&
+            orderLifecycle.ITEM_TRANSITIONS[from].includes(to);
+    });
+
+    if (bumped.length === 0) {
+        throw new StationError(`No items at this station can be marked ${to}`);
+    }
+
+    bumped.forEach(item => orderLifecycle.transitionItem(order, item, to, { actor }));
+    return bumped;
+};
+
+// Send each station the items it has to cook from a new order or round
+const emitTickets = (io, order, items = order.items) => {
+    if (!io) return;
+
+    const byStation = new Map();
+    items.filter(item => item.station && !item.held).forEach(item => {
+        if (!byStation.has(item.station)) byStation.set(item.station, []);
+        byStation.get(item.station).push(item);
+    });
+
+    byStation.forEach((stationItems, key) => {
+        io.to(`station:${key}`).emit('station-ticket', {
+            orderId: order._id,
+            orderNumber: order.orderNumber,
+            tableNumber: order.tableNumber,
+            station: key,
+            items: stationItems,
+            timestamp: new Date().toISOString()
+        });
+    });
+};
+
+// Tell the expeditor how far each station has got with an order
+const emitProgress = async (io, order) => {
+    if (!io) return;
+
+    const stations = await getStations(order.branch);
+    const progress = stationProgress(order, stations);
+    const payload = {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        tableNumber: order.tableNumber,
+        ...progress,
+        timestamp: new Date().toISOString()
+    };
+
+    io.to('station:expo').to('role:admin').emit('station-progress', payload);
+    if (progress.allDone) {
+        io.to('station:expo').to('role:chef').emit('order-stations-done', payload);
+    }
+};
+
+module.exports = {
+    StationError,
+    getStations,
+    clearStationCache,
+    stationFor,
+    routeItems,
+    stationProgress,
+    stationView,
+    bumpStation,
+    emitTickets,
+    emitProgress
+};
@@ -0,0 +1,257 @@
+// services/tableCartService.js
+// The shared cart for a table (models/TableCart.js). Every change reloads
+// the cart, applies itself and saves; if another diner saved in between the
+// save fails on the version check and the change is retried on the fresh
+// cart, so concurrent edits are applied one after the other and none is
+// lost. The table's socket room gets the new cart after every change.
+
+const mongoose = require('mongoose');
+const { MenuItem, TableCart } = require('../models');
+
+// Retries when diners keep saving over each other
+const MAX_ATTEMPTS = 5;
+
+// A submit that hasn't finished by then (e.g. the server restarted) no
+// longer blocks the cart
+const SUBMIT_LOCK_MS = 30 * 1000;
+
+class TableCartError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'TableCartError';
+        this.status = status;
+    }
+}
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+const isSubmitting = (cart) =>
+    !!cart.submitting?.at && Date.now() - cart.submitting.at.getTime() < SUBMIT_LOCK_MS;
+
+const isFrozen = (cart, line) =>
+    isSubmitting(cart) && cart.submitting.lines.some(id => sameId(id, line._id));
+
+// What the page shows; the same for everyone at the table
+const cartView = (cart, tableNumber) => ({
+    tableNumber: cart?.tableNumber || tableNumber,
+    lines: (cart?.lines || []).map(line => ({
+        _id: line._id,
+        menuItem: line.menuItem,
+        name: line.name,
+        price: line.price,
+        quantity: line.quantity,
+        seat: line.seat,
+        specialInstructions: line.specialInstructions,
+        addedBy: line.addedBy,
+        addedByName: line.addedByName,
+        updatedAt: line.updatedAt
+    })),
+    total: cart?.total || 0,
+    itemCount: cart?.itemCount || 0,
+    submitting: cart && isSubmitting(cart)
+        ? { by: cart.submitting.by, byName: cart.submitting.byName, at: cart.submitting.at }
+        : null,
+    version: cart?.__v || 0
+});
+
+const emitCart = (io, cart, tableNumber, change) => {
+    if (!io) return;
+    io.to(`table:${cart?.tableNumber || tableNumber}`).emit('table-cart-updated', {
+        cart: cartView(cart, tableNumber),
+        change,
+        timestamp: new Date().toISOString()
+    });
+};
+
+const getCart = (tableNumber) => TableCart.findOne({ tableNumber });
+
+// Load (or start) the table's cart, let change() edit it and save. change
+// may throw a TableCartError to refuse; its return value is passed back.
+const updateCart = async (tableNumber, change) => {
+    for (let attempt = 1; ; attempt++) {
+        const cart = await getCart(tableNumber) || new TableCart({ tableNumber });
+        const result = await change(cart);
+
+        try {
+            await cart.save();
+            return { cart, result };
+        } catch (error) {
+            // VersionError: someone else saved first. 11000: two diners
+            // started the table's cart at the same moment.
+            const conflict = error instanceof mongoose.Error.VersionError || error.code === 11000;
+            if (!conflict || attempt >= MAX_ATTEMPTS) throw error;
+        }
+    }
+};
+
+// A line the actor may change: their own, and not on its way to the kitchen
+const ownLine = (cart, lineId, actor) => {
+    const line = cart.lines.id(lineId);
+    if (!line) {
+        throw new TableCartError('That item is no longer in the table\'s cart', 404);
+    }
+    if (line.addedBy !== String(actor.id)) {
+        throw new TableCartError(`Only ${line.addedByName || 'the person who added it'} can change this item`, 403);
+    }
+    if (isFrozen(cart, line)) {
+        throw new TableCartError(`${cart.submitting.byName} is sending this to the kitchen`, 409);
+    }
+    return line;
+};
+
+// Add to the cart; the same dish with the same notes from the same diner
+// just increases their quantity
+const addLine = async (tableNumber, actor, { menuItem: menuItemId, quantity, seat, specialInstructions = '' }) => {
+    const menuItem = await MenuItem.findById(menuItemId);
+    if (!menuItem) {
+        throw new TableCartError(`Menu item ${menuItemId} not found`, 404);
+    }
+    if (!menuItem.available) {
+        throw new TableCartError(`${menuItem.name} is currently unavailable`);
+    }
+
+    const { cart, result: line } = await updateCart(tableNumber, (cart) => {
+        const existing = cart.lines.find(line =>
+            line.addedBy === String(actor.id) &&
+            sameId(line.menuItem, menuItem._id) &&
+            line.specialInstructions === specialInstructions &&
+            (line.seat || null) === (seat || null) &&
+            !isFrozen(cart, line)
+        );
+        if (existing) {
+            existing.quantity += quantity;
+            return existing;
+        }
+
+        cart.lines.push({
+            menuItem: menuItem._id,
+            name: menuItem.name,
+            price: Math.round(menuItem.discountedPrice * 100) / 100,
+            quantity,
+            seat,
+            specialInstructions,
+            addedBy: String(actor.id),
+            addedByName: actor.name
+        });
+        return cart.lines[cart.lines.length - 1];
+    });
+
+    return { cart, line };
+};
+
+// Change quantity, seat or notes on one of the actor's lines; quantity 0 removes it
+const updateLine = async (tableNumber, actor, lineId, updates) => {
+    const { cart, result: line } = await updateCart(tableNumber, (cart) => {
+        const line = ownLine(cart, lineId, actor);
+        if (updates.quantity === 0) {
+            line.deleteOne();
+            return line;
+        }
+        if (updates.quantity !== undefined) line.quantity = updates.quantity;
+        if (updates.seat !== undefined) line.seat = updates.seat || undefined;
+        if (updates.specialInstructions !== undefined) line.specialInstructions = updates.specialInstructions;
+        return line;
+    });
+
+    return { cart, line };
+};
+
+const removeLine = (tableNumber, actor, lineId) =>
+    updateLine(tableNumber, actor, lineId, { quantity: 0 });
+
+// Reserve the cart for the actor's submit. Only one diner can hold it, so
+// the cart goes to the kitchen once however many people press the button.
+// Returns the cart and the lines being sent.
+const claimForSubmit = async (tableNumber, actor) => {
+    const { cart, result: lines } = await updateCart(tableNumber, (cart) => {
+        if (isSubmitting(cart)) {
+            throw new TableCartError(`${cart.submitting.byName} is already sending the table's order`, 409);
+        }
+        if (cart.lines.length === 0) {
+            throw new TableCartError('The table\'s cart is empty', 409);
+        }
+
+        cart.submitting = {
+            by: String(actor.id),
+            byName: actor.name,
+            at: new Date(),
+            lines: cart.lines.map(line => line._id)
+        };
+        return cart.lines.map(line => line.toObject());
+    });
+
+    return { cart, lines };
+};
+
+// After the order is placed: drop the lines that were sent. Anything added
+// while it was being placed stays for the next round.
+const finishSubmit = async (tableNumber, lines) => {
+    const { cart } = await updateCart(tableNumber, (cart) => {
+        lines.forEach(line => cart.lines.id(line._id)?.deleteOne());
+        cart.submitting = { lines: [] };
+    });
+    return cart;
+};
+
+// The order couldn't be placed; the cart is editable again
+const releaseSubmit = async (tableNumber) => {
+    const { cart } = await updateCart(tableNumber, (cart) => {
+        cart.submitting = { lines: [] };
+    });
+    return cart;
+};
+
+// The party moved tables: their cart follows, joining the target table's
+// cart if that table has one (a merge)
+const moveCart = async (fromNumber, toNumber) => {
+    const source = await getCart(fromNumber);
+    if (!source) return null;
+
+    if (source.lines.length) {
+        await updateCart(toNumber, (target) => {
+            source.lines.forEach(line => target.lines.push(line.toObject()));
+        });
+    }
+    await TableCart.deleteOne({ _id: source._id });
+
+    return getCart(toNumber);
+};
+
+// The table was cleared; the next party starts with an empty cart
+const clearCart = (tableNumber) => TableCart.deleteOne({ tableNumber });
+
+// A guest who signed up keeps the lines they added
+const reassignLines = (fromId, toId) => TableCart.updateMany(
+    { 'lines.addedBy': String(fromId) },
+    {
+        $set: { 'lines.$[line].addedBy': String(toId) },
+        $inc: { __v: 1 }
+    },
+    { arrayFilters: [{ 'line.addedBy': String(fromId) }] }
+);
+
+// The lines as items for the order routes
+const orderItems = (lines) => lines.map(line => ({
+    menuItem: line.menuItem,
+    quantity: line.quantity,
+    seat: line.seat,
+    specialInstructions: line.specialInstructions
+}));
+
+module.exports = {
+    SUBMIT_LOCK_MS,
+    TableCartError,
+    cartView,
+    emitCart,
+    getCart,
+    addLine,
+    updateLine,
+    removeLine,
+    claimForSubmit,
+    finishSubmit,
+    releaseSubmit,
+    moveCart,
+    clearCart,
+    reassignLines,
+    orderItems
+};
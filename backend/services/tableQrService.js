@@ -0,0 +1,57 @@
+// services/tableQrService.js
+// Table QR codes. Each code opens the customer page with the table number
+// and a signed token, so a diner can only order for the table they are
+// sitting at. Rotating a table's token makes its printed codes stop working.
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+const QR_SECRET = process.env.TABLE_QR_SECRET || process.env.JWT_SECRET || 'smartwaiter_production_secret_2024';
+
+// 96 bits of the signature keeps the URL short enough for a small code
+const TOKEN_LENGTH = 16;
+
+const QR_OPTIONS = { errorCorrectionLevel: 'M', margin: 1 };
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'https://smart-waiter-frontend.onrender.com';
+
+// Signs the table number and its token version; bumping the version rotates it
+const tableToken = (table) => crypto
+    .createHmac('sha256', QR_SECRET)
+    .update(`table:${table.tableNumber}:${table.qrTokenVersion || 1}`)
+    .digest('base64url')
+    .slice(0, TOKEN_LENGTH);
+
+// What the QR code encodes
+const tableUrl = (table) =>
+    `${frontendUrl()}/customer/dashboard.html?table=${table.tableNumber}&t=${tableToken(table)}`;
+
+const verifyTableToken = (table, token) => {
+    if (!table || typeof token !== 'string' || token.length !== TOKEN_LENGTH) return false;
+    return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(tableToken(table)));
+};
+
+// Invalidates every printed code for the table; the caller saves it
+const rotateToken = (table) => {
+    table.qrTokenVersion = (table.qrTokenVersion || 1) + 1;
+    return table;
+};
+
+const qrPng = (table, width = 300) =>
+    QRCode.toBuffer(tableUrl(table), { ...QR_OPTIONS, type: 'png', width });
+
+const qrSvg = (table) =>
+    QRCode.toString(tableUrl(table), { ...QR_OPTIONS, type: 'svg' });
+
+const qrDataUrl = (table) =>
+    QRCode.toDataURL(tableUrl(table), { ...QR_OPTIONS, width: 200 });
+
+module.exports = {
+    tableToken,
+    tableUrl,
+    verifyTableToken,
+    rotateToken,
+    qrPng,
+    qrSvg,
+    qrDataUrl
+};
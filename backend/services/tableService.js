@@ -0,0 +1,270 @@
+// services/tableService.js
+// Shared table housekeeping used by the order routes.
+
+const { Order, Table } = require('../models');
+const orderLifecycle = require('./orderLifecycle');
+const paymentService = require('./paymentService');
+const promotionService = require('./promotionService');
+const diningSessionService = require('./diningSessionService');
+
+const { TERMINAL_STATUSES } = orderLifecycle;
+
+class TableServiceError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'TableServiceError';
+        this.status = status;
+    }
+}
+
+// Free a table and close its visit once it has no active orders left.
+// Returns the freed table, or null if the table is still in use or does
+// not exist.
+const releaseTableIfIdle = async (tableNumber, io, actor) => {
+    // Pickup orders have no table to free
+    if (!tableNumber) return null;
+
+    const activeOrder = await Order.findOne({
+        tableNumber,
+        status: { $nin: TERMINAL_STATUSES }
+    });
+
+    if (activeOrder) return null;
+
+    const table = await Table.findOne({ tableNumber });
+    if (!table) return null;
+
+    await diningSessionService.closeSession(table, { actor, io });
+
+    return table;
+};
+
+// Staff clearing a table after the party leaves, e.g. a QR guest who
+// never ordered. Refused while the table still has an active order.
+const clearTable = async (tableNumber, actor, io) => {
+    const table = await Table.findOne({ tableNumber });
+    if (!table) {
+        throw new TableServiceError(`Table ${tableNumber} not found`, 404);
+    }
+
+    const activeOrder = await Order.findOne({
+        tableNumber,
+        status: { $nin: TERMINAL_STATUSES }
+    });
+    if (activeOrder) {
+        throw new TableServiceError(`Table ${tableNumber} still has order #${activeOrder.orderNumber} open`, 409);
+    }
+
+    const session = await diningSessionService.closeSession(table, { actor, io });
+    return { table, session };
+};
+
+const findActiveOrders = (tableNumber) =>
+    Order.find({
+        tableNumber,
+        status: { $nin: TERMINAL_STATUSES }
+    }).sort({ createdAt: 1 });
+
+const loadTablePair = async (fromNumber, toNumber) => {
+    if (fromNumber === toNumber) {
+        throw new TableServiceError('Source and destination tables must be different');
+    }
+
+    const [fromTable, toTable] = await Promise.all([
+        Table.findOne({ tableNumber: fromNumber }),
+        Table.findOne({ tableNumber: toNumber, isActive: true })
+    ]);
+
+    if (!fromTable) {
+        throw new TableServiceError(`Table ${fromNumber} not found`, 404);
+    }
+    if (!toTable) {
+        throw new TableServiceError(`Table ${toNumber} not found or inactive`, 404);
+    }
+
+    return { fromTable, toTable };
+};
+
+// Tell both table rooms (and staff) about a move so guests follow it
+const emitTableMove = (io, payload) => {
+    if (!io) return;
+
+    const event = {
+        ...payload,
+        timestamp: new Date().toISOString()
+    };
+
+    io.to(`table:${payload.fromTable}`)
+        .to(`table:${payload.toTable}`)
+        .to('role:chef')
+        .to('role:admin')
+        .emit('table-updated', event);
+};
+
+// Move every active order from one table to an available table
+const transferTable = async (fromNumber, toNumber, actor, io) => {
+    const { fromTable, toTable } = await loadTablePair(fromNumber, toNumber);
+
+    if (toTable.status !== 'available') {
+        throw new TableServiceError(`Table ${toNumber} is currently ${toTable.status}. Merge the tables instead.`);
+    }
+
+    const orders = await findActiveOrders(fromNumber);
+    if (orders.length === 0) {
+        throw new TableServiceError(`Table ${fromNumber} has no active order to move`);
+    }
+
+    for (const order of orders) {
+        order.tableNumber = toNumber;
+        order.serviceRequests.forEach(request => {
+            if (request.status === 'pending' || request.status === 'assigned') {
+                request.tableNumber = toNumber;
+            }
+        });
+        order.tableMoves.push({
+            action: 'transfer',
+            fromTable: fromNumber,
+            toTable: toNumber,
+            actorName: actor.name
+        });
+        await order.save();
+    }
+
+    await diningSessionService.moveSession(fromTable, toTable, orders[orders.length - 1]._id);
+
+    emitTableMove(io, {
+        action: 'transfer',
+        fromTable: fromNumber,
+        toTable: toNumber,
+        movedTo: toNumber,
+        orderIds: orders.map(order => order._id),
+        tables: [
+            { tableNumber: fromTable.tableNumber, status: fromTable.status },
+            { tableNumber: toTable.tableNumber, status: toTable.status }
+        ],
+        message: `Your party has been moved to table ${toNumber}`
+    });
+
+    return { orders, fromTable, toTable };
+};
+
+// Fold the active orders of one table into the active order of another,
+// leaving a single bill on the destination table
+const mergeTables = async (fromNumber, toNumber, actor, io) => {
+    const { fromTable, toTable } = await loadTablePair(fromNumber, toNumber);
+
+    const [sourceOrders, targetOrders] = await Promise.all([
+        findActiveOrders(fromNumber),
+        findActiveOrders(toNumber)
+    ]);
+
+    if (sourceOrders.length === 0) {
+        throw new TableServiceError(`Table ${fromNumber} has no active order to merge`);
+    }
+    if (targetOrders.length === 0) {
+        throw new TableServiceError(`Table ${toNumber} has no active order. Move the table instead.`);
+    }
+
+    const target = targetOrders[targetOrders.length - 1];
+    const sources = [...sourceOrders, ...targetOrders.slice(0, -1)];
+
+    if ([target, ...sources].some(order => order.amountPaid > 0 || order.paymentStatus === 'paid')) {
+        throw new TableServiceError('Orders that are already paid or part-paid cannot be merged');
+    }
+
+    let nextRound = target.currentRound;
+
+    for (const source of sources) {
+        // Each merged order keeps its rounds, numbered after the target's
+        const roundOffset = nextRound;
+        source.items.forEach(item => {
+            const moved = item.toObject();
+            delete moved._id;
+            moved.round = (item.round || 1) + roundOffset;
+            nextRound = Math.max(nextRound, moved.round);
+            target.items.push(moved);
+        });
+        target.rounds.push({
+            number: roundOffset + 1,
+            addedBy: actor.id,
+            addedByName: `Merged from order #${source.orderNumber} (table ${source.tableNumber})`
+        });
+        source.serviceRequests.forEach(request => {
+            if (request.status === 'pending' || request.status === 'assigned') {
+                const moved = request.toObject();
+                delete moved._id;
+                moved.tableNumber = toNumber;
+                target.serviceRequests.push(moved);
+                request.status = 'cancelled';
+            }
+        });
+
+        source.tableMoves.push({
+            action: 'merge',
+            fromTable: source.tableNumber,
+            toTable: toNumber,
+            actorName: actor.name
+        });
+        source.mergedInto = target._id;
+        source.items = [];
+        source.billSplit = undefined;
+        // The merged bill carries the target's promotion only
+        await promotionService.releasePromotion(source);
+        source.discount = 0;
+        orderLifecycle.transition(source, 'merged', {
+            actor,
+            reason: `Merged into order #${target.orderNumber}`
+        });
+    }
+
+    target.tableMoves.push({
+        action: 'merge',
+        fromTable: fromNumber,
+        toTable: toNumber,
+        actorName: actor.name
+    });
+
+    // Food still in the kitchen sends a ready/served bill back to preparing
+    const stillCooking = target.items.some(item => !['ready', 'served'].includes(item.status || 'queued'));
+    if (stillCooking && ['ready', 'served'].includes(target.status)) {
+        orderLifecycle.transition(target, 'preparing', {
+            actor,
+            reason: `Merged with table ${fromNumber}`
+        });
+    }
+
+    await promotionService.refreshDiscount(target);
+    await paymentService.refreshOrderTotals(target);
+    await target.save();
+    for (const source of sources) {
+        await source.save();
+    }
+
+    await diningSessionService.mergeSessions(fromTable, toTable, target, actor);
+
+    emitTableMove(io, {
+        action: 'merge',
+        fromTable: fromNumber,
+        toTable: toNumber,
+        movedTo: toNumber,
+        orderId: target._id,
+        orderNumber: target.orderNumber,
+        mergedOrderIds: sources.map(order => order._id),
+        tables: [
+            { tableNumber: fromTable.tableNumber, status: fromTable.status },
+            { tableNumber: toTable.tableNumber, status: toTable.status }
+        ],
+        message: `Your bill has been combined with table ${toNumber}`
+    });
+    sources.forEach(source => orderLifecycle.emitStatusChange(io, source));
+
+    return { order: target, mergedOrders: sources, fromTable, toTable };
+};
+
+module.exports = {
+    TableServiceError,
+    releaseTableIfIdle,
+    clearTable,
+    transferTable,
+    mergeTables
+};
@@ -0,0 +1,261 @@
+// services/taxService.js
+// Works out an order's tax lines, service charge, packaging and delivery
+// fees, tip and total from the branch's TaxConfig. Amounts are rounded per
+// line item in cents.
+
+const TaxConfig = require('../models/TaxConfig');
+const Table = require('../models/Table');
+const { DEFAULT_BRANCH } = require('./orderNumberService');
+const { allocate, toCents, fromCents } = require('./billSplitter');
+const { OFF_PREMISES_ORDER_TYPES } = require('./orderLifecycle');
+
+// Configs change rarely, so keep them in memory between orders
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+const getTaxConfig = async (branch = DEFAULT_BRANCH) => {
+    const cached = cache.get(branch);
+    if (cached && cached.expires > Date.now()) {
+        return cached.config;
+    }
+
+    let config = await TaxConfig.findOne({ branch });
+    if (!config) {
+        // Defaults match the rates used before tax was configurable
+        config = new TaxConfig({ branch });
+    }
+
+    cache.set(branch, { config, expires: Date.now() + CACHE_TTL_MS });
+    return config;
+};
+
+const clearTaxConfigCache = (branch) => {
+    if (branch) {
+        cache.delete(branch);
+    } else {
+        cache.clear();
+    }
+};
+
+// Units of a line item still on the bill once voids and comps are taken out
+const billableQuantity = (item) =>
+    Math.max(0, item.quantity - (item.voidedQuantity || 0) - (item.compedQuantity || 0));
+
+const matchesList = (list, value) => !list || list.length === 0 || list.includes(value);
+
+// An item is matched on its menu category and on its tax category
+const itemCategories = (item) => [item.category, item.taxCategory].filter(Boolean);
+
+// Active tax lines that apply to one line item of an order
+const linesForItem = (config, item, orderType) => {
+    const categories = itemCategories(item);
+
+    return config.taxLines.filter(line =>
+        line.isActive !== false &&
+        matchesList(line.orderTypes, orderType) &&
+        (!line.categories || line.categories.length === 0 ||
+            categories.some(category => line.categories.includes(category))) &&
+        !categories.some(category => (line.excludedCategories || []).includes(category))
+    );
+};
+
+const serviceChargeApplies = (config, order) => {
+    const rule = config.serviceCharge || {};
+    if (!rule.enabled || !rule.rate) return false;
+    if ((rule.waivedOrderTypes || []).includes(order.orderType)) return false;
+    return (order.partySize || 1) >= (rule.minPartySize || 0);
+};
+
+// Fee for the containers of an order that leaves the restaurant
+const packagingFeeCents = (config, order) => {
+    const rule = config.packagingFee || {};
+    if (!rule.enabled || !matchesList(rule.orderTypes, order.orderType)) return 0;
+
+    const units = order.items.reduce((sum, item) => sum + billableQuantity(item), 0);
+    if (units === 0) return 0;
+    return toCents(rule.perOrder || 0) + toCents(rule.perItem || 0) * units;
+};
+
+// Pickup and delivery orders never get the automatic gratuity
+const autoGratuityApplies = (config, order, guests) => {
+    const rule = config.gratuity?.autoGratuity || {};
+    if (!rule.enabled || !rule.rate || OFF_PREMISES_ORDER_TYPES.includes(order.orderType)) return false;
+    return (guests || 0) >= (rule.minPartySize || 1);
+};
+
+// Tips are a percentage of the food after discounts, before tax and
+// service charge. A tip set by a guest or staff member wins over the
+// automatic gratuity, so staff can remove it by setting a zero tip.
+const calculateTip = (order, config, baseCents, guests) => {
+    if (order.tipSource === 'customer' || order.tipSource === 'staff') {
+        const percent = order.tipPercent;
+        return {
+            cents: percent !== undefined && percent !== null
+                ? Math.round(baseCents * percent / 100)
+                : toCents(order.tip),
+            percent,
+            source: order.tipSource
+        };
+    }
+
+    if (autoGratuityApplies(config, order, guests)) {
+        const rate = config.gratuity.autoGratuity.rate;
+        return { cents: Math.round(baseCents * rate / 100), percent: rate, source: 'auto' };
+    }
+
+    return { cents: 0, percent: undefined, source: undefined };
+};
+
+// Returns { subtotal, taxLines, tax, serviceCharge, serviceChargeRate,
+// serviceChargeWaived, packagingFee, packagingFeeName, deliveryFee, tip, tipPercent, tipSource, totalAmount,
+// items: [{ netTotal }] }. `guests` is the party size used for
+// auto-gratuity and defaults to the order's partySize.
+const calculateTotals = (order, config, { guests = order.partySize } = {}) => {
+    const taxByLine = new Map();
+    let subtotalCents = 0;
+
+    const items = order.items.map(item => {
+        const grossCents = toCents(item.price * billableQuantity(item));
+        const lines = linesForItem(config, item, order.orderType);
+        const rateSum = lines.reduce((sum, line) => sum + line.rate, 0);
+
+        let netCents = grossCents;
+        let lineCents;
+
+        if (config.pricesIncludeTax) {
+            // Back the tax out of the menu price; the lines share what is left
+            netCents = Math.round(grossCents / (1 + rateSum / 100));
+            lineCents = allocate(grossCents - netCents, lines.map(line => line.rate));
+        } else {
+            lineCents = lines.map(line => Math.round(netCents * line.rate / 100));
+        }
+
+        lines.forEach((line, index) => {
+            const key = `${line.name}|${line.rate}`;
+            const entry = taxByLine.get(key) || { name: line.name, rate: line.rate, cents: 0 };
+            entry.cents += lineCents[index];
+            taxByLine.set(key, entry);
+        });
+
+        subtotalCents += netCents;
+        return { netTotal: fromCents(netCents) };
+    });
+
+    const taxLines = [...taxByLine.values()]
+        .filter(line => line.cents > 0)
+        .map(line => ({ name: line.name, rate: line.rate, amount: fromCents(line.cents) }));
+    const taxCents = [...taxByLine.values()].reduce((sum, line) => sum + line.cents, 0);
+
+    const applies = serviceChargeApplies(config, order);
+    const serviceChargeRate = applies ? config.serviceCharge.rate : 0;
+    const serviceChargeCents = Math.round(subtotalCents * serviceChargeRate / 100);
+
+    const packagingCents = packagingFeeCents(config, order);
+    // Set from the delivery zone when the order is placed
+    const deliveryCents = toCents(order.deliveryFee);
+
+    const discountCents = toCents(order.discount);
+    const tip = calculateTip(order, config, Math.max(0, subtotalCents - discountCents), guests);
+
+    return {
+        subtotal: fromCents(subtotalCents),
+        taxLines,
+        tax: fromCents(taxCents),
+        serviceCharge: fromCents(serviceChargeCents),
+        serviceChargeName: config.serviceCharge?.name || 'Service Charge',
+        serviceChargeRate,
+        serviceChargeWaived: !applies,
+        pricesIncludeTax: !!config.pricesIncludeTax,
+        packagingFee: fromCents(packagingCents),
+        packagingFeeName: config.packagingFee?.name || 'Packaging',
+        deliveryFee: fromCents(deliveryCents),
+        tip: fromCents(tip.cents),
+        tipPercent: tip.percent,
+        tipSource: tip.source,
+        totalAmount: fromCents(subtotalCents + taxCents + serviceChargeCents + packagingCents + deliveryCents -
+            discountCents + tip.cents),
+        items
+    };
+};
+
+// Recalculate and store totals on an order document. Does not save.
+const applyTotals = async (order) => {
+    const config = await getTaxConfig(order.branch);
+
+    // Without a party size, a table seating enough guests gets the auto-gratuity
+    let guests = order.partySize;
+    if (!guests && autoGratuityApplies(config, order, Infinity)) {
+        const table = await Table.findOne({ tableNumber: order.tableNumber }).select('capacity');
+        guests = table ? table.capacity : undefined;
+    }
+
+    const totals = calculateTotals(order, config, { guests });
+
+    order.items.forEach((item, index) => {
+        item.itemTotal = item.price * billableQuantity(item);
+        item.netTotal = totals.items[index].netTotal;
+    });
+
+    order.subtotal = totals.subtotal;
+    order.taxLines = totals.taxLines;
+    order.tax = totals.tax;
+    order.serviceCharge = totals.serviceCharge;
+    order.serviceChargeName = totals.serviceChargeName;
+    order.serviceChargeRate = totals.serviceChargeRate;
+    order.serviceChargeWaived = totals.serviceChargeWaived;
+    order.pricesIncludeTax = totals.pricesIncludeTax;
+    order.packagingFee = totals.packagingFee;
+    order.packagingFeeName = totals.packagingFee > 0 ? totals.packagingFeeName : undefined;
+    order.tip = totals.tip;
+    order.tipPercent = totals.tipPercent;
+    order.tipSource = totals.tipSource;
+    order.totalAmount = totals.totalAmount;
+
+    return totals;
+};
+
+// Bill labels for the tax lines, service charge, packaging and delivery
+// fees of a saved order
+const totalsLabels = (order) => {
+    const lines = [];
+
+    if (order.taxLines && order.taxLines.length > 0) {
+        order.taxLines.forEach(line => {
+            lines.push([`${line.name} (${line.rate}%)${order.pricesIncludeTax ? ' incl.' : ''}:`, line.amount]);
+        });
+    } else if (order.tax > 0) {
+        lines.push(['Tax:', order.tax]);
+    }
+
+    if (order.serviceCharge > 0) {
+        const name = order.serviceChargeName || 'Service Charge';
+        lines.push([order.serviceChargeRate ? `${name} (${order.serviceChargeRate}%):` : `${name}:`, order.serviceCharge]);
+    }
+
+    if (order.packagingFee > 0) {
+        lines.push([`${order.packagingFeeName || 'Packaging'}:`, order.packagingFee]);
+    }
+
+    if (order.deliveryFee > 0) {
+        lines.push(['Delivery:', order.deliveryFee]);
+    }
+
+    return lines;
+};
+
+// Bill label for an order's tip, e.g. "Tip (15%):" or "Gratuity (18%):"
+const tipLabel = (order) => {
+    const name = order.tipSource === 'auto' ? 'Gratuity' : 'Tip';
+    const percent = order.tipPercent;
+    return percent !== undefined && percent !== null ? `${name} (${percent}%):` : `${name}:`;
+};
+
+module.exports = {
+    getTaxConfig,
+    clearTaxConfigCache,
+    billableQuantity,
+    calculateTotals,
+    applyTotals,
+    totalsLabels,
+    tipLabel
+};
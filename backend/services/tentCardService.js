@@ -0,0 +1,53 @@
+// services/tentCardService.js
+// Print-ready PDF of folding table tent cards carrying each table's QR code.
+
+const { renderPDF } = require('./receiptService');
+const restaurantService = require('./restaurantService');
+const tableQrService = require('./tableQrService');
+
+// One side of a tent card, laid out in the box starting at top
+const renderCardFace = (doc, table, qr, restaurant, top, height) => {
+    const width = doc.page.width;
+    const qrSize = Math.min(180, height - 150);
+
+    doc.font('Helvetica-Bold').fontSize(18)
+        .text(restaurant.name, 50, top + 20, { width: width - 100, align: 'center' });
+    doc.fontSize(40)
+        .text(table.tableName || `Table ${table.tableNumber}`, 50, top + 45, { width: width - 100, align: 'center' });
+    doc.image(qr, (width - qrSize) / 2, top + 100, { width: qrSize, height: qrSize });
+    doc.font('Helvetica').fontSize(14)
+        .text('Scan to see the menu and order', 50, top + 110 + qrSize, { width: width - 100, align: 'center' });
+};
+
+// Print-ready sheet with one folding tent card per page. The top half is
+// printed upside down so the card reads the same from both sides.
+const createTentCards = async (tables, branch) => {
+    const restaurant = await restaurantService.getRestaurantSettings(branch);
+    const codes = await Promise.all(tables.map(table => tableQrService.qrPng(table, 600)));
+
+    return renderPDF(doc => {
+        tables.forEach((table, index) => {
+            if (index > 0) doc.addPage();
+
+            const { width, height } = doc.page;
+            const half = height / 2;
+
+            renderCardFace(doc, table, codes[index], restaurant, half, half);
+
+            doc.save();
+            doc.rotate(180, { origin: [width / 2, half / 2] });
+            renderCardFace(doc, table, codes[index], restaurant, 0, half);
+            doc.restore();
+
+            // Fold line
+            doc.save()
+                .moveTo(30, half).lineTo(width - 30, half)
+                .dash(4, { space: 4 }).strokeColor('#999999').stroke()
+                .restore();
+        });
+    });
+};
+
+module.exports = {
+    createTentCards
+};
@@ -0,0 +1,276 @@
+// services/tipService.js
+// Tips on the bill and the per-shift tip pool. The tip amount itself is
+// worked out with the rest of the bill in taxService.calculateTotals;
+// this module changes who set it and shares out what was collected.
+
+const mongoose = require('mongoose');
+const { Order, Payment, User } = require('../models');
+const taxService = require('./taxService');
+const paymentService = require('./paymentService');
+const { allocate, toCents, fromCents } = require('./billSplitter');
+const { guestRoom } = require('./orderLifecycle');
+
+const MAX_TIP_PERCENT = 100;
+
+// Payment states where the bill is settled and the tip can no longer change
+const SETTLED_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+class TipError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'TipError';
+        this.status = status;
+    }
+}
+
+// Food after discounts, the amount tip percentages are taken from
+const tipBaseCents = (order) => Math.max(0, toCents(order.subtotal) - toCents(order.discount));
+
+// Current tip and the suggestions to offer on the bill
+const tipOptions = async (order) => {
+    const config = await taxService.getTaxConfig(order.branch);
+    const gratuity = config.gratuity || {};
+    const base = tipBaseCents(order);
+
+    return {
+        tip: order.tip || 0,
+        tipPercent: order.tipPercent,
+        tipSource: order.tipSource,
+        autoGratuity: order.tipSource === 'auto',
+        allowCustom: gratuity.allowCustom !== false,
+        suggestions: (gratuity.suggestedPercents || []).map(percent => ({
+            percent,
+            amount: fromCents(Math.round(base * percent / 100))
+        }))
+    };
+};
+
+const checkTippable = (order) => {
+    if (!paymentService.PAYABLE_STATUSES.includes(order.status)) {
+        throw new TipError(`A tip cannot be changed on a ${order.status} order`);
+    }
+    if (SETTLED_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+        throw new TipError('This bill is already settled', 409);
+    }
+    if (order.billSplit?.shares?.some(share => share.paymentStatus === 'paid')) {
+        throw new TipError('Some bill shares are already paid. Add the tip to a payment instead.', 409);
+    }
+};
+
+// Recalculate the total around the new tip and keep paymentStatus in step
+// with what has already been paid. Saves the order.
+const saveTip = async (order) => {
+    await taxService.applyTotals(order);
+    if (order.amountPaid > 0) {
+        await paymentService.refreshOrderPayment(order);
+    }
+    await order.save();
+    return order;
+};
+
+// Set the tip as a percentage of the bill or as a fixed amount. Guests
+// cannot change an automatic gratuity; staff can, including to zero.
+const setTip = async (order, { percent, amount, actor }) => {
+    checkTippable(order);
+
+    if ((percent === undefined) === (amount === undefined)) {
+        throw new TipError('Give either a tip percentage or an amount');
+    }
+
+    const byGuest = actor.role === 'customer';
+    if (byGuest && order.tipSource === 'auto') {
+        throw new TipError(`A ${order.tipPercent}% gratuity is already included for your party`, 409);
+    }
+
+    if (percent !== undefined && (percent < 0 || percent > MAX_TIP_PERCENT)) {
+        throw new TipError(`Tip percentage must be between 0 and ${MAX_TIP_PERCENT}`);
+    }
+    if (amount !== undefined && (amount < 0 || toCents(amount) > tipBaseCents(order))) {
+        throw new TipError('Tip cannot be more than the bill');
+    }
+
+    if (byGuest && percent !== 0 && amount !== 0) {
+        const config = await taxService.getTaxConfig(order.branch);
+        const gratuity = config.gratuity || {};
+        const suggested = percent !== undefined && (gratuity.suggestedPercents || []).includes(percent);
+        if (gratuity.allowCustom === false && !suggested) {
+            throw new TipError('Please choose one of the suggested tip amounts');
+        }
+    }
+
+    order.tipSource = byGuest ? 'customer' : 'staff';
+    order.tipPercent = percent;
+    order.tip = amount !== undefined ? amount : 0;
+    order.tipSetBy = actor.id ? actor.id.toString() : undefined;
+    order.tipSetByName = actor.name;
+
+    return saveTip(order);
+};
+
+// Take off a tip set by hand so the automatic gratuity, if any, applies
+// again. Guests can only clear their own tip.
+const clearTip = async (order, { actor }) => {
+    checkTippable(order);
+
+    if (actor.role === 'customer' && order.tipSource !== 'customer') {
+        throw new TipError('Only a tip you added can be removed', 403);
+    }
+
+    order.tipSource = undefined;
+    order.tipPercent = undefined;
+    order.tip = 0;
+    order.tipSetBy = undefined;
+    order.tipSetByName = undefined;
+
+    return saveTip(order);
+};
+
+// Tell the table and staff that the bill total changed with the tip
+const emitTipUpdate = (io, order) => {
+    if (!io) return;
+
+    io.to(guestRoom(order)).to('role:chef').to('role:admin').emit('tip-updated', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        tableNumber: order.tableNumber,
+        tip: order.tip,
+        tipPercent: order.tipPercent,
+        tipSource: order.tipSource,
+        totalAmount: order.totalAmount,
+        balanceDue: paymentService.balanceDue(order),
+        timestamp: new Date().toISOString()
+    });
+};
+
+// Start and end of a shift on the given day
+const shiftWindow = (day, shift) => {
+    const [startHour, startMinute] = shift.start.split(':').map(Number);
+    const [endHour, endMinute] = shift.end.split(':').map(Number);
+
+    const from = new Date(day);
+    from.setHours(startHour, startMinute, 0, 0);
+    const to = new Date(day);
+    to.setHours(endHour, endMinute, 0, 0);
+    if (to <= from) {
+        to.setDate(to.getDate() + 1);
+    }
+    return { from, to };
+};
+
+// Staff who moved orders along or took payments during a window, keyed by id
+const staffOnShift = async ({ from, to }) => {
+    const range = { $gte: from, $lt: to };
+    const staff = new Map();
+    const add = (id, name, role) => {
+        if (id && !staff.has(id)) staff.set(id, { id, name, role });
+    };
+
+    const orders = await Order.find({ 'statusHistory.at': range }).select('statusHistory');
+    orders.forEach(order => {
+        order.statusHistory
+            .filter(entry => entry.at >= from && entry.at < to)
+            .forEach(entry => add(entry.actorId, entry.actorName, entry.actorRole));
+    });
+
+    const payments = await Payment.find({ createdAt: range }).select('actorId actorName actorRole');
+    payments.forEach(payment => add(payment.actorId, payment.actorName, payment.actorRole));
+
+    // Current name and role for real accounts; demo accounts keep what was recorded
+    const ids = [...staff.keys()].filter(id => mongoose.Types.ObjectId.isValid(id));
+    const users = await User.find({ _id: { $in: ids } }).select('firstName lastName role');
+    users.forEach(user => {
+        staff.set(user._id.toString(), {
+            id: user._id.toString(),
+            name: `${user.firstName} ${user.lastName}`,
+            role: user.role
+        });
+    });
+
+    return [...staff.values()];
+};
+
+// Staff named by the manager for every shift, instead of working it out
+const rosterFromIds = async (ids) => {
+    const users = await User.find({
+        _id: { $in: ids.filter(id => mongoose.Types.ObjectId.isValid(id)) }
+    }).select('firstName lastName role');
+
+    return users.map(user => ({
+        id: user._id.toString(),
+        name: `${user.firstName} ${user.lastName}`,
+        role: user.role
+    }));
+};
+
+// Pool the tips collected in each of the day's shifts and share each pool
+// among the staff on that shift by role weight. `staffIds` overrides who
+// worked; otherwise it is anyone who handled an order or payment.
+const tipPool = async ({ day, branch, staffIds }) => {
+    const config = await taxService.getTaxConfig(branch);
+    const pool = config.gratuity?.pool || {};
+    const weights = pool.roleWeights || {};
+    const roster = staffIds && staffIds.length > 0 ? await rosterFromIds(staffIds) : null;
+
+    const totalsByStaff = new Map();
+    const shifts = [];
+
+    for (const shift of pool.shifts || []) {
+        const { from, to } = shiftWindow(day, shift);
+
+        const orders = await Order.find({
+            paidAt: { $gte: from, $lt: to },
+            tip: { $gt: 0 },
+            paymentStatus: { $in: ['paid', 'partially_refunded'] }
+        }).select('orderNumber tip tipSource');
+        const tipCents = orders.reduce((sum, order) => sum + toCents(order.tip), 0);
+
+        const staff = (roster || await staffOnShift({ from, to }))
+            .map(member => ({ ...member, weight: weights[member.role] || 0 }))
+            .filter(member => member.weight > 0);
+
+        const shares = staff.length > 0 ? allocate(tipCents, staff.map(member => member.weight)) : [];
+        staff.forEach((member, index) => {
+            member.amount = fromCents(shares[index]);
+            const total = totalsByStaff.get(member.id) || { id: member.id, name: member.name, role: member.role, cents: 0 };
+            total.cents += shares[index];
+            totalsByStaff.set(member.id, total);
+        });
+
+        shifts.push({
+            name: shift.name,
+            from,
+            to,
+            orders: orders.length,
+            autoGratuity: fromCents(orders
+                .filter(order => order.tipSource === 'auto')
+                .reduce((sum, order) => sum + toCents(order.tip), 0)),
+            tips: fromCents(tipCents),
+            staff,
+            // Nobody eligible worked the shift, so the pool is left for the manager
+            unallocated: staff.length > 0 ? 0 : fromCents(tipCents)
+        });
+    }
+
+    return {
+        roleWeights: {
+            chef: weights.chef || 0,
+            waiter: weights.waiter || 0,
+            admin: weights.admin || 0
+        },
+        shifts,
+        totalTips: fromCents(shifts.reduce((sum, shift) => sum + toCents(shift.tips), 0)),
+        staff: [...totalsByStaff.values()]
+            .map(({ cents, ...member }) => ({ ...member, amount: fromCents(cents) }))
+            .sort((a, b) => b.amount - a.amount)
+    };
+};
+
+module.exports = {
+    MAX_TIP_PERCENT,
+    TipError,
+    tipOptions,
+    setTip,
+    clearTip,
+    emitTipUpdate,
+    tipPool
+};
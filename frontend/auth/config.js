@@ -7,6 +7,7 @@ const CONFIG = {
   DEMO_ACCOUNTS: {
     customer: { email: 'customer@demo.com', password: '123456', name: 'Demo Customer' },
     chef: { email: 'chef@demo.com', password: '123456', name: 'Demo Chef' },
+    driver: { email: 'driver@demo.com', password: '123456', name: 'Demo Driver' },
     admin: { email: 'admin@demo.com', password: '123456', name: 'Demo Admin' }
   },
   
@@ -6,6 +6,7 @@ const CONFIG = {
   DEMO_ACCOUNTS: {
     customer: { email: 'customer@demo.com', password: '123456' },
     chef: { email: 'chef@demo.com', password: '123456' },
+    driver: { email: 'driver@demo.com', password: '123456' },
     admin: { email: 'admin@demo.com', password: '123456' }
   },
   
@@ -30,6 +30,24 @@ const CONFIG = {
         ADMIN_STAFF_MEMBER: (id) => `/api/admin/staff/${id}`,
         ADMIN_SALES: '/api/admin/analytics/sales',
         ADMIN_SALES_DATE: (date) => `/api/admin/analytics/sales/${date}`,
+        ADMIN_PROMOTIONS: '/api/admin/promotions',
+        ADMIN_PROMOTION: (id) => `/api/admin/promotions/${id}`,
+        ADMIN_ADJUSTMENT_REASONS: '/api/admin/adjustments/reasons',
+        ADMIN_ADJUSTMENTS: '/api/admin/adjustments',
+        ADMIN_RECONCILIATION: '/api/admin/reports/reconciliation',
+        ADMIN_TIP_POOL: '/api/admin/reports/tips',
+        ADMIN_VISITS: '/api/admin/reports/visits',
+        ADMIN_RESTAURANT_SETTINGS: '/api/admin/settings/restaurant',
+        ADMIN_PRINTERS: '/api/admin/printers',
+        ADMIN_STATIONS: '/api/admin/stations',
+        ADMIN_DELIVERY_ZONES: '/api/admin/delivery-zones',
+        ADMIN_RESERVATIONS: '/api/admin/reservations',
+        ADMIN_RESERVATION_ACTION: (id, action) => `/api/admin/reservations/${id}/${action}`,
+        ADMIN_RESERVATION_AVAILABILITY: '/api/admin/reservations/availability',
+        ADMIN_ORDER_ADJUST: (id, type) => `/api/admin/orders/${id}/${type}`,
+        ADMIN_ORDER_ITEM_ADJUST: (id, itemId, type) => `/api/admin/orders/${id}/items/${itemId}/${type}`,
+        ADMIN_PAYMENT_REFUND: (id) => `/api/admin/payments/${id}/refund`,
+        ADMIN_STAFF_APPROVAL_PIN: (id) => `/api/admin/staff/${id}/approval-pin`,
         ADMIN_USERS: '/api/auth/admin/users',
         
         // Customer endpoints
@@ -49,6 +67,7 @@ const CONFIG = {
         CHEF_ORDER_READY: (id) => `/api/chef/orders/${id}/ready`,
         CHEF_ORDER_COMPLETE: (id) => `/api/chef/orders/${id}/complete`,
         CHEF_MENU_AVAILABILITY: (id) => `/api/chef/menu/${id}/availability`, // Fixed endpoint
+        CHEF_TABLE_CLEAR: (tableNumber) => `/api/chef/tables/${tableNumber}/clear`,
         
         // Demo endpoints
         DEMO_ACCOUNTS: '/api/auth/demo-accounts',